@@ -0,0 +1,222 @@
+// src/ComparePlayer.jsx
+// 比較プレーヤー：お手本と比較の動画を、検出したサイクルの同じ局面で並べて再生する
+//   横並び / 重ね合わせ（比較を腰の中点・体幹の長さでお手本に合わせて半透明で重ねる）
+//   位置 phase（0-1）は比較グラフ（cycle モード）の横軸と同じ。親と共有してグラフに縦線を出す
+// 動画は 1 コマずつ seek して描くので、再生はなめらかさより「同じ局面がそろうこと」を優先している
+import { useEffect, useMemo, useRef, useState } from "react";
+import { playbackCycles, cycleTime, mediaTimeAt, frameAt, hipAlignTransform, transformKeypoints } from "./analysis";
+import { seekVideo, createSerialRunner } from "./videoFrames";
+import { drawKeypoints } from "./drawPose";
+
+const ROLES = [["ref", "お手本", "#2A6EBB"], ["cmp", "比較", "#F2994A"]];
+const VIEW_HEIGHT = 360; // 横並びのときの 1 画面の高さ（px）
+const TICK_MS = 100;     // 再生中に位置を進める間隔
+
+// 1 画面分の元の大きさ（動画 → キーポイントの記録 → 既定の順）
+const sourceSize = (view) => ({
+  w: view.video?.videoWidth || view.frame?.width || 960,
+  h: view.video?.videoHeight || view.frame?.height || 540,
+});
+
+// 画面の左上に役割・サイクル・局面を書く
+function drawLabel(ctx, text, color, x) {
+  ctx.save();
+  ctx.font = "bold 14px system-ui, sans-serif";
+  ctx.fillStyle = "rgba(255,255,255,0.85)";
+  ctx.fillRect(x + 6, 6, ctx.measureText(text).width + 12, 22);
+  ctx.fillStyle = color;
+  ctx.fillText(text, x + 12, 22);
+  ctx.restore();
+}
+
+// views = {ref: {video, frame, label}, cmp: …}（video は seek 済み、frame はその時刻の生のキーポイント）
+function drawViews(canvas, views, layout) {
+  const ctx = canvas.getContext("2d");
+  const ref = sourceSize(views.ref);
+  if (layout === "overlay") {
+    const s = VIEW_HEIGHT / ref.h;
+    canvas.width = Math.round(ref.w * s);
+    canvas.height = VIEW_HEIGHT;
+    ctx.fillStyle = "#EEF6FB";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.save();
+    ctx.scale(s, s);
+    if (views.ref.video) ctx.drawImage(views.ref.video, 0, 0, ref.w, ref.h);
+    const refKp = views.ref.frame?.keypoints, cmpKp = views.cmp.frame?.keypoints;
+    const tf = refKp && cmpKp ? hipAlignTransform(cmpKp, refKp) : null;
+    if (tf && views.cmp.video) {
+      const cmp = sourceSize(views.cmp);
+      ctx.save();
+      ctx.globalAlpha = 0.4;
+      ctx.transform(tf.scale, 0, 0, tf.scale, tf.dx, tf.dy);
+      ctx.drawImage(views.cmp.video, 0, 0, cmp.w, cmp.h);
+      ctx.restore();
+    }
+    if (refKp) drawKeypoints(ctx, refKp, ROLES[0][2]);
+    if (tf) drawKeypoints(ctx, transformKeypoints(cmpKp, tf), ROLES[1][2]);
+    ctx.restore();
+    drawLabel(ctx, views.ref.label, ROLES[0][2], 0);
+    const cmpLabel = tf ? views.cmp.label
+      : cmpKp ? "比較：腰・肩が見えないコマは重ねられません" : "比較：キーポイントがないため重ねられません";
+    drawLabel(ctx, cmpLabel, ROLES[1][2], canvas.width / 2);
+    return;
+  }
+
+  const sizes = ROLES.map(([role]) => sourceSize(views[role]));
+  const scales = sizes.map(z => VIEW_HEIGHT / z.h);
+  canvas.width = Math.round(sizes[0].w * scales[0] + sizes[1].w * scales[1]);
+  canvas.height = VIEW_HEIGHT;
+  ctx.fillStyle = "#EEF6FB";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  let x = 0;
+  ROLES.forEach(([role, , color], k) => {
+    const view = views[role], s = scales[k];
+    ctx.save();
+    ctx.translate(x, 0);
+    ctx.scale(s, s);
+    if (view.video) ctx.drawImage(view.video, 0, 0, sizes[k].w, sizes[k].h);
+    if (view.frame) drawKeypoints(ctx, view.frame.keypoints, color);
+    ctx.restore();
+    drawLabel(ctx, view.label, color, x);
+    x += sizes[k].w * s;
+  });
+}
+
+// st = ComparePlayer の最新の状態。両方の動画を同じ局面へ seek してから描く
+async function drawAt(st, canvas, videos) {
+  if (!st.nCycles || !canvas) return;
+  const recs = { ref: st.refRec, cmp: st.cmpRec };
+  const views = {};
+  await Promise.all(ROLES.map(async ([role, label]) => {
+    const t = cycleTime(st.cycles[role], st.cycle, st.phase);
+    const video = videos[role]?.src && videos[role].readyState >= 1 ? videos[role] : null;
+    if (video) await seekVideo(video, Math.min(video.duration, Math.max(0, mediaTimeAt(recs[role].frames, t))));
+    views[role] = {
+      video, frame: frameAt(recs[role].frames, t),
+      label: `${label} サイクル${st.cycle % st.cycles[role].length + 1}  ${Math.round(st.phase * 100)}%`,
+    };
+  }));
+  drawViews(canvas, views, st.layout);
+}
+
+// refRec / cmpRec : {samples, frames?, name?}（frames は生のキーポイント）
+// cycleKey : サイクルを切り出す指標（比較グラフと同じもの）
+// phase / onPhaseChange : サイクル内の位置（0-1）
+export default function ComparePlayer({ refRec, cmpRec, cycleKey = "kneeL", phase, onPhaseChange, buttonStyle }) {
+  const canvasRef = useRef(null);
+  const refVideoRef = useRef(null);
+  const cmpVideoRef = useRef(null);
+  const [urls, setUrls] = useState({ ref: null, cmp: null }); // 読み込んだ動画（object URL）
+  const [layout, setLayout] = useState("side"); // "side" | "overlay"
+  const [cycle, setCycle] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(0.25); // お手本の 1 サイクルを何倍の速さで進めるか
+  const [videoTick, setVideoTick] = useState(0); // 動画の読み込みが終わったら描き直す
+
+  const cycles = useMemo(() => ({
+    ref: playbackCycles(refRec.samples, cycleKey),
+    cmp: playbackCycles(cmpRec.samples, cycleKey),
+  }), [refRec, cmpRec, cycleKey]);
+  const nCycles = Math.min(cycles.ref.length, cycles.cmp.length);
+
+  // 非同期の描画・再生タイマーからは最新の値を読む
+  const stateRef = useRef(null);
+  stateRef.current = { refRec, cmpRec, cycles, nCycles, phase, cycle, layout, speed, onPhaseChange };
+
+  const [render] = useState(() => createSerialRunner(() => drawAt(
+    stateRef.current, canvasRef.current, { ref: refVideoRef.current, cmp: cmpVideoRef.current },
+  )));
+  useEffect(() => { render(); }, [render, phase, cycle, layout, cycles, urls, videoTick]);
+
+  // 再生：お手本のサイクルの長さ × speed で位置を進め、100% を超えたら次のサイクルへ
+  useEffect(() => {
+    if (!playing) return;
+    let last = performance.now();
+    const id = setInterval(() => {
+      const st = stateRef.current;
+      const now = performance.now();
+      const dur = st.cycles.ref[st.cycle % st.cycles.ref.length]?.dur;
+      if (!dur) return;
+      let p = st.phase + (now - last) / 1000 * st.speed / dur;
+      last = now;
+      if (p >= 1) {
+        p -= Math.floor(p);
+        setCycle(c => (c + 1) % st.nCycles);
+      }
+      st.onPhaseChange(p);
+    }, TICK_MS);
+    return () => clearInterval(id);
+  }, [playing]);
+
+  // 読み込んだ動画の URL は差し替え・閉じるときに解放する
+  const urlsRef = useRef(urls);
+  urlsRef.current = urls;
+  useEffect(() => () => Object.values(urlsRef.current).forEach(u => u && URL.revokeObjectURL(u)), []);
+  const loadVideo = (role, e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    if (urls[role]) URL.revokeObjectURL(urls[role]);
+    setUrls({ ...urls, [role]: URL.createObjectURL(file) });
+  };
+
+  if (!nCycles) {
+    return (
+      <div style={{ marginTop:8, fontSize:13, color:"#666" }}>
+        🎞 比較プレーヤー：お手本・比較の両方でサイクルが見つからないため使えません（指標 {cycleKey}）。
+      </div>
+    );
+  }
+  const hasFrames = !!(refRec.frames?.length && cmpRec.frames?.length);
+  const small = { ...buttonStyle, padding:"4px 10px", fontSize:13 };
+
+  return (
+    <div style={{
+      marginTop:8, background:"#FFFFFF", border:"1px solid #CCE7F5", borderRadius:12, padding:8,
+      boxShadow:"0 2px 6px rgba(0,0,0,0.05)", fontSize:14, color:"#333"
+    }}>
+      <div style={{ display:"flex", gap:8, flexWrap:"wrap", alignItems:"center" }}>
+        <b>🎞 比較プレーヤー</b>
+        {ROLES.map(([role, label]) => (
+          <label key={role} style={{ ...small, cursor:"pointer" }}>
+            {urls[role] ? `「${label}」の動画を変更` : `「${label}」の動画を選ぶ`}
+            <input type="file" accept="video/*" onChange={e=>loadVideo(role, e)} style={{ display:"none" }} />
+          </label>
+        ))}
+        <select value={layout} onChange={e=>setLayout(e.target.value)}>
+          <option value="side">横並び</option>
+          <option value="overlay">重ね合わせ（腰の位置で合わせる）</option>
+        </select>
+        <label>
+          サイクル:{" "}
+          <select value={cycle % nCycles} onChange={e=>setCycle(+e.target.value)}>
+            {Array.from({ length: nCycles }, (_, k) => <option key={k} value={k}>{k + 1} / {nCycles}</option>)}
+          </select>
+        </label>
+        <button style={small} onClick={()=>setPlaying(p => !p)}>{playing ? "⏸ 一時停止" : "▶ 再生"}</button>
+        <select value={speed} onChange={e=>setSpeed(+e.target.value)}>
+          {[0.1, 0.25, 0.5, 1].map(s => <option key={s} value={s}>{s}x</option>)}
+        </select>
+      </div>
+
+      <div style={{ display:"flex", gap:8, alignItems:"center", marginTop:6 }}>
+        <span style={{ fontSize:13 }}>局面</span>
+        <input type="range" min={0} max={100} step={1} value={Math.round(phase * 100)}
+          onChange={e=>{ setPlaying(false); onPhaseChange(+e.target.value / 100); }} style={{ flex:1 }} />
+        <span style={{ width:40, textAlign:"right" }}>{Math.round(phase * 100)}%</span>
+      </div>
+
+      <canvas ref={canvasRef} style={{ width:"100%", maxWidth:1280, background:"#EEF6FB", borderRadius:8, marginTop:6 }} />
+      <video ref={refVideoRef} src={urls.ref ?? undefined} muted playsInline preload="auto"
+        onLoadedData={()=>setVideoTick(n => n + 1)} style={{ display:"none" }} />
+      <video ref={cmpVideoRef} src={urls.cmp ?? undefined} muted playsInline preload="auto"
+        onLoadedData={()=>setVideoTick(n => n + 1)} style={{ display:"none" }} />
+
+      <div style={{ fontSize:12, color:"#666", marginTop:4 }}>
+        お手本と比較の {cycleKey} のサイクル（比較グラフと同じ区切り）の同じ位置を表示します。グラフをクリックしてもその位置に移動します。
+        {!hasFrames && " 骨格を重ねるには、生のキーポイントつきの記録を使ってください。"}
+        {" "}カメラで記録したものは元の動画がないため骨格だけを表示します。動画の位置は、動画全体を解析した記録・キーポイントつきの記録で正しくそろいます。
+      </div>
+    </div>
+  );
+}
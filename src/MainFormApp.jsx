@@ -1,8 +1,28 @@
 import { goToCheckout } from "./checkout";
 import { useEffect, useRef, useState, useMemo, useCallback } from "react";
-import * as posedetection from "@tensorflow-models/pose-detection";
-import * as tf from "@tensorflow/tfjs-core";
-import "@tensorflow/tfjs-backend-webgl";
+import {
+  compareSessions, detectGaitEvents, nearestIndex, metricUnit,
+  scaleFromPoints, resolveCalibration, summarizeView, processRecording, metricsUnsuitedForView, VIEW_LABELS,
+  PHASE_KEYS, PHASE_LABELS, sessionFacts, evaluateRules, unitText,
+  recordingToCSV, toSessionFile, parseRecordingFile, framesToNDJSON, reprocessFrames, createSampleBuilder,
+  ANNOTATION_POINTS, annotationText, annotationsAt, estimateFramePeriod,
+  framingCheck, framingMessage, isSteadyRunning, captureProgress, captureQuality,
+} from "./analysis";
+import { createPoseEstimator } from "./poseEstimator";
+import { POSE_MODELS, DEFAULT_SIGNAL_OPTIONS, loadPoseModelChoice, savePoseModelChoice } from "./poseModels";
+import { stepThroughVideo, seekVideo, createSerialRunner, measureVideoFrame } from "./videoFrames";
+import { loadRuleSet, saveCustomRuleSet, clearCustomRuleSet } from "./formRules";
+import SessionLibrary from "./SessionLibrary";
+import ComparePlayer from "./ComparePlayer";
+import ProgressDashboard from "./ProgressDashboard";
+import MultiCompare from "./MultiCompare";
+import { saveSession, formatDate } from "./sessionStore";
+import {
+  chartImage, canvasThumbnail, tablesFromDom, listFromDom, downloadReportHTML, downloadReportPDF,
+} from "./sessionReport";
+import { downloadText, downloadBlob } from "./download";
+import { drawKeypoints, drawAnnotations, drawGuide } from "./drawPose";
+import { canRecordCanvas, startCanvasRecording } from "./canvasRecorder";
 
 // ★ chart.js
 import {
@@ -13,76 +33,266 @@ import {
   CategoryScale,
   Legend,
   Tooltip,
+  Filler,
 } from "chart.js";
 import { Line } from "react-chartjs-2";
-ChartJS.register(LineElement, PointElement, LinearScale, CategoryScale, Legend, Tooltip);
-
-// スケルトン描画用の接続ペア
-const LINE_PAIRS = [
-  ["left_shoulder", "left_elbow"], ["left_elbow", "left_wrist"],
-  ["right_shoulder", "right_elbow"], ["right_elbow", "right_wrist"],
-  ["left_hip", "left_knee"], ["left_knee", "left_ankle"],
-  ["right_hip", "right_knee"], ["right_knee", "right_ankle"],
-  ["left_shoulder", "right_shoulder"], ["left_hip", "right_hip"],
-  ["left_shoulder", "left_hip"], ["right_shoulder", "right_hip"]
-];
 
-// ---------- utility ----------
-function mid(A, B) {
-  return { x: (A.x + B.x) / 2, y: (A.y + B.y) / 2, score: Math.min(A.score ?? 1, B.score ?? 1) };
-}
-function angle(A, B, C) {
-  const ab = { x: A.x - B.x, y: A.y - B.y };
-  const cb = { x: C.x - B.x, y: C.y - B.y };
-  const dot = ab.x * cb.x + ab.y * cb.y;
-  const m1 = Math.hypot(ab.x, ab.y) || 1e-6;
-  const m2 = Math.hypot(cb.x, cb.y) || 1e-6;
-  const cos = Math.max(-1, Math.min(1, dot / (m1 * m2)));
-  return (Math.acos(cos) * 180) / Math.PI;
+// 信頼度（conf）の低い区間をグラフの背景に灰色で塗る
+// options.plugins.lowConfidence.ranges = [[開始 index, 終了 index]]
+const LOW_CONF = 0.5;
+const lowConfidencePlugin = {
+  id: "lowConfidence",
+  beforeDatasetsDraw(chart, _args, opts) {
+    if (!opts?.ranges?.length) return;
+    const { ctx, chartArea, scales: { x } } = chart;
+    const half = Math.abs(x.getPixelForValue(1) - x.getPixelForValue(0)) / 2;
+    ctx.save();
+    ctx.fillStyle = "rgba(120,120,120,0.15)";
+    for (const [a, b] of opts.ranges) {
+      const x0 = Math.max(chartArea.left, x.getPixelForValue(a) - half);
+      const x1 = Math.min(chartArea.right, x.getPixelForValue(b) + half);
+      ctx.fillRect(x0, chartArea.top, x1 - x0, chartArea.bottom - chartArea.top);
+    }
+    ctx.restore();
+  },
+};
+// 比較プレーヤーの位置をグラフに縦線で出す
+// options.plugins.playerCursor.index = ラベルの index（null なら出さない）
+const playerCursorPlugin = {
+  id: "playerCursor",
+  afterDatasetsDraw(chart, _args, opts) {
+    if (opts?.index == null) return;
+    const { ctx, chartArea, scales: { x } } = chart;
+    const px = x.getPixelForValue(opts.index);
+    ctx.save();
+    ctx.strokeStyle = "rgba(242,153,74,0.9)";
+    ctx.lineWidth = 2;
+    ctx.beginPath(); ctx.moveTo(px, chartArea.top); ctx.lineTo(px, chartArea.bottom); ctx.stroke();
+    ctx.restore();
+  },
+};
+// 手動の注釈（マーカー）の位置をグラフに点線で出す
+// options.plugins.noteMarks.marks = [{index, label}]
+const noteMarksPlugin = {
+  id: "noteMarks",
+  afterDatasetsDraw(chart, _args, opts) {
+    if (!opts?.marks?.length) return;
+    const { ctx, chartArea, scales: { x } } = chart;
+    ctx.save();
+    ctx.strokeStyle = "rgba(226,85,123,0.8)";
+    ctx.fillStyle = "#E2557B";
+    ctx.font = "11px system-ui, sans-serif";
+    ctx.setLineDash([4, 3]);
+    for (const { index, label } of opts.marks) {
+      const px = x.getPixelForValue(index);
+      ctx.beginPath(); ctx.moveTo(px, chartArea.top); ctx.lineTo(px, chartArea.bottom); ctx.stroke();
+      ctx.fillText(label, px + 3, chartArea.top + 10);
+    }
+    ctx.restore();
+  },
+};
+ChartJS.register(
+  LineElement, PointElement, LinearScale, CategoryScale, Legend, Tooltip, Filler,
+  lowConfidencePlugin, playerCursorPlugin, noteMarksPlugin,
+);
+
+function lowConfRanges(samples) {
+  const ranges = [];
+  samples.forEach((s, i) => {
+    if (s.conf == null || s.conf >= LOW_CONF) return;
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === i - 1) last[1] = i;
+    else ranges.push([i, i]);
+  });
+  return ranges;
 }
-function movingAvg(buf, val, max = 5) {
-  if (val != null && isFinite(val)) buf.push(val);
-  while (buf.length > max) buf.shift();
-  if (!buf.length) return null;
-  return buf.reduce((a, b) => a + b, 0) / buf.length;
+
+// 複数人モデルのとき：全員の骨格と id（追っている人は空色、ほかは灰色）
+function drawTracks(ctx, tracks, targetId) {
+  ctx.save();
+  ctx.font = "bold 16px system-ui, sans-serif";
+  for (const t of tracks) {
+    const me = t.id === targetId;
+    drawKeypoints(ctx, t.keypoints, me ? "#2A6EBB" : "rgba(150,160,170,0.8)");
+    ctx.fillStyle = me ? "#2A6EBB" : "#888";
+    ctx.fillText(me ? `#${t.id} 追跡中` : `#${t.id}`, t.box.x, Math.max(16, t.box.y - 8));
+  }
+  ctx.restore();
 }
 
-// 骨格を描画（空色系で見やすく）
-function drawKeypoints(ctx, keypoints) {
-  const byName = Object.fromEntries(keypoints.map(k => [k.name, k]));
+// 実寸換算の 2 点（線と端点）を描く
+function drawCalibPoints(ctx, points) {
+  if (!points.length) return;
   ctx.save();
   ctx.lineWidth = 3;
-  ctx.strokeStyle = "#2A6EBB";
-  ctx.fillStyle   = "#2A6EBB";
-  keypoints.forEach((k) => {
-    if (k.score != null && k.score > 0.3) {
-      ctx.beginPath(); ctx.arc(k.x, k.y, 4, 0, 2*Math.PI); ctx.fill();
-    }
-  });
-  LINE_PAIRS.forEach(([a,b])=>{
-    const p1 = byName[a], p2 = byName[b];
-    if (p1?.score>0.3 && p2?.score>0.3) {
-      ctx.beginPath(); ctx.moveTo(p1.x, p1.y); ctx.lineTo(p2.x, p2.y); ctx.stroke();
+  ctx.strokeStyle = "#F2994A";
+  ctx.fillStyle   = "#F2994A";
+  points.forEach(p => { ctx.beginPath(); ctx.arc(p.x, p.y, 6, 0, 2*Math.PI); ctx.fill(); });
+  if (points.length === 2) {
+    ctx.beginPath(); ctx.moveTo(points[0].x, points[0].y); ctx.lineTo(points[1].x, points[1].y); ctx.stroke();
+  }
+  ctx.restore();
+}
+
+// 直近 MINI_CHART_SEC 秒の膝角度のミニグラフ（左下。書き出す動画にも入る）
+// history: [{t, kneeL, kneeR}]（t は秒、古い順）
+const MINI_CHART_SEC = 5;
+const MINI_CHART_LINES = [["kneeL", "左膝", "#2A6EBB"], ["kneeR", "右膝", "#00A8E8"]];
+function drawMiniChart(ctx, history) {
+  if (history.length < 2) return;
+  const w = 320, h = 110, x0 = 10, y0 = ctx.canvas.height - h - 10;
+  const lo = 60, hi = 180; // 縦軸（°）
+  const tEnd = history[history.length - 1].t;
+  const px = (t) => x0 + w - (tEnd - t) / MINI_CHART_SEC * w;
+  const py = (v) => y0 + h - (Math.min(hi, Math.max(lo, v)) - lo) / (hi - lo) * h;
+  ctx.save();
+  ctx.fillStyle = "rgba(255,255,255,0.90)";
+  ctx.strokeStyle = "rgba(42,110,187,0.15)";
+  ctx.lineWidth = 1;
+  ctx.fillRect(x0, y0, w, h);
+  ctx.strokeRect(x0, y0, w, h);
+  ctx.font = "12px system-ui, sans-serif";
+  ctx.lineWidth = 2;
+  MINI_CHART_LINES.forEach(([key, label, color], k) => {
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    let pen = false; // 欠損（null）のところは線を切る
+    for (const p of history) {
+      if (p[key] == null) { pen = false; continue; }
+      if (pen) ctx.lineTo(px(p.t), py(p[key]));
+      else ctx.moveTo(px(p.t), py(p[key]));
+      pen = true;
     }
+    ctx.stroke();
+    ctx.fillStyle = color;
+    ctx.fillText(label, x0 + 8 + k * 40, y0 + 16);
   });
+  ctx.fillStyle = "#666";
+  ctx.fillText(`膝角度 ${lo}〜${hi}° / 直近${MINI_CHART_SEC}秒`, x0 + w - 150, y0 + 16);
   ctx.restore();
 }
 
+// コマ送りの 1 コマ（動画から測れるまでは 30fps とみなす。estimateFramePeriod）
+const FRAME_SEC = 1 / 30;
+// 注釈の種類（analysis/annotations.js の kind）と、名前の候補
+const NOTE_KIND_LABELS = { marker: "マーカー", line: "線", angle: "角度" };
+const NOTE_PRESETS = ["かかと接地", "つま先離地", "腕が正中線を越える", "膝が最も曲がる", "体幹が前に倒れる", "骨盤が落ちる"];
+
+// ガイド付き撮影（analysis/capture.js）
+const GUIDE_COUNTDOWN_SEC = 5;
+const GUIDE_CHECK_MS = 500;   // 自動スタート・自動停止を判定する間隔
+const GUIDE_STATS_MS = 1000;  // 明るさ・ぶれを測る間隔
+const GUIDE_WARMUP_SEC = 6;   // 自動スタートの判定に残す直近のサンプル
+const QUALITY_ICONS = { bad: "❌", warn: "⚠" };
+
+// ガイドの状態 g（guideRef）→ 画面に重ねる案内（drawGuide の引数。出さないときは null）
+function guideOverlay(g, now) {
+  const ok = !!g.framing?.ok;
+  if (g.phase === "countdown") {
+    return { ok, message: framingMessage(g.framing), big: Math.max(1, Math.ceil((g.startAt - now) / 1000)) };
+  }
+  if (g.phase === "waiting") {
+    return { ok, message: ok ? "走り始めてください（リズムが安定したら自動で記録します）" : framingMessage(g.framing) };
+  }
+  if (g.phase === "recording") {
+    const p = g.progress;
+    const count = g.stop.mode === "cycles" ? `${p?.count ?? 0} / ${g.stop.cycles} サイクル` : `${Math.floor(p?.count ?? 0)} / ${g.stop.seconds} 秒`;
+    return { ok, message: `● 記録中 ${count}${ok ? "" : ` ／ ${framingMessage(g.framing)}`}`, progress: p?.progress ?? 0 };
+  }
+  return null;
+}
+
+// 比較パネルで選べる指標（並び順どおりにチェックボックスを出す）
+// frontal: 正面・背面から撮ったときの指標（それ以外は横から）
+const METRIC_OPTIONS = [
+  {key:'kneeL',label:'左膝'},{key:'kneeR',label:'右膝'},{key:'hipL',label:'左股'},{key:'hipR',label:'右股'},
+  {key:'trunk',label:'体幹前傾'},{key:'vOsc',label:'上下動'},
+  {key:'reachL',label:'左着地位置'},{key:'reachR',label:'右着地位置'},
+  {key:'shinL',label:'左すね'},{key:'shinR',label:'右すね'},
+  {key:'elbowL',label:'左肘'},{key:'elbowR',label:'右肘'},
+  {key:'armL',label:'左腕振り'},{key:'armR',label:'右腕振り'},
+  {key:'valgusL',label:'左膝の内倒れ',frontal:true},{key:'valgusR',label:'右膝の内倒れ',frontal:true},
+  {key:'pelvicDrop',label:'骨盤の傾き',frontal:true},
+  {key:'crossL',label:'左足の着地幅',frontal:true},{key:'crossR',label:'右足の着地幅',frontal:true},
+  {key:'armCrossL',label:'左手の内振り',frontal:true},{key:'armCrossR',label:'右手の内振り',frontal:true},
+];
+
+// 除外したサイクルの理由（analysis/segmentation.js）
+const REJECT_REASON = { duration: "長さ", shape: "形", gap: "欠損" };
+// フォーム採点の判定（feedback.js の status）
+const RULE_STATUS = {
+  ok:   { icon: "✅", color: "#27AE60" },
+  warn: { icon: "⚠", color: "#E67E22" },
+  bad:  { icon: "❌", color: "#C0392B" },
+  na:   { icon: "-", color: "#999" },
+};
+
+// 接地(IC)・離地(TO)の位置に点だけ打つデータセット（線なし）
+// points: [{i, y}]（i はラベルの index）
+function eventMarkers(label, length, points, color, pointStyle) {
+  const data = Array(length).fill(null);
+  for (const { i, y } of points) if (i >= 0 && i < length && y != null) data[i] = y;
+  return {
+    label, data, showLine:false, pointRadius:6, pointHoverRadius:7, pointStyle,
+    borderColor:color, backgroundColor:color,
+  };
+}
+
+// 記録サンプル上のイベント位置（膝角度カーブの上に打つ）
+function gaitMarkerPoints(samples, gait, which) {
+  const times = samples.map(x => x.t);
+  const pts = [];
+  for (const [side, key] of [["left","kneeL"], ["right","kneeR"]]) {
+    for (const st of gait[side]) {
+      const i = nearestIndex(times, st[which]);
+      pts.push({ i, y: samples[i]?.[key] ?? null });
+    }
+  }
+  return pts;
+}
+
 export default function MainFormApp() {
   const videoRef = useRef(null);
   const fileVideoRef = useRef(null);
   const canvasRef = useRef(null);
-  const detectorRef = useRef(null);
+  const estimatorRef = useRef(null); // Worker or メインスレッド（poseEstimator.js）
+  const lastResultRef = useRef(null); // 直近の推定結果（描画用）
+  const hudHistoryRef = useRef([]); // ミニグラフ用の直近の膝角度 [{t, kneeL, kneeR}]
   const rafRef = useRef(null);
 
   // 状態
-  const [metrics, setMetrics] = useState({kneeL:true, kneeR:true, hipL:false, hipR:false, trunk:false});
+  const [metrics, setMetrics] = useState({kneeL:true, kneeR:true, hipL:false, hipR:false, trunk:false,
+    vOsc:false, reachL:false, reachR:false, shinL:false, shinR:false, elbowL:false, elbowR:false, armL:false, armR:false,
+    valgusL:false, valgusR:false, pelvicDrop:false, crossL:false, crossR:false, armCrossL:false, armCrossR:false});
   const [cycleNormalize, setCycleNormalize] = useState(true); // 「動きを1回分に揃えて比較（平均フォーム）」
+  const [showCycles, setShowCycles] = useState(false); // 平均の元になった各サイクル（除外分も）を重ねる
+  const [showBands, setShowBands] = useState(true); // 平均 ± SD の帯
+  const [align, setAlign] = useState("none"); // 時間ベース比較の時間合わせ（"none" | "xcorr" | "dtw"）
   const [compareResult, setCompareResult] = useState(null);
   const [compareStats, setCompareStats]   = useState(null);
+  const [showPlayer, setShowPlayer] = useState(false); // 比較プレーヤー（ComparePlayer.jsx）
+  const [playerCycleKey, setPlayerCycleKey] = useState(null); // プレーヤーのサイクルを切る指標（null なら比較グラフの先頭の指標）
+  const [showProgress, setShowProgress] = useState(false); // 経過ダッシュボード（ProgressDashboard.jsx）
+  const [showMulti, setShowMulti] = useState(false); // 複数の記録・ベースライン（MultiCompare.jsx）
+  // レポート（sessionReport.js）に載せるグラフ・表・説明
+  const liveChartRef = useRef(null);
+  const compareChartRef = useRef(null);
+  const diffChartRef = useRef(null);
+  const statsRef = useRef(null);
+  const glossaryRef = useRef(null);
+  const [reporting, setReporting] = useState(false);
+  const [playerPhase, setPlayerPhase] = useState(0);   // プレーヤーの位置（サイクル内 0-1）
   const [compareRmse, setCompareRmse]     = useState({});
-  const [refSamples, setRefSamples] = useState(null); // お手本
-  const [cmpSamples, setCmpSamples] = useState(null); // 比較
+  const [refRec, setRefRec] = useState(null); // お手本 {samples, calibration, id?, name?}（id, name はライブラリから読んだとき）
+  const [cmpRec, setCmpRec] = useState(null); // 比較   {samples, calibration, id?, name?}
+
+  // 実寸換算（"none" | "height" | "points"）。保存時に記録へ resolveCalibration して持たせる
+  const [calibMethod, setCalibMethod] = useState("none");
+  const [heightCm, setHeightCm] = useState(170);
+  const [knownCm, setKnownCm] = useState(100);
+  const [calibPoints, setCalibPoints] = useState([]); // キャンバス座標
+  const [picking, setPicking] = useState(false);
+  const pickingRef = useRef(false); // 2 点指定中は描画を止めて今のコマを残す
 
   const [chartTick, setChartTick] = useState(0);
   const [useCamera, setUseCamera] = useState(true);
@@ -90,10 +300,10 @@ export default function MainFormApp() {
   const [speed, setSpeed] = useState(1);
   const runningRef = useRef(false);
 
-  // スムージングバッファ
-  const kneeLBufRef  = useRef([]);  const kneeRBufRef  = useRef([]);
-  const hipLBufRef   = useRef([]);  const hipRBufRef   = useRef([]);
-  const trunkBufRef  = useRef([]);
+  // 動画ファイルの全コマ解析（null = 解析中でない / 0-1 = 進捗）
+  const [analyzeProgress, setAnalyzeProgress] = useState(null);
+  const analyzeAbortRef = useRef(null);
+  const analyzing = analyzeProgress != null;
 
   // 記録
   const [recording, setRecording] = useState(false);
@@ -101,25 +311,140 @@ export default function MainFormApp() {
   useEffect(() => { recordingRef.current = recording; }, [recording]);
 
   const samplesRef = useRef([]); // {t, kneeL,kneeR,hipL,hipR,trunk,dKnee,dHip}
+  // 生のキーポイント {t, mediaTime, width, height, keypoints}（あとで設定を変えて計算し直せる）
+  const framesRef = useRef([]);
+  const [keepRaw, setKeepRaw] = useState(true);
+  const keepRawRef = useRef(keepRaw);
+  useEffect(() => { keepRawRef.current = keepRaw; }, [keepRaw]);
   const startTimeRef = useRef(0);
+  // 今の入力（ライブラリに保存する）。recordedAt は撮った日時（カメラは記録開始、動画ファイルは更新日時）
+  const sourceRef = useRef({ source: "camera", fileName: null, recordedAt: null });
   const lastSampleTimeRef = useRef(0);
   const SAMPLE_INTERVAL_MS = 100; // 10Hz
 
-  // TFJS + Detector init
+  // 注釈つき動画の書き出し（canvasRecorder.js）
+  const [miniChart, setMiniChart] = useState(false); // キャンバスにミニグラフを重ねる
+  const miniChartRef = useRef(miniChart);
+  useEffect(() => { miniChartRef.current = miniChart; }, [miniChart]);
+  const [exporting, setExporting] = useState(null); // null | "camera" | "file"
+  const exportRef = useRef(null); // 録画中の {stop}
+
+  // コマ送り・手動の注釈（アップロード動画）
+  const [review, setReview] = useState(null); // 調べているコマ {t, sample, recorded}
+  // ガイド付き撮影：設定と、画面に出す段階 {phase, quality?}
+  //   phase "countdown" | "waiting"（自動スタート待ち）| "recording" | "review"（品質チェック）
+  //   毎コマの判定に使う値は guideRef（{phase, framing, stop, startAt, warmup, seen, fullBody, stats, progress, …}）
+  const [guideOpts, setGuideOpts] = useState({ start: "countdown", stop: "duration", seconds: 20, cycles: 10 });
+  const [guideView, setGuideView] = useState(null);
+  const guideRef = useRef(null);
+  const statsCanvasRef = useRef(null);
+  const [guideName, setGuideName] = useState("");
+  const [libraryTick, setLibraryTick] = useState(0); // ライブラリの一覧を読み直す
+  const [annotations, setAnnotations] = useState([]); // analysis/annotations.js
+  const annotationsRef = useRef(annotations);
+  const framePeriodRef = useRef(FRAME_SEC); // 読み込んだ動画の 1 コマの長さ（秒）
+  const [noteKind, setNoteKind] = useState("marker");
+  const [noteLabel, setNoteLabel] = useState("");
+  const [draft, setDraft] = useState(null); // 線・角度を描いている途中の点（null = 描いていない）
+  const draftRef = useRef(null);
+  const samplesOnVideoRef = useRef(false); // 記録の t が動画の再生位置（動画全体を解析した記録）
+  const seekTargetRef = useRef(0);
+
+  // 姿勢推定モデル（選択は localStorage に保存）
+  const [modelId, setModelId] = useState(loadPoseModelChoice);
+  const [modelReady, setModelReady] = useState(false);
+  const multiPose = !!POSE_MODELS[modelId].multiPose;
+  // 複数人モデルで追っている人（null = 1 人用モデル / "lost" = 見失った / それ以外は id）
+  const [trackStatus, setTrackStatus] = useState(null);
+
+  // 信号処理：minScore / filter は推定側（ライブ）、maxGapSec / offlineFilter は記録の後処理
+  const [signal, setSignal] = useState({ ...DEFAULT_SIGNAL_OPTIONS, maxGapSec: 0.3, offlineFilter: "butter" });
+  const signalRef = useRef(signal);
   useEffect(() => {
+    signalRef.current = signal;
+    estimatorRef.current?.configure({ minScore: signal.minScore, filter: signal.filter });
+  }, [signal]);
+  const changeSignal = (patch) => setSignal(v => ({ ...v, ...patch }));
+
+  // フォーム採点のルールセット {ruleSet, custom}（formRules.js）と、アドバイスの言語
+  const [rules, setRules] = useState(null);
+  const [feedbackLang, setFeedbackLang] = useState("ja");
+  const reloadRules = () => loadRuleSet().then(setRules)
+    .catch(e => console.warn("loadRuleSet error:", e?.message || e));
+  useEffect(() => { reloadRules(); }, []);
+  const loadRulesFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setRules({ ruleSet: saveCustomRuleSet(await file.text()), custom: true });
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+  const resetRules = () => {
+    clearCustomRuleSet();
+    reloadRules();
+  };
+
+  const changeModel = (id) => {
+    cancelGuide(); // 推定が作り直しになるので、ガイドはやめる
+    setModelId(id);
+    savePoseModelChoice(id);
+  };
+
+  // Detector init（Worker が使えなければメインスレッド）。モデルを変えたら作り直す
+  useEffect(() => {
+    let disposed = false;
+    setModelReady(false);
     (async () => {
-      await import("@tensorflow/tfjs-backend-webgl");
-      await tf.setBackend("webgl");
-      await tf.ready();
-      detectorRef.current = await posedetection.createDetector(
-        posedetection.SupportedModels.MoveNet,
-        { modelType: posedetection.movenet.modelType.SINGLEPOSE_LIGHTNING }
-      );
-      console.log("✅ Detector ready");
+      try {
+        const { minScore, filter } = signalRef.current;
+        // 使っている途中で Worker が落ちたら、メインスレッドの推定に差し替える
+        const onError = async (err) => {
+          console.warn("pose worker stopped, switching to main thread:", err?.message || err);
+          try {
+            const now = signalRef.current;
+            const inline = await createPoseEstimator({ modelId, preferWorker: false, options: { minScore: now.minScore, filter: now.filter } });
+            if (disposed) { inline.dispose(); return; }
+            estimatorRef.current = inline;
+            lastResultRef.current = null;
+          } catch (e) {
+            console.warn("createPoseEstimator error:", e?.message || e);
+            if (!disposed) alert("姿勢推定が止まりました。ページを読み込み直してください。");
+          }
+        };
+        const est = await createPoseEstimator({ modelId, options: { minScore, filter }, onError });
+        if (disposed) { est.dispose(); return; }
+        estimatorRef.current = est;
+        lastResultRef.current = null;
+        setModelReady(true);
+        console.log(`✅ Detector ready (${modelId}, ${est.mode})`);
+      } catch (e) {
+        console.warn("createPoseEstimator error:", e?.message || e);
+        if (!disposed) alert("姿勢推定モデルを読み込めませんでした。通信環境を確認して、別のモデルも試してください。");
+      }
     })();
-    return () => stop();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+    return () => {
+      disposed = true;
+      estimatorRef.current?.dispose();
+      estimatorRef.current = null;
+    };
+  }, [modelId]);
+
+  // 今の設定から calibration を作る（2 点が揃っていない等は null）
+  const calibration = useMemo(() => {
+    if (calibMethod === "height") return heightCm > 0 ? { method: "height", heightCm: +heightCm } : null;
+    if (calibMethod === "points" && calibPoints.length === 2) {
+      const cmPerPx = scaleFromPoints(calibPoints[0], calibPoints[1], +knownCm);
+      return cmPerPx ? { method: "points", knownCm: +knownCm, points: calibPoints, cmPerPx } : null;
+    }
+    return null;
+  }, [calibMethod, heightCm, knownCm, calibPoints]);
+
+  // アンマウント時にカメラ・ループを止める
+  useEffect(() => () => stop(), []);
+  useEffect(() => () => { exportRef.current?.stop(); }, []); // 書き出し中なら捨てる
 
   // 共通ボタンスタイル（SoraLab 空色）
   const buttonStyle = {
@@ -137,7 +462,12 @@ export default function MainFormApp() {
 
   // カメラ開始
   const startCamera = async () => {
+    cancelGuide();
     setUseCamera(true);
+    sourceRef.current = { source: "camera", fileName: null, recordedAt: null };
+    updateAnnotations([]); // 前の動画に付けた注釈をカメラの記録に持ち込まない
+    updateDraft(null);
+    setReview(null);
     const v = videoRef.current;
 
     const tryGet = async (constraints) => {
@@ -157,19 +487,43 @@ export default function MainFormApp() {
 
   // 動画ファイル読み込み
   const loadFile = async (e) => {
+    cancelGuide(); // ガイド付き撮影はカメラだけ
     setUseCamera(false);
     const file = e.target.files?.[0];
     if (!file) return;
+    sourceRef.current = { source: "file", fileName: file.name, recordedAt: file.lastModified || null };
+    updateAnnotations([]); // 注釈は動画ごと
+    updateDraft(null);
+    setReview(null);
     const v = fileVideoRef.current;
     v.src = URL.createObjectURL(file);
+    watchFramePeriod(v);
     v.muted = true;
     v.playsInline = true;
     v.playbackRate = speed;
     v.onloadedmetadata = async () => { await v.play(); setPlaying(true); startLoop(v); };
   };
 
+  // 表示されたコマの再生位置を集めて、この動画の 1 コマの長さを測る（コマ送り・注釈の表示に使う）
+  // requestVideoFrameCallback がないブラウザでは 30fps のまま
+  const watchFramePeriod = (v) => {
+    framePeriodRef.current = FRAME_SEC;
+    if (!v.requestVideoFrameCallback) return;
+    const src = v.src;
+    const times = [];
+    const onFrame = (_, meta) => {
+      if (v.src !== src) return; // 別の動画を読み込んだ
+      times.push(meta.mediaTime);
+      if (times.length > 600) times.shift();
+      framePeriodRef.current = estimateFramePeriod(times, { fallback: FRAME_SEC });
+      v.requestVideoFrameCallback(onFrame);
+    };
+    v.requestVideoFrameCallback(onFrame);
+  };
+
   // 停止
   const stop = () => {
+    analyzeAbortRef.current?.abort();
     runningRef.current = false;
     cancelAnimationFrame(rafRef.current);
     setPlaying(false);
@@ -177,98 +531,112 @@ export default function MainFormApp() {
     if (v?.srcObject) { v.srcObject.getTracks().forEach(t=>t.stop()); v.srcObject = null; }
   };
 
+  // 動画の1コマ＋推定結果（骨格・HUD）をキャンバスに描く
+  const drawFrame = (ctx, videoEl, res) => {
+    const canvas = ctx.canvas;
+    // キャンバスを動画に合わせる
+    if (canvas.width !== videoEl.videoWidth || canvas.height !== videoEl.videoHeight) {
+      canvas.width = videoEl.videoWidth || 960;
+      canvas.height = videoEl.videoHeight || 540;
+    }
+
+    ctx.clearRect(0,0,canvas.width,canvas.height);
+    ctx.drawImage(videoEl, 0, 0, canvas.width, canvas.height);
+
+    // 骨格描画
+    if (res?.tracks) drawTracks(ctx, res.tracks, res.targetId);
+    else if (res?.keypoints) drawKeypoints(ctx, res.keypoints);
+    if (miniChartRef.current) drawMiniChart(ctx, hudHistoryRef.current);
+    if (!videoEl.srcObject) {
+      const notes = annotationsAt(annotationsRef.current, videoEl.currentTime, { tolSec: framePeriodRef.current * 1.5 });
+      drawAnnotations(ctx, notes, draftRef.current ?? []);
+    }
+    const guide = guideRef.current && guideOverlay(guideRef.current, performance.now());
+    if (guide) drawGuide(ctx, guide);
+
+    const sm = res?.sample;
+    if (!sm) return;
+
+    // HUD（明るめ背景に馴染む淡色）
+    ctx.save();
+    ctx.fillStyle = "rgba(255,255,255,0.90)";
+    ctx.strokeStyle = "rgba(42,110,187,0.15)";
+    ctx.lineWidth = 1;
+    ctx.fillRect(10, 10, 320, 136);
+    ctx.strokeRect(10, 10, 320, 136);
+
+    ctx.fillStyle = "#2A2A2A";
+    ctx.font = "16px system-ui, sans-serif";
+    const f = (v)=> v==null ? "-" : v.toFixed(1);
+    ctx.fillText(`左膝: ${f(sm.kneeL)}°   右膝: ${f(sm.kneeR)}°   差: ${f(sm.dKnee)}°`, 20, 38);
+    ctx.fillText(`左股: ${f(sm.hipL)}°    右股: ${f(sm.hipR)}°    差: ${f(sm.dHip)}°`,   20, 62);
+    ctx.fillText(`体幹前傾: ${f(sm.trunk)}°`, 20, 86);
+    ctx.fillText(`撮影方向: ${VIEW_LABELS[sm.view] ?? "判定中"}`, 20, 110);
+    if (sm.view === "front" || sm.view === "back") {
+      ctx.fillText(`膝の内倒れ 左: ${f(sm.valgusL)}°  右: ${f(sm.valgusR)}°`, 20, 134);
+    }
+    ctx.restore();
+  };
+
+  // 推定のタイムスタンプ（ms）：カメラは経過時間、動画ファイルは動画内の時刻
+  const frameTimestamp = (videoEl) => videoEl.srcObject ? performance.now() : videoEl.currentTime * 1000;
+
+  // ミニグラフの履歴に足す（t が戻ったら＝巻き戻し・別の動画なら描き直す）
+  const pushHudHistory = (t, sample) => {
+    const h = hudHistoryRef.current;
+    if (h.length && t < h[h.length - 1].t) h.length = 0;
+    h.push({ t, kneeL: sample?.kneeL ?? null, kneeR: sample?.kneeR ?? null });
+    while (h[0].t < t - MINI_CHART_SEC) h.shift();
+  };
+
+  const updateTrackStatus = (res) => {
+    setTrackStatus(!res?.tracks ? null : res.keypoints ? res.targetId : "lost");
+  };
+
+  // 記録する生のキーポイント 1 コマ分（t は samples と同じ時刻、mediaTime は動画の再生位置）
+  const rawFrame = (t, videoEl, keypoints) => ({
+    t, mediaTime: +videoEl.currentTime.toFixed(3), width: videoEl.videoWidth, height: videoEl.videoHeight, keypoints,
+  });
+
+  // 推定結果を受け取ったとき（記録は 10Hz に間引く）
+  // 角度が取れないコマも、キーポイントがあれば生の記録には残す（しきい値を下げて計算し直せるように）
+  const onPoseResult = (res, videoEl) => {
+    lastResultRef.current = res;
+    updateTrackStatus(res);
+    pushHudHistory(frameTimestamp(videoEl) / 1000, res.sample);
+    if (guideRef.current) guideStep(res, videoEl);
+    const keepFrame = keepRawRef.current && res.keypoints;
+    if (!recordingRef.current || !(res.sample || keepFrame)) return;
+    const now = performance.now();
+    if (now - lastSampleTimeRef.current >= SAMPLE_INTERVAL_MS) {
+      const t = +((now - startTimeRef.current) / 1000).toFixed(2); // sec
+      if (res.sample) samplesRef.current.push({ t, ...res.sample });
+      if (keepFrame) framesRef.current.push(rawFrame(t, videoEl, res.keypoints));
+      lastSampleTimeRef.current = now;
+      setChartTick(n => n + 1); // グラフ更新
+    }
+  };
+
   // 推論ループ開始
+  // 描画は毎フレーム、推定は前のコマが終わっていれば投げる（処理中のコマは捨てる）
+  // モデル切替中（estimator が無い間）は動画だけ描く
   const startLoop = (videoEl) => {
-    if (!detectorRef.current) return;
     runningRef.current = true;
+    lastResultRef.current = null;
 
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext("2d");
+    const ctx = canvasRef.current.getContext("2d");
 
-    const render = async () => {
+    const render = () => {
       if (!runningRef.current) return;
 
-      if (videoEl.readyState < 2) {
-        rafRef.current = requestAnimationFrame(render);
-        return;
-      }
-
-      // キャンバスを動画に合わせる
-      if (canvas.width !== videoEl.videoWidth || canvas.height !== videoEl.videoHeight) {
-        canvas.width = videoEl.videoWidth || 960;
-        canvas.height = videoEl.videoHeight || 540;
-      }
-
-      ctx.clearRect(0,0,canvas.width,canvas.height);
-      ctx.drawImage(videoEl, 0, 0, canvas.width, canvas.height);
-
-      try {
-        const poses = await detectorRef.current.estimatePoses(videoEl, { maxPoses: 1, flipHorizontal: false });
-        if (poses[0]?.keypoints?.length) {
-          // 骨格描画
-          drawKeypoints(ctx, poses[0].keypoints);
-
-          // 角度算出
-          const kp = Object.fromEntries(poses[0].keypoints.map(k => [k.name, k]));
-          const LHIP = kp["left_hip"],  LKN = kp["left_knee"],  LAN = kp["left_ankle"];
-          const RHIP = kp["right_hip"], RKN = kp["right_knee"], RAN = kp["right_ankle"];
-          const LSH  = kp["left_shoulder"],  RSH = kp["right_shoulder"];
-
-          if ([LHIP,LKN,LAN,RHIP,RKN,RAN,LSH,RSH].every(p => p?.score > 0.3)) {
-            const shoulderMid = mid(LSH, RSH);
-            const hipMid      = mid(LHIP, RHIP);
-
-            const kneeL = angle(LHIP, LKN, LAN);
-            const kneeR = angle(RHIP, RKN, RAN);
-            const hipL  = angle(shoulderMid, LHIP, LKN);
-            const hipR  = angle(shoulderMid, RHIP, RKN);
-            const trunk = angle(shoulderMid, hipMid, {x:hipMid.x, y:hipMid.y-100});
-
-            const kneeLSm = movingAvg(kneeLBufRef.current, kneeL, 5);
-            const kneeRSm = movingAvg(kneeRBufRef.current, kneeR, 5);
-            const hipLSm  = movingAvg(hipLBufRef.current,  hipL,  5);
-            const hipRSm  = movingAvg(hipRBufRef.current,  hipR,  5);
-            const trunkSm = movingAvg(trunkBufRef.current, trunk, 5);
-
-            const dKnee = (kneeLSm!=null && kneeRSm!=null) ? Math.abs(kneeLSm - kneeRSm) : null;
-            const dHip  = (hipLSm!=null  && hipRSm!=null ) ? Math.abs(hipLSm  - hipRSm ) : null;
-
-            // HUD（明るめ背景に馴染む淡色）
-            ctx.save();
-            ctx.fillStyle = "rgba(255,255,255,0.90)";
-            ctx.strokeStyle = "rgba(42,110,187,0.15)";
-            ctx.lineWidth = 1;
-            ctx.fillRect(10, 10, 320, 112);
-            ctx.strokeRect(10, 10, 320, 112);
-
-            ctx.fillStyle = "#2A2A2A";
-            ctx.font = "16px system-ui, sans-serif";
-            const f = (v)=> v==null ? "-" : v.toFixed(1);
-            ctx.fillText(`左膝: ${f(kneeLSm)}°   右膝: ${f(kneeRSm)}°   差: ${f(dKnee)}°`, 20, 38);
-            ctx.fillText(`左股: ${f(hipLSm)}°    右股: ${f(hipRSm)}°    差: ${f(dHip)}°`,   20, 62);
-            ctx.fillText(`体幹前傾: ${f(trunkSm)}°`, 20, 86);
-            ctx.restore();
-
-            // 記録（10Hz）
-            if (recordingRef.current) {
-              const now = performance.now();
-              if (now - lastSampleTimeRef.current >= SAMPLE_INTERVAL_MS) {
-                const t = (now - startTimeRef.current) / 1000; // sec
-                samplesRef.current.push({
-                  t: +t.toFixed(2),
-                  kneeL: kneeLSm, kneeR: kneeRSm,
-                  hipL:  hipLSm,  hipR:  hipRSm,
-                  trunk: trunkSm,
-                  dKnee, dHip,
-                });
-                lastSampleTimeRef.current = now;
-                setChartTick(n => n + 1); // グラフ更新
-              }
-            }
-          }
+      if (videoEl.readyState >= 2 && !pickingRef.current) {
+        drawFrame(ctx, videoEl, lastResultRef.current);
+        const est = estimatorRef.current;
+        if (est && !est.busy) {
+          est.estimate(videoEl, frameTimestamp(videoEl)).then(res => {
+            if (res && runningRef.current) onPoseResult(res, videoEl);
+          });
         }
-      } catch (e) {
-        console.warn("estimatePoses error:", e?.message || e);
       }
 
       rafRef.current = requestAnimationFrame(render);
@@ -276,11 +644,121 @@ export default function MainFormApp() {
     render();
   };
 
+  // 動画ファイルを先頭から SAMPLE_INTERVAL_MS 刻みで seek して解析（t = 動画内の時刻）
+  // 再生速度や処理落ちに関係なく、毎回同じサンプル列になる
+  const analyzeWholeFile = async () => {
+    const v = fileVideoRef.current;
+    const est = estimatorRef.current;
+    if (!v?.src || !est) return;
+
+    cancelGuide();
+    runningRef.current = false;
+    cancelAnimationFrame(rafRef.current);
+    v.pause();
+    setPlaying(false);
+    setRecording(false);
+
+    // ライブループの推定が残っていれば終わるのを待つ（最初のコマを捨てないため）
+    while (est.busy) await new Promise(r => setTimeout(r, 10));
+    est.reset({ keepSelection: true }); // タップで選んだ人はそのまま追う
+    samplesRef.current = [];
+    framesRef.current = [];
+    samplesOnVideoRef.current = true;
+    setReview(null);
+    // 記録全体のフィルタ（前後のコマを使う）をかけるときは、ライブ用の平滑化は外す
+    const { minScore, filter, maxGapSec, offlineFilter } = signalRef.current;
+    est.configure({ minScore, filter: offlineFilter === "none" ? filter : "none" });
+
+    const ctx = canvasRef.current.getContext("2d");
+    const ac = new AbortController();
+    analyzeAbortRef.current = ac;
+    setAnalyzeProgress(0);
+    try {
+      await stepThroughVideo(v, {
+        stepSec: SAMPLE_INTERVAL_MS / 1000,
+        signal: ac.signal,
+        onFrame: async (t) => {
+          const res = await est.estimate(v, t * 1000);
+          pushHudHistory(t, res?.sample);
+          drawFrame(ctx, v, res);
+          updateTrackStatus(res);
+          if (res?.sample) samplesRef.current.push({ t: +t.toFixed(2), ...res.sample });
+          if (keepRawRef.current && res?.keypoints) framesRef.current.push(rawFrame(+t.toFixed(2), v, res.keypoints));
+        },
+        onProgress: (p) => { setAnalyzeProgress(p); setChartTick(n => n + 1); },
+      });
+      samplesRef.current = processRecording(samplesRef.current, { maxGapSec, filter: offlineFilter });
+      // 途中で Worker が落ちてメインスレッドに切り替わったら、そこから先のコマは推定できていない
+      if (estimatorRef.current !== est) alert("解析の途中で姿勢推定が切り替わりました。もう一度『動画全体を解析』してください。");
+    } catch (e) {
+      console.warn("analyzeWholeFile error:", e?.message || e);
+      alert("動画の解析に失敗しました。別の動画で試してください。");
+    } finally {
+      est.configure({ minScore, filter });
+      analyzeAbortRef.current = null;
+      setAnalyzeProgress(null);
+      setChartTick(n => n + 1);
+    }
+  };
+  const cancelAnalyze = () => analyzeAbortRef.current?.abort();
+
+  // 注釈つき動画（キャンバスの骨格・HUD・ミニグラフごと）を WebM で書き出す
+  // カメラ：押してから止めるまで / 動画ファイル：先頭から最後まで再生しながら
+  const finishExport = async () => {
+    const rec = exportRef.current;
+    if (!rec) return;
+    exportRef.current = null;
+    setExporting(null);
+    if (fileVideoRef.current) fileVideoRef.current.onended = null;
+    try {
+      downloadBlob(await rec.stop(), `soralab_annotated_${Date.now()}.webm`);
+    } catch (err) {
+      console.warn("export video error:", err?.message || err);
+      alert(`動画の書き出しに失敗しました：${err?.message || err}`);
+    }
+  };
+  const startExport = (kind) => {
+    try {
+      exportRef.current = startCanvasRecording(canvasRef.current);
+      setExporting(kind);
+      return true;
+    } catch (err) {
+      alert(err.message);
+      return false;
+    }
+  };
+  const toggleExport = () => {
+    if (exportRef.current) {
+      if (!useCamera) { fileVideoRef.current?.pause(); setPlaying(false); }
+      finishExport();
+      return;
+    }
+    if (useCamera) {
+      if (!runningRef.current) { alert("先に『カメラ開始』してください。"); return; }
+      startExport("camera");
+      return;
+    }
+    const v = fileVideoRef.current;
+    if (!v?.src) { alert("先に『動画ファイル読込』してください。"); return; }
+    v.pause();
+    v.currentTime = 0;
+    hudHistoryRef.current = [];
+    if (!startExport("file")) return;
+    v.onended = () => { setPlaying(false); finishExport(); };
+    v.play();
+    setPlaying(true);
+    if (!runningRef.current) startLoop(v);
+  };
+
   // 再生コントロール（アップロード動画向け）
   const playPause = () => {
     const v = fileVideoRef.current;
     if (!v) return;
-    if (v.paused) { v.play(); setPlaying(true); }
+    if (v.paused) {
+      v.play(); setPlaying(true);
+      setReview(null);
+      if (!runningRef.current) startLoop(v); // 全体解析・コマ送りの後はループが止まっている
+    }
     else { v.pause(); setPlaying(false); }
   };
   const replay = () => {
@@ -289,7 +767,129 @@ export default function MainFormApp() {
     v.currentTime = 0;
     v.play();
     setPlaying(true);
+    if (!runningRef.current) startLoop(v);
+  };
+  // 2 点指定：動画を止めて、今のコマの上で 2 点をクリック
+  const startPicking = () => {
+    const v = fileVideoRef.current;
+    if (!useCamera && v) { v.pause(); setPlaying(false); }
+    pickingRef.current = true;
+    setPicking(true);
+    setCalibPoints([]);
+    // 前回の点を消すため、直近のコマを描き直す
+    const src = useCamera ? videoRef.current : v;
+    if (src?.readyState >= 2) drawFrame(canvasRef.current.getContext("2d"), src, lastResultRef.current);
+  };
+  // キャンバスのクリック：2 点指定中なら換算の点、複数人モデルなら追う人を選ぶ
+  const onCanvasClick = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const p = {
+      x: +((e.clientX - rect.left) * canvas.width / rect.width).toFixed(1),
+      y: +((e.clientY - rect.top) * canvas.height / rect.height).toFixed(1),
+    };
+    if (draftRef.current && !pickingRef.current) {
+      addDraftPoint(p);
+      return;
+    }
+    if (!pickingRef.current) {
+      if (multiPose) estimatorRef.current?.select(p);
+      return;
+    }
+    const next = [...calibPoints, p].slice(-2);
+    drawCalibPoints(canvas.getContext("2d"), next);
+    setCalibPoints(next);
+    if (next.length === 2) {
+      pickingRef.current = false;
+      setPicking(false);
+    }
+  };
+
+  // コマ送り：ライブのループを止め、seekTargetRef の位置のコマを推定して値を出す
+  //   このコマの値 = 平滑化なしでそのコマのキーポイントから計算した値
+  //   記録の値     = 動画全体を解析した記録の、いちばん近いサンプル（グラフに出ている値）
+  const pauseForReview = () => {
+    const v = fileVideoRef.current;
+    v.pause();
+    setPlaying(false);
+    runningRef.current = false;
+    cancelAnimationFrame(rafRef.current);
+  };
+  const inspectFrame = async () => {
+    const v = fileVideoRef.current;
+    const est = estimatorRef.current;
+    const t = +Math.min(v.duration || 0, Math.max(0, seekTargetRef.current)).toFixed(3);
+    await seekVideo(v, t);
+    let res = null;
+    for (let k = 0; est && !res && k < 20; k++) {
+      while (est.busy) await new Promise(r => setTimeout(r, 10));
+      res = await est.estimate(v, t * 1000);
+    }
+    lastResultRef.current = res;
+    drawFrame(canvasRef.current.getContext("2d"), v, res);
+    const { minScore } = signalRef.current;
+    const sample = res?.keypoints ? createSampleBuilder({ minScore, filter: "none" }).push(res.keypoints, t).sample : null;
+    const s = samplesRef.current;
+    const i = samplesOnVideoRef.current ? nearestIndex(s.map(x => x.t), t) : -1;
+    const recorded = i >= 0 && Math.abs(s[i].t - t) <= framePeriodRef.current * 2 ? s[i] : null;
+    setReview({ t, sample, recorded });
+  };
+  const inspectRef = useRef(inspectFrame);
+  inspectRef.current = inspectFrame;
+  // グラフのドラッグなどで続けて呼ばれても、seek は最後の位置だけ追いかける
+  const [inspectRunner] = useState(() => createSerialRunner(() => inspectRef.current()));
+  const seekReview = (t) => {
+    const v = fileVideoRef.current;
+    if (useCamera || !v?.src || analyzing) return;
+    pauseForReview();
+    seekTargetRef.current = t;
+    inspectRunner();
+  };
+  const stepFrame = (dir) => {
+    const v = fileVideoRef.current;
+    if (!v?.src) return;
+    seekReview((review ? seekTargetRef.current : v.currentTime) + dir * framePeriodRef.current);
   };
+  // 止めているコマを描き直す（注釈を足した・消したとき）
+  const redrawPaused = () => {
+    const v = fileVideoRef.current;
+    if (runningRef.current || useCamera || !(v?.readyState >= 2)) return;
+    drawFrame(canvasRef.current.getContext("2d"), v, lastResultRef.current);
+  };
+
+  // 手動の注釈（今の動画の再生位置に付ける）
+  const updateAnnotations = (next) => {
+    annotationsRef.current = next;
+    setAnnotations(next);
+    redrawPaused();
+  };
+  const updateDraft = (next) => {
+    draftRef.current = next;
+    setDraft(next);
+    redrawPaused();
+  };
+  const addAnnotation = (kind, points) => {
+    const list = annotationsRef.current;
+    const id = list.reduce((m, a) => Math.max(m, a.id), 0) + 1;
+    const t = +fileVideoRef.current.currentTime.toFixed(3);
+    const label = noteLabel.trim() || NOTE_KIND_LABELS[kind];
+    updateAnnotations([...list, { id, t, kind, label, points }].sort((a, b) => a.t - b.t));
+  };
+  const startNote = () => {
+    const v = fileVideoRef.current;
+    if (useCamera || !v?.src) { alert("注釈は読み込んだ動画に付けられます。先に『動画ファイル読込』してください。"); return; }
+    if (!v.paused || runningRef.current) pauseForReview();
+    if (noteKind === "marker") addAnnotation("marker", []);
+    else updateDraft([]);
+  };
+  const addDraftPoint = (p) => {
+    const points = [...draftRef.current, p];
+    if (points.length < ANNOTATION_POINTS[noteKind]) { updateDraft(points); return; }
+    updateDraft(null);
+    addAnnotation(noteKind, points);
+  };
+  const removeAnnotation = (id) => updateAnnotations(annotationsRef.current.filter(a => a.id !== id));
+
   const changeSpeed = (s) => {
     setSpeed(s);
     const v = fileVideoRef.current;
@@ -303,55 +903,231 @@ export default function MainFormApp() {
       return;
     }
     const copy = samplesRef.current.map(s => ({...s}));
-    if (role === "ref") setRefSamples(copy);
-    if (role === "cmp") setCmpSamples(copy);
+    const rec = { samples: copy, calibration: resolveCalibration(calibration, copy), frames: currentFrames() };
+    if (role === "ref") setRefRec(rec);
+    if (role === "cmp") setCmpRec(rec);
+  };
+  // 生のキーポイント（記録していなければ null。各コマは書き換えないので配列だけ写す）
+  const currentFrames = () => (framesRef.current.length ? framesRef.current.slice() : null);
+  // ライブラリに保存する今の記録
+  const currentRecording = () => {
+    if (!samplesRef.current.length) return null;
+    const samples = samplesRef.current.map(s => ({...s}));
+    return {
+      samples, calibration: resolveCalibration(calibration, samples), frames: currentFrames(),
+      annotations: annotationsRef.current,
+      ...sourceRef.current, modelId, signal: signalRef.current,
+    };
+  };
+  const loadSessionAs = (role, session) => {
+    const rec = {
+      samples: session.samples, calibration: session.calibration, frames: session.frames ?? null,
+      annotations: session.annotations ?? [],
+      id: session.id, name: session.name,
+    };
+    if (role === "ref") setRefRec(rec);
+    if (role === "cmp") setCmpRec(rec);
   };
 
   // 記録開始/停止/クリア/CSV
-  const toggleRecord = () => {
-    setRecording((r) => {
-      const next = !r;
-      if (next) {
-        samplesRef.current = [];
-        startTimeRef.current = performance.now();
-        lastSampleTimeRef.current = 0;
-        setChartTick((n) => n + 1);
-      }
-      return next;
+  // recordingRef もすぐ書き換える（ガイド付き撮影は同じコマの処理の中で開始・停止する）
+  const beginRecording = () => {
+    if (sourceRef.current.source === "camera") sourceRef.current = { ...sourceRef.current, recordedAt: Date.now() };
+    updateAnnotations([]); // 注釈は記録ごと
+    updateDraft(null);
+    samplesRef.current = [];
+    framesRef.current = [];
+    samplesOnVideoRef.current = false;
+    startTimeRef.current = performance.now();
+    lastSampleTimeRef.current = 0;
+    recordingRef.current = true;
+    setRecording(true);
+    setChartTick((n) => n + 1);
+  };
+  const endRecording = () => {
+    // 停止時に短い欠損だけ補間（ライブは推定側で平滑化済み）
+    samplesRef.current = processRecording(samplesRef.current, { maxGapSec: signalRef.current.maxGapSec });
+    recordingRef.current = false;
+    setRecording(false);
+    setChartTick((n) => n + 1);
+  };
+  const toggleRecord = () => (recording ? endRecording() : beginRecording());
+
+  // ガイド付き撮影：全身が入っているかを見せ、カウントダウンか走りが安定したら記録を始め、
+  // 秒数かサイクル数で止めて品質をチェックする（保存するかどうかはそのあと選ぶ）
+  const startGuide = () => {
+    const { start, stop: mode, seconds, cycles } = guideOpts;
+    const now = performance.now();
+    guideRef.current = {
+      phase: start === "auto" ? "waiting" : "countdown",
+      startAt: now + GUIDE_COUNTDOWN_SEC * 1000,
+      stop: mode === "cycles" ? { mode, cycles, key: "kneeL" } : { mode, seconds },
+      framing: null, warmup: [], lastCheck: now, progress: null,
+    };
+    if (recording) endRecording();
+    setGuideView({ phase: guideRef.current.phase });
+  };
+  const cancelGuide = () => {
+    if (guideRef.current?.phase === "recording") endRecording();
+    guideRef.current = null;
+    setGuideView(null);
+  };
+  const startGuidedRecording = (g, now) => {
+    Object.assign(g, { phase: "recording", recStart: now, lastCheck: now, lastStats: 0, seen: 0, fullBody: 0, stats: [] });
+    beginRecording();
+    setGuideView({ phase: "recording" });
+  };
+  const finishGuidedRecording = (g, now) => {
+    endRecording();
+    const quality = captureQuality({
+      samples: samplesRef.current, seen: g.seen, fullBody: g.fullBody,
+      durationSec: (now - g.recStart) / 1000, stats: g.stats, key: g.stop.key ?? "kneeL",
     });
+    g.phase = "review";
+    setGuideName("");
+    setGuideView({ phase: "review", quality });
+  };
+  // 推定結果ごと（onPoseResult から）
+  const guideStep = (res, videoEl) => {
+    const g = guideRef.current;
+    if (!videoEl.srcObject) { cancelGuide(); return; } // カメラ以外の映像では使わない
+    if (g.phase === "review") return;
+    const now = performance.now();
+    g.framing = res.keypoints ? framingCheck(res.keypoints, {
+      width: videoEl.videoWidth, height: videoEl.videoHeight, minScore: signalRef.current.minScore,
+    }) : null;
+    if (g.phase === "countdown") {
+      if (now >= g.startAt) startGuidedRecording(g, now);
+    } else if (g.phase === "waiting") {
+      // 記録と同じ 10Hz に間引いて、全身が入っていてリズムが安定したら始める
+      const t = now / 1000, last = g.warmup[g.warmup.length - 1];
+      if (res.sample && (!last || t - last.t >= SAMPLE_INTERVAL_MS / 1000)) g.warmup.push({ t, ...res.sample });
+      while (g.warmup.length && g.warmup[0].t < t - GUIDE_WARMUP_SEC) g.warmup.shift();
+      if (now - g.lastCheck >= GUIDE_CHECK_MS) {
+        g.lastCheck = now;
+        if (g.framing?.ok && isSteadyRunning(g.warmup).steady) startGuidedRecording(g, now);
+      }
+    } else if (g.phase === "recording") {
+      g.seen++;
+      if (g.framing?.ok) g.fullBody++;
+      if (now - g.lastStats >= GUIDE_STATS_MS) {
+        g.lastStats = now;
+        statsCanvasRef.current ??= document.createElement("canvas");
+        g.stats.push(measureVideoFrame(videoEl, statsCanvasRef.current));
+      }
+      if (now - g.lastCheck >= GUIDE_CHECK_MS) {
+        g.lastCheck = now;
+        g.progress = captureProgress(samplesRef.current, g.stop, (now - g.recStart) / 1000);
+        if (g.progress.done) finishGuidedRecording(g, now);
+      }
+    }
+  };
+  const saveGuided = async () => {
+    const cur = currentRecording();
+    if (!cur) return;
+    if (!guideView?.quality.ok && !confirm("品質チェックで問題が見つかっています。このまま保存しますか？")) return;
+    try {
+      await saveSession({ ...cur, name: guideName.trim() || `記録 ${formatDate(Date.now())}`, tags: [] });
+      setLibraryTick(n => n + 1);
+      cancelGuide();
+    } catch (e) {
+      alert(`ライブラリに保存できませんでした：${e?.message || e}`);
+    }
+  };
+  const retakeGuided = () => {
+    clearRecord();
+    startGuide();
   };
   const clearRecord = () => {
+    updateAnnotations([]);
+    updateDraft(null);
     samplesRef.current = [];
+    framesRef.current = [];
+    samplesOnVideoRef.current = false;
     startTimeRef.current = 0;
     lastSampleTimeRef.current = 0;
     setChartTick(n => n+1);
   };
   const downloadCSV = () => {
-    const rows = [["t(s)","kneeL","kneeR","hipL","hipR","trunk","dKnee","dHip"]];
-    for (const s of samplesRef.current) {
-      rows.push([
-        s.t,
-        n3(s.kneeL), n3(s.kneeR),
-        n3(s.hipL),  n3(s.hipR),
-        n3(s.trunk), n3(s.dKnee), n3(s.dHip)
-      ]);
-    }
-    const csv = rows.map(r => r.join(",")).join("\n");
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `soralab_form_${Date.now()}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
-  };
-  const n3 = (v)=> v==null ? "" : v.toFixed(3);
+    const cmPerPx = resolveCalibration(calibration, samplesRef.current)?.cmPerPx;
+    const csv = recordingToCSV(samplesRef.current, { cmPerPx, annotations: annotationsRef.current });
+    downloadText(csv, `soralab_form_${Date.now()}.csv`, "text/csv;charset=utf-8;");
+  };
+  // メタ情報つきの JSON（読み込み直せる形式, sessionFile.js）
+  const downloadJSON = () => {
+    const { samples, calibration: calib, frames, annotations: notes, ...meta } = currentRecording();
+    const file = toSessionFile({ samples, calibration: calib, frames, annotations: notes, meta: { ...meta, createdAt: Date.now() } });
+    downloadText(JSON.stringify(file), `soralab_session_${Date.now()}.json`, "application/json");
+  };
+  // 生のキーポイントだけを 1 行 1 コマの NDJSON で（ほかのツールでの解析・読み込んで計算し直す用）
+  const downloadNDJSON = () => {
+    const { samples: _s, calibration: calib, frames, annotations: notes, ...meta } = currentRecording();
+    const text = framesToNDJSON(frames, { calibration: calib, annotations: notes, meta: { ...meta, createdAt: Date.now() } });
+    downloadText(text, `soralab_keypoints_${Date.now()}.ndjson`, "application/x-ndjson");
+  };
+  // 生のキーポイントから今の信号処理の設定で計算し直す（しきい値・フィルタを変えて見比べる）
+  const recompute = (frames) => {
+    const samples = reprocessFrames(frames, signalRef.current);
+    if (!samples.length) throw new Error("角度を計算できるコマがありません。信頼度しきい値を下げてみてください。");
+    return samples;
+  };
+  const recomputeCurrent = () => {
+    try {
+      samplesRef.current = recompute(framesRef.current);
+      setChartTick(n => n + 1);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+  const recomputeSaved = (role) => {
+    const rec = role === "ref" ? refRec : cmpRec;
+    try {
+      const { id: _id, ...rest } = rec; // ライブラリの記録とは別物になる
+      const next = { ...rest, samples: recompute(rec.frames) };
+      if (role === "ref") setRefRec(next);
+      if (role === "cmp") setCmpRec(next);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+  // CSV / JSON の記録ファイルをお手本・比較に読み込む
+  const importRecording = async (role, e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const { samples, calibration: calib, meta, frames, annotations: notes, warnings } = parseRecordingFile(file.name, await file.text(), { signal: signalRef.current });
+      const rec = { samples, calibration: calib, frames, annotations: notes, name: meta.name || file.name };
+      if (role === "ref") setRefRec(rec);
+      if (role === "cmp") setCmpRec(rec);
+      if (warnings.length) alert(`「${file.name}」を読み込みました。\n${warnings.join("\n")}`);
+    } catch (err) {
+      alert(`「${file.name}」を読み込めませんでした。\n${err.message}`);
+    }
+  };
+  const ms = (v)=> v==null ? "-" : (v * 1000).toFixed(0);
+  const f1 = (v)=> v==null ? "-" : v.toFixed(1);
+  const f2 = (v)=> v==null ? "-" : v.toFixed(2);
+  const calibLabel = (rec) => !rec ? "❌" : rec.calibration ? "✅📏" : "✅";
+
+  // 撮影方向（記録中のサンプル / 保存した記録の多数決）
+  const liveView = summarizeView(samplesRef.current);
+  const refView = useMemo(() => refRec && summarizeView(refRec.samples), [refRec]);
+  const cmpView = useMemo(() => cmpRec && summarizeView(cmpRec.samples), [cmpRec]);
+  const formScores = useMemo(() => rules && {
+    ref: refRec && evaluateRules(sessionFacts(refRec.samples), rules.ruleSet),
+    cmp: cmpRec && evaluateRules(sessionFacts(cmpRec.samples), rules.ruleSet),
+  }, [refRec, cmpRec, rules]);
+  const viewText = (v) => v?.view ? `${VIEW_LABELS[v.view]}（${Math.round(v.share * 100)}%）` : "-";
+  const selectedMetrics = Object.keys(metrics).filter(k => metrics[k]);
+  // 選んだ指標のうち、お手本・比較の撮影方向に合わないもの
+  const unsuited = [...new Set([refView, cmpView].flatMap(v => metricsUnsuitedForView(v?.view, selectedMetrics)))];
+  const frontalCompare = [refView, cmpView].some(v => v?.view === "front" || v?.view === "back");
 
   // ★ 実況グラフ（色分け）
   const chartData = useMemo(() => {
     const s = samplesRef.current;
+    const gait = detectGaitEvents(s);
     return {
       labels: s.map(x => x.t),
       datasets: [
@@ -360,10 +1136,22 @@ export default function MainFormApp() {
         { label: "左股関節角度 (°)", data: s.map(x => x.hipL  ?? null), borderWidth: 2, pointRadius: 0, borderColor:"#7CC5EB" },
         { label: "右股関節角度 (°)", data: s.map(x => x.hipR  ?? null), borderWidth: 2, pointRadius: 0, borderColor:"#8FD3FF" },
         { label: "体幹前傾 (°)",   data: s.map(x => x.trunk ?? null),  borderWidth: 2, pointRadius: 0, borderColor:"#4F9FD8" },
+        eventMarkers("接地 ▲", s.length, gaitMarkerPoints(s, gait, "ic"), "#F2994A", "triangle"),
+        eventMarkers("離地 ✕", s.length, gaitMarkerPoints(s, gait, "to"), "#9B51E0", "crossRot"),
       ],
     };
   }, [chartTick]);
 
+  // 動画全体を解析した記録なら、グラフの横軸＝動画の再生位置。クリック・ドラッグでそのコマへ移動する
+  const liveOnVideo = !useCamera && samplesOnVideoRef.current && samplesRef.current.length > 0;
+  const liveTimes = samplesRef.current.map(x => x.t);
+  const seekFromLiveChart = (evt, _elements, chart) => {
+    if (!liveOnVideo) return;
+    if (evt.type === "mousemove" && !(evt.native?.buttons & 1)) return; // ドラッグ中だけ
+    const i = Math.round(chart.scales.x.getValueForPixel(evt.x));
+    const sample = samplesRef.current[Math.min(liveTimes.length - 1, Math.max(0, i))];
+    if (sample) seekReview(sample.t);
+  };
   const chartOptions = {
     responsive: true,
     maintainAspectRatio: false,
@@ -372,87 +1160,82 @@ export default function MainFormApp() {
       x: { title: { display: true, text: "時間 (秒)" } },
       y: { title: { display: true, text: "角度 (°)" } },
     },
-    plugins: { legend: { position: "top" } },
+    plugins: {
+      legend: { position: "top" },
+      lowConfidence: { ranges: lowConfRanges(samplesRef.current) },
+      playerCursor: { index: liveOnVideo && review ? nearestIndex(liveTimes, review.t) : null },
+      noteMarks: { marks: liveOnVideo ? annotations.map(a => ({ index: nearestIndex(liveTimes, a.t), label: a.label })) : [] },
+    },
+    onClick: seekFromLiveChart,
+    onHover: seekFromLiveChart,
   };
 
   // 比較ロジック
   const runCompareMulti = useCallback(() => {
-    if (!refSamples || !cmpSamples) return;
+    if (!refRec || !cmpRec) return;
 
     const metricsList = Object.keys(metrics).filter(k => metrics[k]);
-    const res = { labels: [], datasets: [] };
-    const rmseRes = {};
-    const stats = { mode: cycleNormalize ? "cycle" : "time" };
-
-    if (cycleNormalize) {
-      // 「動きを1回分に揃えて、平均したフォームで比較」
-      const refT = refSamples.map(s=>s.t), cmpT = cmpSamples.map(s=>s.t);
-
-      for (const key of metricsList) {
-        const refYraw = refSamples.map(s=>s[key] ?? null).filter(v=>v!=null);
-        const cmpYraw = cmpSamples.map(s=>s[key] ?? null).filter(v=>v!=null);
-        if (!refYraw.length || !cmpYraw.length) continue;
-
-        const refPeaks = findLocalMinima(refT, refYraw, { prominence: 5, minGapSec: 0.30 });
-        const cmpPeaks = findLocalMinima(cmpT, cmpYraw, { prominence: 5, minGapSec: 0.30 });
-
-        const refC = cyclesNormalize(refT, refYraw, refPeaks);
-        const cmpC = cyclesNormalize(cmpT, cmpYraw, cmpPeaks);
-        if (!(refC.length && cmpC.length)) continue;
-
-        const N = refC[0].normT.length;
-        const avgRef = Array(N).fill(0), avgCmp = Array(N).fill(0);
-        for (const c of refC) c.normV.forEach((v,i)=> avgRef[i] += v/refC.length);
-        for (const c of cmpC) c.normV.forEach((v,i)=> avgCmp[i] += v/cmpC.length);
-
-        rmseRes[key] = rmse(avgRef, avgCmp);
-
-        res.labels = refC[0].normT.map(x => (x*100).toFixed(0));
-        // 色割り当て
-        const color = metricColor(key);
-        res.datasets.push({ label:`お手本:${labelJP(key)}`, data:avgRef, borderWidth:2, pointRadius:0, borderColor:color });
-        res.datasets.push({ label:`比較:${labelJP(key)}`,   data:avgCmp, borderWidth:2, pointRadius:0, borderColor:color, borderDash:[6,4] });
-
-        // サイクル統計（揃えた後の各区間の秒数）
-        stats.ref = {
-          count: refC.length,
-          avg:  avg(refC.map(c=>c.dur)),
-          sd:   stdev(refC.map(c=>c.dur)),
-          min:  Math.min(...refC.map(c=>c.dur)),
-          max:  Math.max(...refC.map(c=>c.dur)),
-          cadence: 60 / avg(refC.map(c=>c.dur))
-        };
-        stats.cmp = {
-          count: cmpC.length,
-          avg:  avg(cmpC.map(c=>c.dur)),
-          sd:   stdev(cmpC.map(c=>c.dur)),
-          min:  Math.min(...cmpC.map(c=>c.dur)),
-          max:  Math.max(...cmpC.map(c=>c.dur)),
-          cadence: 60 / avg(cmpC.map(c=>c.dur))
-        };
+    const result = compareSessions(refRec.samples, cmpRec.samples, {
+      metrics: metricsList, cycleNormalize, align,
+      calibration: { ref: refRec.calibration, cmp: cmpRec.calibration },
+    });
+
+    const res = { labels: result.labels, datasets: [] };
+    const marks = { ref: { ic: [], to: [] }, cmp: { ic: [], to: [] } };
+    const refT = refRec.samples.map(s => s.t);
+    // DTW のワーピング経路（横軸お手本の時刻 → 対応づいた比較の時刻）。対角線がずれなし
+    const warp = { labels: result.labels, datasets: [] };
+    // 差のカーブ（比較 − お手本, cycle モードだけ）
+    const diffs = { labels: result.labels, datasets: [] };
+    for (const { key, ref, cmp, events, cycles, sd, diff, warp: path } of result.series) {
+      const color = metricColor(key);
+      // 各サイクル：採用は細い半透明、除外は赤の点線（凡例には出さない）
+      if (showCycles && cycles) {
+        for (const [tag, name] of [["ref", "お手本"], ["cmp", "比較"]]) {
+          for (const c of cycles[tag].kept) {
+            res.datasets.push({ label:`${name}:${labelJP(key)} サイクル`, data:c.normV, borderWidth:1, pointRadius:0,
+              borderColor:color + "55", borderDash: tag === "cmp" ? [6,4] : undefined, hideInLegend:true });
+          }
+          for (const c of cycles[tag].rejected) {
+            res.datasets.push({ label:`${name}:${labelJP(key)} 除外（${REJECT_REASON[c.reason]}）`, data:c.normV, borderWidth:1,
+              pointRadius:0, borderColor:"rgba(192,57,43,0.6)", borderDash:[2,3], hideInLegend:true });
+          }
+        }
       }
-    } else {
-      // 時間ベースで比較（ref の時刻に cmp を補間）
-      const refT = refSamples.map(s=>s.t);
-      const cmpT = cmpSamples.map(s=>s.t);
-      res.labels = refT.map(t => t.toFixed(2));
-
-      for (const key of metricsList) {
-        const refY   = refSamples.map(s => s[key] ?? null);
-        const cmpYraw= cmpSamples.map(s => s[key] ?? null);
-        const cmpYseries = fillNaLinear(cmpT, cmpYraw);
-        const cmpY = refT.map(t => linInterp(t, cmpT, cmpYseries));
-
-        rmseRes[key] = rmse(
-          refY.filter(v => v != null),
-          cmpY.filter(v => v != null)
-        );
-
-        const color = metricColor(key);
-        res.datasets.push({ label:`お手本:${labelJP(key)}`, data: refY, borderWidth:2, pointRadius:0, borderColor:color });
-        res.datasets.push({ label:`比較:${labelJP(key)}`,   data: cmpY, borderWidth:2, pointRadius:0, borderColor:color, borderDash:[6,4] });
+      // 平均 ± SD の帯（上端から下端まで塗る。凡例には出さない）
+      if (showBands && sd) {
+        for (const [tag, name, mean] of [["ref", "お手本", ref], ["cmp", "比較", cmp]]) {
+          const fill = tag === "ref" ? color + "33" : color + "18";
+          res.datasets.push({ label:`${name}:${labelJP(key)} +SD`, data:mean.map((v, i) => v + sd[tag][i]),
+            borderWidth:0, pointRadius:0, backgroundColor:fill, fill:"+1", hideInLegend:true });
+          res.datasets.push({ label:`${name}:${labelJP(key)} −SD`, data:mean.map((v, i) => v - sd[tag][i]),
+            borderWidth:0, pointRadius:0, fill:false, hideInLegend:true });
+        }
+      }
+      if (diff) diffs.datasets.push({ label:labelJP(key), data:diff, borderWidth:2, pointRadius:0, borderColor:color });
+      res.datasets.push({ label:`お手本:${labelJP(key)}`, data:ref, borderWidth:2, pointRadius:0, borderColor:color });
+      res.datasets.push({ label:`比較:${labelJP(key)}`,   data:cmp, borderWidth:2, pointRadius:0, borderColor:color, borderDash:[6,4] });
+      if (path) warp.datasets.push({ label:labelJP(key), data:path, borderWidth:2, pointRadius:0, borderColor:color });
+
+      // 接地・離地マーカー（cycle: 平均位置 / time: 各イベントの時刻）
+      if (!events) continue;
+      for (const [tag, curve] of [["ref", ref], ["cmp", cmp]]) {
+        for (const which of ["ic", "to"]) {
+          const ev = events[tag][which];
+          const idxs = result.mode === "cycle"
+            ? (ev == null ? [] : [Math.round(ev * (curve.length - 1))])
+            : ev.map(t => nearestIndex(refT, t));
+          for (const i of idxs) marks[tag][which].push({ i, y: curve[i] });
+        }
       }
     }
+    const n = res.labels.length;
+    if (marks.ref.ic.length || marks.cmp.ic.length) {
+      res.datasets.push(eventMarkers("お手本:接地 ▲", n, marks.ref.ic, "#F2994A", "triangle"));
+      res.datasets.push(eventMarkers("お手本:離地 ✕", n, marks.ref.to, "#9B51E0", "crossRot"));
+      res.datasets.push(eventMarkers("比較:接地 △", n, marks.cmp.ic, "#F2C94C", "triangle"));
+      res.datasets.push(eventMarkers("比較:離地 ✕", n, marks.cmp.to, "#BB6BD9", "crossRot"));
+    }
 
     if (!res.datasets.length) {
       setCompareResult(null);
@@ -460,23 +1243,137 @@ export default function MainFormApp() {
       alert("比較に必要なデータが得られませんでした。記録時間を少し長くするか、指標を減らして再試行してください。");
       return;
     }
-    setCompareRmse(rmseRes);
-    setCompareResult({ chartData: res });
-    setCompareStats(stats);
-  }, [refSamples, cmpSamples, metrics, cycleNormalize]);
+    setCompareRmse(result.rmse);
+    // 時間ベースの横軸はお手本の時刻なので、お手本の信頼度の低い区間を塗る
+    if (warp.datasets.length) {
+      warp.datasets.push({ label:"ずれなし", data:refT, borderWidth:1, pointRadius:0, borderColor:"#999", borderDash:[4,4] });
+    }
+    setCompareResult({
+      chartData: res, lowConf: result.mode === "time" ? lowConfRanges(refRec.samples) : [],
+      alignment: result.alignment ?? null, warpData: warp.datasets.length ? warp : null,
+      diffData: diffs.datasets.length ? diffs : null,
+    });
+    setCompareStats(result.stats);
+  }, [refRec, cmpRec, metrics, cycleNormalize, showCycles, showBands, align]);
 
-  const labelJP = (key) => ({
-    kneeL:"左膝", kneeR:"右膝", hipL:"左股", hipR:"右股", trunk:"体幹前傾"
-  }[key] || key);
+  const labelJP = (key) => METRIC_OPTIONS.find(m => m.key === key)?.label || key;
 
   const metricColor = (key) => ({
     kneeL:"#2A6EBB",
     kneeR:"#00A8E8",
     hipL:"#7CC5EB",
     hipR:"#8FD3FF",
-    trunk:"#4F9FD8"
+    trunk:"#4F9FD8",
+    vOsc:"#27AE60",
+    reachL:"#F2994A",
+    reachR:"#F2C94C",
+    shinL:"#9B51E0",
+    shinR:"#BB6BD9",
+    elbowL:"#EB5757",
+    elbowR:"#F78F8F",
+    armL:"#219653",
+    armR:"#6FCF97",
+    valgusL:"#2A6EBB",
+    valgusR:"#00A8E8",
+    pelvicDrop:"#4F9FD8",
+    crossL:"#F2994A",
+    crossR:"#F2C94C",
+    armCrossL:"#219653",
+    armCrossR:"#6FCF97"
   }[key] || "#6DBFF2");
 
+  // 比較グラフの縦軸（選んだ指標の単位）
+  const compareYTitle = () => {
+    const units = [...new Set(Object.keys(metrics).filter(k => metrics[k]).map(metricUnit))];
+    if (units.length === 1 && units[0] === "%") return "比率(%)";
+    return units.includes("%") ? "角度(°) / 比率(%)" : "角度(°)";
+  };
+
+  // レポート：今の記録と比較の結果を、画面に出しているグラフ・表・説明ごとまとめる
+  const buildReport = () => {
+    const samples = samplesRef.current;
+    const { source, fileName } = sourceRef.current;
+    const cmPerPx = resolveCalibration(calibration, samples)?.cmPerPx;
+    const recName = (rec) => (rec ? rec.name ?? "（名前なし）" : "-");
+    const sections = [{
+      title: "記録",
+      blocks: [{ kind: "kv", rows: [
+        ["入力", source === "file" ? `動画（${fileName ?? "-"}）` : "カメラ"],
+        ["モデル", POSE_MODELS[modelId]?.label ?? modelId],
+        ["記録の長さ", samples.length ? `${(samples[samples.length - 1].t - samples[0].t).toFixed(1)} 秒（${samples.length} サンプル）` : "-"],
+        ["撮影方向", viewText(liveView)],
+        ["実寸換算", cmPerPx ? `1px = ${cmPerPx.toFixed(3)} cm` : "なし"],
+        ["お手本 / 比較", `${recName(refRec)} / ${recName(cmpRec)}`],
+      ] }],
+    }];
+
+    const frame = (useCamera || fileVideoRef.current?.src) && canvasThumbnail(canvasRef.current);
+    const images = [
+      frame && { kind: "image", src: frame, width: 480,
+        caption: review ? `${review.t.toFixed(2)} 秒のコマ（骨格つき）` : "表示中のコマ（骨格つき）" },
+      samples.length && { kind: "image", src: chartImage(liveChartRef.current), caption: "ライブグラフ（今の記録）" },
+      compareResult && { kind: "image", src: chartImage(compareChartRef.current), caption: "比較グラフ（お手本・比較）" },
+      compareResult?.diffData && { kind: "image", src: chartImage(diffChartRef.current), caption: "差のカーブ（比較 − お手本）" },
+    ].filter(b => b?.src);
+    if (images.length) sections.push({ title: "コマとグラフ", blocks: images });
+
+    const compare = [];
+    if (compareResult && Object.keys(compareRmse).length) {
+      compare.push({ kind: "kv", rows: Object.entries(compareRmse).map(([k, v]) => [`RMSE ${labelJP(k)}`, v == null ? "-" : `${v.toFixed(2)}${metricUnit(k)}`]) });
+    }
+    if (formScores && (formScores.ref || formScores.cmp)) {
+      compare.push({ kind: "kv", rows: [
+        ["フォーム採点", `お手本 ${formScores.ref?.score ?? "-"} 点 / 比較 ${formScores.cmp?.score ?? "-"} 点（ルール：${rules.ruleSet.name || "-"}）`],
+      ] });
+      const res = formScores.cmp ?? formScores.ref;
+      if (res.feedback.length) {
+        compare.push({ kind: "list", items: res.feedback.slice(0, 5).map(r => [r.label.ja, r.message?.ja || `${f1(r.value)}${unitText(r.unit, "ja")}`]) });
+      }
+    }
+    compare.push(...tablesFromDom(statsRef.current));
+    if (compare.length) sections.push({ title: "比較の結果", blocks: compare });
+
+    const notes = annotationsRef.current;
+    if (notes.length) {
+      sections.push({ title: "注釈", blocks: [{ kind: "table", head: ["時刻", "種類", "内容"],
+        rows: notes.map(a => [`${a.t.toFixed(2)}秒`, NOTE_KIND_LABELS[a.kind], annotationText(a)]) }] });
+    }
+    sections.push({ title: "数値の意味", blocks: [{ kind: "list", items: listFromDom(glossaryRef.current) }] });
+    return { title: "SORA LAB フォームレポート", subtitle: `作成 ${formatDate(Date.now())}`, sections };
+  };
+  const exportReport = async (kind) => {
+    if (!samplesRef.current.length && !refRec && !cmpRec) {
+      alert("レポートにする記録がありません。先に記録するか、お手本・比較を読み込んでください。");
+      return;
+    }
+    setReporting(true);
+    try {
+      const report = buildReport();
+      const name = `soralab_report_${Date.now()}`;
+      if (kind === "pdf") await downloadReportPDF(report, `${name}.pdf`);
+      else downloadReportHTML(report, `${name}.html`);
+    } catch (err) {
+      console.warn("report error:", err?.message || err);
+      alert(`レポートを作れませんでした：${err?.message || err}`);
+    } finally {
+      setReporting(false);
+    }
+  };
+
+  // サイクルを切り出す指標：比較グラフ（cycle モード）で切り出した指標から選ぶ。チェックの順番には左右されない
+  const cycleKeys = compareStats?.mode === "cycle" ? compareStats.phases.map(p => p.key) : [];
+  const cycleKey = cycleKeys.includes(playerCycleKey) ? playerCycleKey : cycleKeys[0] ?? "kneeL";
+
+  // 比較プレーヤーの位置とグラフの横軸（cycle モードの 0-100%）を結ぶ
+  const playerLinked = showPlayer && compareStats?.mode === "cycle" && !!compareResult;
+  const playerLabels = compareResult?.chartData.labels.length ?? 0;
+  const playerCursorIndex = playerLinked ? Math.round(playerPhase * (playerLabels - 1)) : null;
+  const seekPlayerFromChart = (evt, _elements, chart) => {
+    if (!playerLinked || playerLabels < 2) return;
+    const i = chart.scales.x.getValueForPixel(evt.x);
+    if (i != null) setPlayerPhase(Math.min(1, Math.max(0, i / (playerLabels - 1))));
+  };
+
   // ------------------- UI -------------------
   return (
     <div style={{
@@ -496,14 +1393,34 @@ export default function MainFormApp() {
           動画ファイル読込
           <input type="file" accept="video/*" onChange={loadFile} style={{ display:"none" }} />
         </label>
-        <button style={buttonStyle} onClick={stop}>停止</button>
+        <button style={buttonStyle} onClick={()=>{ finishExport(); cancelGuide(); stop(); }}>停止</button>
+        <label style={{ color:"#333" }}>
+          モデル:{" "}
+          <select value={modelId} onChange={e=>changeModel(e.target.value)} disabled={analyzing}>
+            {Object.entries(POSE_MODELS).map(([id, m]) => (
+              <option key={id} value={id}>{m.label}</option>
+            ))}
+          </select>
+        </label>
+        <span style={{ fontSize:12, color:"#555" }}>
+          {modelReady ? POSE_MODELS[modelId].hint : "モデル読込中…"}
+        </span>
+        {multiPose && modelReady && (
+          <span style={{ fontSize:13, color: trackStatus === "lost" ? "#C0392B" : "#333" }}>
+            👥 {trackStatus === "lost" ? "追っている人を見失いました。映像の人をタップして選び直してください"
+              : trackStatus != null ? `#${trackStatus} を追跡中（ほかの人をタップで切替）`
+              : "映像の人をタップすると、その人だけを記録します"}
+          </span>
+        )}
       </div>
 
       {/* アップロード動画の再生コントロール */}
       {!useCamera && (
         <div style={{ marginTop:10, display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
-          <button style={buttonStyle} onClick={playPause}>{playing ? "⏸ 一時停止" : "▶ 再生"}</button>
-          <button style={buttonStyle} onClick={replay}>⟲ リプレイ</button>
+          <button style={buttonStyle} onClick={playPause} disabled={analyzing}>{playing ? "⏸ 一時停止" : "▶ 再生"}</button>
+          <button style={buttonStyle} onClick={replay} disabled={analyzing}>⟲ リプレイ</button>
+          <button style={buttonStyle} onClick={()=>stepFrame(-1)} disabled={analyzing || !!exporting} title="1コマ戻る（止めて値を見る）">◀ 1コマ</button>
+          <button style={buttonStyle} onClick={()=>stepFrame(1)} disabled={analyzing || !!exporting} title="1コマ進む（止めて値を見る）">1コマ ▶</button>
           <span>速度:</span>
           {[0.25, 0.5, 0.75, 1].map(s => (
            <button
@@ -523,17 +1440,207 @@ export default function MainFormApp() {
              {s}x
            </button>
          ))}
+          {analyzing ? (
+            <>
+              <button style={buttonStyle} onClick={cancelAnalyze}>解析を中止</button>
+              <progress value={analyzeProgress} max={1} style={{ width:160 }} />
+              <span>{Math.round(analyzeProgress * 100)}%</span>
+            </>
+          ) : (
+            <button style={{...buttonStyle, fontWeight:700}} onClick={analyzeWholeFile} disabled={!modelReady || !!exporting}>📼 動画全体を解析</button>
+          )}
+        </div>
+      )}
+
+      {/* コマ送りで見ているコマの値と、手動の注釈 */}
+      {!useCamera && (
+        <div style={{
+          marginTop:10, background:"#FFFFFF", border:"1px solid #CCE7F5", borderRadius:12, padding:8,
+          boxShadow:"0 2px 6px rgba(0,0,0,0.05)", fontSize:14, color:"#333"
+        }}>
+          <div style={{ display:"flex", gap:8, flexWrap:"wrap", alignItems:"center" }}>
+            <b>📝 注釈</b>
+            <select value={noteKind} onChange={e=>{ setNoteKind(e.target.value); updateDraft(null); }}>
+              {Object.entries(NOTE_KIND_LABELS).map(([k, label]) => (
+                <option key={k} value={k}>{label}{ANNOTATION_POINTS[k] ? `（${ANNOTATION_POINTS[k]}点）` : "・メモ"}</option>
+              ))}
+            </select>
+            <input value={noteLabel} onChange={e=>setNoteLabel(e.target.value)} list="note-presets"
+              placeholder="名前（例：かかと接地）" style={{ width:180 }} />
+            <datalist id="note-presets">
+              {NOTE_PRESETS.map(n => <option key={n} value={n} />)}
+            </datalist>
+            {draft ? (
+              <>
+                <span style={{ color:"#E2557B" }}>
+                  映像の上で{noteKind === "angle" ? "端・頂点・端の順に" : ""}{ANNOTATION_POINTS[noteKind]}点をクリック（{draft.length}/{ANNOTATION_POINTS[noteKind]}）
+                </span>
+                <button style={buttonStyle} onClick={()=>updateDraft(null)}>やめる</button>
+              </>
+            ) : (
+              <button style={buttonStyle} onClick={startNote} disabled={analyzing || !!exporting}>このコマに追加</button>
+            )}
+          </div>
+
+          {review && (
+            <div style={{ marginTop:6 }}>
+              <b>🔍 {review.t.toFixed(3)} 秒のコマ</b>
+              {!review.sample && <span style={{ marginLeft:8, color:"#C0392B" }}>このコマでは関節を十分に検出できませんでした</span>}
+              {(review.sample || review.recorded) && (
+                <table style={{ fontSize:13, borderCollapse:"collapse", marginTop:4 }}>
+                  <thead>
+                    <tr>
+                      <th style={{ textAlign:"left", paddingRight:12 }}>指標</th>
+                      <th style={{ textAlign:"right", paddingRight:12 }}>このコマ</th>
+                      {review.recorded && <th style={{ textAlign:"right" }}>記録（{review.recorded.t.toFixed(2)}秒）</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {METRIC_OPTIONS.filter(({ key }) => review.sample?.[key] != null || review.recorded?.[key] != null).map(({ key, label }) => (
+                      <tr key={key}>
+                        <td style={{ paddingRight:12 }}>{label}</td>
+                        <td style={{ textAlign:"right", paddingRight:12 }}>{f1(review.sample?.[key])}{metricUnit(key)}</td>
+                        {review.recorded && <td style={{ textAlign:"right" }}>{f1(review.recorded[key])}{metricUnit(key)}</td>}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
+          {annotations.length > 0 && (
+            <div style={{ marginTop:6, maxHeight:160, overflowY:"auto" }}>
+              {annotations.map(a => (
+                <div key={a.id} style={{ display:"flex", gap:8, alignItems:"center", fontSize:13 }}>
+                  <span style={{ width:64, textAlign:"right" }}>{a.t.toFixed(2)}秒</span>
+                  <span style={{ color:"#E2557B" }}>[{NOTE_KIND_LABELS[a.kind]}]</span>
+                  <span>{annotationText(a)}</span>
+                  <button style={{ ...buttonStyle, padding:"2px 8px", fontSize:12 }} onClick={()=>seekReview(a.t)}>移動</button>
+                  <button style={{ ...buttonStyle, padding:"2px 8px", fontSize:12, background:"#E57373" }} onClick={()=>removeAnnotation(a.id)}>削除</button>
+                </div>
+              ))}
+            </div>
+          )}
+          <div style={{ fontSize:12, color:"#666", marginTop:4 }}>
+            「◀ 1コマ / 1コマ ▶」で止めてそのコマの値を確かめられます。動画全体を解析した後は、下のグラフをクリック・ドラッグしてもそのコマに移動します。
+            注釈は記録と一緒にライブラリ・JSON・CSV・注釈つき動画に保存されます。
+          </div>
         </div>
       )}
 
       {/* 記録系UI */}
       <div style={{ marginTop:10, display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
-        <button style={{...buttonStyle, fontWeight:700}} onClick={toggleRecord}>
+        <button style={{...buttonStyle, fontWeight:700}} onClick={toggleRecord} disabled={analyzing || (!!guideView && guideView.phase !== "review")}>
           {recording ? "■ 記録停止" : "● 記録開始"}
         </button>
         <button style={buttonStyle} onClick={clearRecord} disabled={!samplesRef.current.length}>記録クリア</button>
         <button style={buttonStyle} onClick={downloadCSV} disabled={!samplesRef.current.length}>CSVダウンロード</button>
+        <button style={buttonStyle} onClick={downloadJSON} disabled={!samplesRef.current.length}>JSONで書き出し</button>
+        <button style={buttonStyle} onClick={downloadNDJSON} disabled={!samplesRef.current.length || !framesRef.current.length}>キーポイント（NDJSON）</button>
+        <button style={buttonStyle} onClick={()=>exportReport("html")} disabled={reporting}>📄 レポート（HTML）</button>
+        <button style={buttonStyle} onClick={()=>exportReport("pdf")} disabled={reporting}>📄 レポート（PDF）</button>
+        <button style={buttonStyle} onClick={recomputeCurrent} disabled={recording || analyzing || !framesRef.current.length}>キーポイントから再計算</button>
+        <label style={{ color:"#333", fontSize:14 }}>
+          <input type="checkbox" checked={keepRaw} onChange={e=>setKeepRaw(e.target.checked)} disabled={recording || analyzing} /> 生のキーポイントも保存
+        </label>
         <span style={{ color:"#333" }}>サンプル数: {samplesRef.current.length}</span>
+        <span style={{ color:"#333" }}>撮影方向: {viewText(liveView)}</span>
+      </div>
+
+      {/* ガイド付き撮影（カメラ） */}
+      <div style={{
+        marginTop:10, background:"#FFFFFF", border:"1px solid #CCE7F5", borderRadius:12, padding:8,
+        boxShadow:"0 2px 6px rgba(0,0,0,0.05)", fontSize:14, color:"#333"
+      }}>
+        <div style={{ display:"flex", gap:8, flexWrap:"wrap", alignItems:"center" }}>
+          <b>🎬 ガイド付き撮影</b>
+          <label>
+            開始{" "}
+            <select value={guideOpts.start} onChange={e=>setGuideOpts({ ...guideOpts, start: e.target.value })} disabled={!!guideView}>
+              <option value="countdown">{GUIDE_COUNTDOWN_SEC}秒のカウントダウン</option>
+              <option value="auto">走りが安定したら自動で</option>
+            </select>
+          </label>
+          <label>
+            終了{" "}
+            <select value={guideOpts.stop} onChange={e=>setGuideOpts({ ...guideOpts, stop: e.target.value })} disabled={!!guideView}>
+              <option value="duration">秒数</option>
+              <option value="cycles">サイクル数</option>
+            </select>{" "}
+            {guideOpts.stop === "duration" ? (
+              <select value={guideOpts.seconds} onChange={e=>setGuideOpts({ ...guideOpts, seconds: +e.target.value })} disabled={!!guideView}>
+                {[10, 20, 30, 60].map(v => <option key={v} value={v}>{v}秒</option>)}
+              </select>
+            ) : (
+              <select value={guideOpts.cycles} onChange={e=>setGuideOpts({ ...guideOpts, cycles: +e.target.value })} disabled={!!guideView}>
+                {[6, 10, 20, 30].map(v => <option key={v} value={v}>{v}サイクル</option>)}
+              </select>
+            )}
+          </label>
+          {guideView
+            ? <button style={buttonStyle} onClick={cancelGuide}>ガイドをやめる</button>
+            : <button style={buttonStyle} onClick={startGuide} disabled={!useCamera || !playing || analyzing}>ガイド撮影を開始</button>}
+          {guideView && guideView.phase !== "review" && (
+            <span style={{ color:"#2A6EBB" }}>
+              {{ countdown: "全身が緑の枠に入るように位置を決めてください。カウントダウンのあと記録が始まります",
+                 waiting: "走り始めてください。全身が入ってリズムが安定したら記録が始まります",
+                 recording: "記録中です。設定した長さで自動的に止まります" }[guideView.phase]}
+            </span>
+          )}
+          {!useCamera && <span style={{ color:"#666" }}>カメラを開始すると使えます</span>}
+        </div>
+
+        {guideView?.phase === "review" && (() => {
+          const q = guideView.quality;
+          return (
+            <div style={{ marginTop:6 }}>
+              <b style={{ color: q.ok ? "#27AE60" : "#C0392B" }}>
+                {q.ok ? (q.issues.length ? "⚠ 使えますが、撮り直すとよくなります" : "✅ 品質チェックに問題はありません") : "❌ 撮り直しをおすすめします"}
+              </b>
+              <table style={{ fontSize:13, marginTop:4 }}>
+                <tbody>
+                  <tr><td>全身が映っていたコマ</td><td>{Math.round(q.visibleRatio * 100)}%</td></tr>
+                  <tr><td>サイクル数</td><td>{q.cycles}</td></tr>
+                  <tr><td>推定のコマ数</td><td>{q.fps.toFixed(1)} fps</td></tr>
+                  <tr><td>明るさ（0-255）</td><td>{q.brightness == null ? "-" : q.brightness.toFixed(0)}</td></tr>
+                  <tr><td>くっきり具合</td><td>{q.sharpness == null ? "-" : q.sharpness.toFixed(0)}</td></tr>
+                </tbody>
+              </table>
+              {q.issues.length > 0 && (
+                <ul style={{ margin:"2px 0", paddingLeft:20 }}>
+                  {q.issues.map((i, k) => (
+                    <li key={k} style={{ color: i.level === "bad" ? "#C0392B" : "#E67E22" }}>{QUALITY_ICONS[i.level]} {i.text}</li>
+                  ))}
+                </ul>
+              )}
+              <div style={{ display:"flex", gap:8, flexWrap:"wrap", alignItems:"center", marginTop:4 }}>
+                <input value={guideName} onChange={e=>setGuideName(e.target.value)} placeholder="名前（空なら日時）" style={{ width:160 }} />
+                <button style={buttonStyle} onClick={saveGuided}>ライブラリに保存</button>
+                <button style={{ ...buttonStyle, background: q.ok ? buttonStyle.background : "#E57373" }} onClick={retakeGuided} disabled={!playing}>撮り直す</button>
+                <button style={buttonStyle} onClick={cancelGuide}>保存せずに閉じる</button>
+              </div>
+            </div>
+          );
+        })()}
+      </div>
+
+      {/* 注釈つき動画の書き出し */}
+      <div style={{ marginTop:10, display:"flex", gap:8, alignItems:"center", flexWrap:"wrap" }}>
+        <button style={{...buttonStyle, background: exporting ? "#E57373" : buttonStyle.background}}
+          onClick={toggleExport} disabled={analyzing || !canRecordCanvas()}>
+          {exporting ? "■ 書き出しを止める（ここまでを保存）"
+            : useCamera ? "🎬 注釈つき動画を録画" : "🎬 注釈つき動画を書き出し（先頭から）"}
+        </button>
+        <label style={{ color:"#333", fontSize:14 }}>
+          <input type="checkbox" checked={miniChart} onChange={e=>setMiniChart(e.target.checked)} /> 膝角度のミニグラフを重ねる
+        </label>
+        <span style={{ fontSize:12, color:"#555" }}>
+          {!canRecordCanvas() ? "このブラウザは動画の書き出しに対応していません（Chrome / Edge / Firefox で使えます）"
+            : exporting === "file" ? "再生しながら書き出しています。最後まで再生すると WebM を保存します"
+            : exporting === "camera" ? "録画中…止めると WebM を保存します"
+            : "骨格・HUD を重ねた映像を WebM で保存します（SNS やコーチへの共有に）"}
+        </span>
       </div>
 
       {/* 保存 */}
@@ -541,7 +1648,95 @@ export default function MainFormApp() {
         <button style={buttonStyle} onClick={()=>saveCurrentAs("ref")} disabled={!samplesRef.current.length}>この記録を「お手本」に保存</button>
         <button style={buttonStyle} onClick={()=>saveCurrentAs("cmp")} disabled={!samplesRef.current.length}>この記録を「比較」に保存</button>
         <span style={{marginLeft:8, color:"#333"}}>
-          保存状況：お手本 {refSamples? "✅": "❌"} / 比較 {cmpSamples? "✅": "❌"}
+          保存状況：お手本 {calibLabel(refRec)}{refRec?.name ? `（${refRec.name}）` : ""}
+          {" "}/ 比較 {calibLabel(cmpRec)}{cmpRec?.name ? `（${cmpRec.name}）` : ""}
+        </span>
+        {[["ref", "お手本"], ["cmp", "比較"]].map(([role, label]) => (
+          <label key={role} style={{ ...buttonStyle, cursor:"pointer" }}>
+            ファイルから「{label}」に読込
+            <input type="file" accept=".csv,.json,.ndjson,text/csv,application/json" onChange={e=>importRecording(role, e)} style={{ display:"none" }} />
+          </label>
+        ))}
+        {[["ref", "お手本", refRec], ["cmp", "比較", cmpRec]].map(([role, label, rec]) => rec?.frames && (
+          <button key={role} style={buttonStyle} onClick={()=>recomputeSaved(role)}>「{label}」をキーポイントから再計算</button>
+        ))}
+      </div>
+
+      <SessionLibrary
+        getCurrent={currentRecording} onUse={loadSessionAs} buttonStyle={buttonStyle} refreshKey={libraryTick}
+        onChange={()=>setLibraryTick(n => n + 1)} signal={signal}
+        activeIds={{ ref: refRec?.id, cmp: cmpRec?.id }}
+      />
+      <label style={{ display:"inline-block", marginTop:6, fontSize:14, color:"#333" }}>
+        <input type="checkbox" checked={showProgress} onChange={e=>setShowProgress(e.target.checked)} /> 📈 経過ダッシュボード（ライブラリの記録の推移）
+      </label>
+      {showProgress && (
+        <ProgressDashboard
+          ruleSet={rules?.ruleSet ?? null} buttonStyle={buttonStyle}
+          cycleKey={cycleKey}
+        />
+      )}
+
+      {/* 信号処理 */}
+      <div style={{ marginTop:10, display:"flex", gap:10, flexWrap:"wrap", alignItems:"center", color:"#333", fontSize:14 }}>
+        <span>🎛 信号処理:</span>
+        <label>
+          関節の信頼度しきい値{" "}
+          <select value={signal.minScore} onChange={e=>changeSignal({ minScore: +e.target.value })}>
+            {[0.2, 0.3, 0.4, 0.5].map(v => <option key={v} value={v}>{v}</option>)}
+          </select>
+        </label>
+        <label>
+          ライブの平滑化{" "}
+          <select value={signal.filter} onChange={e=>changeSignal({ filter: e.target.value })}>
+            <option value="box">移動平均（5コマ）</option>
+            <option value="oneEuro">One-Euro（遅れが少ない）</option>
+            <option value="none">なし</option>
+          </select>
+        </label>
+        <label>
+          欠けたコマの補間{" "}
+          <select value={signal.maxGapSec} onChange={e=>changeSignal({ maxGapSec: +e.target.value })}>
+            {[0, 0.2, 0.3, 0.5, 1].map(v => <option key={v} value={v}>{v ? `${v}秒まで` : "しない"}</option>)}
+          </select>
+        </label>
+        <label>
+          動画全体の解析のフィルタ{" "}
+          <select value={signal.offlineFilter} onChange={e=>changeSignal({ offlineFilter: e.target.value })} disabled={analyzing}>
+            <option value="butter">Butterworth（ゼロ位相）</option>
+            <option value="savgol">Savitzky–Golay</option>
+            <option value="none">ライブと同じ</option>
+          </select>
+        </label>
+      </div>
+
+      {/* 実寸換算（保存するときの設定が記録に付く） */}
+      <div style={{ marginTop:10, display:"flex", gap:8, flexWrap:"wrap", alignItems:"center", color:"#333" }}>
+        <span>📏 実寸換算:</span>
+        {[["none","なし"],["height","身長"],["points","2点指定"]].map(([id, label]) => (
+          <label key={id}>
+            <input type="radio" name="calibMethod" checked={calibMethod===id} onChange={()=>setCalibMethod(id)} /> {label}
+          </label>
+        ))}
+        {calibMethod === "height" && (
+          <label>
+            <input type="number" min={100} max={230} value={heightCm} onChange={e=>setHeightCm(e.target.value)} style={{ width:64 }} /> cm
+          </label>
+        )}
+        {calibMethod === "points" && (
+          <>
+            <button style={buttonStyle} onClick={startPicking} disabled={picking || analyzing}>
+              {picking ? `映像の上で2点をクリック（${calibPoints.length}/2）` : "2点を指定"}
+            </button>
+            <label>
+              2点間の長さ <input type="number" min={1} value={knownCm} onChange={e=>setKnownCm(e.target.value)} style={{ width:64 }} /> cm
+            </label>
+          </>
+        )}
+        <span style={{ fontSize:12, color:"#555" }}>
+          {calibMethod === "none" ? "角度と身長比だけで表示します"
+            : calibMethod === "height" ? "記録ごとに映像の身長から換算します"
+            : calibration ? `1px = ${calibration.cmPerPx.toFixed(3)} cm` : "未設定"}
         </span>
       </div>
 
@@ -555,52 +1750,364 @@ export default function MainFormApp() {
       }}>
         {/* 指標選択 & オプション */}
         <div style={{display:'flex', gap:12, flexWrap:'wrap', alignItems:'center'}}>
-          {[{key:'kneeL',label:'左膝'},{key:'kneeR',label:'右膝'},{key:'hipL',label:'左股'},{key:'hipR',label:'右股'},{key:'trunk',label:'体幹前傾'}]
-            .map(m=>(
-              <label key={m.key}><input type="checkbox" checked={metrics[m.key]??true}
-              onChange={e=>setMetrics(v=>({...v,[m.key]:e.target.checked}))}/> {m.label}</label>
+          {[false, true].map(frontal=>(
+            <div key={String(frontal)} style={{display:'flex', gap:12, flexWrap:'wrap', width:'100%',
+              color: (frontal ? frontalCompare || !refView : !frontalCompare) ? "#333" : "#aaa"}}>
+              <span>{frontal ? "正面・背面から:" : "横から:"}</span>
+              {METRIC_OPTIONS.filter(m=>!!m.frontal===frontal).map(m=>(
+                <label key={m.key}><input type="checkbox" checked={metrics[m.key]??true}
+                onChange={e=>setMetrics(v=>({...v,[m.key]:e.target.checked}))}/> {m.label}</label>
+              ))}
+            </div>
           ))}
           <label style={{marginLeft:8}}>
             <input type="checkbox" checked={cycleNormalize} onChange={e=>setCycleNormalize(e.target.checked)}/>
             動きを1回分に揃えて比較（平均フォーム）
           </label>
-          <button style={buttonStyle} onClick={runCompareMulti} disabled={!refSamples||!cmpSamples}>比較（グラフ）</button>
+          {cycleNormalize && (
+            <label>
+              <input type="checkbox" checked={showCycles} onChange={e=>setShowCycles(e.target.checked)}/>
+              各サイクルも表示（除外は赤の点線）
+            </label>
+          )}
+          {cycleNormalize && (
+            <label>
+              <input type="checkbox" checked={showBands} onChange={e=>setShowBands(e.target.checked)}/>
+              ばらつき（平均±SD）の帯
+            </label>
+          )}
+          {!cycleNormalize && (
+            <label>
+              時間合わせ：
+              <select value={align} onChange={e=>setAlign(e.target.value)}>
+                <option value="none">なし（記録の先頭をそろえる）</option>
+                <option value="xcorr">ずれを補正（相互相関）</option>
+                <option value="dtw">伸び縮みも補正（DTW）</option>
+              </select>
+            </label>
+          )}
+          <button style={buttonStyle} onClick={runCompareMulti} disabled={!refRec||!cmpRec}>比較（グラフ）</button>
+          <label style={{ marginLeft:8 }}>
+            <input type="checkbox" checked={showPlayer} onChange={e=>setShowPlayer(e.target.checked)} disabled={!refRec||!cmpRec}/>
+            🎞 比較プレーヤー（動画を同じ局面で並べる）
+          </label>
+          {showPlayer && cycleKeys.length > 1 && (
+            <label>
+              サイクルの区切り{" "}
+              <select value={cycleKey} onChange={e=>setPlayerCycleKey(e.target.value)}>
+                {cycleKeys.map(k => <option key={k} value={k}>{labelJP(k)}</option>)}
+              </select>
+            </label>
+          )}
+          <label style={{ marginLeft:8 }}>
+            <input type="checkbox" checked={showMulti} onChange={e=>setShowMulti(e.target.checked)}/>
+            🗂 複数の記録・ベースライン
+          </label>
 
           {compareResult && (
             <span style={{marginLeft:8}}>
               {Object.entries(compareRmse).map(([k,v])=>(
-                <span key={k} style={{marginRight:10}}>{labelJP(k)}: RMSE {v?.toFixed(2)}°</span>
+                <span key={k} style={{marginRight:10}}>{labelJP(k)}: RMSE {v?.toFixed(2)}{metricUnit(k)}</span>
+              ))}
+              {compareResult.alignment?.method === "xcorr" && (
+                <span style={{marginRight:10}}>
+                  ずれ補正：比較を {compareResult.alignment.lagSec >= 0 ? "+" : ""}{compareResult.alignment.lagSec.toFixed(2)} 秒
+                  （相関 {compareResult.alignment.r.toFixed(2)}）
+                </span>
+              )}
+              {compareResult.alignment?.method === "dtw" && Object.entries(compareResult.alignment.distance).map(([k,v])=>(
+                <span key={`dtw-${k}`} style={{marginRight:10}}>{labelJP(k)}: DTW距離 {v.toFixed(2)}{metricUnit(k)}</span>
               ))}
             </span>
           )}
         </div>
 
-        {/* サイクル統計（正規化ONのとき表示） */}
-        {compareStats?.mode === 'cycle' && (
-          <div style={{marginTop:6}}>
-            <table style={{fontSize:14}}>
-              <thead>
-                <tr>
-                  <th></th><th>サイクル数</th><th>平均(s)</th><th>SD</th>
-                  <th>最短</th><th>最長</th><th>ケイデンス(回/分)</th>
-                </tr>
-              </thead>
-              <tbody>
-                {['ref','cmp'].map(tag=>{
-                  const s=compareStats[tag]; if(!s) return null;
-                  return (
-                    <tr key={tag}>
-                      <td>{tag==='ref'?'お手本':'比較'}</td>
-                      <td>{s.count}</td><td>{s.avg.toFixed(2)}</td><td>{s.sd.toFixed(2)}</td>
-                      <td>{s.min.toFixed(2)}</td><td>{s.max.toFixed(2)}</td><td>{s.cadence.toFixed(1)}</td>
-                    </tr>
-                  );
-                })}
-              </tbody>
-            </table>
+        {/* 撮影方向と、方向に合わない指標の警告 */}
+        {(refRec || cmpRec) && (
+          <div style={{marginTop:6, fontSize:14, color:"#333"}}>
+            撮影方向：お手本 {viewText(refView)} / 比較 {viewText(cmpView)}
+            {refView?.view && cmpView?.view && refView.view !== cmpView.view && (
+              <span style={{marginLeft:8, color:"#C0392B"}}>⚠ お手本と比較で撮影方向が違います</span>
+            )}
+            {unsuited.length > 0 && (
+              <div style={{color:"#C0392B"}}>
+                ⚠ {unsuited.map(labelJP).join("・")} はこの撮影方向では正しく測れません
+                （{frontalCompare ? "正面・背面の指標" : "横からの指標"}を選んでください）
+              </div>
+            )}
           </div>
         )}
 
+        {/* フォーム採点（ルールセットで評価し、直したほうがよい順にアドバイス） */}
+        {(refRec || cmpRec) && (
+          <div style={{marginTop:6, fontSize:14, color:"#333"}}>
+            <div style={{display:'flex', gap:12, flexWrap:'wrap', alignItems:'center'}}>
+              <b>フォーム採点</b>
+              {['ref','cmp'].map(tag=>(
+                <span key={tag}>{tag==='ref'?'お手本':'比較'} {formScores?.[tag]?.score ?? "-"} 点</span>
+              ))}
+              <select value={feedbackLang} onChange={e=>setFeedbackLang(e.target.value)}>
+                <option value="ja">日本語</option>
+                <option value="en">English</option>
+              </select>
+              <span style={{color:"#666"}}>ルール：{rules?.ruleSet.name || "-"}{rules?.custom ? "（読み込んだルール）" : ""}</span>
+              <label style={{ ...buttonStyle, cursor:"pointer" }}>
+                ルールJSON読込
+                <input type="file" accept=".json,application/json" onChange={loadRulesFile} style={{ display:"none" }} />
+              </label>
+              {rules?.custom && <button style={buttonStyle} onClick={resetRules}>既定のルールに戻す</button>}
+            </div>
+            {(() => {
+              const target = formScores?.cmp ? 'cmp' : 'ref';
+              const res = formScores?.[target];
+              if (!res) return null;
+              const fmt = (r) => r.value==null ? "-" : `${f1(r.value)}${unitText(r.unit, feedbackLang)}`;
+              return (
+                <>
+                  <div style={{marginTop:4}}>{target==='cmp' ? '比較' : 'お手本'}へのアドバイス：</div>
+                  {res.feedback.length ? (
+                    <ol style={{margin:"2px 0", paddingLeft:22}}>
+                      {res.feedback.slice(0, 5).map(r=>(
+                        <li key={r.id} style={{color:RULE_STATUS[r.status].color}}>
+                          {RULE_STATUS[r.status].icon} <b>{r.label[feedbackLang]}</b>：
+                          <span style={{color:"#333"}}>{r.message?.[feedbackLang] || fmt(r)}</span>
+                        </li>
+                      ))}
+                    </ol>
+                  ) : <div style={{color:RULE_STATUS.ok.color}}>✅ 大きく直すところは見つかりませんでした。</div>}
+                  <details>
+                    <summary>すべての項目</summary>
+                    <table style={{fontSize:14}}>
+                      <thead><tr><th>項目</th><th>お手本</th><th>比較</th></tr></thead>
+                      <tbody>
+                        {res.results.map((r, k)=>(
+                          <tr key={r.id}>
+                            <td>{r.label[feedbackLang]}</td>
+                            {['ref','cmp'].map(tag=>{
+                              const x = formScores[tag]?.results[k];
+                              return <td key={tag} style={{color: x ? RULE_STATUS[x.status].color : "#999"}}>
+                                {x ? `${RULE_STATUS[x.status].icon} ${fmt(x)}` : "-"}
+                              </td>;
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </details>
+                </>
+              );
+            })()}
+          </div>
+        )}
+
+        {/* 統計の表（レポートにもこのまま載せる） */}
+        <div ref={statsRef}>
+          {/* ステップ統計（選んだ指標に関係なく、左右の接地から） */}
+          {compareStats?.steps && (
+            <div style={{marginTop:6}}>
+              <table style={{fontSize:14}}>
+                <thead>
+                  <tr>
+                    <th></th><th>歩数</th><th>ケイデンス(歩/分)</th>
+                    <th>左ステップ(s)</th><th>右ステップ(s)</th><th>左右差(%)</th>
+                    <th>左ストライド(s)</th><th>右ストライド(s)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {['ref','cmp'].map(tag=>{
+                    const s=compareStats.steps[tag];
+                    return (
+                      <tr key={tag}>
+                        <td>{tag==='ref'?'お手本':'比較'}</td>
+                        <td>{s.count}</td><td>{f1(s.cadence)}</td>
+                        <td>{f2(s.stepTime.left)}</td><td>{f2(s.stepTime.right)}</td><td>{f1(s.asymmetry)}</td>
+                        <td>{f2(s.strideTime.left)}</td><td>{f2(s.strideTime.right)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* サイクル統計（正規化ONのとき表示） */}
+          {compareStats?.mode === 'cycle' && compareStats.ref && (
+            <div style={{marginTop:6}}>
+              <table style={{fontSize:14}}>
+                <thead>
+                  <tr>
+                    <th>サイクル（{labelJP(compareStats.metric)}）</th><th>サイクル数</th><th>除外</th><th>平均(s)</th><th>SD</th>
+                    <th>最短</th><th>最長</th><th>推定周期(s)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {['ref','cmp'].map(tag=>{
+                    const s=compareStats[tag]; if(!s) return null;
+                    return (
+                      <tr key={tag}>
+                        <td>{tag==='ref'?'お手本':'比較'}</td>
+                        <td>{s.count}</td><td>{s.rejected}</td><td>{s.avg.toFixed(2)}</td><td>{s.sd.toFixed(2)}</td>
+                        <td>{s.min.toFixed(2)}</td><td>{s.max.toFixed(2)}</td><td>{f2(s.period)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* 局面ごとの比較（山・谷の位置と、接地期・遊脚期の平均の差） */}
+          {compareStats?.mode === 'cycle' && compareStats.phases?.length > 0 && (
+            <div style={{marginTop:6}}>
+              <table style={{fontSize:14}}>
+                <thead>
+                  <tr>
+                    <th>局面ごと</th><th></th><th>最大（位置%）</th><th>最小（位置%）</th><th>接地時</th><th>離地時</th>
+                    {PHASE_KEYS.map(k=><th key={k}>{PHASE_LABELS[k]}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {compareStats.phases.flatMap(({key, ref, cmp, phases})=>{
+                    const u = metricUnit(key);
+                    const sg = (v, signed)=> signed && v>=0 ? "+" : "";
+                    const peak = (p, signed)=> p ? `${sg(p.value, signed)}${f1(p.value)}${u}（${sg(p.at, signed)}${(p.at*100).toFixed(0)}%）` : "-";
+                    const val = (v, signed)=> v==null ? "-" : `${sg(v, signed)}${f1(v)}${u}`;
+                    const row = (tag, label, d, cells) => (
+                      <tr key={`${key}-${tag}`}>
+                        <td>{tag==='ref' ? labelJP(key) : ""}</td><td>{label}</td>
+                        {[d?.max, d?.min].map((p,i)=><td key={i}>{peak(p, tag==='delta')}</td>)}
+                        <td>{val(d?.ic, tag==='delta')}</td><td>{val(d?.to, tag==='delta')}</td>
+                        {PHASE_KEYS.map((k,i)=><td key={k}>{cells(phases?.[i])}</td>)}
+                      </tr>
+                    );
+                    return [
+                      row('ref', 'お手本', ref, p=>val(p?.ref)),
+                      row('cmp', '比較', cmp, p=>val(p?.cmp)),
+                      row('delta', '差', {
+                        max: ref && cmp ? {value: cmp.max.value - ref.max.value, at: cmp.max.at - ref.max.at} : null,
+                        min: ref && cmp ? {value: cmp.min.value - ref.min.value, at: cmp.min.at - ref.min.at} : null,
+                        ic: ref?.ic!=null && cmp?.ic!=null ? cmp.ic - ref.ic : null,
+                        to: ref?.to!=null && cmp?.to!=null ? cmp.to - ref.to : null,
+                      }, p=>val(p?.delta, true)),
+                    ];
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* 接地・滞空（足の上下の動きから検出） */}
+          {compareStats?.gait && (
+            <div style={{marginTop:6}}>
+              <table style={{fontSize:14}}>
+                <thead>
+                  <tr>
+                    <th></th><th>接地回数</th><th>接地時間(ms)</th><th>滞空時間(ms)</th><th>デューティ比(%)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {['ref','cmp'].map(tag=>{
+                    const g=compareStats.gait[tag];
+                    return (
+                      <tr key={tag}>
+                        <td>{tag==='ref'?'お手本':'比較'}</td>
+                        <td>{g.steps}</td><td>{ms(g.contact)}</td><td>{ms(g.flight)}</td>
+                        <td>{g.duty==null ? "-" : (g.duty*100).toFixed(0)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* ランニング指標（上下動・着地・腕振り） */}
+          {compareStats?.kinematics && (
+            <div style={{marginTop:6}}>
+              <table style={{fontSize:14}}>
+                <thead>
+                  <tr><th>ランニング指標</th><th>お手本</th><th>比較</th></tr>
+                </thead>
+                <tbody>
+                  {[
+                    ["上下動（身長比%）",          k => f1(k.vOsc)],
+                    ["着地位置 左/右（身長比%）",   k => `${f1(k.overstride.left)} / ${f1(k.overstride.right)}`],
+                    ["接地時のすね角度 左/右(°)",  k => `${f1(k.shinAtContact.left)} / ${f1(k.shinAtContact.right)}`],
+                    ["肘角度 左/右(°)",            k => `${f1(k.elbow.left)} / ${f1(k.elbow.right)}`],
+                    ["腕振り幅 左/右(°)",          k => `${f1(k.armSwing.left)} / ${f1(k.armSwing.right)}`],
+                    ["腕振りの左右差(%)",          k => f1(k.armSymmetry)],
+                  ].map(([label, fmt])=>(
+                    <tr key={label}>
+                      <td>{label}</td>
+                      <td>{fmt(compareStats.kinematics.ref)}</td>
+                      <td>{fmt(compareStats.kinematics.cmp)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* 前額面の指標（正面・背面から撮った記録だけ） */}
+          {compareStats?.frontal && frontalCompare && (
+            <div style={{marginTop:6}}>
+              <table style={{fontSize:14}}>
+                <thead>
+                  <tr><th>正面・背面の指標</th><th>お手本</th><th>比較</th></tr>
+                </thead>
+                <tbody>
+                  {[
+                    ["膝の内倒れ 左/右(°)",          k => `${f1(k.valgus.left)} / ${f1(k.valgus.right)}`],
+                    ["骨盤の傾き 左足/右足接地(°)",   k => `${f1(k.pelvicDrop.left)} / ${f1(k.pelvicDrop.right)}`],
+                    ["足の着地幅 左/右（腰幅比%）",   k => `${f1(k.cross.left)} / ${f1(k.cross.right)}`],
+                    ["手の内振り 左/右（肩幅比%）",   k => `${f1(k.armCross.left)} / ${f1(k.armCross.right)}`],
+                  ].map(([label, fmt])=>(
+                    <tr key={label}>
+                      <td>{label}</td>
+                      <td>{fmt(compareStats.frontal.ref)}</td>
+                      <td>{fmt(compareStats.frontal.cmp)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* 実寸（換算の設定がある記録だけ） */}
+          {(compareStats?.distances && (refRec?.calibration || cmpRec?.calibration)) && (
+            <div style={{marginTop:6}}>
+              <table style={{fontSize:14}}>
+                <thead>
+                  <tr><th>実寸</th><th>お手本</th><th>比較</th></tr>
+                </thead>
+                <tbody>
+                  {[
+                    ["上下動(cm)",              d => f1(d.vOscCm)],
+                    ["着地位置 左/右(cm)",      d => `${f1(d.overstrideCm.left)} / ${f1(d.overstrideCm.right)}`],
+                    ["歩幅(cm)",                d => f1(d.stepCm)],
+                    ["ストライド(cm)",          d => f1(d.strideCm)],
+                    ["推定速度(km/h)",          d => f1(d.speedKmh)],
+                  ].map(([label, fmt])=>(
+                    <tr key={label}>
+                      <td>{label}</td>
+                      <td>{fmt(compareStats.distances.ref)}</td>
+                      <td>{fmt(compareStats.distances.cmp)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* 複数の記録の比較・ベースライン */}
+        {showMulti && (
+          <MultiCompare
+            metricOptions={METRIC_OPTIONS} metrics={Object.keys(metrics).filter(k => metrics[k])}
+            getCurrent={currentRecording} cmpRec={cmpRec} refreshKey={libraryTick} buttonStyle={buttonStyle}
+          />
+        )}
+
         {/* 比較グラフ */}
         {compareResult && (
           <div style={{
@@ -609,12 +2116,71 @@ export default function MainFormApp() {
             boxShadow:"0 2px 6px rgba(0,0,0,0.05)"
           }}>
             <Line
+              ref={compareChartRef}
               data={compareResult.chartData}
               options={{
                 responsive:true, maintainAspectRatio:false, animation:false,
                 scales:{
                   x:{ title:{display:true, text: cycleNormalize ? 'サイクル(%)' : '時間(秒)'} },
-                  y:{ title:{display:true, text:'角度(°)'} }
+                  y:{ title:{display:true, text: compareYTitle()} }
+                },
+                plugins:{
+                  legend:{ position:'top', labels:{ filter:(item, data) => !data.datasets[item.datasetIndex]?.hideInLegend } },
+                  lowConfidence:{ ranges: compareResult.lowConf },
+                  playerCursor:{ index: playerCursorIndex },
+                },
+                onClick: seekPlayerFromChart,
+              }}
+            />
+          </div>
+        )}
+
+        {/* 比較プレーヤー */}
+        {showPlayer && refRec && cmpRec && (
+          <ComparePlayer
+            refRec={refRec} cmpRec={cmpRec} buttonStyle={buttonStyle}
+            cycleKey={cycleKey}
+            phase={playerPhase} onPhaseChange={setPlayerPhase}
+          />
+        )}
+
+        {/* 差のカーブ（比較 − お手本） */}
+        {compareResult?.diffData && (
+          <div style={{
+            height: 200, marginTop: 8, background:"#FFFFFF",
+            border:"1px solid #CCE7F5", borderRadius:12, padding:8,
+            boxShadow:"0 2px 6px rgba(0,0,0,0.05)"
+          }}>
+            <Line
+              ref={diffChartRef}
+              data={compareResult.diffData}
+              options={{
+                responsive:true, maintainAspectRatio:false, animation:false,
+                scales:{
+                  x:{ title:{display:true, text:'サイクル(%)'} },
+                  y:{ title:{display:true, text:`差（比較−お手本） ${compareYTitle()}`} }
+                },
+                plugins:{ legend:{ position:'top' }, playerCursor:{ index: playerCursorIndex } },
+                onClick: seekPlayerFromChart,
+              }}
+            />
+          </div>
+        )}
+
+        {/* DTW のワーピング経路 */}
+        {compareResult?.warpData && (
+          <div style={{
+            height: 220, marginTop: 8, background:"#FFFFFF",
+            border:"1px solid #CCE7F5", borderRadius:12, padding:8,
+            boxShadow:"0 2px 6px rgba(0,0,0,0.05)"
+          }}>
+            <Line
+              data={compareResult.warpData}
+              options={{
+                responsive:true, maintainAspectRatio:false, animation:false,
+                scales:{
+                  x:{ title:{display:true, text:'お手本の時間(秒)'} },
+                  y:{ title:{display:true, text:'対応する比較の時間(秒)'} }
                 },
                 plugins:{ legend:{ position:'top' } }
               }}
@@ -629,8 +2195,9 @@ export default function MainFormApp() {
 
       {/* 右側プレビュー（動画＋骨格） */}
       <div style={{ marginTop:12 }}>
-        <canvas ref={canvasRef} style={{
+        <canvas ref={canvasRef} onClick={onCanvasClick} style={{
           width:"100%", maxWidth:960, background:"#fff", borderRadius:12,
+          cursor: picking ? "crosshair" : multiPose ? "pointer" : "default",
           boxShadow:"0 2px 6px rgba(0,0,0,0.05)"
         }} />
       </div>
@@ -641,24 +2208,57 @@ export default function MainFormApp() {
         border:"1px solid #CCE7F5", borderRadius:12, padding:8,
         boxShadow:"0 2px 6px rgba(0,0,0,0.05)"
       }}>
-        <Line data={chartData} options={chartOptions} />
+        <Line ref={liveChartRef} data={chartData} options={chartOptions} />
       </div>
 
       {/* 補足 */}
       <p style={{ marginTop:20, color:"#555", textAlign:"center" }}>
         🌸 コツ：横から全身が入るように撮影すると、より正確に分析できます。<br/>
+        膝の内倒れや着地幅を見たいときは、正面か真後ろから撮影してください（撮影方向は自動で判定します）。<br/>
         そっと寄り添う可視化で、あなたのフォームを応援します。
       </p>
 
       {/* ▼ 指標の説明を追加 ▼ */}
       <div style={{ marginTop:20, padding:12, background:"#f9f9f9", border:"1px solid #eee", borderRadius:8, fontSize:14, lineHeight:1.6 }}>
         <h3 style={{ marginTop:0, fontSize:16, color:"#333" }}>📘 数値の意味（ソララボ式）</h3>
-        <ul style={{ paddingLeft:18, margin:0 }}>
+        <ul ref={glossaryRef} style={{ paddingLeft:18, margin:0 }}>
           <li><b>1歩のリズム（平均秒数）</b>：1歩にかかる時間の目安です。</li>
           <li><b>リズムの安定度（SD）</b>：数字が小さいほど、動きが揃っていて安定しています。</li>
           <li><b>いちばん速い動き（最短）</b>：最も速く脚が動いたときのリズムです。</li>
           <li><b>いちばんゆっくりの動き（最長）</b>：最もゆっくりだったときのリズムです。</li>
-          <li><b>テンポ（ケイデンス）</b>：1分あたりの歩数。音楽のBPMのように走るテンポを表します。</li>
+          <li><b>除外・推定周期</b>：動きのくり返しの長さ（推定周期）から区切り方を自動で決め、長さや形がほかと大きく違うサイクル、途中が映っていないサイクルは平均から外します。「各サイクルも表示」で外したものを赤の点線で確認できます。</li>
+          <li><b>テンポ（ケイデンス）</b>：1分あたりの歩数（左右の足を合わせて数えます）。音楽のBPMのように走るテンポを表します。</li>
+          <li><b>ステップ／ストライド</b>：ステップは反対の足が着いてからこの足が着くまで、ストライドは同じ足が着いてから次に着くまでの時間です。</li>
+          <li><b>左右差（%）</b>：左右のステップ時間のずれ。数字が小さいほど左右のリズムがそろっています。</li>
+          <li><b>接地時間</b>：足が地面についてから離れるまでの時間です。グラフの ▲ が接地、✕ が離地です。</li>
+          <li><b>滞空時間</b>：片足が離れてから反対の足がつくまで、両足とも浮いている時間です。</li>
+          <li><b>デューティ比</b>：1歩の周期のうち足が地面についている割合。小さいほど弾むような走りです。</li>
+          <li><b>上下動</b>：1歩のあいだに腰が上下する幅を、推定した身長に対する割合で表します。</li>
+          <li><b>着地位置（オーバーストライド）</b>：着地した瞬間に足首が腰よりどれだけ前にあるか。大きいほどブレーキがかかりやすくなります。</li>
+          <li><b>接地時のすね角度</b>：着地の瞬間のすねの傾き。0°に近いほど真下に着地しています（プラスは足首が膝より前）。</li>
+          <li><b>実寸換算</b>：身長を入れるか、映像の上で長さのわかる2点（例：1mのマーカー）を指定すると、上下動・着地位置・歩幅を cm で表示します。カメラと走る位置の距離が変わると誤差が出ます。</li>
+          <li><b>歩幅・推定速度</b>：足が着いた位置の間隔と、その歩幅をステップ時間で割った速さです。カメラの前を横切って走ったときだけ測れます（トレッドミルでは測れません）。</li>
+          <li><b>肘角度・腕振り幅</b>：肘の曲がり具合と、肩を支点に腕が前後に振れる角度の幅です。左右差が小さいほどバランスよく振れています。</li>
+          <li><b>記録ライブラリ</b>：記録に名前とタグをつけてこの端末のブラウザに保存します。ページを閉じても残り、どの記録でも「お手本に」「比較に」で比較に使えます。ブラウザのデータを消去すると記録も消えます。</li>
+          <li><b>記録ファイル（CSV / JSON）</b>：書き出したファイルをコーチに送れば、相手の画面で「ファイルから読込」してそのまま比較できます。JSONは名前・タグ・モデル・実寸換算も一緒に保存します。CSVは表計算ソフトで開けます（接地・離地の列は読み込み時に計算し直します）。</li>
+          <li><b>比較プレーヤー</b>：お手本と比較の動画を選ぶと、検出したサイクル（比較グラフと同じ区切り）の同じ局面どうしを並べて表示します。「重ね合わせ」は比較の人を腰の中点と体幹の長さでお手本に合わせて半透明で重ねます。つまみやグラフのクリックで局面を動かせ、グラフのオレンジの縦線が今の位置です。骨格を出すには生のキーポイントつきの記録が必要です。</li>
+          <li><b>コマ送り・注釈</b>：「このコマ」はそのコマのキーポイントだけから計算した値（平滑化なし）、「記録」は動画全体を解析した記録のいちばん近いサンプル（グラフの値、平滑化・補間あり）です。注釈は「マーカー」（名前だけ）、「線」（水平からの傾き）、「角度」（3点目までクリックすると2点目を頂点とする角度）を付けられ、そのコマの前後だけ映像に表示されます。</li>
+          <li><b>ガイド付き撮影</b>：枠が緑なら頭から足首まで画面に入っています（橙のときは下に直すところが出ます）。カウントダウンか、全身が入って同じリズムで走れている（直近のサイクル長のばらつきが小さい）と判定したときに記録を始め、設定した秒数・サイクル数で止まります。品質チェックの「推定のコマ数」は 1 秒あたりに骨格を推定できたコマ数、「くっきり具合」は映像の細かい明暗の差で、小さいとぶれ・ピンぼけの可能性があります。</li>
+          <li><b>レポート</b>：記録の情報・骨格つきのコマ・ライブグラフと比較グラフ・RMSE・統計の表・この説明を 1 つにまとめます。HTML は画像も中に入っているので 1 ファイルで送れて、ブラウザから印刷もできます。PDF は A4 のページに描いたもの（文字も画像）で、どちらもこの端末の中だけで作ります。</li>
+          <li><b>複数の記録・ベースライン</b>：ライブラリから選んだ記録の平均サイクルを 1 つのグラフに重ねます。「ベースライン」は選んだ記録の採用サイクルをまとめた平均 ± SD（調子のよいときの自分の形）で、ほかの記録はその帯に入っている点の割合で採点します（100 点＝全部帯の中）。平均 z は帯の半幅（SD, 1 未満は 1）で割ったずれの平均で、1 を超えると普段のばらつきより大きくずれています。</li>
+          <li><b>経過ダッシュボード</b>：ライブラリの記録ごとに、ケイデンス・体幹前傾の平均・膝の可動域の左右差・フォーム採点（今のルール）・サイクル長の SD を計算して日付順に並べます。タグで絞り込むと「ジョグだけ」「シューズAだけ」のように条件をそろえて比べられます。点線は最小二乗の直線で、期間全体の変化が小さいものは横ばいとし、良くなる向きが決まっている指標は改善（緑）・悪化（赤）で色分けします。</li>
+          <li><b>注釈つき動画</b>：画面に描いている骨格・角度の表示（とミニグラフ）ごと映像をWebMで保存します。カメラは押してから止めるまで、動画ファイルは先頭から最後まで再生しながら書き出すので、動画の長さぶん時間がかかります。再生速度を変えるとその速さで保存されます。</li>
+          <li><b>生のキーポイント</b>：「生のキーポイントも保存」をオンにすると、角度だけでなく各関節の画面上の位置（x, y）と信頼度も記録します（JSON・ライブラリにも入ります）。「キーポイントから再計算」で、動画を解析し直さずに信頼度しきい値やフィルタを変えた結果を見られます。NDJSONは1行1コマのテキストで、ほかのツールでも読めます。ライブラリの 🦴 はキーポイントつきの記録です。</li>
+          <li><b>フォーム採点</b>：体幹の前傾・着地の膝角度・ケイデンス・左右差などを、コーチが決めた目安の範囲（ルールセット）と比べた点数です。目安の範囲内なら満点、少し外れると半分、大きく外れると0点として、項目の重みで平均します。アドバイスは点数への影響が大きい順に並びます。ルールセットはJSONファイルで差し替えられます。</li>
+          <li><b>ばらつきの帯・局面ごとの比較</b>：帯は各サイクルの平均±SDで、細いほど毎回同じ動きができています。表の「最大・最小（位置%）」はカーブの山と谷の値とサイクルの何%で起きたか（膝なら最小が最も曲がった瞬間）、「接地期・遊脚前半・遊脚後半」は接地から離地、離地から次の接地までの前半・後半の平均値です。「差」は比較−お手本で、位置の差は%ポイントです。</li>
+          <li><b>時間合わせ</b>：「動きを1回分に揃えて比較」を外したときに選べます。「ずれを補正」はお手本といちばん重なるように比較を前後にずらし、「伸び縮みも補正」（DTW）はピッチの違いも吸収して対応する瞬間どうしを並べます。DTW距離は対応づけた点どうしの平均の差で、小さいほど形が似ています。下のグラフの線が灰色の対角線より上なら、比較のほうがその場面に遅れて来ています。</li>
+          <li><b>グラフの灰色の帯</b>：関節がよく見えていなかった（信頼度が低い）区間です。この区間の数値は参考程度にしてください。</li>
+          <li><b>信号処理</b>：信頼度しきい値より低い関節は使わず、その関節を使う角度だけ空欄にします。短い空欄は前後から補間し、長い空欄はそのまま残します。動画全体の解析では、前後のコマを使って遅れなくなめらかにするフィルタ（Butterworth / Savitzky–Golay）を選べます。</li>
+          <li><b>撮影方向</b>：肩幅・腰幅と体の縦の長さの比から、横・正面・背面を自動で判定します。膝や体幹の角度は横から、下の4つは正面・背面から撮ったときだけ意味があります。</li>
+          <li><b>膝の内倒れ</b>：着地中に膝が腰と足首を結んだ線より内側に入る角度。大きいほど膝への負担が増えやすくなります。</li>
+          <li><b>骨盤の傾き</b>：片足で着地しているあいだに、反対側の腰が下がる角度です。お尻まわりの筋力の目安になります。</li>
+          <li><b>足の着地幅</b>：着地した足首が体の中心線からどれだけ外にあるか（腰幅に対する%）。0%は中心線上、マイナスは中心線を越えた「クロスオーバー」です。</li>
+          <li><b>手の内振り</b>：腕を振ったとき手首がいちばん内側に来た位置（肩幅に対する%）。マイナスは手が体の中心線を越えています。</li>
         </ul>
       </div>
 
@@ -683,120 +2283,3 @@ export default function MainFormApp() {
     </div>
   );
 }
-
-// ---------- 補助関数（下にまとめて定義） ----------
-
-// 線形補間
-function linInterp(x, xp, yp) {
-  if (!xp || !yp || xp.length === 0 || yp.length === 0) return null;
-  if (x <= xp[0]) return yp[0];
-  if (x >= xp[xp.length - 1]) return yp[yp.length - 1];
-  let i = 1;
-  while (i < xp.length && xp[i] < x) i++;
-  const x0 = xp[i - 1], x1 = xp[i];
-  const y0 = yp[i - 1], y1 = yp[i];
-  if (x1 === x0) return y0;
-  return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
-}
-
-// null を簡易補間（端は最近傍、内部は線形）
-function fillNaLinear(times, values) {
-  const y = values.slice();
-  const n = y.length;
-  if (n === 0) return y;
-
-  let i = 0;
-  while (i < n && (y[i] == null || !isFinite(y[i]))) i++;
-  if (i > 0 && i < n) for (let k = 0; k < i; k++) y[k] = y[i];
-
-  let j = n - 1;
-  while (j >= 0 && (y[j] == null || !isFinite(y[j]))) j--;
-  if (j >= 0 && j < n - 1) for (let k = j + 1; k < n; k++) y[k] = y[j];
-
-  let a = 0;
-  while (a < n) {
-    if (y[a] == null || !isFinite(y[a])) {
-      let b = a;
-      while (b < n && (y[b] == null || !isFinite(y[b]))) b++;
-      if (a > 0 && b < n) {
-        const y0 = y[a - 1], y1 = y[b];
-        const x0 = times[a - 1], x1 = times[b];
-        const dx = (x1 - x0) || 1e-9;
-        for (let k = a; k < b; k++) y[k] = y0 + (y1 - y0) * (times[k] - x0) / dx;
-      }
-      a = b;
-    } else {
-      a++;
-    }
-  }
-  return y;
-}
-
-// 極小値（谷）の検出
-function findLocalMinima(times, values, { prominence = 8, minGapSec = 0.35 } = {}) {
-  const idxs = [];
-  for (let i = 1; i < values.length - 1; i++) {
-    if (values[i] <= values[i - 1] && values[i] <= values[i + 1]) idxs.push(i);
-  }
-  const kept = [];
-  let lastKeepT = -1e12;
-  for (const i of idxs) {
-    const left = Math.max(0, i - 10);
-    const right = Math.min(values.length - 1, i + 10);
-    const leftMax = Math.max(...values.slice(left, i));
-    const rightMax = Math.max(...values.slice(i + 1, right + 1));
-    const prom = Math.min(leftMax - values[i], rightMax - values[i]);
-    if (prom >= prominence && (times[i] - lastKeepT) >= minGapSec) {
-      kept.push(i);
-      lastKeepT = times[i];
-    }
-  }
-  return kept;
-}
-
-// サイクル正規化(0-100%)
-function cyclesNormalize(times, values, peaks, N = 100) {
-  const cycles = [];
-  if (!peaks || peaks.length < 2) return cycles;
-  for (let c = 0; c < peaks.length - 1; c++) {
-    const i0 = peaks[c], i1 = peaks[c + 1];
-    const t0 = times[i0], t1 = times[i1];
-    if (t1 <= t0) continue;
-    const normT = Array.from({ length: N }, (_, i) => i / (N - 1));
-    const normV = normT.map(frac => {
-      const targetT = t0 + frac * (t1 - t0);
-      return linInterp(targetT, times, values);
-    });
-    cycles.push({ normT, normV, dur: t1 - t0 });
-  }
-  return cycles;
-}
-
-// RMSE
-function rmse(arr1, arr2) {
-  const n = Math.min(arr1.length, arr2.length);
-  if (n === 0) return null;
-  let s = 0, c = 0;
-  for (let i = 0; i < n; i++) {
-    const a = arr1[i], b = arr2[i];
-    if (a == null || b == null || !isFinite(a) || !isFinite(b)) continue;
-    const d = a - b;
-    s += d * d;
-    c++;
-  }
-  return c ? Math.sqrt(s / c) : null;
-}
-
-function avg(arr) {
-  const v = arr.filter(x => x != null && isFinite(x));
-  if (!v.length) return 0;
-  return v.reduce((a, b) => a + b, 0) / v.length;
-}
-
-function stdev(arr) {
-  const v = arr.filter(x => x != null && isFinite(x));
-  if (v.length <= 1) return 0;
-  const m = avg(v);
-  const s2 = v.reduce((acc, x) => acc + (x - m) ** 2, 0) / v.length;
-  return Math.sqrt(s2);
-}
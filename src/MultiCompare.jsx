@@ -0,0 +1,259 @@
+// src/MultiCompare.jsx
+// 複数の記録の比較と「自分の基準（ベースライン）」
+//   ライブラリから記録をいくつか選んで、平均サイクル（0-100%）を 1 つのグラフに重ねる
+//   選んだ記録のサイクルをまとめてベースライン（平均 ± SD）を作り、ほかの記録をそれで採点する
+import { useEffect, useState } from "react";
+import { Line } from "react-chartjs-2";
+import {
+  BASELINE_LABELS, compareMany, buildBaseline, parseBaseline, scoreAgainstBaseline, metricUnit, recordedTime,
+} from "./analysis";
+import { listSessions, getSession, formatDate } from "./sessionStore";
+import { loadBaselines, saveBaseline, deleteBaseline } from "./baselineStore";
+import { downloadText } from "./download";
+
+const PALETTE = ["#2A6EBB", "#F2994A", "#27AE60", "#9B51E0", "#EB5757", "#00A8E8", "#F2C94C", "#6FCF97"];
+const BAND_COLOR = "#4F9FD8";
+const TARGET_COLOR = "#E2557B";
+
+const chartBox = {
+  height:260, marginTop:6, background:"#FFFFFF", border:"1px solid #E6F2FA", borderRadius:8, padding:6,
+};
+const chartOptions = (yTitle) => ({
+  responsive:true, maintainAspectRatio:false, animation:false,
+  scales:{ x:{ title:{ display:true, text:"サイクル(%)" } }, y:{ title:{ display:true, text:yTitle } } },
+  plugins:{ legend:{ position:"top", labels:{ filter:(item, data) => !data.datasets[item.datasetIndex]?.hideInLegend } } },
+});
+const pct = (v) => (v == null ? "-" : `${Math.round(v * 100)}%`);
+const f1 = (v) => (v == null ? "-" : v.toFixed(1));
+
+// metricOptions : [{key, label}] 選べる指標
+// metrics       : 比較パネルでチェックしている指標（採点に使う）
+// getCurrent()  : 今の記録 {samples, …}（なければ null）, cmpRec : 比較に読み込んだ記録
+// refreshKey    : 変わったらライブラリの一覧を読み直す（SessionLibrary と同じもの）
+export default function MultiCompare({ metricOptions, metrics, getCurrent, cmpRec, refreshKey = 0, buttonStyle }) {
+  const [sessions, setSessions] = useState([]);
+  const [selected, setSelected] = useState([]); // 選んだ記録の id（選んだ順）
+  const [metric, setMetric] = useState(metrics[0] ?? "kneeL");
+  const [multi, setMulti] = useState(null); // {result: compareMany の戻り値, names}
+  const [baselines, setBaselines] = useState(() => loadBaselines());
+  const [baselineName, setBaselineName] = useState(() => baselines[0]?.name ?? "");
+  const [target, setTarget] = useState("current"); // "current" | "cmp" | ライブラリの id
+  const [scored, setScored] = useState(null); // {name, res: scoreAgainstBaseline の戻り値}
+  const [busy, setBusy] = useState(false);
+
+  const refresh = () => listSessions().then(setSessions)
+    .catch(e => console.warn("listSessions error:", e?.message || e));
+  useEffect(() => { refresh(); }, [refreshKey]);
+
+  // 失敗したら理由を出す（SessionLibrary と同じ）
+  const run = async (fn) => {
+    setBusy(true);
+    try {
+      await fn();
+    } catch (e) {
+      console.warn("multi compare error:", e?.message || e);
+      alert(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+  const loadSelected = async () => {
+    const recs = [];
+    for (const id of selected) {
+      const full = await getSession(id);
+      if (full?.samples.length) recs.push({ samples: full.samples, name: full.name });
+    }
+    return recs;
+  };
+
+  const compare = () => run(async () => {
+    if (selected.length < 2) throw new Error("比べる記録を 2 つ以上選んでください");
+    const recs = await loadSelected();
+    setMulti({ result: compareMany(recs, { metrics: metricOptions.map(m => m.key) }), names: recs.map(r => r.name) });
+  });
+
+  const baseline = baselines.find(b => b.name === baselineName) ?? null;
+  const makeBaseline = () => run(async () => {
+    if (!selected.length) throw new Error("ベースラインにする記録を選んでください");
+    const name = prompt("ベースラインの名前", `ベースライン ${formatDate(Date.now())}`)?.trim();
+    if (!name) return;
+    const next = buildBaseline(await loadSelected(), { metrics: metricOptions.map(m => m.key), name });
+    setBaselines(saveBaseline(next));
+    setBaselineName(name);
+    setScored(null);
+  });
+  const removeBaseline = () => {
+    if (!baseline || !confirm(`ベースライン「${baseline.name}」を削除しますか？`)) return;
+    run(async () => {
+      const list = deleteBaseline(baseline.name);
+      setBaselines(list);
+      setBaselineName(list[0]?.name ?? "");
+      setScored(null);
+    });
+  };
+  const exportBaseline = () => baseline && downloadText(JSON.stringify(baseline), `${baseline.name}.json`, "application/json");
+  const importBaseline = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    run(async () => {
+      const next = parseBaseline(await file.text());
+      if (!next.name) next.name = file.name.replace(/\.json$/i, "");
+      setBaselines(saveBaseline(next));
+      setBaselineName(next.name);
+      setScored(null);
+    });
+  };
+
+  const score = () => run(async () => {
+    if (!baseline) throw new Error("先にベースラインを作るか読み込んでください");
+    let rec = null, name = "";
+    if (target === "current") { rec = getCurrent(); name = "今の記録"; }
+    else if (target === "cmp") { rec = cmpRec; name = `比較${cmpRec?.name ? `（${cmpRec.name}）` : ""}`; }
+    else {
+      const full = await getSession(+target);
+      rec = full;
+      name = full?.name ?? "";
+    }
+    if (!rec?.samples.length) throw new Error("採点する記録がありません");
+    setScored({ name, res: scoreAgainstBaseline(rec.samples, baseline, { metrics }) });
+  });
+
+  const labelOf = (key) => metricOptions.find(m => m.key === key)?.label ?? key;
+  const yTitle = `${labelOf(metric)}（${metricUnit(metric) || "°"}）`;
+
+  // N 記録の重ね合わせ
+  const multiSeries = multi?.result.series.find(s => s.key === metric);
+  const multiData = multiSeries && {
+    labels: multi.result.labels,
+    datasets: multiSeries.sessions.flatMap((s, k) => (s ? [{
+      label: `${multi.names[k]}（${s.cycles}サイクル）`, data: s.mean, borderWidth:2, pointRadius:0,
+      borderColor: PALETTE[k % PALETTE.length],
+    }] : [])),
+  };
+
+  // ベースラインの帯と、採点した記録
+  const band = baseline?.metrics[metric];
+  const targetMean = scored?.res.results.find(r => r.key === metric)?.mean;
+  const baseData = band && {
+    labels: BASELINE_LABELS,
+    datasets: [
+      { label:"+SD", data: band.mean.map((v, i) => v + band.sd[i]), borderWidth:0, pointRadius:0,
+        backgroundColor: BAND_COLOR + "33", fill:"+1", hideInLegend:true },
+      { label:"−SD", data: band.mean.map((v, i) => v - band.sd[i]), borderWidth:0, pointRadius:0, fill:false, hideInLegend:true },
+      { label:`ベースライン（${band.sessions}記録・${band.cycles}サイクル）`, data: band.mean, borderWidth:2, pointRadius:0,
+        borderColor: BAND_COLOR },
+      ...(targetMean ? [{ label: scored.name, data: targetMean, borderWidth:2, pointRadius:0,
+        borderColor: TARGET_COLOR, borderDash:[6, 4] }] : []),
+    ],
+  };
+
+  const toggle = (id) => setSelected(selected.includes(id) ? selected.filter(x => x !== id) : [...selected, id]);
+  const cell = { padding:"2px 6px", borderBottom:"1px solid #E6F2FA" };
+  const small = { ...buttonStyle, padding:"4px 10px", fontSize:13 };
+
+  return (
+    <div style={{
+      marginTop:8, background:"#FFFFFF", border:"1px solid #CCE7F5", borderRadius:12, padding:8,
+      boxShadow:"0 2px 6px rgba(0,0,0,0.05)", fontSize:14, color:"#333"
+    }}>
+      <div style={{ display:"flex", gap:8, flexWrap:"wrap", alignItems:"center" }}>
+        <b>🗂 複数の記録・ベースライン</b>
+        <span style={{ color:"#666" }}>{selected.length} 記録を選択中</span>
+        <button style={small} onClick={compare} disabled={busy || selected.length < 2}>重ねて比較</button>
+        <button style={small} onClick={makeBaseline} disabled={busy || !selected.length}>選んだ記録でベースラインを作る</button>
+        <button style={small} onClick={refresh} disabled={busy}>一覧を更新</button>
+        <label>
+          表示する指標:{" "}
+          <select value={metric} onChange={e=>setMetric(e.target.value)}>
+            {metricOptions.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div style={{ maxHeight:160, overflowY:"auto", marginTop:6 }}>
+        <table style={{ fontSize:13, borderCollapse:"collapse", width:"100%" }}>
+          <tbody>
+            {sessions.map(s => (
+              <tr key={s.id} style={{ background: selected.includes(s.id) ? "#F0F8FF" : undefined }}>
+                <td style={{ ...cell, width:24 }}>
+                  <input type="checkbox" checked={selected.includes(s.id)} onChange={()=>toggle(s.id)} />
+                </td>
+                <td style={cell}>{s.name}</td>
+                <td style={cell}>{formatDate(recordedTime(s))}</td>
+                <td style={{ ...cell, color:"#666" }}>{(s.tags ?? []).map(t => `#${t}`).join(" ")}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!sessions.length && <div style={{ color:"#666", fontSize:13 }}>ライブラリに記録がありません。</div>}
+      </div>
+
+      {multiData && (
+        multiData.datasets.length
+          ? <div style={chartBox}><Line data={multiData} options={chartOptions(yTitle)} /></div>
+          : <div style={{ marginTop:6, color:"#666", fontSize:13 }}>選んだ記録から {labelOf(metric)} のサイクルが見つかりませんでした。</div>
+      )}
+
+      <div style={{ display:"flex", gap:8, flexWrap:"wrap", alignItems:"center", marginTop:8 }}>
+        <span>📐 ベースライン:</span>
+        <select value={baselineName} onChange={e=>{ setBaselineName(e.target.value); setScored(null); }}>
+          {!baselines.length && <option value="">（なし）</option>}
+          {baselines.map(b => <option key={b.name} value={b.name}>{b.name}</option>)}
+        </select>
+        <button style={small} onClick={exportBaseline} disabled={!baseline}>書き出し</button>
+        <label style={{ ...small, cursor:"pointer" }}>
+          読み込み
+          <input type="file" accept=".json,application/json" onChange={importBaseline} style={{ display:"none" }} />
+        </label>
+        <button style={{ ...small, background:"#E57373" }} onClick={removeBaseline} disabled={!baseline || busy}>削除</button>
+        <span>採点する記録:</span>
+        <select value={target} onChange={e=>{ setTarget(e.target.value); setScored(null); }}>
+          <option value="current">今の記録</option>
+          <option value="cmp" disabled={!cmpRec}>比較に読み込んだ記録</option>
+          {sessions.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+        </select>
+        <button style={small} onClick={score} disabled={busy || !baseline}>ベースラインで採点</button>
+      </div>
+      {baseline && (
+        <div style={{ fontSize:12, color:"#666", marginTop:2 }}>
+          {formatDate(baseline.createdAt ?? 0)} 作成・元の記録：{baseline.sessions.join("、") || "-"}
+        </div>
+      )}
+
+      {baseData
+        ? <div style={chartBox}><Line data={baseData} options={chartOptions(yTitle)} /></div>
+        : baseline && <div style={{ marginTop:6, color:"#666", fontSize:13 }}>このベースラインには {labelOf(metric)} がありません。</div>}
+
+      {scored && (
+        <div style={{ marginTop:6 }}>
+          <b>{scored.name}：{scored.res.score ?? "-"} 点</b>
+          <span style={{ marginLeft:8, fontSize:12, color:"#666" }}>（ベースラインの ±SD に入っている割合の平均）</span>
+          <table style={{ fontSize:13, borderCollapse:"collapse", marginTop:4 }}>
+            <thead>
+              <tr>
+                {["指標", "±SD 内", "平均 z", "RMSE"].map(h => <th key={h} style={{ ...cell, textAlign:"left" }}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {scored.res.results.map(r => (
+                <tr key={r.key}>
+                  <td style={cell}>{labelOf(r.key)}</td>
+                  <td style={cell}>{r.within == null ? "サイクルなし" : pct(r.within)}</td>
+                  <td style={cell}>{f1(r.z)}</td>
+                  <td style={cell}>{f1(r.rmse)}{r.rmse == null ? "" : metricUnit(r.key)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!scored.res.results.length && <div style={{ fontSize:13, color:"#666" }}>チェックした指標がベースラインにありません。</div>}
+        </div>
+      )}
+
+      <div style={{ fontSize:12, color:"#666", marginTop:4 }}>
+        「重ねて比較」は選んだ記録それぞれの平均サイクルを同じ 0-100% の横軸に並べます。
+        ベースラインは選んだ記録の採用サイクルをまとめた平均 ± SD で、採点は比較パネルでチェックした指標を使います。
+      </div>
+    </div>
+  );
+}
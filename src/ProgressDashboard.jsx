@@ -0,0 +1,175 @@
+// src/ProgressDashboard.jsx
+// 経過ダッシュボード：ライブラリの記録ごとの要約値（ケイデンス・体幹前傾・左右差・採点・サイクル長の SD）を
+// 日付順に並べ、タグで絞り込んで傾向（直線）を見る
+import { useEffect, useRef, useState } from "react";
+import { Line } from "react-chartjs-2";
+import { Chart as ChartJS, LineElement, PointElement, LinearScale, Tooltip } from "chart.js";
+import { PROGRESS_METRICS, sessionSummary, filterByTags, progressSeries, recordedTime } from "./analysis";
+import { listSessions, getSession, formatDate } from "./sessionStore";
+
+ChartJS.register(LineElement, PointElement, LinearScale, Tooltip);
+
+const VERDICTS = {
+  better: { text: "改善", color: "#27AE60" },
+  worse:  { text: "悪化", color: "#C0392B" },
+  flat:   { text: "横ばい", color: "#888" },
+};
+const ARROWS = { up: "↗", down: "↘", flat: "→" };
+const POINT_COLOR = "#2A6EBB";
+
+const fmt = (v, unit) => (v == null ? "-" : `${Math.abs(v) >= 10 ? v.toFixed(0) : Math.abs(v) >= 1 ? v.toFixed(1) : v.toFixed(3)}${unit}`);
+const signed = (v, unit) => `${v > 0 ? "+" : v < 0 ? "−" : "±"}${fmt(Math.abs(v), unit)}`;
+
+// 1 指標分のカード（推移の点と傾向の直線）
+function MetricCard({ def, series, names }) {
+  const { points, trend } = series;
+  const verdict = trend && (VERDICTS[trend.verdict] ?? { text: "", color: "#2A6EBB" });
+  const data = {
+    datasets: [
+      { label: def.label, data: points, borderColor: POINT_COLOR + "88", backgroundColor: POINT_COLOR,
+        borderWidth: 1, pointRadius: 3 },
+      ...(trend ? [{ label: "傾向", data: trend.line, borderColor: verdict.color, borderWidth: 2,
+        borderDash: [6, 4], pointRadius: 0 }] : []),
+    ],
+  };
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: { type: "linear", ticks: { maxTicksLimit: 5, callback: (v) => formatDate(v).slice(5, 10) } },
+      y: { ticks: { maxTicksLimit: 5 } },
+    },
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        filter: (item) => item.datasetIndex === 0,
+        callbacks: {
+          title: (items) => items.map(it => `${names.get(it.raw.id) ?? ""} ${formatDate(it.raw.x)}`),
+          label: (item) => fmt(item.raw.y, def.unit),
+        },
+      },
+    },
+  };
+  return (
+    <div style={{ border:"1px solid #E6F2FA", borderRadius:8, padding:6 }}>
+      <div style={{ display:"flex", justifyContent:"space-between", fontSize:13 }}>
+        <b>{def.label}</b>
+        <span>最新 {fmt(points[points.length - 1]?.y ?? null, def.unit)}</span>
+      </div>
+      <div style={{ fontSize:12, color: verdict?.color ?? "#888", minHeight:18 }}>
+        {trend
+          ? <>{ARROWS[trend.dir]} {verdict.text} 期間で {signed(trend.change, def.unit)}（1週あたり {signed(trend.slopePerWeek, def.unit)}）</>
+          : `傾向は 3 記録から（${points.length} 記録）`}
+      </div>
+      <div style={{ height:140 }}>
+        {points.length > 0 && <Line data={data} options={options} />}
+      </div>
+    </div>
+  );
+}
+
+// ruleSet : フォーム採点のルールセット（feedback.js。なければ採点は出さない）
+// cycleKey : サイクル長の SD を出す指標（比較と同じ切り出し方）
+export default function ProgressDashboard({ ruleSet = null, cycleKey = "kneeL", buttonStyle }) {
+  const [sessions, setSessions] = useState([]);
+  const [summaries, setSummaries] = useState({}); // id → sessionSummary の結果
+  const [progress, setProgress] = useState(null); // 集計中 {done, total}
+  const [tags, setTags] = useState([]);
+  const [tagMode, setTagMode] = useState("any");
+  const [metricKeys, setMetricKeys] = useState(PROGRESS_METRICS.map(m => m.key));
+  const runRef = useRef(0); // 集計し直したら古い集計は捨てる
+
+  // 要約は記録全体を読み込んで計算するので、開いたとき・ルールが変わったとき・「更新」でまとめて行う
+  const summarizeAll = async () => {
+    const run = ++runRef.current;
+    try {
+      const list = (await listSessions()).filter(s => s.count > 0);
+      setSessions(list);
+      const out = {};
+      for (let k = 0; k < list.length; k++) {
+        if (runRef.current !== run) return;
+        setProgress({ done: k, total: list.length });
+        await new Promise(r => setTimeout(r, 0)); // 記録ごとに画面を更新させる
+        const full = await getSession(list[k].id);
+        if (full?.samples.length) out[list[k].id] = sessionSummary(full.samples, { ruleSet, cycleKey });
+      }
+      if (runRef.current === run) setSummaries(out);
+    } catch (e) {
+      console.warn("progress dashboard error:", e?.message || e);
+      alert(`経過の集計に失敗しました：${e?.message || e}`);
+    } finally {
+      if (runRef.current === run) setProgress(null);
+    }
+  };
+  const summarizeRef = useRef(summarizeAll);
+  summarizeRef.current = summarizeAll;
+  useEffect(() => { summarizeRef.current(); }, [ruleSet, cycleKey]);
+  useEffect(() => () => { runRef.current++; }, []);
+
+  const allTags = [...new Set(sessions.flatMap(s => s.tags ?? []))].sort();
+  const shown = filterByTags(sessions, tags, tagMode).filter(s => summaries[s.id]);
+  // 横軸は撮った日時（古い動画をあとから保存しても、保存した日にまとまらないように）
+  const entries = shown.map(s => ({ id: s.id, time: recordedTime(s), summary: summaries[s.id] }));
+  const names = new Map(shown.map(s => [s.id, s.name]));
+  const toggle = (list, x) => (list.includes(x) ? list.filter(y => y !== x) : [...list, x]);
+  const chip = (on) => ({
+    padding:"2px 8px", borderRadius:12, fontSize:12, cursor:"pointer",
+    border:"1px solid #8FD3FF", background: on ? "#8FD3FF" : "#FFFFFF", color:"#333",
+  });
+
+  return (
+    <div style={{
+      marginTop:10, background:"#FFFFFF", border:"1px solid #CCE7F5", borderRadius:12, padding:8,
+      boxShadow:"0 2px 6px rgba(0,0,0,0.05)", fontSize:14, color:"#333"
+    }}>
+      <div style={{ display:"flex", gap:8, flexWrap:"wrap", alignItems:"center" }}>
+        <b>📈 経過ダッシュボード</b>
+        <button style={{ ...buttonStyle, padding:"4px 10px", fontSize:13 }} onClick={summarizeAll} disabled={!!progress}>更新</button>
+        {progress && <span style={{ color:"#666" }}>集計中… {progress.done} / {progress.total}</span>}
+        <span style={{ color:"#666" }}>{shown.length} / {sessions.length} 記録</span>
+      </div>
+
+      {allTags.length > 0 && (
+        <div style={{ display:"flex", gap:6, flexWrap:"wrap", alignItems:"center", marginTop:6 }}>
+          <span style={{ fontSize:13 }}>タグ:</span>
+          {allTags.map(t => (
+            <span key={t} style={chip(tags.includes(t))} onClick={()=>setTags(toggle(tags, t))}>#{t}</span>
+          ))}
+          {tags.length > 1 && (
+            <select value={tagMode} onChange={e=>setTagMode(e.target.value)}>
+              <option value="any">どれかを含む</option>
+              <option value="all">すべて含む</option>
+            </select>
+          )}
+          {tags.length > 0 && <span style={{ ...chip(false), color:"#666" }} onClick={()=>setTags([])}>解除</span>}
+        </div>
+      )}
+
+      <div style={{ display:"flex", gap:10, flexWrap:"wrap", marginTop:6, fontSize:13 }}>
+        {PROGRESS_METRICS.map(m => (
+          <label key={m.key}>
+            <input type="checkbox" checked={metricKeys.includes(m.key)} onChange={()=>setMetricKeys(toggle(metricKeys, m.key))} /> {m.label}
+          </label>
+        ))}
+      </div>
+
+      {entries.length > 0 ? (
+        <div style={{ display:"grid", gridTemplateColumns:"repeat(auto-fill, minmax(280px, 1fr))", gap:8, marginTop:6 }}>
+          {PROGRESS_METRICS.filter(m => metricKeys.includes(m.key)).map(def => (
+            <MetricCard key={def.key} def={def} series={progressSeries(entries, def.key)} names={names} />
+          ))}
+        </div>
+      ) : !progress && (
+        <div style={{ marginTop:6, color:"#666", fontSize:13 }}>
+          {sessions.length ? "条件に合う記録がありません。タグの絞り込みを変えてください。" : "ライブラリに記録を保存すると、ここに経過が並びます。"}
+        </div>
+      )}
+
+      <div style={{ fontSize:12, color:"#666", marginTop:4 }}>
+        ライブラリの記録を 1 つずつ要約して撮った日時の順に並べます（カメラは記録を始めた時刻、動画ファイルはファイルの日時。日時のない古い記録は保存した日時）。点線は最小二乗の直線で、期間全体の変化が小さいものは「横ばい」とします。
+        サイクル長の SD は {cycleKey} のサイクル（比較グラフと同じ区切り）の長さのばらつきで、小さいほど走りが安定しています。
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+// src/SessionLibrary.jsx
+// 記録のライブラリ（保存・一覧・名前とタグの変更・削除・検索、お手本／比較への読み込み）
+import { useEffect, useState } from "react";
+import { POSE_MODELS } from "./poseModels";
+import { VIEW_LABELS, toSessionFile, parseRecordingFile, recordedTime } from "./analysis";
+import { downloadText } from "./download";
+import {
+  saveSession, listSessions, getSession, updateSession, deleteSession, filterSessions, formatDate,
+} from "./sessionStore";
+
+const SOURCE_LABELS = { camera: "カメラ", file: "動画" };
+const parseTags = (text) => [...new Set(text.split(/[,、\s]+/).map(t => t.trim()).filter(Boolean))];
+
+// getCurrent() : 今の記録 {samples, calibration, frames, annotations, source, fileName, modelId, signal}（なければ null）
+// onUse(role, session) : "ref" | "cmp" に読み込む（session は samples・frames つき）
+// activeIds : {ref, cmp} いまお手本・比較に入っている記録の id
+// signal : 生のキーポイント（NDJSON）を読み込むときの信号処理の設定
+// refreshKey : 変わったら一覧を読み直す（ほかの画面から保存したとき）
+// onChange() : ここで保存・名前・タグの変更・削除をしたあとに呼ぶ（ほかの画面の一覧を読み直させる）
+export default function SessionLibrary({ getCurrent, onUse, onChange, signal = {}, activeIds = {}, refreshKey = 0, buttonStyle }) {
+  const [list, setList] = useState([]);
+  const [query, setQuery] = useState("");
+  const [name, setName] = useState("");
+  const [tags, setTags] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const refresh = () => listSessions().then(setList)
+    .catch(e => console.warn("listSessions error:", e?.message || e));
+  useEffect(() => { refresh(); }, [refreshKey]);
+
+  // 失敗したら理由を出す（保存容量の不足など）。changes は一覧を書き換える操作
+  const run = async (fn, { changes = true } = {}) => {
+    setBusy(true);
+    try {
+      await fn();
+      await refresh();
+      if (changes) onChange?.();
+    } catch (e) {
+      console.warn("session library error:", e?.message || e);
+      alert(`ライブラリの操作に失敗しました：${e?.message || e}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = () => {
+    const cur = getCurrent();
+    if (!cur?.samples.length) {
+      alert("記録データがありません。先に『記録開始 → 停止』してください。");
+      return;
+    }
+    run(async () => {
+      await saveSession({
+        ...cur,
+        name: name.trim() || `記録 ${formatDate(Date.now())}`,
+        tags: parseTags(tags),
+      });
+      setName("");
+    });
+  };
+  // 書き出した記録ファイル（JSON / NDJSON / CSV）をそのままライブラリに入れる
+  // 撮った日時（meta.recordedAt）があれば引き継ぐ。なければ保存した日時になる
+  const importFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    run(async () => {
+      const { samples, calibration, meta, frames, annotations, warnings } = parseRecordingFile(file.name, await file.text(), { signal });
+      const typed = parseTags(tags);
+      await saveSession({
+        name: name.trim() || meta.name || file.name.replace(/\.[^.]+$/, ""),
+        tags: typed.length ? typed : meta.tags ?? [],
+        source: meta.source ?? "file", fileName: meta.fileName ?? file.name, modelId: meta.modelId ?? null,
+        signal: meta.signal ?? null, calibration, samples, frames, annotations,
+        recordedAt: typeof meta.recordedAt === "number" && isFinite(meta.recordedAt) ? meta.recordedAt : null,
+      });
+      setName("");
+      if (warnings.length) alert(`「${file.name}」を読み込みました。\n${warnings.join("\n")}`);
+    });
+  };
+  const rename = (s) => {
+    const next = prompt("記録の名前", s.name);
+    if (next == null || !next.trim()) return;
+    run(() => updateSession(s.id, { name: next.trim() }));
+  };
+  const editTags = (s) => {
+    const next = prompt("タグ（カンマ区切り）", (s.tags ?? []).join(", "));
+    if (next == null) return;
+    run(() => updateSession(s.id, { tags: parseTags(next) }));
+  };
+  const remove = (s) => {
+    if (!confirm(`「${s.name}」を削除しますか？（元に戻せません）`)) return;
+    run(() => deleteSession(s.id));
+  };
+  const loadAs = (role, s) => run(async () => {
+    const full = await getSession(s.id);
+    if (!full) throw new Error("記録が見つかりません");
+    onUse(role, full);
+  }, { changes: false });
+
+  // JSON の記録ファイルに書き出す（コーチに送る・別の端末で読み込む）
+  const exportJSON = (s) => run(async () => {
+    const full = await getSession(s.id);
+    if (!full) throw new Error("記録が見つかりません");
+    const {
+      id: _id, samples, calibration, frames, annotations, count: _c, duration: _d, view: _v, hasFrames: _h, ...meta
+    } = full;
+    const file = toSessionFile({ samples, calibration, frames, annotations: annotations ?? [], meta });
+    downloadText(JSON.stringify(file), `${s.name}.json`, "application/json");
+  }, { changes: false });
+
+  const shown = filterSessions(list, query);
+  const cell = { padding:"2px 6px", borderBottom:"1px solid #E6F2FA" };
+  const small = { ...buttonStyle, padding:"4px 8px", fontSize:12 };
+
+  return (
+    <div style={{
+      marginTop:10, background:"#FFFFFF", border:"1px solid #CCE7F5", borderRadius:12, padding:8,
+      boxShadow:"0 2px 6px rgba(0,0,0,0.05)", fontSize:14, color:"#333"
+    }}>
+      <div style={{ display:"flex", gap:8, flexWrap:"wrap", alignItems:"center" }}>
+        <b>📚 記録ライブラリ</b>
+        <input value={name} onChange={e=>setName(e.target.value)} placeholder="名前（空なら日時）" style={{ width:160 }} />
+        <input value={tags} onChange={e=>setTags(e.target.value)} placeholder="タグ（例：5km走, 右膝）" style={{ width:160 }} />
+        <button style={buttonStyle} onClick={save} disabled={busy}>今の記録をライブラリに保存</button>
+        <label style={{ ...buttonStyle, cursor:"pointer" }}>
+          📥 記録ファイルを読み込んで保存
+          <input type="file" accept=".csv,.json,.ndjson,text/csv,application/json" onChange={importFile} disabled={busy} style={{ display:"none" }} />
+        </label>
+        <input value={query} onChange={e=>setQuery(e.target.value)} placeholder="🔍 名前・タグ・日付で検索" style={{ width:180 }} />
+        <span style={{ color:"#666" }}>{shown.length} / {list.length} 件</span>
+      </div>
+
+      {shown.length > 0 && (
+        <div style={{ maxHeight:240, overflowY:"auto", marginTop:6 }}>
+          <table style={{ fontSize:13, borderCollapse:"collapse", width:"100%" }}>
+            <thead>
+              <tr>
+                {["名前", "日時", "タグ", "入力", "モデル", "長さ", "方向", ""].map((h, k) => (
+                  <th key={k} style={{ ...cell, textAlign:"left" }}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(s => {
+                const active = [s.id === activeIds.ref && "お手本", s.id === activeIds.cmp && "比較"].filter(Boolean);
+                return (
+                  <tr key={s.id} style={{ background: active.length ? "#F0F8FF" : undefined }}>
+                    <td style={cell}>
+                      <span onClick={()=>rename(s)} title="クリックで名前を変更" style={{ cursor:"pointer" }}>
+                        {s.name}{s.calibration ? " 📏" : ""}{s.hasFrames ? " 🦴" : ""}{s.annotations?.length ? ` 📝${s.annotations.length}` : ""}
+                      </span>
+                      {active.length > 0 && <span style={{ color:"#2A6EBB" }}>（{active.join("・")}）</span>}
+                    </td>
+                    <td style={cell} title={`保存 ${formatDate(s.createdAt)}`}>{formatDate(recordedTime(s))}</td>
+                    <td style={cell}>
+                      <span onClick={()=>editTags(s)} title="クリックでタグを変更" style={{ cursor:"pointer", color: s.tags?.length ? "#333" : "#aaa" }}>
+                        {s.tags?.length ? s.tags.map(t => `#${t}`).join(" ") : "＋タグ"}
+                      </span>
+                    </td>
+                    <td style={cell}>{SOURCE_LABELS[s.source] ?? "-"}{s.fileName ? `（${s.fileName}）` : ""}</td>
+                    <td style={cell}>{POSE_MODELS[s.modelId]?.label.replace(/（.*）/, "") ?? s.modelId ?? "-"}</td>
+                    <td style={cell}>{s.duration.toFixed(1)}秒</td>
+                    <td style={cell}>{VIEW_LABELS[s.view] ?? "-"}</td>
+                    <td style={{ ...cell, whiteSpace:"nowrap" }}>
+                      <button style={small} onClick={()=>loadAs("ref", s)} disabled={busy}>お手本に</button>
+                      <button style={small} onClick={()=>loadAs("cmp", s)} disabled={busy}>比較に</button>
+                      <button style={small} onClick={()=>exportJSON(s)} disabled={busy}>書き出し</button>
+                      <button style={{ ...small, background:"#E57373" }} onClick={()=>remove(s)} disabled={busy}>削除</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
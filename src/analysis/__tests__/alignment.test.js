@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findBestLag, dtw, warpToReference, compareSessions, detectGaitEvents, withDerivedMetrics } from "../index.js";
+import { makeRunSeries, toSamples } from "./fixtures.js";
+
+const near = (a, b, eps, msg = "") => assert.ok(Math.abs(a - b) < eps, `${msg} ${a} ≉ ${b}`);
+
+test("findBestLag: 比較の時刻 t + lagSec がお手本の t に重なる", () => {
+  const refT = Array.from({ length: 60 }, (_, i) => i / 10);
+  const f = (t) => Math.sin(2 * Math.PI * t / 3) + 0.5 * Math.sin(2 * Math.PI * t / 1.3);
+  const refY = refT.map(f);
+  const cmpT = refT;
+  const cmpY = cmpT.map(t => f(t - 0.4));
+  const best = findBestLag([{ refT, refY, cmpT, cmpY }], { maxLagSec: 1 });
+  near(best.lagSec, 0.4, 0.051);
+  assert.ok(best.r > 0.9, `r=${best.r}`);
+  assert.equal(findBestLag([{ refT, refY: refT.map(() => null), cmpT, cmpY }]), null);
+});
+
+test("dtw: 同じ列なら距離 0 で対角線、伸びた列も差なく対応づける", () => {
+  const a = [0, 1, 2, 3, 2, 1, 0];
+  const same = dtw(a, a);
+  assert.equal(same.distance, 0);
+  assert.deepEqual(same.path, a.map((_, i) => [i, i]));
+
+  const b = [0, 0, 1, 1, 2, 2, 3, 3, 2, 2, 1, 1, 0, 0];
+  const res = dtw(a, b, { band: 0.5 });
+  assert.equal(res.distance, 0);
+  assert.deepEqual(res.path[0], [0, 0]);
+  assert.deepEqual(res.path[res.path.length - 1], [a.length - 1, b.length - 1]);
+  const w = warpToReference(res.path, b, a.length);
+  assert.deepEqual(w.values, a);
+  assert.ok(w.index.every((j, i) => i === 0 || j > w.index[i - 1]));
+});
+
+test("dtw: 長い記録でも帯の幅は maxBand で止まる", () => {
+  const n = 5000; // 10Hz で 8 分あまり。割合だけなら帯は 1000
+  const a = Array.from({ length: n }, (_, i) => Math.sin(i / 7));
+  const b = Array.from({ length: n + 200 }, (_, i) => Math.sin((i - 100) / 7));
+  const res = dtw(a, b);
+  assert.equal(res.band, 300);
+  assert.equal(dtw(a, b, { maxBand: 50 }).band, 50);
+  assert.equal(dtw(a.slice(0, 100), b.slice(0, 100)).band, 20); // 短ければ割合のまま
+  assert.deepEqual(res.path[0], [0, 0]);
+  assert.deepEqual(res.path[res.path.length - 1], [n - 1, n + 199]);
+  assert.ok(res.normalized < 0.05, `normalized=${res.normalized}`);
+});
+
+test("compareSessions(time, xcorr): 位相のずれを補正すると RMSE が下がる", () => {
+  const ref = toSamples(makeRunSeries({ fps: 30 }));
+  const cmp = toSamples(makeRunSeries({ fps: 30, phase: 1.3 }));
+  const none = compareSessions(ref, cmp, { metrics: ["kneeL"], cycleNormalize: false });
+  const xc = compareSessions(ref, cmp, { metrics: ["kneeL"], cycleNormalize: false, align: "xcorr" });
+  assert.equal(none.alignment, null);
+  assert.equal(xc.alignment.method, "xcorr");
+  // 位相 1.3 rad = 0.145 秒の先行（1 周期 0.7 秒の整数倍の違いは問わない）
+  const off = (((xc.alignment.lagSec + 1.3 / (2 * Math.PI) * 0.7) % 0.7) + 0.7) % 0.7;
+  assert.ok(off < 0.04 || off > 0.66, `lag=${xc.alignment.lagSec}`);
+  assert.ok(xc.rmse.kneeL < 2, `rmse=${xc.rmse.kneeL}`);
+  assert.ok(none.rmse.kneeL > 10, `rmse=${none.rmse.kneeL}`);
+});
+
+test("compareSessions(time, dtw): ピッチが違っても形が同じなら距離は小さい", () => {
+  const ref = toSamples(makeRunSeries({ fps: 10, period: 0.7 }));
+  const cmp = toSamples(makeRunSeries({ fps: 10, period: 0.6 }));
+  const none = compareSessions(ref, cmp, { metrics: ["kneeL"], cycleNormalize: false });
+  const r = compareSessions(ref, cmp, { metrics: ["kneeL"], cycleNormalize: false, align: "dtw" });
+  assert.equal(r.alignment.method, "dtw");
+  const s = r.series[0];
+  assert.equal(s.cmp.length, ref.length);
+  assert.equal(s.warp.length, ref.length);
+  assert.ok(s.warp.every((t, i) => i === 0 || t >= s.warp[i - 1]));
+  assert.ok(s.warp.every(t => t >= cmp[0].t && t <= cmp[cmp.length - 1].t)); // 対応づけた cmp の時刻
+  // 同じ記録どうしなら ref の時刻そのもの
+  const same = compareSessions(ref, ref, { metrics: ["kneeL"], cycleNormalize: false, align: "dtw" }).series[0];
+  assert.ok(same.warp.every((t, i) => Math.abs(t - ref[i].t) < 1e-9));
+  assert.ok(r.alignment.distance.kneeL < none.rmse.kneeL / 2,
+    `dtw=${r.alignment.distance.kneeL} none=${none.rmse.kneeL}`);
+  assert.ok(s.events.cmp.ic.every(t => t >= 0 && t <= ref[ref.length - 1].t));
+  // イベントの時刻は warp を頭から探したのと同じ（cmp の各イベント → 対応づいた最初の ref の時刻）
+  const refT = ref.map(x => x.t);
+  const brute = (t) => refT[s.warp.findIndex(c => c != null && c >= t)];
+  const gait = detectGaitEvents(withDerivedMetrics(cmp)).left;
+  assert.deepEqual(s.events.cmp.ic, gait.map(st => brute(st.ic)).filter(t => t != null));
+  assert.deepEqual(s.events.cmp.to, gait.map(st => brute(st.to)).filter(t => t != null));
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeJointAngles, poseConfidence, createAngleSmoother } from "../index.js";
+import { runnerKeypoints } from "./fixtures.js";
+
+const near = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `${a} ≉ ${b}`);
+
+test("computeJointAngles: 合成ポーズから膝角度・体幹前傾を復元", () => {
+  const kp = runnerKeypoints({ kneeL: 120, kneeR: 165, thighL: 20, thighR: 15, trunk: 8 });
+  const a = computeJointAngles(kp);
+  near(a.kneeL, 120);
+  near(a.kneeR, 165);
+  near(a.trunk, 8);
+  // 股関節角 = 180 - (大腿角 + 前傾)
+  near(a.hipL, 180 - (20 + 8));
+  near(a.hipR, 180 - (15 + 8));
+});
+
+test("computeJointAngles: 名前→キーポイントのマップも受け付ける", () => {
+  const kp = runnerKeypoints({ kneeL: 150, kneeR: 150 });
+  const byName = Object.fromEntries(kp.map(k => [k.name, k]));
+  near(computeJointAngles(byName).kneeL, 150);
+});
+
+test("computeJointAngles: スコアの低い関節を使う角度だけ null", () => {
+  const kp = runnerKeypoints({ kneeL: 150, kneeR: 140 });
+  kp.find(k => k.name === "left_ankle").score = 0.1;
+  const a = computeJointAngles(kp);
+  assert.equal(a.kneeL, null);
+  near(a.kneeR, 140);
+  assert.ok(a.hipL != null && a.trunk != null);
+  near(computeJointAngles(kp, { minScore: 0.05 }).kneeL, 150);
+
+  // 奥の肩が隠れても、見えている肩で股関節・体幹を測る
+  kp.find(k => k.name === "right_shoulder").score = 0.1;
+  assert.ok(Math.abs(computeJointAngles(kp).trunk - computeJointAngles(runnerKeypoints({ kneeL: 150, kneeR: 140 })).trunk) < 1);
+
+  assert.equal(computeJointAngles(kp.map(k => ({ ...k, score: 0.1 }))), null);
+});
+
+test("poseConfidence: 主要な関節のスコアの平均", () => {
+  const kp = runnerKeypoints({ kneeL: 150, kneeR: 150 }, { score: 0.8 });
+  near(poseConfidence(kp), 0.8);
+  near(poseConfidence(kp.filter(k => k.name !== "left_ankle")), 0.8 * 7 / 8);
+});
+
+test("createAngleSmoother: 移動平均と左右差", () => {
+  const sm = createAngleSmoother({ window: 2 });
+  sm.push({ kneeL: 100, kneeR: 110, hipL: 170, hipR: 160, trunk: 5 });
+  const s = sm.push({ kneeL: 120, kneeR: 130, hipL: 170, hipR: 160, trunk: 7 });
+  assert.equal(s.kneeL, 110);
+  assert.equal(s.trunk, 6);
+  assert.equal(s.dKnee, 10);
+  assert.equal(s.dHip, 10);
+
+  sm.reset();
+  const empty = sm.push(null);
+  assert.equal(empty.kneeL, null);
+  assert.equal(empty.dKnee, null);
+});
+
+test("createAngleSmoother: 測れなかった値は前の値で埋めずに null", () => {
+  const sm = createAngleSmoother({ window: 3 });
+  sm.push({ kneeL: 100 });
+  assert.equal(sm.push({ kneeL: null }).kneeL, null);
+  assert.equal(sm.push({ kneeL: 110 }).kneeL, 105);
+});
+
+test("createAngleSmoother: One-Euro は t（秒）を使い、ゆっくりした動きほど強くならす", () => {
+  const sm = createAngleSmoother({ filter: "oneEuro", oneEuro: { minCutoff: 1, beta: 0 } });
+  assert.equal(sm.push({ kneeL: 100 }, 0).kneeL, 100);
+  const s = sm.push({ kneeL: 110 }, 0.1).kneeL;
+  assert.ok(s > 100 && s < 110, `s=${s}`);
+  const none = createAngleSmoother({ filter: "none" });
+  assert.equal(none.push({ kneeL: 123 }, 0).kneeL, 123);
+});
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { annotationMeasure, annotationText, annotationsAt, estimateFramePeriod, annotationColumn, checkAnnotations } from "../index.js";
+
+const near = (a, b, eps, msg = "") => assert.ok(Math.abs(a - b) < eps, `${msg} ${a} ≉ ${b}`);
+
+const line = { id: 1, t: 1.2, kind: "line", label: "すね", points: [{ x: 0, y: 0 }, { x: 10, y: 10 }] };
+const knee = { id: 2, t: 1.25, kind: "angle", label: "膝", points: [{ x: 0, y: -10 }, { x: 0, y: 0 }, { x: 10, y: 0 }] };
+const mark = { id: 3, t: 2, kind: "marker", label: "かかと接地", points: [] };
+
+test("annotationMeasure / annotationText: 線の傾きと角度", () => {
+  const m = annotationMeasure(line);
+  near(m.length, Math.SQRT2 * 10, 1e-9, "length");
+  near(m.incline, 45, 1e-9, "incline");
+  near(annotationMeasure(knee).angle, 90, 1e-9, "angle");
+  assert.equal(annotationMeasure(mark), null);
+  assert.equal(annotationText(knee), "膝 90.0°");
+  assert.equal(annotationText(line), "すね 水平から 45.0°");
+  assert.equal(annotationText(mark), "かかと接地");
+});
+
+test("annotationsAt / annotationColumn: 時刻の近い注釈と CSV の行", () => {
+  const list = [mark, knee, line];
+  assert.deepEqual(annotationsAt(list, 1.22).map(a => a.id), [2, 1]);
+  assert.deepEqual(annotationsAt(list, 1.6), []);
+  assert.deepEqual(annotationColumn([1, 1.2, 1.4, 2], list), ["", "すね 水平から 45.0° / 膝 90.0°", "", "かかと接地"]);
+});
+
+test("estimateFramePeriod: 表示されたコマの再生位置から 1 コマの長さ", () => {
+  const frames = (fps, n, every = 1) => Array.from({ length: n }, (_, k) => (k * every) / fps);
+  near(estimateFramePeriod(frames(30, 40)), 1 / 30, 1e-4, "30fps");
+  near(estimateFramePeriod(frames(60, 40)), 1 / 60, 1e-4, "60fps");
+  // 240fps を 60Hz で再生すると 4 コマおきに表示されるが、コマ送り（seek）で見たコマも混ぜれば間隔がわかる
+  const slow = [...frames(240, 40, 4), ...frames(240, 20, 1)];
+  near(estimateFramePeriod(slow), 1 / 240, 1e-4, "240fps");
+  // 同じコマが何度来ても・順番が前後しても同じ
+  near(estimateFramePeriod([...frames(60, 40), ...frames(60, 40)].reverse()), 1 / 60, 1e-4, "dup");
+  assert.equal(estimateFramePeriod([0, 0.1, 0.2]), 1 / 30);
+  assert.equal(estimateFramePeriod([], { fallback: 0.05 }), 0.05);
+});
+
+test("checkAnnotations: 形の検査と id の振り直し", () => {
+  assert.deepEqual(checkAnnotations(null), []);
+  assert.deepEqual(checkAnnotations([{ t: 1, kind: "marker" }]), [{ id: 1, t: 1, kind: "marker", label: "", points: [] }]);
+  assert.throws(() => checkAnnotations({}), /配列/);
+  assert.throws(() => checkAnnotations([{ t: "1", kind: "marker" }]), /annotations\[0\]\.t/);
+  assert.throws(() => checkAnnotations([{ t: 1, kind: "circle" }]), /kind/);
+  assert.throws(() => checkAnnotations([{ ...line, points: [{ x: 0, y: 0 }] }]), /line には \{x, y\} が 2 点/);
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compareMany, buildBaseline, parseBaseline, scoreAgainstBaseline, BASELINE_LABELS } from "../index.js";
+import { makeRunSeries, toSamples } from "./fixtures.js";
+
+const run = (opts) => ({ samples: toSamples(makeRunSeries({ fps: 30, ...opts })), name: JSON.stringify(opts) });
+
+test("compareMany: 記録ごとの平均サイクルを同じ横軸に並べる", () => {
+  const res = compareMany([run({ kneeAmp: 30 }), run({ kneeAmp: 40 }), { samples: [] }], { metrics: ["kneeL"] });
+  assert.equal(res.labels, BASELINE_LABELS);
+  assert.equal(res.labels.length, 100);
+  const [a, b, none] = res.series[0].sessions;
+  assert.equal(none, null);
+  assert.equal(a.mean.length, 100);
+  assert.ok(a.cycles >= 5);
+  const range = (v) => Math.max(...v) - Math.min(...v);
+  assert.ok(range(b.mean) > range(a.mean) + 10, `${range(b.mean)} vs ${range(a.mean)}`);
+});
+
+test("buildBaseline: 選んだ記録のサイクルをまとめた平均 ± SD", () => {
+  const base = buildBaseline([run({ kneeAmp: 28 }), run({ kneeAmp: 32 })], { metrics: ["kneeL", "valgusL"], name: "いつもの" });
+  assert.equal(base.name, "いつもの");
+  assert.deepEqual(Object.keys(base.metrics), ["kneeL"]); // 横から撮った記録に内倒れのサイクルはない
+  const m = base.metrics.kneeL;
+  assert.equal(m.sessions, 2);
+  assert.ok(m.cycles >= 10);
+  // 振れ幅の違う 2 記録を混ぜたので、SD は山・谷で大きい
+  assert.ok(Math.max(...m.sd) > 1, `sd max=${Math.max(...m.sd)}`);
+
+  assert.throws(() => buildBaseline([{ samples: [] }], { metrics: ["kneeL"] }), /ベースラインを作れません/);
+});
+
+test("parseBaseline: 書き出した JSON を読み戻し、壊れたものは場所つきで断る", () => {
+  const base = buildBaseline([run({})], { metrics: ["kneeL"] });
+  const back = parseBaseline(JSON.stringify(base));
+  assert.deepEqual(back, base);
+  assert.throws(() => parseBaseline("{"), /JSON を読めません/);
+  assert.throws(() => parseBaseline({ format: "other" }), /ベースラインのファイルではありません/);
+  assert.throws(() => parseBaseline({ ...base, version: 99 }), /version 99/);
+  assert.throws(() => parseBaseline({ ...base, version: undefined }), /version/);
+  assert.throws(() => parseBaseline({ ...base, version: "2" }), /version/);
+  assert.throws(() => parseBaseline({ ...base, version: 1.5 }), /version/);
+  assert.throws(() => parseBaseline({ ...base, version: 0 }), /version/);
+  assert.throws(() => parseBaseline({ ...base, version: -1 }), /version/);
+  assert.throws(() => parseBaseline({ ...base, metrics: { kneeL: { mean: [1, 2], sd: [] } } }), /metrics\.kneeL/);
+});
+
+test("scoreAgainstBaseline: 帯に収まる割合で採点", () => {
+  const base = buildBaseline([run({ kneeAmp: 28 }), run({ kneeAmp: 32 })], { metrics: ["kneeL"] });
+  const same = scoreAgainstBaseline(run({ kneeAmp: 30 }).samples, base);
+  const off = scoreAgainstBaseline(run({ kneeAmp: 30, kneeMean: 160 }).samples, base);
+  assert.ok(same.score >= 90, `same=${same.score}`);
+  assert.ok(off.score < 30, `off=${off.score}`);
+  assert.ok(off.results[0].z > same.results[0].z);
+  assert.equal(off.results[0].diff.length, 100);
+
+  const none = scoreAgainstBaseline([], base);
+  assert.equal(none.score, null);
+  assert.equal(none.results[0].within, null);
+});
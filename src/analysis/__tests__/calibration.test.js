@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scaleFromHeight, scaleFromPoints, resolveCalibration, summarizeDistances } from "../index.js";
+
+const near = (a, b, eps, msg = "") => assert.ok(Math.abs(a - b) < eps, `${msg} ${a} ≉ ${b}`);
+
+test("scaleFromHeight / scaleFromPoints", () => {
+  assert.equal(scaleFromHeight([{ heightPx: 330 }, { heightPx: 340 }, { heightPx: 350 }], 170), 0.5);
+  assert.equal(scaleFromHeight([{ heightPx: null }], 170), null);
+  assert.equal(scaleFromPoints({ x: 0, y: 0 }, { x: 300, y: 400 }, 100), 0.2);
+  assert.equal(scaleFromPoints({ x: 1, y: 1 }, { x: 1, y: 1 }, 100), null);
+});
+
+test("resolveCalibration: 身長方式は記録ごとに換算を決める", () => {
+  const samples = [{ heightPx: 340 }];
+  assert.deepEqual(resolveCalibration({ method: "height", heightCm: 170 }, samples),
+    { method: "height", heightCm: 170, cmPerPx: 0.5 });
+  const pts = { method: "points", knownCm: 100, points: [], cmPerPx: 0.2 };
+  assert.deepEqual(resolveCalibration(pts, samples), pts);
+  assert.equal(resolveCalibration(null, samples), null);
+  assert.equal(resolveCalibration({ method: "height", heightCm: 170 }, [{}]), null);
+});
+
+// 右向きに 200px/s で進むランナー。左は 0.7s ごと、右は 0.35s ずらして接地
+const V = 200, STRIDE_T = 0.7;
+const ics = (offset) => Array.from({ length: 5 }, (_, i) => offset + i * STRIDE_T);
+const gait = {
+  left: ics(0).map(ic => ({ side: "left", ic, to: ic + 0.2 })),
+  right: ics(0.35).map(ic => ({ side: "right", ic, to: ic + 0.2 })),
+};
+const lastIc = (list, t) => list.filter(ic => ic <= t + 1e-9).at(-1) ?? list[0];
+const samples = Array.from({ length: 350 }, (_, i) => {
+  const t = i / 100;
+  return {
+    t,
+    footLx: V * lastIc(ics(0), t),
+    footRx: V * lastIc(ics(0.35), t),
+    hipY: 300 + 5 * Math.cos(2 * Math.PI * t / 0.35),
+    heightPx: 340,
+    reachL: 10, reachR: 10,
+  };
+});
+
+test("summarizeDistances: 上下動・着地位置・歩幅・速度", () => {
+  const d = summarizeDistances(samples, { cmPerPx: 0.5, gait });
+  near(d.vOscCm, 5, 0.1, "vOsc");
+  near(d.overstrideCm.left, 17, 1e-6, "overstride");
+  near(d.stepCm, V * 0.35 * 0.5, 1e-6, "step");
+  near(d.strideCm, V * 0.7 * 0.5, 1e-6, "stride");
+  near(d.speedKmh, (V * 0.5 / 100) * 3.6, 1e-6, "speed");
+});
+
+test("summarizeDistances: 換算が無ければ null", () => {
+  const d = summarizeDistances(samples, { cmPerPx: null, gait });
+  assert.equal(d.stepCm, null);
+  assert.equal(d.overstrideCm.left, null);
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  framingCheck, framingMessage, isSteadyRunning, captureProgress, frameStats, captureQuality,
+} from "../index.js";
+import { makeRunSeries, toSamples, runnerKeypoints } from "./fixtures.js";
+
+const KP = runnerKeypoints({ kneeL: 150, kneeR: 150 }); // 腰 (400, 300), 足首は y ≈ 487
+
+test("framingCheck: 部位の欠け・画面の端を見つける", () => {
+  const ok = framingCheck(KP, { width: 960, height: 600 });
+  assert.equal(ok.ok, true);
+  assert.equal(ok.visible, 1);
+  assert.equal(framingMessage(ok), "全身が入っています");
+
+  // 奥側（右）の脚が隠れても、左が見えていればよい
+  const side = framingCheck(KP.map(k => (k.name.startsWith("right_") ? { ...k, score: 0.1 } : k)), { width: 960, height: 600 });
+  assert.equal(side.ok, true);
+
+  const noFeet = framingCheck(KP.filter(k => !k.name.endsWith("_ankle")), { width: 960, height: 600 });
+  assert.deepEqual(noFeet.missing, ["足首"]);
+  assert.equal(noFeet.visible, 0.8);
+  assert.match(framingMessage(noFeet), /^足首が映っていません/);
+
+  const cut = framingCheck(KP, { width: 960, height: 495 });
+  assert.deepEqual(cut.edges, ["bottom"]);
+  assert.match(framingMessage(cut), /足元が画面の端/);
+
+  assert.equal(framingCheck([], { width: 960, height: 600 }).visible, 0);
+  assert.match(framingMessage(null), /人が見つかりません/);
+});
+
+test("isSteadyRunning: 直近のサイクルがそろっていれば安定", () => {
+  const run = toSamples(makeRunSeries({ duration: 6 }));
+  const r = isSteadyRunning(run);
+  assert.equal(r.steady, true);
+  assert.ok(r.cv < 0.15, `cv=${r.cv}`); // 10Hz で切り出すのでサイクル長は ±0.1 秒ぶれる
+
+  // 立ち止まっている（膝が動かない）
+  const still = toSamples(makeRunSeries({ duration: 6, kneeAmp: 0, thighAmp: 0 }));
+  assert.equal(isSteadyRunning(still).steady, false);
+  assert.equal(isSteadyRunning([]).steady, false);
+});
+
+test("captureProgress: 秒数・サイクル数で止める", () => {
+  const run = toSamples(makeRunSeries({ duration: 6 }));
+  const d = captureProgress(run, { mode: "duration", seconds: 10 }, 6);
+  assert.equal(d.done, false);
+  assert.ok(Math.abs(d.progress - 0.6) < 1e-9, `${d.progress}`);
+  assert.equal(captureProgress(run, { mode: "duration", seconds: 5 }, 6).done, true);
+  // 秒数はサンプルではなく経過時間で数える（人が映らずサンプルがなくても止まる）
+  assert.equal(captureProgress(run.slice(0, 10), { mode: "duration", seconds: 5 }, 5.2).done, true);
+  assert.equal(captureProgress([], { mode: "duration", seconds: 5 }, 5).done, true);
+
+  const c = captureProgress(run, { mode: "cycles", cycles: 5, key: "kneeL" });
+  assert.equal(c.done, true);
+  assert.ok(c.count >= 5);
+  assert.equal(captureProgress([], { mode: "cycles", cycles: 5 }).progress, 0);
+});
+
+test("frameStats: 明るさと、くっきり具合", () => {
+  const image = (w, h, f) => {
+    const data = new Uint8ClampedArray(w * h * 4);
+    for (let y = 0; y < h; y++) for (let x = 0; x < w; x++) {
+      const v = f(x, y), i = 4 * (y * w + x);
+      data[i] = data[i + 1] = data[i + 2] = v;
+      data[i + 3] = 255;
+    }
+    return { data, width: w, height: h };
+  };
+  const flat = frameStats(image(16, 16, () => 40));
+  assert.ok(Math.abs(flat.brightness - 40) < 1e-3);
+  assert.equal(flat.sharpness, 0);
+  const checker = frameStats(image(16, 16, (x, y) => ((x + y) % 2 ? 200 : 50)));
+  const smooth = frameStats(image(16, 16, (x) => 50 + x * 10));
+  assert.ok(checker.sharpness > 1000 && smooth.sharpness < 1, `${checker.sharpness} / ${smooth.sharpness}`);
+});
+
+test("captureQuality: 撮り直したほうがよい理由", () => {
+  const samples = toSamples(makeRunSeries({ duration: 8 }));
+  const good = captureQuality({ samples, seen: 200, fullBody: 190, durationSec: 8, stats: [{ brightness: 120, sharpness: 80 }] });
+  assert.equal(good.ok, true);
+  assert.deepEqual(good.issues, []);
+  assert.ok(good.cycles >= 6);
+  assert.equal(good.fps, 25);
+
+  const poor = captureQuality({ samples: samples.slice(0, 12), seen: 24, fullBody: 6, durationSec: 8, stats: [{ brightness: 30, sharpness: 5 }] });
+  assert.equal(poor.ok, false);
+  assert.deepEqual(poor.issues.map(i => i.level), ["bad", "bad", "bad", "warn", "warn"]);
+  assert.match(poor.issues[0].text, /25%/);
+});
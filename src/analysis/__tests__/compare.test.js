@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { segmentCycles, summarizeCycles, compareSessions } from "../index.js";
+import { makeRunSeries, toSamples } from "./fixtures.js";
+
+test("segmentCycles: 膝角度の谷から周期を切り出す", () => {
+  const samples = toSamples(makeRunSeries({ duration: 6, fps: 30, period: 0.7 }));
+  const { peaks, cycles } = segmentCycles(samples, "kneeL");
+  assert.ok(peaks.length >= 7, `peaks=${peaks.length}`);
+  assert.equal(cycles.length, peaks.length - 1);
+  assert.equal(cycles[0].normV.length, 100);
+
+  const s = summarizeCycles(cycles);
+  assert.ok(Math.abs(s.avg - 0.7) < 0.05, `avg=${s.avg}`);
+  assert.equal(s.count, cycles.length);
+});
+
+test("compareSessions(cycle): 同じ走りなら RMSE ≈ 0", () => {
+  const ref = toSamples(makeRunSeries({ fps: 30 }));
+  const cmp = toSamples(makeRunSeries({ fps: 30, phase: 1.3 }));
+  const r = compareSessions(ref, cmp, { metrics: ["kneeL", "kneeR"], cycleNormalize: true });
+  assert.equal(r.mode, "cycle");
+  assert.deepEqual(r.series.map(s => s.key), ["kneeL", "kneeR"]);
+  assert.equal(r.labels.length, 100);
+  assert.ok(r.rmse.kneeL < 2, `rmse=${r.rmse.kneeL}`);
+  assert.ok(r.stats.ref.count > 0 && r.stats.cmp.count > 0);
+});
+
+test("compareSessions(cycle): 膝の曲がりが浅いと RMSE が大きくなる", () => {
+  const ref = toSamples(makeRunSeries({ fps: 30 }));
+  const cmp = toSamples(makeRunSeries({ fps: 30, kneeAmp: 15 }));
+  const r = compareSessions(ref, cmp, { metrics: ["kneeL"], cycleNormalize: true });
+  assert.ok(r.rmse.kneeL > 5, `rmse=${r.rmse.kneeL}`);
+});
+
+test("compareSessions(time): ref の時刻に cmp を補間する", () => {
+  const ref = toSamples(makeRunSeries({ fps: 10 }));
+  const cmp = toSamples(makeRunSeries({ fps: 30 }));
+  const r = compareSessions(ref, cmp, { metrics: ["trunk"], cycleNormalize: false });
+  assert.equal(r.mode, "time");
+  assert.equal(r.labels.length, ref.length);
+  assert.equal(r.series[0].cmp.length, ref.length);
+  assert.ok(r.rmse.trunk < 1e-6);
+});
+
+test("compareSessions: 周期が取れない指標は series に入らない", () => {
+  const flat = toSamples(makeRunSeries({ kneeAmp: 0 }));
+  const r = compareSessions(flat, flat, { metrics: ["kneeL"], cycleNormalize: true });
+  assert.equal(r.series.length, 0);
+});
+
+test("compareSessions: 接地イベントの位置と接地・滞空の統計", () => {
+  const ref = toSamples(makeRunSeries({ fps: 30 }));
+  const cmp = toSamples(makeRunSeries({ fps: 30, phase: 0.8 }));
+  const r = compareSessions(ref, cmp, { metrics: ["kneeL", "trunk"], cycleNormalize: true });
+  const knee = r.series.find(s => s.key === "kneeL");
+  assert.ok(knee.events.ref.ic >= 0 && knee.events.ref.ic < 1, `ic=${knee.events.ref.ic}`);
+  assert.ok(Math.abs(knee.events.ref.ic - knee.events.cmp.ic) < 0.05);
+  assert.equal(r.series.find(s => s.key === "trunk")?.events ?? null, null);
+  assert.ok(r.stats.gait.ref.steps > 0 && r.stats.gait.ref.contact > 0);
+  assert.ok(Math.abs(r.stats.steps.ref.cadence - 2 * 60 / 0.7) < 8, `cadence=${r.stats.steps.ref.cadence}`);
+
+  const t = compareSessions(ref, cmp, { metrics: ["kneeR"], cycleNormalize: false });
+  assert.ok(t.series[0].events.ref.ic.length > 0);
+});
+
+test("compareSessions: ケイデンスは選んだ指標によらない", () => {
+  const ref = toSamples(makeRunSeries({ fps: 30 }));
+  const cmp = toSamples(makeRunSeries({ fps: 30, period: 0.6 }));
+  const a = compareSessions(ref, cmp, { metrics: ["kneeL"], cycleNormalize: true });
+  const b = compareSessions(ref, cmp, { metrics: ["kneeL", "hipR"], cycleNormalize: true });
+  assert.deepEqual(a.stats.steps, b.stats.steps);
+  assert.ok(a.stats.steps.cmp.cadence > a.stats.steps.ref.cadence);
+});
+
+test("compareSessions: calibration のある側だけ実寸が出る", () => {
+  const ref = toSamples(makeRunSeries({ fps: 30, bounce: 8 }));
+  const r = compareSessions(ref, ref, {
+    metrics: ["kneeL"],
+    calibration: { ref: { method: "points", cmPerPx: 0.5 }, cmp: null },
+  });
+  assert.ok(r.stats.distances.ref.vOscCm > 0);
+  assert.equal(r.stats.distances.cmp.vOscCm, null);
+});
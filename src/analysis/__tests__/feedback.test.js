@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { FACT_KEYS, sessionFacts, parseRuleSet, evaluateRules } from "../index.js";
+import { makeRunSeries, toSamples } from "./fixtures.js";
+
+const near = (a, b, eps, msg = "") => assert.ok(Math.abs(a - b) < eps, `${msg} ${a} ≉ ${b}`);
+
+const RULES = parseRuleSet({
+  rules: [
+    {
+      id: "lean", fact: "trunkMean", label: { ja: "前傾", en: "Lean" }, unit: "°", weight: 2, ok: { min: 4, max: 12 }, warn: { min: 2, max: 16 },
+      feedback: { low: { ja: "起きすぎ {value}", en: "too upright {value}" }, high: { ja: "前傾しすぎ {value}", en: "too far {value}" } },
+    },
+    { id: "cad", fact: "cadence", label: { ja: "ピッチ", en: "Cadence" }, unit: { ja: " 歩/分", en: " spm" }, ok: { min: 165 }, warn: { min: 155 },
+      feedback: { low: { ja: "ピッチ {value}", en: "cadence {value}" } } },
+    { id: "valgus", fact: "valgus", label: { ja: "膝の内側への入り", en: "Valgus" }, views: ["front", "back"], ok: { max: 5 } },
+  ],
+});
+
+test("sessionFacts: 体幹・ケイデンス・左右差など記録の値", () => {
+  const f = sessionFacts(toSamples(makeRunSeries({ fps: 30, trunk: 10 })));
+  assert.equal(f.view, "side");
+  near(f.trunkMean, 10, 0.5, "trunk");
+  near(f.cadence, 2 * 60 / 0.7, 8, "cadence");
+  // 左右対称な走りなら可動域の左右差は小さい（dKnee の平均は大きくても）
+  assert.ok(f.kneeAsym < 3, `kneeAsym=${f.kneeAsym}`);
+  assert.equal(f.valgus, null);
+});
+
+test("evaluateRules: 重みつきの点数と、直す順のアドバイス", () => {
+  const good = evaluateRules({ view: "side", trunkMean: 8, cadence: 175, valgus: null }, RULES);
+  assert.equal(good.score, 100);
+  assert.equal(good.feedback.length, 0);
+  assert.equal(good.results.find(r => r.id === "valgus").status, "na");
+
+  const r = evaluateRules({ view: "side", trunkMean: 20, cadence: 160 }, RULES);
+  // lean: bad (0 × 2), cad: warn (0.5 × 1) → 0.5 / 3
+  assert.equal(r.score, 17);
+  assert.deepEqual(r.feedback.map(x => [x.id, x.status, x.dir]), [["lean", "bad", "high"], ["cad", "warn", "low"]]);
+  assert.equal(r.feedback[0].message.ja, "前傾しすぎ 20°");
+  assert.equal(r.feedback[1].message.en, "cadence 160 spm");
+
+  // 撮影方向の違うルールは評価しない
+  const front = evaluateRules({ view: "front", valgus: 7 }, RULES);
+  assert.equal(front.results.find(x => x.id === "valgus").status, "bad");
+  assert.equal(front.score, 0);
+  assert.equal(evaluateRules({ view: "side" }, RULES).score, null);
+});
+
+test("parseRuleSet: 形の違うルールセットはどこが悪いかを書いて投げる", () => {
+  assert.throws(() => parseRuleSet("{"), /JSON/);
+  assert.throws(() => parseRuleSet({}), /rules/);
+  assert.throws(() => parseRuleSet({ rules: [{ id: "a", fact: "cadence" }] }), /rules\[0\]（a）: ok/);
+  assert.throws(() => parseRuleSet({ rules: [{ id: "a", fact: "cadence", label: { ja: "あ", en: "A" }, ok: {} }, { id: "a", fact: "duty", ok: {} }] }), /重複/);
+});
+
+test("parseRuleSet: label と feedback の文言は {ja, en} の文字列でなければ投げる", () => {
+  const rule = { id: "a", fact: "cadence", label: { ja: "あ", en: "A" }, ok: {} };
+  assert.doesNotThrow(() => parseRuleSet({ rules: [rule] }));
+  assert.throws(() => parseRuleSet({ rules: [{ ...rule, label: undefined }] }), /rules\[0\]（a）: label/);
+  assert.throws(() => parseRuleSet({ rules: [{ ...rule, label: "あ" }] }), /label/);
+  assert.throws(() => parseRuleSet({ rules: [{ ...rule, label: { ja: "あ" } }] }), /label/);
+  assert.throws(() => parseRuleSet({ rules: [{ ...rule, unit: 3 }] }), /unit/);
+  assert.throws(() => parseRuleSet({ rules: [{ ...rule, feedback: "低い" }] }), /feedback/);
+  assert.throws(() => parseRuleSet({ rules: [{ ...rule, feedback: { low: { ja: "低い" } } }] }), /feedback\.low/);
+  assert.doesNotThrow(() => parseRuleSet({ rules: [{ ...rule, unit: { ja: "°", en: "°" }, feedback: { high: { ja: "高い", en: "high" } } }] }));
+});
+
+test("parseRuleSet: fact と views の書き間違いは、どのルールかを書いて投げる", () => {
+  const rule = { id: "cad", fact: "cadence", label: { ja: "ピッチ", en: "Cadence" }, ok: { min: 165 } };
+  assert.throws(() => parseRuleSet({ rules: [rule, { ...rule, id: "typo", fact: "cadance" }] }), /rules\[1\]（typo）: fact「cadance」/);
+  assert.throws(() => parseRuleSet({ rules: [{ ...rule, fact: "view" }] }), /fact「view」/);
+  assert.throws(() => parseRuleSet({ rules: [{ ...rule, views: ["sied"] }] }), /rules\[0\]（cad）: views の「sied」/);
+  assert.throws(() => parseRuleSet({ rules: [{ ...rule, views: "side" }] }), /views は撮影方向の配列/);
+  assert.doesNotThrow(() => parseRuleSet({ rules: [{ ...rule, views: ["side", "front", "back"] }] }));
+});
+
+test("FACT_KEYS: sessionFacts の数値の項目と一致する", () => {
+  const facts = sessionFacts(toSamples(makeRunSeries({ fps: 30 })));
+  assert.deepEqual([...FACT_KEYS].sort(), Object.keys(facts).filter(k => k !== "view").sort());
+});
+
+test("既定のルールセット（public/rules/form-rules.json）が読めて採点できる", () => {
+  const text = readFileSync(new URL("../../../public/rules/form-rules.json", import.meta.url), "utf8");
+  const set = parseRuleSet(text);
+  assert.ok(set.rules.length >= 10);
+  const res = evaluateRules(sessionFacts(toSamples(makeRunSeries({ fps: 30, bounce: 8 }))), set);
+  assert.ok(res.score >= 0 && res.score <= 100, `score=${res.score}`);
+  res.feedback.forEach(f => assert.ok(f.message?.ja && f.message?.en, f.id));
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  fillGaps, createOneEuroFilter, savitzkyGolay, butterworthFiltfilt, processRecording,
+} from "../index.js";
+
+const near = (a, b, eps, msg = "") => assert.ok(Math.abs(a - b) < eps, `${msg} ${a} ≉ ${b}`);
+const sine = (n, fs, hz, amp = 1) => Array.from({ length: n }, (_, i) => amp * Math.sin(2 * Math.PI * hz * i / fs));
+
+test("fillGaps: maxGapSec 以下の欠損だけ補間し、両端は埋めない", () => {
+  const t = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8];
+  const v = [null, 1, null, 3, null, null, null, null, 8];
+  const y = fillGaps(t, v, { maxGapSec: 0.3 });
+  assert.equal(y[0], null);
+  near(y[2], 2, 1e-9);
+  assert.deepEqual(y.slice(4, 8), [null, null, null, null]);
+  near(fillGaps(t, v, { maxGapSec: 1 })[5], 5, 1e-9);
+});
+
+test("createOneEuroFilter: 一定値はそのまま、ジャンプには遅れてついていく", () => {
+  const f = createOneEuroFilter({ minCutoff: 1, beta: 0 });
+  for (let i = 0; i < 5; i++) assert.equal(f.filter(10, i * 0.1), 10);
+  const y = f.filter(20, 0.5);
+  assert.ok(y > 10 && y < 20);
+  assert.equal(f.filter(null, 0.6), null);
+});
+
+test("savitzkyGolay: 2 次式はそのまま通し、ノイズを減らす。null はまたがない", () => {
+  const quad = Array.from({ length: 20 }, (_, i) => 0.5 * i * i - 3 * i + 2);
+  savitzkyGolay(quad).forEach((v, i) => near(v, quad[i], 1e-6, `i=${i}`));
+
+  const noisy = sine(60, 30, 1, 10).map((v, i) => v + (i % 2 ? 1 : -1));
+  const y = savitzkyGolay(noisy, { window: 7 });
+  const err = (a) => a.reduce((s, v, i) => s + (v - sine(60, 30, 1, 10)[i]) ** 2, 0);
+  assert.ok(err(y) < err(noisy) / 4);
+
+  const gap = [1, 2, 3, null, 10, 11, 12];
+  assert.equal(savitzkyGolay(gap)[3], null);
+});
+
+test("butterworthFiltfilt: 低い周波数は位相ずれなく通し、高い周波数を落とす", () => {
+  const fs = 30;
+  const slow = sine(120, fs, 1.5, 10);
+  const fast = sine(120, fs, 12, 3);
+  const y = butterworthFiltfilt(slow.map((v, i) => v + fast[i]), { cutoffHz: 4, fs });
+  for (let i = 20; i < 100; i++) near(y[i], slow[i], 1.2, `i=${i}`);
+  // ピークの位置がずれない
+  const peak = (a) => a.slice(20, 40).indexOf(Math.max(...a.slice(20, 40)));
+  assert.equal(peak(y), peak(slow));
+  // カットオフがナイキスト以上なら何もしない
+  assert.deepEqual(butterworthFiltfilt([1, 2, 3, 4, 5], { cutoffHz: 6, fs: 10 }), [1, 2, 3, 4, 5]);
+});
+
+test("processRecording: 短い欠損を補間・平滑化し、左右差を計算し直す", () => {
+  const samples = Array.from({ length: 30 }, (_, i) => ({
+    t: +(i * 0.1).toFixed(2), kneeL: 150 + i, kneeR: 140, footLy: 500 + (i % 3), conf: 0.9,
+  }));
+  samples[10].kneeL = null;
+  for (let i = 20; i < 26; i++) samples[i].kneeL = null;
+  const out = processRecording(samples, { maxGapSec: 0.3, filter: "savgol" });
+  near(out[10].kneeL, 160, 1e-6);
+  near(out[10].dKnee, 20, 1e-6);
+  assert.equal(out[22].kneeL, null);
+  assert.equal(out[22].conf, 0.9);
+  // 足の位置は平滑化しない
+  assert.deepEqual(out.map(s => s.footLy), samples.map(s => s.footLy));
+  assert.equal(samples[10].kneeL, null); // 元の配列は変えない
+});
@@ -0,0 +1,127 @@
+// src/analysis/__tests__/fixtures.js
+// テスト用：横から撮った走りを模した合成キーポイント列
+import {
+  ANGLE_KEYS, LIMB_ANGLE_KEYS, FRONTAL_KEYS,
+  computeJointAngles, computeLimbMetrics, computeFootHeights, createAngleSmoother,
+  classifyView, computeFrontalMetrics,
+} from "../index.js";
+
+const THIGH = 100, SHANK = 100, TORSO = 150, UPPER_ARM = 60, FOREARM = 55;
+const rad = (d) => (d * Math.PI) / 180;
+
+// 1 フレーム分のキーポイント（画像座標, y は下向き, 画像の右向きに走る）
+//   knee*  : 膝角度（180 = 伸展）
+//   thigh* : 大腿の鉛直からの角度（前方が +）
+//   trunk  : 体幹前傾（鉛直からの角度）
+//   arm*   : 上腕の鉛直からの角度（前方が +）, elbow* : 肘角度
+//   mirror : true なら左右反転（画像の左向きに走る）
+export function runnerKeypoints(
+  { kneeL, kneeR, thighL = 0, thighR = 0, trunk = 0, armL = 0, armR = 0, elbowL = 90, elbowR = 90 },
+  { hip = { x: 400, y: 300 }, score = 0.9, mirror = false } = {}
+) {
+  const leg = (side, knee, thigh) => {
+    const k = { x: hip.x + THIGH * Math.sin(rad(thigh)), y: hip.y + THIGH * Math.cos(rad(thigh)) };
+    const shank = thigh - (180 - knee);
+    const a = { x: k.x + SHANK * Math.sin(rad(shank)), y: k.y + SHANK * Math.cos(rad(shank)) };
+    return [
+      { name: `${side}_hip`,   x: hip.x, y: hip.y, score },
+      { name: `${side}_knee`,  x: k.x,   y: k.y,   score },
+      { name: `${side}_ankle`, x: a.x,   y: a.y,   score },
+    ];
+  };
+  const sh = { x: hip.x + TORSO * Math.sin(rad(trunk)), y: hip.y - TORSO * Math.cos(rad(trunk)) };
+  const arm = (side, upper, elbow) => {
+    const s = { x: sh.x + (side === "left" ? -2 : 2), y: sh.y };
+    const e = { x: s.x + UPPER_ARM * Math.sin(rad(upper)), y: s.y + UPPER_ARM * Math.cos(rad(upper)) };
+    const fore = upper + (180 - elbow);
+    return [
+      { name: `${side}_shoulder`, x: s.x, y: s.y, score },
+      { name: `${side}_elbow`, x: e.x, y: e.y, score },
+      { name: `${side}_wrist`, x: e.x + FOREARM * Math.sin(rad(fore)), y: e.y + FOREARM * Math.cos(rad(fore)), score },
+    ];
+  };
+  const kp = [
+    { name: "nose",     x: sh.x + 12, y: sh.y - 40, score },
+    { name: "left_ear", x: sh.x - 4,  y: sh.y - 45, score },
+    ...arm("left", armL, elbowL),
+    ...arm("right", armR, elbowR),
+    ...leg("left", kneeL, thighL),
+    ...leg("right", kneeR, thighR),
+  ];
+  return mirror ? kp.map(k => ({ ...k, x: 2 * hip.x - k.x })) : kp;
+}
+
+// 周期 period 秒の走りを fps で切り出した [{t, keypoints, truth}]
+// 左右の脚は半周期ずれ、腕は反対側の脚と同じ向きに振る
+// bounce: 腰の上下（px, 1 ストライドに 2 回）
+export function makeRunSeries({
+  duration = 6, fps = 10, period = 0.7, phase = 0,
+  kneeMean = 145, kneeAmp = 30, thighAmp = 25, trunk = 8,
+  armAmp = 0, bounce = 0,
+} = {}) {
+  const out = [];
+  const n = Math.round(duration * fps);
+  for (let i = 0; i < n; i++) {
+    const t = +(i / fps).toFixed(3);
+    const w = 2 * Math.PI * t / period + phase;
+    const truth = {
+      kneeL: kneeMean + kneeAmp * Math.cos(w),
+      kneeR: kneeMean + kneeAmp * Math.cos(w + Math.PI),
+      thighL: thighAmp * Math.sin(w),
+      thighR: thighAmp * Math.sin(w + Math.PI),
+      trunk,
+      armL: armAmp * Math.sin(w + Math.PI),
+      armR: armAmp * Math.sin(w),
+    };
+    const hip = { x: 400, y: 300 + bounce * Math.cos(2 * w) };
+    out.push({ t, keypoints: runnerKeypoints(truth, { hip }), truth });
+  }
+  return out;
+}
+
+// アプリの記録と同じ形に変換（pipeline.js の createSampleBuilder と同じ組み立て。conf は省く）
+export function toSamples(series, { window = 1 } = {}) {
+  const smoother = createAngleSmoother({ window, keys: [...ANGLE_KEYS, ...LIMB_ANGLE_KEYS, ...FRONTAL_KEYS] });
+  return series.map(({ t, keypoints }) => {
+    const limbs = computeLimbMetrics(keypoints);
+    const frontal = computeFrontalMetrics(keypoints);
+    return {
+      t,
+      ...limbs,
+      ...smoother.push({ ...computeJointAngles(keypoints), ...limbs, ...frontal }),
+      ...computeFootHeights(keypoints),
+      view: classifyView(keypoints),
+    };
+  });
+}
+
+// 正面から撮った 1 フレーム（本人の左が画像の右）。back なら背面（左右反転・顔なし）
+//   valgus* : 膝の内倒れ（°）, drop : 左の腰が下がる量（px）
+//   footIn* : 足首を腰の真下から内側へずらす量（px）, wristIn* : 手首を肩の真下から内側へ（px）
+export function frontalKeypoints(
+  { valgusL = 0, valgusR = 0, drop = 0, footInL = 0, footInR = 0, wristInL = 0, wristInR = 0 } = {},
+  { score = 0.9, back = false } = {}
+) {
+  const cx = 400, hipW = 60, shW = 80;
+  const side = (name, out, valgus, dy, footIn, wristIn) => {
+    const hip = { x: cx + out * hipW / 2, y: 300 + dy };
+    const half = rad(valgus / 2);
+    const knee = { x: hip.x - out * THIGH * Math.sin(half), y: hip.y + THIGH * Math.cos(half) };
+    const ankle = { x: hip.x - out * footIn, y: knee.y + SHANK * Math.cos(half) };
+    const sh = { x: cx + out * shW / 2, y: 150 };
+    return [
+      { name: `${name}_shoulder`, ...sh, score },
+      { name: `${name}_wrist`, x: sh.x - out * wristIn, y: sh.y + 110, score },
+      { name: `${name}_hip`, ...hip, score },
+      { name: `${name}_knee`, ...knee, score },
+      { name: `${name}_ankle`, ...ankle, score },
+    ];
+  };
+  const kp = [
+    { name: "nose", x: cx, y: 110, score: back ? 0.1 : score },
+    { name: "left_eye", x: cx + 8, y: 104, score: back ? 0.1 : score },
+    ...side("left", 1, valgusL, drop, footInL, wristInL),
+    ...side("right", -1, valgusR, 0, footInR, wristInR),
+  ];
+  return back ? kp.map(k => ({ ...k, x: 2 * cx - k.x })) : kp;
+}
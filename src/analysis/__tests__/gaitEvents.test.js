@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeFootHeights, detectFootContacts, detectGaitEvents, summarizeGait } from "../index.js";
+import { runnerKeypoints } from "./fixtures.js";
+
+const PERIOD = 0.7, CONTACT = 0.25, LIFT = 60, GROUND = 500, LEG = 200;
+
+// 接地中は y = GROUND、離地中は山なりに LIFT px 持ち上がる足の軌跡
+function footY(t, phase, contact) {
+  const x = ((t + phase) % PERIOD + PERIOD) % PERIOD;
+  if (x < contact) return GROUND;
+  return GROUND - LIFT * Math.sin(Math.PI * (x - contact) / (PERIOD - contact));
+}
+function makeSamples({ duration = 5, fps = 30, contact = CONTACT } = {}) {
+  return Array.from({ length: duration * fps }, (_, i) => {
+    const t = i / fps;
+    return { t, footLy: footY(t, 0.1, contact), footRy: footY(t, 0.1 + PERIOD / 2, contact), legPx: LEG };
+  });
+}
+// しきい値（脚長×6%）まで持ち上がるのにかかる時間
+const DELAY = (PERIOD - CONTACT) * Math.asin((0.06 * LEG) / LIFT) / Math.PI;
+const near = (a, b, eps, msg) => assert.ok(Math.abs(a - b) < eps, `${msg}: ${a} ≉ ${b}`);
+
+test("detectFootContacts: 接地時間とストライド時間", () => {
+  const steps = detectFootContacts(makeSamples(), "left");
+  assert.ok(steps.length >= 6, `steps=${steps.length}`);
+  for (const s of steps) {
+    near(s.contact, CONTACT + 2 * DELAY, 0.02, "contact");
+    if (s.stride != null) near(s.stride, PERIOD, 0.02, "stride");
+  }
+  assert.equal(steps.at(-1).stride, null);
+});
+
+test("detectGaitEvents: 滞空時間とデューティ比", () => {
+  const ev = detectGaitEvents(makeSamples());
+  assert.ok(ev.left.length && ev.right.length);
+  const sum = summarizeGait(ev);
+  assert.equal(sum.steps, ev.left.length + ev.right.length);
+  near(sum.flight, PERIOD / 2 - CONTACT - 2 * DELAY, 0.02, "flight");
+  near(sum.duty, (CONTACT + 2 * DELAY) / PERIOD, 0.03, "duty");
+});
+
+test("detectGaitEvents: 両足が接地している間は滞空 0（歩き）", () => {
+  const ev = detectGaitEvents(makeSamples({ contact: 0.45 }));
+  const flights = [...ev.left, ...ev.right].map(s => s.flight).filter(v => v != null);
+  assert.ok(flights.length > 0);
+  assert.ok(flights.every(v => v === 0), flights.join(","));
+});
+
+test("detectFootContacts: 足の高さが無い記録では空", () => {
+  assert.deepEqual(detectFootContacts([{ t: 0 }, { t: 0.1 }, { t: 0.2 }], "left"), []);
+  assert.deepEqual(summarizeGait({ left: [], right: [] }), { steps: 0, contact: null, flight: null, duty: null });
+});
+
+test("computeFootHeights: つま先があればいちばん低い点を使う", () => {
+  const kp = runnerKeypoints({ kneeL: 170, kneeR: 170 });
+  const base = computeFootHeights(kp);
+  const ankleY = kp.find(k => k.name === "left_ankle").y;
+  assert.equal(base.footLy, ankleY);
+  assert.ok(base.legPx > 190 && base.legPx <= 200);
+
+  const withToe = computeFootHeights([...kp, { name: "left_toe", x: 0, y: ankleY + 15, score: 0.9 }]);
+  assert.equal(withToe.footLy, ankleY + 15);
+});
@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { angle, mid } from "../index.js";
+
+test("angle: 直角と一直線", () => {
+  assert.equal(angle({ x: 1, y: 0 }, { x: 0, y: 0 }, { x: 0, y: 1 }), 90);
+  assert.equal(angle({ x: -1, y: 0 }, { x: 0, y: 0 }, { x: 1, y: 0 }), 180);
+});
+
+test("angle: 長さ 0 のベクトルでも NaN にならない", () => {
+  assert.ok(Number.isFinite(angle({ x: 0, y: 0 }, { x: 0, y: 0 }, { x: 1, y: 0 })));
+});
+
+test("mid: 中点と低いほうの score", () => {
+  assert.deepEqual(mid({ x: 0, y: 0, score: 0.9 }, { x: 2, y: 4, score: 0.4 }), { x: 1, y: 2, score: 0.4 });
+  assert.equal(mid({ x: 0, y: 0 }, { x: 0, y: 0 }).score, 1);
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeKeypoints, KEYPOINT_NAMES, LINE_PAIRS } from "../index.js";
+
+test("normalizeKeypoints: BlazePose の足先を共通名にし、顔の細かい点は捨てる", () => {
+  const kp = normalizeKeypoints([
+    { name: "left_eye_inner", x: 1, y: 1, score: 0.9 },
+    { name: "left_knee", x: 2, y: 3, score: 0.8, z: 0.1 },
+    { name: "left_foot_index", x: 4, y: 5, score: 0.7 },
+  ], "blazepose");
+  assert.deepEqual(kp, [
+    { name: "left_knee", x: 2, y: 3, score: 0.8 },
+    { name: "left_toe", x: 4, y: 5, score: 0.7 },
+  ]);
+});
+
+test("normalizeKeypoints: MoveNet の名前はそのまま", () => {
+  const kp = normalizeKeypoints([{ name: "nose", x: 0, y: 0, score: 1 }]);
+  assert.equal(kp[0].name, "nose");
+});
+
+test("LINE_PAIRS は共通スキーマの名前だけを使う", () => {
+  for (const [a, b] of LINE_PAIRS) {
+    assert.ok(KEYPOINT_NAMES.includes(a) && KEYPOINT_NAMES.includes(b), `${a}-${b}`);
+  }
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeLimbMetrics, facingDir, withDerivedMetrics, summarizeKinematics } from "../index.js";
+import { makeRunSeries, runnerKeypoints, toSamples } from "./fixtures.js";
+
+const near = (a, b, eps, msg = "") => assert.ok(Math.abs(a - b) < eps, `${msg} ${a} ≉ ${b}`);
+const HEIGHT = (150 + 200) / 0.78;
+
+test("computeLimbMetrics: 肘・腕振り・すね・着地位置・推定身長", () => {
+  const pose = { kneeL: 150, kneeR: 170, thighL: 20, thighR: -5, armL: 30, armR: -25, elbowL: 80, elbowR: 100 };
+  for (const mirror of [false, true]) {
+    const m = computeLimbMetrics(runnerKeypoints(pose, { mirror }));
+    near(m.elbowL, 80, 1e-6, "elbowL");
+    near(m.elbowR, 100, 1e-6, "elbowR");
+    near(m.armL, 30, 1e-6, "armL");
+    near(m.armR, -25, 1e-6, "armR");
+    // すね = 大腿角 − (180 − 膝角)
+    near(m.shinL, 20 - 30, 1e-6, "shinL");
+    near(m.shinR, -5 - 10, 1e-6, "shinR");
+    near(m.heightPx, HEIGHT, 1e-6, "height");
+    const ankleAhead = 100 * Math.sin(20 * Math.PI / 180) + 100 * Math.sin(-10 * Math.PI / 180);
+    near(m.reachL, ankleAhead / HEIGHT * 100, 1e-6, "reachL");
+  }
+});
+
+test("facingDir: 鼻と耳から向きを決める。見えなければ null", () => {
+  const kp = Object.fromEntries(runnerKeypoints({ kneeL: 170, kneeR: 170 }).map(k => [k.name, k]));
+  assert.equal(facingDir(kp), 1);
+  assert.equal(facingDir({ ...kp, nose: { ...kp.nose, score: 0.1 } }), null);
+  const m = computeLimbMetrics({ ...kp, nose: { ...kp.nose, score: 0.1 } });
+  assert.equal(m.shinL, null);
+  assert.ok(m.elbowL != null);
+});
+
+test("withDerivedMetrics: 腰の上下動を身長比 % で", () => {
+  const samples = withDerivedMetrics(toSamples(makeRunSeries({ fps: 30, period: 0.7, bounce: 6 })));
+  const v = samples.slice(30, -30).map(s => s.vOsc);
+  near(Math.max(...v), 6 / HEIGHT * 100, 0.3, "max");
+  near(Math.min(...v), -6 / HEIGHT * 100, 0.3, "min");
+});
+
+test("summarizeKinematics: 1 歩ごとの上下幅・腕振り幅・左右差", () => {
+  const samples = toSamples(makeRunSeries({ fps: 30, armAmp: 35, bounce: 6 }));
+  const k = summarizeKinematics(samples);
+  near(k.vOsc, 12 / HEIGHT * 100, 0.5, "vOsc");
+  near(k.armSwing.left, 70, 5, "armL");
+  near(k.armSwing.right, 70, 5, "armR");
+  assert.ok(k.armSymmetry < 5, `sym=${k.armSymmetry}`);
+  near(k.elbow.left, 90, 1e-6, "elbow");
+  assert.ok(k.shinAtContact.left != null && k.overstride.left != null);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { recordedTime, filterSessions, formatDate } from "../index.js";
+
+const at = (...args) => new Date(...args).getTime(); // ローカル時刻
+const LIST = [
+  { id: 1, name: "朝ラン Tempo", tags: ["treadmill", "側面"], fileName: "run_0501.mp4", createdAt: at(2024, 4, 1, 6, 30) },
+  { id: 2, name: "夕方ジョグ", tags: ["outdoor"], fileName: null, createdAt: at(2024, 4, 2, 18, 5) },
+  { id: 3, name: "フォーム確認", createdAt: at(2023, 11, 31, 23, 59) },
+  // 古い動画をあとから保存した記録：撮った日付で見つかり、保存した日付では見つからない
+  { id: 4, name: "去年の大会", createdAt: at(2024, 5, 10, 12, 0), recordedAt: at(2022, 9, 9, 9, 0) },
+];
+const ids = (list) => list.map(s => s.id);
+
+test("formatDate: ローカル時刻の YYYY-MM-DD HH:MM（0 埋め）", () => {
+  assert.equal(formatDate(at(2024, 0, 5, 7, 3)), "2024-01-05 07:03");
+  assert.equal(formatDate(at(2023, 11, 31, 23, 59)), "2023-12-31 23:59");
+});
+
+test("recordedTime: 撮った日時。なければ保存した日時", () => {
+  assert.equal(recordedTime({ createdAt: 2000, recordedAt: 1000 }), 1000);
+  assert.equal(recordedTime({ createdAt: 2000 }), 2000);
+  assert.equal(recordedTime({ createdAt: 2000, recordedAt: null }), 2000);
+});
+
+test("filterSessions: 名前・タグ・ファイル名・日付で探す", () => {
+  assert.deepEqual(ids(filterSessions(LIST, "ジョグ")), [2]);
+  assert.deepEqual(ids(filterSessions(LIST, "treadmill")), [1]);
+  assert.deepEqual(ids(filterSessions(LIST, "側面")), [1]);
+  assert.deepEqual(ids(filterSessions(LIST, "0501")), [1]);
+  assert.deepEqual(ids(filterSessions(LIST, "2024-05")), [1, 2]);
+  assert.deepEqual(ids(filterSessions(LIST, "2023-12-31")), [3]);
+  assert.deepEqual(ids(filterSessions(LIST, "2022-10-09")), [4]);
+  assert.deepEqual(ids(filterSessions(LIST, "2024-06-10")), []);
+  assert.deepEqual(ids(filterSessions(LIST, "見つからない")), []);
+});
+
+test("filterSessions: 大文字・小文字と空白の扱い", () => {
+  // 大文字・小文字は区別しない
+  assert.deepEqual(ids(filterSessions(LIST, "tempo")), [1]);
+  assert.deepEqual(ids(filterSessions(LIST, "OUTDOOR")), [2]);
+  // 空白で区切った語はすべて含むもの（前後・連続の空白は無視）
+  assert.deepEqual(ids(filterSessions(LIST, "  朝ラン   treadmill ")), [1]);
+  assert.deepEqual(ids(filterSessions(LIST, "朝ラン outdoor")), []);
+  // 空の検索はそのまま
+  assert.equal(filterSessions(LIST, ""), LIST);
+  assert.equal(filterSessions(LIST, "   "), LIST);
+});
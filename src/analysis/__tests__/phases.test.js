@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sdCycle, gaitPhases, describeCycle, comparePhases, compareSessions } from "../index.js";
+import { makeRunSeries, toSamples } from "./fixtures.js";
+
+const near = (a, b, eps, msg = "") => assert.ok(Math.abs(a - b) < eps, `${msg} ${a} ≉ ${b}`);
+
+test("sdCycle: 点ごとのばらつき", () => {
+  const cycles = [{ normV: [0, 10, 4] }, { normV: [2, 10, 0] }];
+  assert.deepEqual(sdCycle(cycles), [1, 0, 2]);
+  assert.deepEqual(sdCycle([]), []);
+});
+
+test("gaitPhases: 接地→離地→遊脚前半・後半（100% をまたいでもよい）", () => {
+  const ph = gaitPhases({ ic: 0.8, to: 0.1 });
+  assert.deepEqual(ph.map(p => p.key), ["stance", "earlySwing", "lateSwing"]);
+  assert.deepEqual([ph[0].from, ph[0].to], [0.8, 0.1]);
+  near(ph[1].to, 0.45, 1e-9);
+  assert.equal(ph[2].to, 0.8);
+  assert.equal(gaitPhases({ ic: 0.3, to: null }), null);
+});
+
+test("describeCycle / comparePhases: 山・谷の位置と局面ごとの差", () => {
+  const N = 101;
+  const curve = Array.from({ length: N }, (_, i) => 10 * Math.sin(2 * Math.PI * i / (N - 1)));
+  const d = describeCycle(curve, { ic: 0.5, to: 0.75 });
+  near(d.max.at, 0.25, 0.011);
+  near(d.min.value, -10, 1e-6);
+  near(d.to, -10, 1e-6);
+
+  const shifted = curve.map(v => v + 3);
+  const ev = { ic: 0.1, to: 0.4 };
+  const r = comparePhases(curve, shifted, { ref: ev, cmp: ev });
+  r.diff.forEach(v => near(v, 3, 1e-9));
+  assert.equal(r.phases.length, 3);
+  r.phases.forEach(p => near(p.delta, 3, 1e-9, p.key));
+  assert.equal(comparePhases(curve, shifted, null).phases, null);
+});
+
+test("compareSessions(cycle): SD の帯・差のカーブ・局面レポート", () => {
+  const ref = toSamples(makeRunSeries({ fps: 30 }));
+  const cmp = toSamples(makeRunSeries({ fps: 30, kneeMean: 150 }));
+  const r = compareSessions(ref, cmp, { metrics: ["kneeL", "trunk"], cycleNormalize: true });
+  const knee = r.series.find(s => s.key === "kneeL");
+  assert.equal(knee.sd.ref.length, 100);
+  assert.ok(knee.sd.ref.every(v => v < 5));
+  near(knee.diff.reduce((a, b) => a + b, 0) / knee.diff.length, 5, 1);
+
+  const rep = r.stats.phases.find(p => p.key === "kneeL");
+  // 膝の最大屈曲（角度の最小）はサイクルの谷＝端
+  assert.ok(rep.ref.min.at < 0.05 || rep.ref.min.at > 0.95, `at=${rep.ref.min.at}`);
+  assert.equal(rep.phases.length, 3);
+  rep.phases.forEach(p => assert.ok(p.delta > 0, p.key));
+  // 左右のない指標は局面を区切れない
+  assert.equal(r.stats.phases.find(p => p.key === "trunk")?.phases ?? null, null);
+
+  // 同じ走りを途中から撮っても、局面ごとの差はほぼ 0
+  const late = toSamples(makeRunSeries({ fps: 30, phase: 1.3 }));
+  const same = compareSessions(ref, late, { metrics: ["kneeL"], cycleNormalize: true });
+  same.stats.phases[0].phases.forEach(p => near(p.delta, 0, 2, p.key));
+});
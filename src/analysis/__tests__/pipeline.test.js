@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSampleBuilder, reprocessFrames } from "../index.js";
+import { makeRunSeries, toSamples } from "./fixtures.js";
+
+const near = (a, b, eps, msg = "") => assert.ok(Math.abs(a - b) < eps, `${msg} ${a} ≉ ${b}`);
+const lowScore = (keypoints) => keypoints.map(k => ({ ...k, score: 0.2 }));
+
+test("createSampleBuilder: 記録の 1 行分を組み立てる（平滑化なしなら toSamples と同じ値）", () => {
+  const series = makeRunSeries({ duration: 1 });
+  const expected = toSamples(series);
+  const builder = createSampleBuilder({ filter: "none" });
+  series.forEach(({ t, keypoints }, i) => {
+    const { angles, sample } = builder.push(keypoints, t);
+    assert.ok(angles.kneeL != null);
+    for (const [k, v] of Object.entries(expected[i])) {
+      if (k === "t") continue;
+      if (typeof v === "number") near(sample[k], v, 1e-9, k);
+      else assert.equal(sample[k], v, k);
+    }
+    assert.ok(sample.conf > 0.8 && sample.conf <= 1);
+  });
+  assert.deepEqual(builder.push(null, 9), { angles: null, sample: null });
+  assert.equal(builder.push(lowScore(series[0].keypoints), 9).sample, null);
+  // しきい値を下げれば同じコマから計算できる
+  builder.configure({ minScore: 0.1 });
+  assert.ok(builder.push(lowScore(series[0].keypoints), 9).sample.kneeL != null);
+});
+
+test("reprocessFrames: 生のキーポイントから記録を作り直す（しきい値で使うコマが変わる）", () => {
+  const frames = makeRunSeries({ duration: 2 }).map(({ t, keypoints }, i) => ({
+    t, keypoints: i === 5 || i === 6 ? lowScore(keypoints) : keypoints,
+  }));
+  const strict = reprocessFrames(frames, { minScore: 0.3 });
+  assert.equal(strict.length, frames.length - 2);
+  assert.deepEqual(strict.map(s => s.t), frames.filter((_f, i) => i !== 5 && i !== 6).map(f => f.t));
+
+  const loose = reprocessFrames(frames, { minScore: 0.1 });
+  assert.equal(loose.length, frames.length);
+
+  // 記録全体のフィルタをかけても行数・時刻は変わらない
+  const filtered = reprocessFrames(frames, { minScore: 0.1, offlineFilter: "butter" });
+  assert.deepEqual(filtered.map(s => s.t), loose.map(s => s.t));
+  assert.deepEqual(reprocessFrames([], {}), []);
+});
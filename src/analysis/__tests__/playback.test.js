@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  playbackCycles, cycleTime, mediaTimeAt, frameAt, hipAnchor, hipAlignTransform, transformKeypoints, compareSessions,
+} from "../index.js";
+import { makeRunSeries, toSamples, runnerKeypoints } from "./fixtures.js";
+
+const near = (a, b, eps, msg = "") => assert.ok(Math.abs(a - b) < eps, `${msg} ${a} ≉ ${b}`);
+
+test("playbackCycles: 比較グラフ（cycle モード）と同じサイクルを切り出す", () => {
+  const samples = toSamples(makeRunSeries({ duration: 6, period: 0.7 }));
+  const cycles = playbackCycles(samples, "kneeL");
+  assert.ok(cycles.length >= 5);
+  for (const c of cycles) near(c.dur, 0.7, 0.11, "dur");
+  const res = compareSessions(samples, samples, { metrics: ["kneeL"] });
+  assert.deepEqual(cycles.map(c => c.t0), res.series[0].cycles.ref.kept.map(c => c.t0));
+});
+
+test("cycleTime: サイクルの局面 → 時刻（サイクル数で折り返す）", () => {
+  const cycles = [{ t0: 1, dur: 0.8 }, { t0: 1.8, dur: 0.6 }];
+  near(cycleTime(cycles, 0, 0.5), 1.4, 1e-9);
+  near(cycleTime(cycles, 1, 1), 2.4, 1e-9);
+  near(cycleTime(cycles, 2, 0), 1, 1e-9);
+  near(cycleTime(cycles, 0, 1.5), 1.8, 1e-9);
+  assert.equal(cycleTime([], 0, 0.5), null);
+});
+
+test("mediaTimeAt / frameAt: 記録の時刻と動画の再生位置の対応", () => {
+  const frames = [{ t: 0, mediaTime: 3 }, { t: 0.1, mediaTime: 3.1 }, { t: 0.2, mediaTime: 3.2 }];
+  near(mediaTimeAt(frames, 0.15), 3.15, 1e-9);
+  near(mediaTimeAt(frames, 1), 4, 1e-9);
+  near(mediaTimeAt(frames, -0.5), 2.5, 1e-9);
+  assert.equal(mediaTimeAt(null, 1.2), 1.2);
+  assert.equal(mediaTimeAt([{ t: 0 }], 1.2), 1.2);
+  assert.equal(frameAt(frames, 0.12).t, 0.1);
+  assert.equal(frameAt(frames, 0.6), null);
+  assert.equal(frameAt([], 0), null);
+});
+
+test("hipAlignTransform: 腰の中点を合わせ、体幹の長さで大きさをそろえる", () => {
+  const a = runnerKeypoints({ kneeL: 160, kneeR: 170 });
+  const b = runnerKeypoints({ kneeL: 160, kneeR: 170 }, { hip: { x: 100, y: 50 } })
+    .map(k => ({ ...k, x: 100 + (k.x - 100) * 0.5, y: 50 + (k.y - 50) * 0.5 }));
+  const tf = hipAlignTransform(b, a);
+  near(tf.scale, 2, 1e-9, "scale");
+  const moved = hipAnchor(transformKeypoints(b, tf));
+  const target = hipAnchor(a);
+  near(moved.x, target.x, 1e-9, "x");
+  near(moved.y, target.y, 1e-9, "y");
+  near(moved.size, target.size, 1e-9, "size");
+  assert.equal(hipAlignTransform(a.filter(k => !k.name.endsWith("_hip")), a), null);
+});
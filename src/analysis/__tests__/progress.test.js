@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sessionSummary, filterByTags, linearTrend, progressSeries, parseRuleSet } from "../index.js";
+import { makeRunSeries, toSamples } from "./fixtures.js";
+
+const near = (a, b, eps, msg = "") => assert.ok(Math.abs(a - b) < eps, `${msg} ${a} ≉ ${b}`);
+const DAY = 24 * 60 * 60 * 1000;
+
+test("sessionSummary: ケイデンス・体幹・左右差・採点・サイクル長の SD", () => {
+  const rules = parseRuleSet({ rules: [{ id: "lean", fact: "trunkMean", label: { ja: "前傾", en: "Lean" }, ok: { min: 4, max: 12 } }] });
+  const s = sessionSummary(toSamples(makeRunSeries({ fps: 30, trunk: 10 })), { ruleSet: rules });
+  assert.equal(s.view, "side");
+  near(s.cadence, 2 * 60 / 0.7, 8, "cadence");
+  near(s.trunkMean, 10, 0.5, "trunk");
+  assert.ok(s.kneeAsym < 3, `kneeAsym=${s.kneeAsym}`);
+  assert.equal(s.score, 100);
+  // 一定の周期なのでサイクル長はほぼそろう
+  assert.ok(s.cycles >= 5, `cycles=${s.cycles}`);
+  assert.ok(s.cycleSd < 0.03, `cycleSd=${s.cycleSd}`);
+
+  assert.equal(sessionSummary(toSamples(makeRunSeries({ fps: 30 }))).score, null);
+});
+
+test("filterByTags: どれか 1 つ / すべて", () => {
+  const list = [{ id: 1, tags: ["easy", "shoesA"] }, { id: 2, tags: ["tempo", "shoesA"] }, { id: 3 }];
+  assert.deepEqual(filterByTags(list, []).map(s => s.id), [1, 2, 3]);
+  assert.deepEqual(filterByTags(list, ["easy", "tempo"]).map(s => s.id), [1, 2]);
+  assert.deepEqual(filterByTags(list, ["easy", "shoesA"], "all").map(s => s.id), [1]);
+});
+
+test("linearTrend: 最小二乗の直線（欠損は除く）", () => {
+  const fit = linearTrend([0, 1, 2, 3, 4], [1, 3, null, 7, 9]);
+  near(fit.slope, 2, 1e-9);
+  near(fit.intercept, 1, 1e-9);
+  near(fit.r2, 1, 1e-9);
+  assert.equal(linearTrend([1], [1]), null);
+  assert.equal(linearTrend([2, 2], [1, 3]), null);
+});
+
+test("progressSeries: 日付順の推移と、良し悪しの向きを含めた傾向", () => {
+  const t0 = Date.UTC(2026, 0, 1);
+  // 4 週間でケイデンスが 8 歩/分上がり、左右差が 6° 増える（順不同で渡す）
+  const entries = [0, 3, 1, 2, 4].map(w => ({
+    id: 10 + w, time: t0 + w * 7 * DAY,
+    summary: { cadence: 170 + 2 * w, kneeAsym: 2 + 1.5 * w, trunkMean: 8 + 0.1 * w, score: w === 2 ? null : 80 },
+  }));
+  const cad = progressSeries(entries, "cadence");
+  assert.deepEqual(cad.points.map(p => p.y), [170, 172, 174, 176, 178]);
+  assert.deepEqual(cad.points.map(p => p.id), [10, 11, 12, 13, 14]);
+  near(cad.trend.slopePerWeek, 2, 1e-9);
+  near(cad.trend.change, 8, 1e-9);
+  assert.equal(cad.trend.dir, "up");
+  assert.equal(cad.trend.verdict, "better");
+  assert.deepEqual(cad.trend.line.map(p => p.x), [t0, t0 + 28 * DAY]);
+  near(cad.trend.line[1].y, 178, 1e-9);
+
+  const asym = progressSeries(entries, "kneeAsym");
+  assert.equal(asym.trend.verdict, "worse"); // 左右差は小さいほど良い
+
+  const trunk = progressSeries(entries, "trunkMean");
+  assert.equal(trunk.trend.dir, "flat"); // 0.4° は横ばいの範囲
+
+  const score = progressSeries(entries, "score");
+  assert.equal(score.points.length, 4); // 値のない記録は除く
+  assert.equal(score.trend.verdict, "flat");
+
+  assert.equal(progressSeries(entries.slice(0, 2), "cadence").trend, null); // 3 記録未満
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { escapeHtml, reportToHTML, imagesToPDF } from "../index.js";
+
+test("reportToHTML: 項目ごとの HTML と、文字のエスケープ", () => {
+  const html = reportToHTML({
+    title: "記録 <A&B>",
+    subtitle: "2026-01-01",
+    sections: [
+      { title: "概要", blocks: [{ kind: "kv", rows: [["長さ", "12.0秒"]] }, { kind: "text", text: "a < b" }] },
+      { title: "統計", blocks: [{ kind: "table", caption: "サイクル", head: ["", "平均(s)"], rows: [["お手本", "0.70"]] }] },
+      { title: "画像", blocks: [{ kind: "image", src: "data:image/png;base64,AAAA", caption: "骨格", width: 320 }] },
+      { title: "数値の意味", blocks: [{ kind: "list", items: [["上下動", "腰の上下の幅"]] }] },
+    ],
+  });
+  assert.ok(html.startsWith("<!DOCTYPE html>"));
+  assert.ok(html.includes("<title>記録 &lt;A&amp;B&gt;</title>"));
+  assert.ok(html.includes("<tr><th>長さ</th><td>12.0秒</td></tr>"));
+  assert.ok(html.includes("<p>a &lt; b</p>"));
+  assert.ok(html.includes("<caption>サイクル</caption><thead><tr><th></th><th>平均(s)</th></tr></thead>"));
+  assert.ok(html.includes('<img src="data:image/png;base64,AAAA" alt="骨格" style="width:320px">'));
+  assert.ok(html.includes("<li><b>上下動</b>：腰の上下の幅</li>"));
+  assert.ok(!/<(link|script)\b/.test(html), "外部ファイルを読まない");
+
+  assert.equal(escapeHtml(`"x' & <y>`), "&quot;x&#39; &amp; &lt;y&gt;");
+  assert.throws(() => reportToHTML({ title: "", sections: [{ title: "", blocks: [{ kind: "chart" }] }] }), /chart/);
+});
+
+test("imagesToPDF: ページごとの画像と、正しい相互参照表", () => {
+  const jpeg = new Uint8Array([0xFF, 0xD8, 0x00, 0x01, 0xFF, 0xD9]);
+  const pdf = imagesToPDF([{ jpeg, width: 1240, height: 1754 }, { jpeg, width: 1240, height: 600 }]);
+  const text = new TextDecoder("latin1").decode(pdf);
+  assert.ok(text.startsWith("%PDF-1.4\n"));
+  assert.ok(text.endsWith("%%EOF\n"));
+  assert.ok(text.includes("/Count 2"));
+  assert.equal((text.match(/\/Subtype \/Image/g) ?? []).length, 2);
+
+  // xref の各オフセットが "n 0 obj" の位置を指す
+  const xrefAt = +text.match(/startxref\n(\d+)\n/)[1];
+  assert.ok(text.startsWith("xref\n", xrefAt));
+  const entries = text.slice(xrefAt).split("\n").slice(3).filter(l => / n $/.test(l));
+  assert.equal(entries.length, 1 + 1 + 3 * 2);
+  entries.forEach((line, k) => assert.ok(text.startsWith(`${k + 1} 0 obj`, +line.slice(0, 10)), `obj ${k + 1}`));
+
+  // 画像のバイト列はそのまま入る
+  const at = text.indexOf("stream\n", text.indexOf("/DCTDecode")) + 7;
+  assert.deepEqual([...pdf.slice(at, at + jpeg.length)], [...jpeg]);
+
+  assert.throws(() => imagesToPDF([]), /ページがありません/);
+});
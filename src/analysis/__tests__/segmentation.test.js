@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { estimatePeriod, segmentCycles } from "../index.js";
+import { makeRunSeries, toSamples } from "./fixtures.js";
+
+const near = (a, b, eps, msg = "") => assert.ok(Math.abs(a - b) < eps, `${msg} ${a} ≉ ${b}`);
+
+test("estimatePeriod: 自己相関から周期を推定（2 周期分は拾わない）", () => {
+  const t = Array.from({ length: 180 }, (_, i) => i / 30);
+  const v = t.map(x => Math.sin(2 * Math.PI * x / 0.7) + 0.3 * Math.sin(4 * Math.PI * x / 0.7));
+  near(estimatePeriod(t, v).period, 0.7, 0.04);
+  assert.equal(estimatePeriod(t, t.map(() => 5)), null);
+});
+
+test("segmentCycles: 欠損があっても谷の時刻と値がずれない", () => {
+  const samples = toSamples(makeRunSeries({ duration: 6, fps: 30, period: 0.7 }));
+  const full = segmentCycles(samples, "kneeL");
+  // 前半に欠損を入れる（値だけ null）
+  const holed = samples.map((s, i) => (i % 7 === 3 && i < 90 ? { ...s, kneeL: null } : s));
+  const seg = segmentCycles(holed, "kneeL");
+  // peaks は samples の index。谷の時刻は欠損なしの場合とほぼ同じ
+  const tFull = full.peaks.map(i => samples[i].t);
+  const tHoled = seg.peaks.map(i => holed[i].t);
+  assert.equal(tHoled.length, tFull.length);
+  tHoled.forEach((t, k) => near(t, tFull[k], 0.05, `peak ${k}`));
+  seg.peaks.forEach(i => assert.ok(holed[i].kneeL != null));
+  seg.cycles.forEach(c => near(c.dur, 0.7, 0.05, "dur"));
+  near(seg.period, 0.7, 0.05, "period");
+});
+
+test("segmentCycles: 1 周期に谷が 2 つあっても深いほうだけで切る", () => {
+  const samples = Array.from({ length: 180 }, (_, i) => {
+    const t = i / 30, w = 2 * Math.PI * t / 0.8;
+    return { t, kneeL: 140 + 30 * Math.cos(w) + 12 * Math.cos(2 * w) };
+  });
+  const { cycles } = segmentCycles(samples, "kneeL");
+  assert.ok(cycles.length >= 5);
+  cycles.forEach(c => near(c.dur, 0.8, 0.05, "dur"));
+});
+
+test("segmentCycles: 長さ・形の外れたサイクルと長い欠損を含むサイクルを除外", () => {
+  const samples = toSamples(makeRunSeries({ duration: 8, fps: 30, period: 0.7 }));
+  // 4 周期目あたりの形を崩す
+  const bumped = samples.map(s => (s.t > 2.2 && s.t < 2.6 ? { ...s, kneeL: s.kneeL + 25 } : s));
+  const a = segmentCycles(bumped, "kneeL");
+  assert.ok(a.rejected.some(c => c.reason === "shape" && c.t0 < 2.6 && c.t0 + c.dur > 2.2), JSON.stringify(a.rejected.map(c => [c.t0, c.reason])));
+  assert.ok(a.cycles.every(c => c.t0 + c.dur <= 2.2 || c.t0 >= 2.6));
+
+  // 0.5 秒分のサンプルが抜けている
+  const gapped = samples.filter(s => !(s.t > 4.5 && s.t < 5.0));
+  const b = segmentCycles(gapped, "kneeL");
+  assert.ok(b.rejected.some(c => c.reason === "gap"));
+
+  const all = segmentCycles(bumped, "kneeL", { reject: false });
+  assert.equal(all.cycles.length, a.cycles.length + a.rejected.length);
+});
@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  recordingToCSV, parseRecordingCSV, toSessionFile, parseSessionFile, parseRecordingFile, SESSION_VERSION,
+  framesToNDJSON, parseKeypointsNDJSON, KEYPOINTS_VERSION,
+} from "../index.js";
+import { makeRunSeries, toSamples } from "./fixtures.js";
+
+const near = (a, b, eps, msg = "") => assert.ok(Math.abs(a - b) < eps, `${msg} ${a} ≉ ${b}`);
+
+test("CSV: 書き出した記録を読み戻せる（cmPerPx は calibration に）", () => {
+  const samples = toSamples(makeRunSeries({ fps: 10, bounce: 8 }));
+  const csv = recordingToCSV(samples, { cmPerPx: 0.5 });
+  assert.ok(/IC/.test(csv) && /TO/.test(csv));
+  const { samples: back, calibration, warnings } = parseRecordingCSV(csv);
+  assert.equal(back.length, samples.length);
+  assert.deepEqual(calibration, { method: "imported", cmPerPx: 0.5 });
+  assert.deepEqual(warnings, []);
+  back.forEach((s, i) => {
+    near(s.t, samples[i].t, 1e-9, "t");
+    near(s.kneeL, samples[i].kneeL, 1e-3, "kneeL");
+    assert.equal(s.view, samples[i].view);
+  });
+});
+
+test("CSV: 注釈は note 列に書き、読み込むとマーカーに戻る", () => {
+  const samples = toSamples(makeRunSeries({ fps: 10, duration: 1 }));
+  const annotations = [
+    { id: 1, t: 0.31, kind: "marker", label: "腕が正中線を越える, 右", points: [] },
+    { id: 2, t: 0.5, kind: "angle", label: "膝", points: [{ x: 0, y: -10 }, { x: 0, y: 0 }, { x: 10, y: 0 }] },
+  ];
+  const back = parseRecordingCSV(recordingToCSV(samples, { annotations }));
+  assert.deepEqual(back.warnings, []);
+  assert.deepEqual(back.annotations.map(a => [a.t, a.kind, a.label]), [
+    [0.3, "marker", "腕が正中線を越える, 右"], [0.5, "marker", "膝 90.0°"],
+  ]);
+});
+
+test("CSV: 表計算ソフトの引用符・BOM・CRLF、知らない列は注意だけ", () => {
+  const text = '\uFEFF"t(s)","kneeL","memo"\r\n0,150,"a,b"\r\n0.1,,x\r\n';
+  const { samples, calibration, warnings } = parseRecordingCSV(text);
+  assert.deepEqual(samples, [{ t: 0, kneeL: 150 }, { t: 0.1, kneeL: null }]);
+  assert.equal(calibration, null);
+  assert.equal(warnings.length, 1);
+});
+
+test("CSV: 形がおかしければ行と列を書いたエラー", () => {
+  assert.throws(() => parseRecordingCSV("kneeL\n150"), /t\(s\)/);
+  assert.throws(() => parseRecordingCSV("t(s),foo\n0,1"), /指標の列/);
+  assert.throws(() => parseRecordingCSV("t(s),kneeL\n0,150\n0.1"), /3 行目: 列の数/);
+  assert.throws(() => parseRecordingCSV("t(s),kneeL\n0,150\n0.1,abc"), /3 行目・列「kneeL」/);
+  assert.throws(() => parseRecordingCSV("t(s),kneeL\n0.2,150\n0.1,150"), /3 行目: 時刻 t が前のサンプル以下/);
+});
+
+test("JSON: メタ情報・生のキーポイントごと往復できる", () => {
+  const series = makeRunSeries({ fps: 10, duration: 1 });
+  const samples = toSamples(series);
+  const frames = series.map(({ t, keypoints }) => ({ t, keypoints }));
+  const file = toSessionFile({
+    samples, calibration: { method: "height", heightCm: 170, cmPerPx: 0.4 },
+    meta: { name: "朝ラン", tags: ["5km"], modelId: "movenet-thunder", recordedAt: 1700000000000 }, frames,
+  });
+  const back = parseRecordingFile("a.json", JSON.stringify(file));
+  assert.equal(file.version, SESSION_VERSION);
+  assert.deepEqual(back.samples, JSON.parse(JSON.stringify(samples)));
+  assert.equal(back.calibration.cmPerPx, 0.4);
+  assert.equal(back.meta.name, "朝ラン");
+  assert.equal(back.meta.recordedAt, 1700000000000);
+  assert.equal(back.frames.length, frames.length);
+  assert.deepEqual(back.annotations, []);
+});
+
+test("JSON: 注釈ごと往復でき、形がおかしければエラー", () => {
+  const annotations = [{ id: 4, t: 0.2, kind: "line", label: "すね", points: [{ x: 1, y: 2 }, { x: 3, y: 4 }] }];
+  const file = toSessionFile({ samples: [{ t: 0, kneeL: 150 }], annotations });
+  assert.deepEqual(parseSessionFile(JSON.stringify(file)).annotations, annotations);
+  assert.throws(() => parseSessionFile({ ...file, annotations: [{ t: 0, kind: "line", points: [] }] }), /annotations\[0\]\.points/);
+});
+
+test("JSON: 形式・バージョン・中身の検査", () => {
+  const ok = toSessionFile({ samples: [{ t: 0, kneeL: 150 }] });
+  assert.throws(() => parseSessionFile("{"), /JSON を読めません/);
+  assert.throws(() => parseSessionFile({ ...ok, format: "other" }), /記録ファイルではありません/);
+  assert.throws(() => parseSessionFile({ ...ok, version: SESSION_VERSION + 1 }), /新しい形式/);
+  assert.throws(() => parseSessionFile({ ...ok, samples: [{ t: 0, kneeL: "150" }] }), /samples\[0\]\.kneeL/);
+  assert.throws(() => parseSessionFile({ ...ok, samples: [] }), /サンプルが 1 つもありません/);
+  assert.throws(() => parseSessionFile({ ...ok, calibration: { cmPerPx: -1 } }), /calibration/);
+  assert.throws(() => parseSessionFile({ ...ok, meta: { recordedAt: "2024-05-01" } }), /meta\.recordedAt/);
+  assert.throws(() => parseSessionFile({ ...ok, frames: [{ t: 0, keypoints: [{ name: "nose" }] }] }), /frames\[0\]\.keypoints\[0\]/);
+  // 拡張子がなくても中身で見分ける
+  assert.equal(parseRecordingFile("rec", JSON.stringify(ok)).samples.length, 1);
+});
+
+test("NDJSON: 1 行 1 コマの生のキーポイントを往復でき、読み込みで角度を計算し直す", () => {
+  const frames = makeRunSeries({ fps: 10, duration: 2 }).map(({ t, keypoints }) => ({
+    t, mediaTime: t + 3, width: 1280, height: 720, keypoints,
+  }));
+  const text = framesToNDJSON(frames, { meta: { name: "坂道" }, calibration: { method: "height", cmPerPx: 0.5 } });
+  assert.equal(text.split("\n").length, frames.length + 1);
+  assert.equal(JSON.parse(text.split("\n")[0]).version, KEYPOINTS_VERSION);
+
+  const back = parseRecordingFile("k.ndjson", text + "\n", { signal: { minScore: 0.3, filter: "none" } });
+  assert.deepEqual(back.frames, JSON.parse(JSON.stringify(frames)));
+  assert.equal(back.meta.name, "坂道");
+  assert.equal(back.calibration.cmPerPx, 0.5);
+  assert.equal(back.samples.length, frames.length);
+  near(back.samples[0].kneeL, toSamples(makeRunSeries({ fps: 10, duration: 2 }))[0].kneeL, 1e-6, "kneeL");
+  // 拡張子がなくても 1 行目で見分ける
+  assert.equal(parseRecordingFile("k.txt", text).frames.length, frames.length);
+});
+
+test("NDJSON: 形がおかしければ行を書いたエラー", () => {
+  const frames = makeRunSeries({ duration: 0.3 }).map(({ t, keypoints }) => ({ t, keypoints }));
+  const lines = framesToNDJSON(frames).split("\n");
+  assert.throws(() => parseKeypointsNDJSON(lines.slice(1).join("\n")), /キーポイントのファイルではありません/);
+  assert.throws(() => parseKeypointsNDJSON([lines[0], "{", ...lines.slice(1)].join("\n")), /2 行目: JSON を読めません/);
+  assert.throws(() => parseKeypointsNDJSON([lines[0], lines[2], lines[1]].join("\n")), /3 行目: 時刻 t が前のフレーム以下/);
+  assert.throws(() => parseKeypointsNDJSON([lines[0], JSON.stringify({ ...frames[0], width: "wide" })].join("\n")), /2 行目\.width/);
+  assert.throws(() => parseKeypointsNDJSON(lines[0]), /フレームが 1 つもありません/);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { movingAvg, linInterp, fillNaLinear, rmse, avg, stdev } from "../index.js";
+
+test("movingAvg: 窓幅を超えた古い値は捨てる", () => {
+  const buf = [];
+  assert.equal(movingAvg(buf, 1, 2), 1);
+  assert.equal(movingAvg(buf, 3, 2), 2);
+  assert.equal(movingAvg(buf, 5, 2), 4);
+  assert.equal(movingAvg(buf, null, 2), 4);
+  assert.equal(movingAvg([], null), null);
+});
+
+test("linInterp: 内側は線形、外側は端の値", () => {
+  const xp = [0, 1, 2], yp = [0, 10, 30];
+  assert.equal(linInterp(0.5, xp, yp), 5);
+  assert.equal(linInterp(1.5, xp, yp), 20);
+  assert.equal(linInterp(-1, xp, yp), 0);
+  assert.equal(linInterp(9, xp, yp), 30);
+  assert.equal(linInterp(1, [], []), null);
+});
+
+test("fillNaLinear: 端は最近傍、内部は時刻で線形補間", () => {
+  const t = [0, 1, 2, 4, 5];
+  const y = fillNaLinear(t, [null, 2, null, 6, null]);
+  assert.deepEqual([y[0], y[1], y[3], y[4]], [2, 2, 6, 6]);
+  assert.ok(Math.abs(y[2] - 10 / 3) < 1e-9);
+  assert.deepEqual(fillNaLinear(t, [null, null, null, null, null]), [null, null, null, null, null]);
+});
+
+test("rmse / avg / stdev は null を無視する", () => {
+  assert.equal(rmse([1, 2, null], [1, 4, 9]), Math.sqrt(2));
+  assert.equal(rmse([], []), null);
+  assert.equal(avg([1, null, 3]), 2);
+  assert.equal(avg([]), 0);
+  assert.equal(stdev([2, 4, 4, 4, 5, 5, 7, 9]), 2);
+  assert.equal(stdev([1]), 0);
+});
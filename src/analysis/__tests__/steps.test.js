@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { segmentGait, summarizeSteps } from "../index.js";
+import { makeRunSeries, toSamples } from "./fixtures.js";
+
+const near = (a, b, eps, msg) => assert.ok(Math.abs(a - b) < eps, `${msg}: ${a} ≉ ${b}`);
+const ev = (side, ts) => ts.map(ic => ({ side, ic }));
+
+test("segmentGait: 左右交互の接地からステップ時間とケイデンス（歩/分）", () => {
+  // 左 0.00, 0.70, 1.40 … 右 0.30, 1.00, 1.70 …（右のステップ 0.30s / 左のステップ 0.40s）
+  const gait = {
+    left: ev("left", [0, 0.7, 1.4, 2.1]),
+    right: ev("right", [0.3, 1.0, 1.7, 2.4]),
+  };
+  const { source, steps, summary } = segmentGait([], { gait });
+  assert.equal(source, "foot");
+  assert.equal(steps.length, 7);
+  near(summary.stepTime.right, 0.3, 1e-9, "right");
+  near(summary.stepTime.left, 0.4, 1e-9, "left");
+  near(summary.strideTime.left, 0.7, 1e-9, "stride");
+  near(summary.cadence, 60 / (2.4 / 7), 1e-6, "cadence");
+  near(summary.asymmetry, 0.1 / 0.35 * 100, 1e-6, "asym");
+});
+
+test("segmentGait: 同じ足が続いた所（取りこぼし）と長い欠損はステップにしない", () => {
+  const gait = {
+    left: ev("left", [0, 0.7, 1.4, 5.0]),
+    right: ev("right", [0.35, 5.35]),
+  };
+  const { steps, strides } = segmentGait([], { gait });
+  assert.deepEqual(steps.map(s => s.side), ["right", "left", "right"]);
+  assert.deepEqual(strides.left.length, 2);
+});
+
+test("segmentGait: 足の高さが無ければ膝の屈曲から左右を分ける", () => {
+  const samples = toSamples(makeRunSeries({ fps: 30, period: 0.8 }))
+    .map(s => ({ ...s, footLy: null, footRy: null, legPx: null }));
+  const { source, summary } = segmentGait(samples);
+  assert.equal(source, "knee");
+  near(summary.cadence, 2 * 60 / 0.8, 8, "cadence");
+  assert.ok(summary.asymmetry < 15, `asym=${summary.asymmetry}`);
+});
+
+test("summarizeSteps: データが無ければ null", () => {
+  const s = summarizeSteps([], { left: [], right: [] });
+  assert.equal(s.count, 0);
+  assert.equal(s.cadence, null);
+  assert.equal(s.asymmetry, null);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { poseBox, createPoseTracker, selectTrack, largestTrack } from "../index.js";
+import { runnerKeypoints } from "./fixtures.js";
+
+const pose = (x, { scale = 1, kneeL = 160 } = {}) =>
+  runnerKeypoints({ kneeL, kneeR: 170 }, { hip: { x, y: 300 } })
+    .map(k => ({ ...k, x: x + (k.x - x) * scale, y: 300 + (k.y - 300) * scale }));
+
+test("poseBox: 見えているキーポイントだけを囲む", () => {
+  const b = poseBox([
+    { name: "a", x: 10, y: 20, score: 0.9 }, { name: "b", x: 50, y: 80, score: 0.9 },
+    { name: "c", x: 999, y: 999, score: 0.1 },
+  ]);
+  assert.deepEqual(b, { x: 10, y: 20, w: 40, h: 60 });
+  assert.equal(poseBox([{ name: "a", x: 1, y: 1, score: 0.9 }]), null);
+});
+
+test("createPoseTracker: 並び順が入れ替わっても同じ人には同じ id", () => {
+  const tr = createPoseTracker();
+  const first = tr.update([pose(200), pose(600)]);
+  const idAt = (tracks, x) => tracks.find(t => Math.abs(t.box.x + t.box.w / 2 - x) < 80).id;
+  const a = idAt(first, 200), b = idAt(first, 600);
+  assert.notEqual(a, b);
+
+  // 少しずつ動かし、検出順を入れ替える
+  let tracks = first;
+  for (let i = 1; i <= 10; i++) {
+    const ps = [pose(200 + i * 5, { kneeL: 160 - i }), pose(600 - i * 5)];
+    tracks = tr.update(i % 2 ? ps.reverse() : ps);
+  }
+  assert.equal(idAt(tracks, 250), a);
+  assert.equal(idAt(tracks, 550), b);
+});
+
+test("createPoseTracker: 数コマ見えなくても id を保ち、maxAge を過ぎたら消える", () => {
+  const tr = createPoseTracker({ maxAge: 3 });
+  const [{ id }] = tr.update([pose(300)]);
+  tr.update([]); tr.update([]);
+  assert.ok(tr.has(id));
+  assert.equal(tr.update([pose(302)])[0].id, id);
+  for (let i = 0; i < 4; i++) tr.update([]);
+  assert.equal(tr.has(id), false);
+  assert.notEqual(tr.update([pose(300)])[0].id, id);
+});
+
+test("selectTrack / largestTrack: タップ位置の人・いちばん大きい人", () => {
+  const tr = createPoseTracker();
+  const tracks = tr.update([pose(200), pose(600, { scale: 1.3 })]);
+  const big = tracks.find(t => t.box.x > 400).id;
+  assert.equal(largestTrack(tracks), big);
+  assert.equal(selectTrack(tracks, { x: 600, y: 350 }), big);
+  assert.notEqual(selectTrack(tracks, { x: 200, y: 350 }), big);
+  assert.equal(selectTrack(tracks, { x: 400, y: 50 }), null);
+});
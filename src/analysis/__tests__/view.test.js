@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  classifyView, summarizeView, computeFrontalMetrics, metricsUnsuitedForView,
+} from "../index.js";
+import { frontalKeypoints, runnerKeypoints } from "./fixtures.js";
+
+const near = (a, b, eps, msg = "") => assert.ok(Math.abs(a - b) < eps, `${msg} ${a} ≉ ${b}`);
+
+test("classifyView: 肩幅・腰幅と顔の見え方で横・正面・背面を分ける", () => {
+  assert.equal(classifyView(runnerKeypoints({ kneeL: 160, kneeR: 170 })), "side");
+  assert.equal(classifyView(frontalKeypoints()), "front");
+  assert.equal(classifyView(frontalKeypoints({}, { back: true })), "back");
+  assert.equal(classifyView(frontalKeypoints({}, { score: 0.1 })), null);
+});
+
+test("summarizeView: 多数決と割合", () => {
+  const v = summarizeView([{ view: "front" }, { view: "front" }, { view: "side" }, { view: null }]);
+  assert.equal(v.view, "front");
+  near(v.share, 2 / 3, 1e-9);
+  assert.deepEqual(summarizeView([{ view: null }]), { view: null, share: 0 });
+});
+
+test("computeFrontalMetrics: 膝の内倒れ・骨盤の傾き・足と手の横位置", () => {
+  for (const back of [false, true]) {
+    const m = computeFrontalMetrics(frontalKeypoints({ valgusL: 10, valgusR: -6, drop: 6 }, { back }));
+    near(m.valgusL, 10, 1e-6, "valgusL");
+    near(m.valgusR, -6, 1e-6, "valgusR");
+    near(m.pelvicDrop, Math.atan2(6, 60) * 180 / Math.PI, 1e-6, "drop");
+
+    const c = computeFrontalMetrics(frontalKeypoints({ footInL: 45, wristInR: 60 }, { back }));
+    near(c.crossL, (30 - 45) / 60 * 100, 1e-6, "crossL");
+    near(c.crossR, 50, 1e-6, "crossR");
+    near(c.armCrossR, (40 - 60) / 80 * 100, 1e-6, "armCrossR");
+    near(c.armCrossL, 50, 1e-6, "armCrossL");
+  }
+  const side = computeFrontalMetrics(runnerKeypoints({ kneeL: 160, kneeR: 170 }));
+  assert.ok(Object.values(side).every(v => v == null));
+});
+
+test("metricsUnsuitedForView: 撮影方向に合わない指標", () => {
+  assert.deepEqual(metricsUnsuitedForView("front", ["kneeL", "vOsc", "valgusL"]), ["kneeL"]);
+  assert.deepEqual(metricsUnsuitedForView("side", ["kneeL", "pelvicDrop"]), ["pelvicDrop"]);
+  assert.deepEqual(metricsUnsuitedForView(null, ["kneeL"]), []);
+});
@@ -0,0 +1,118 @@
+// src/analysis/alignment.js
+// お手本と比較の時間合わせ
+//   相互相関 : 比較を一定時間ずらして、いちばん形が重なるずれ（秒）を探す
+//   DTW      : 時間の伸び縮みも許して対応づける（Dynamic Time Warping）
+import { fillNaLinear, linInterp } from "./signal.js";
+
+const finite = (v) => v != null && isFinite(v);
+const median = (arr) => {
+  const v = arr.filter(finite).sort((a, b) => a - b);
+  return v.length ? v[Math.floor(v.length / 2)] : null;
+};
+
+// 等間隔 dt に並べ直して標準化（平均 0・SD 1）。値が足りなければ null
+function standardizedGrid(times, values, dt) {
+  const y = fillNaLinear(times, values);
+  if (!y.some(finite) || times.length < 2) return null;
+  const n = Math.floor((times[times.length - 1] - times[0]) / dt) + 1;
+  const g = Array.from({ length: n }, (_, k) => linInterp(times[0] + k * dt, times, y));
+  const m = g.reduce((a, b) => a + b, 0) / n;
+  const sd = Math.sqrt(g.reduce((a, v) => a + (v - m) ** 2, 0) / n);
+  return sd ? g.map(v => (v - m) / sd) : null;
+}
+
+// 相互相関でずれを探す
+//   series : [{refT, refY, cmpT, cmpY}]（指標ごと。相関は指標の平均で評価する）
+//   戻り値 {lagSec, r}：比較の時刻 t + lagSec がお手本の時刻 t に対応する。見つからなければ null
+export function findBestLag(series, { maxLagSec = 2.0, minOverlap = 0.5 } = {}) {
+  const dt = median(series.flatMap(({ refT }) => refT.slice(1).map((t, i) => t - refT[i]))) || 0.1;
+  const grids = series
+    .map(({ refT, refY, cmpT, cmpY }) => ({
+      ref: standardizedGrid(refT, refY, dt),
+      cmp: standardizedGrid(cmpT, cmpY, dt),
+      offset: cmpT[0] - refT[0],
+    }))
+    .filter(g => g.ref && g.cmp);
+  if (!grids.length) return null;
+
+  const maxK = Math.round(maxLagSec / dt);
+  let best = null;
+  for (let k = -maxK; k <= maxK; k++) {
+    let sum = 0, used = 0;
+    for (const { ref, cmp } of grids) {
+      let s = 0, n = 0;
+      for (let i = Math.max(0, -k); i < ref.length && i + k < cmp.length; i++) {
+        s += ref[i] * cmp[i + k];
+        n++;
+      }
+      if (n < minOverlap * Math.min(ref.length, cmp.length)) continue;
+      sum += s / n;
+      used++;
+    }
+    if (used < grids.length) continue;
+    const r = sum / used;
+    if (!best || r > best.r) best = { k, r };
+  }
+  if (!best) return null;
+  // 比較の時刻 = お手本の時刻 + (記録開始の差) + k·dt
+  return { lagSec: +(best.k * dt + grids[0].offset).toFixed(3), r: best.r };
+}
+
+// DTW（コストは値の差の絶対値）
+//   band    : 対角線からどれだけ離れた対応まで許すか（長いほうの長さに対する割合）
+//   maxBand : 帯の幅の上限（サンプル数）。表は行ごとに帯の幅だけ持つので、長い記録でも
+//             メモリは 長さ × 帯の幅 で止まる（10Hz の記録なら 300 = ±30 秒のずれまで）
+// 戻り値 {distance, normalized, path, band}（band は実際に使った帯の幅, サンプル数）
+//   normalized = distance ÷ 経路の長さ（1 点あたりの平均の差, 単位は指標と同じ）
+//   path = [[i, j]]（a の i 番目と b の j 番目が対応）
+export function dtw(a, b, { band = 0.2, maxBand = 300 } = {}) {
+  const n = a.length, m = b.length;
+  if (!n || !m) return null;
+  const w = Math.max(2, Math.min(maxBand, Math.ceil(band * Math.max(n, m))));
+  // 行 i で計算する j の範囲（対角線 ± w）。帯の外は Infinity
+  const lo = [], hi = [];
+  for (let i = 0; i <= n; i++) {
+    const c = (i * m) / n;
+    lo.push(Math.max(0, Math.floor(c - w)));
+    hi.push(Math.min(m, Math.ceil(c + w)));
+  }
+  const D = lo.map((l, i) => new Float64Array(hi[i] - l + 1).fill(Infinity));
+  const at = (i, j) => (j < lo[i] || j > hi[i] ? Infinity : D[i][j - lo[i]]);
+  D[0][0] = 0;
+  for (let i = 1; i <= n; i++) {
+    for (let j = Math.max(1, lo[i]); j <= hi[i]; j++) {
+      const cost = Math.abs(a[i - 1] - b[j - 1]);
+      D[i][j - lo[i]] = cost + Math.min(at(i - 1, j), at(i, j - 1), at(i - 1, j - 1));
+    }
+  }
+  const distance = at(n, m);
+  if (!isFinite(distance)) return null;
+
+  // 終点からさかのぼって経路を得る
+  const path = [];
+  let i = n, j = m;
+  while (i > 0 && j > 0) {
+    path.push([i - 1, j - 1]);
+    const diag = at(i - 1, j - 1), up = at(i - 1, j), left = at(i, j - 1);
+    if (diag <= up && diag <= left) { i--; j--; }
+    else if (up <= left) i--;
+    else j--;
+  }
+  path.reverse();
+  return { distance, normalized: distance / path.length, path, band: w };
+}
+
+// DTW の経路で b を a の並びに合わせる
+//   戻り値 {values, index}：a の各点に対応する b の値（複数なら平均）と b の index（平均）
+export function warpToReference(path, b, n) {
+  const sum = Array(n).fill(0), idx = Array(n).fill(0), cnt = Array(n).fill(0);
+  for (const [i, j] of path) {
+    sum[i] += b[j];
+    idx[i] += j;
+    cnt[i]++;
+  }
+  return {
+    values: sum.map((s, i) => (cnt[i] ? s / cnt[i] : null)),
+    index: idx.map((s, i) => (cnt[i] ? s / cnt[i] : null)),
+  };
+}
@@ -0,0 +1,82 @@
+// src/analysis/angles.js
+// キーポイント → 関節角度
+import { angle, mid } from "./geometry.js";
+import { movingAvg } from "./signal.js";
+import { createOneEuroFilter } from "./filters.js";
+
+// 記録・比較の対象になる角度指標
+export const ANGLE_KEYS = ["kneeL", "kneeR", "hipL", "hipR", "trunk"];
+
+// 記録の信頼度（conf）の計算に使う主要な関節
+const CORE_JOINTS = [
+  "left_hip", "left_knee", "left_ankle",
+  "right_hip", "right_knee", "right_ankle",
+  "left_shoulder", "right_shoulder",
+];
+
+const toMap = (keypoints) => Array.isArray(keypoints)
+  ? Object.fromEntries(keypoints.map(k => [k.name, k]))
+  : keypoints;
+
+// keypoints: [{name, x, y, score}] または {name: {x, y, score}}
+// 関節ごとに minScore で判定し、使う関節が見えていない角度だけ null（1 つも測れなければ null）
+// 肩・腰の中点は、片側しか見えなければ見えている側で代用する（横から撮ると奥の肩が隠れやすい）
+export function computeJointAngles(keypoints, { minScore = 0.3 } = {}) {
+  const kp = toMap(keypoints);
+  const ok = (...ks) => ks.every(k => k?.score > minScore);
+  const center = (a, b) => ok(a, b) ? mid(a, b) : ok(a) ? a : ok(b) ? b : null;
+
+  const LHIP = kp["left_hip"],  LKN = kp["left_knee"],  LAN = kp["left_ankle"];
+  const RHIP = kp["right_hip"], RKN = kp["right_knee"], RAN = kp["right_ankle"];
+  const shoulderMid = center(kp["left_shoulder"], kp["right_shoulder"]);
+  const hipMid      = center(LHIP, RHIP);
+
+  const out = {
+    kneeL: ok(LHIP, LKN, LAN) ? angle(LHIP, LKN, LAN) : null,
+    kneeR: ok(RHIP, RKN, RAN) ? angle(RHIP, RKN, RAN) : null,
+    hipL:  shoulderMid && ok(LHIP, LKN) ? angle(shoulderMid, LHIP, LKN) : null,
+    hipR:  shoulderMid && ok(RHIP, RKN) ? angle(shoulderMid, RHIP, RKN) : null,
+    // 鉛直上向きとのなす角
+    trunk: shoulderMid && hipMid ? angle(shoulderMid, hipMid, { x: hipMid.x, y: hipMid.y - 100 }) : null,
+  };
+  return ANGLE_KEYS.some(k => out[k] != null) ? out : null;
+}
+
+// 1 コマの信頼度（主要な関節のスコアの平均, 0-1。見えていない関節は 0）
+export function poseConfidence(keypoints) {
+  const kp = toMap(keypoints);
+  return CORE_JOINTS.reduce((a, n) => a + (kp[n]?.score ?? 0), 0) / CORE_JOINTS.length;
+}
+
+// 左右差（平滑化後の値から算出）
+export function withSideDiffs(a) {
+  const dKnee = (a.kneeL != null && a.kneeR != null) ? Math.abs(a.kneeL - a.kneeR) : null;
+  const dHip  = (a.hipL  != null && a.hipR  != null) ? Math.abs(a.hipL  - a.hipR ) : null;
+  return { ...a, dKnee, dHip };
+}
+
+// 角度ごとのフィルタをまとめて持つスムーザ（keys にないフィールドは返さない）
+//   filter : "box"（window 点の移動平均）| "oneEuro"（t 秒が必要）| "none"
+// そのコマで測れなかった値は null のまま返す（前の値で埋めない）
+export function createAngleSmoother({ window = 5, keys = ANGLE_KEYS, filter = "box", oneEuro } = {}) {
+  let bufs, euros;
+  const init = () => {
+    bufs = Object.fromEntries(keys.map(k => [k, []]));
+    euros = Object.fromEntries(keys.map(k => [k, createOneEuroFilter(oneEuro)]));
+  };
+  init();
+  return {
+    push(angles, t) {
+      const out = {};
+      for (const k of keys) {
+        const v = angles?.[k];
+        if (v == null || !isFinite(v)) out[k] = null;
+        else if (filter === "oneEuro") out[k] = euros[k].filter(v, t);
+        else if (filter === "none") out[k] = v;
+        else out[k] = movingAvg(bufs[k], v, window);
+      }
+      return withSideDiffs(out);
+    },
+    reset: init,
+  };
+}
@@ -0,0 +1,78 @@
+// src/analysis/annotations.js
+// 手動の注釈（コマ送りで付けるマーカー・メモ・線・角度）
+//   {id, t, kind, label, points}
+//   t      : 動画の再生位置（秒）。動画全体を解析した記録では記録の時刻 t と同じ
+//   kind   : "marker"（メモだけ）| "line"（2 点）| "angle"（3 点。2 点目が頂点）
+//   points : 映像上の座標 [{x, y}]（px, 元の動画の大きさ）。marker は []
+import { angle } from "./geometry.js";
+import { nearestIndex } from "./signal.js";
+
+// kind ごとに必要な点の数
+export const ANNOTATION_POINTS = { marker: 0, line: 2, angle: 3 };
+
+const finite = (v) => typeof v === "number" && isFinite(v);
+
+// 線の長さ（px）と水平からの傾き（°, 0-90）、角度の注釈は頂点の角度（°）。marker は null
+export function annotationMeasure(a) {
+  const p = a.points;
+  if (a.kind === "line" && p.length === 2) {
+    const dx = p[1].x - p[0].x, dy = p[1].y - p[0].y;
+    const incline = Math.atan2(Math.abs(dy), Math.abs(dx)) * 180 / Math.PI;
+    return { length: Math.hypot(dx, dy), incline };
+  }
+  if (a.kind === "angle" && p.length === 3) return { angle: angle(p[0], p[1], p[2]) };
+  return null;
+}
+
+// 表示用の文字列（名前＋測った値）
+export function annotationText(a) {
+  const m = annotationMeasure(a);
+  const value = !m ? "" : m.angle != null ? `${m.angle.toFixed(1)}°` : `水平から ${m.incline.toFixed(1)}°`;
+  return [a.label, value].filter(Boolean).join(" ");
+}
+
+// 時刻 t の前後 tolSec にある注釈（コマ送りで表示する分）
+export function annotationsAt(list, t, { tolSec = 0.05 } = {}) {
+  return list.filter(a => Math.abs(a.t - t) <= tolSec);
+}
+
+// 動画の 1 コマの長さ（秒）を、表示されたコマの再生位置（requestVideoFrameCallback の mediaTime）から推定する
+//   同じコマが何度来てもよく、順番もばらばらでよい（seek で戻ったときの分も使える）
+//   再生では表示の都合でコマが飛ぶので、差の小さいほう（10 パーセンタイル付近）をそのコマ間隔とみなす
+//   コマが minCount より少なければ fallback
+export function estimateFramePeriod(mediaTimes, { fallback = 1 / 30, minCount = 8 } = {}) {
+  const ts = [...new Set(mediaTimes.filter(finite).map(t => +t.toFixed(4)))].sort((a, b) => a - b);
+  const diffs = ts.slice(1).map((t, i) => t - ts[i]).filter(d => d > 1e-3).sort((a, b) => a - b);
+  if (diffs.length < minCount) return fallback;
+  const d0 = diffs[Math.floor(diffs.length * 0.1)];
+  const near = diffs.filter(d => d >= d0 * 0.5 && d <= d0 * 1.5);
+  return near[Math.floor(near.length / 2)];
+}
+
+// 記録の各行に付ける注釈の文字列（CSV の note 列。いちばん近い行に " / " でつなぐ）
+export function annotationColumn(times, list) {
+  const col = times.map(() => []);
+  for (const a of [...list].sort((x, y) => x.t - y.t)) {
+    const i = nearestIndex(times, a.t);
+    if (i >= 0) col[i].push(annotationText(a));
+  }
+  return col.map(v => v.join(" / "));
+}
+
+// 読み込んだ注釈を確かめる（形がおかしければ場所を書いた Error）。id がなければ振り直す
+export function checkAnnotations(list, where = "annotations") {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw new Error(`${where} は配列です`);
+  return list.map((a, i) => {
+    const at = `${where}[${i}]`;
+    if (a == null || typeof a !== "object") throw new Error(`${at}: オブジェクトではありません`);
+    if (!finite(a.t)) throw new Error(`${at}.t: 数値ではありません`);
+    if (!(a.kind in ANNOTATION_POINTS)) throw new Error(`${at}.kind は ${Object.keys(ANNOTATION_POINTS).join(" / ")} のどれかです（${a.kind}）`);
+    if (a.label != null && typeof a.label !== "string") throw new Error(`${at}.label は文字列です`);
+    const points = a.points ?? [];
+    if (!Array.isArray(points) || points.length !== ANNOTATION_POINTS[a.kind] || !points.every(p => p && finite(p.x) && finite(p.y))) {
+      throw new Error(`${at}.points: ${a.kind} には {x, y} が ${ANNOTATION_POINTS[a.kind]} 点必要です`);
+    }
+    return { id: finite(a.id) ? a.id : i + 1, t: a.t, kind: a.kind, label: a.label ?? "", points: points.map(p => ({ x: p.x, y: p.y })) };
+  });
+}
@@ -0,0 +1,110 @@
+// src/analysis/baseline.js
+// 複数の記録の比較と「自分の基準（ベースライン）」
+//   ベースライン : 選んだ記録のサイクル（0-100% 正規化）をまとめて平均した形 ± SD
+//   採点         : 新しい記録の平均サイクルが、ベースラインの ±SD の帯にどれだけ収まるか
+import { segmentCycles } from "./segmentation.js";
+import { meanCycle } from "./cycles.js";
+import { sdCycle } from "./phases.js";
+import { withDerivedMetrics } from "./kinematics.js";
+import { METRICS } from "./metrics.js";
+import { rmse } from "./stats.js";
+
+export const BASELINE_FORMAT = "soralab-baseline";
+export const BASELINE_VERSION = 1;
+
+const N = 100; // サイクルの点数（compare.js の cycle モードと同じ）
+const finite = (v) => v != null && isFinite(v);
+const mean = (arr) => {
+  const v = arr.filter(finite);
+  return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+};
+export const BASELINE_LABELS = Array.from({ length: N }, (_, i) => ((i / (N - 1)) * 100).toFixed(0));
+
+// 記録の指標 key のサイクル（採用したものだけ。比較の cycle モードと同じ切り出し方）
+function cyclesOf(samples, key) {
+  return segmentCycles(samples, key, { prominence: METRICS[key]?.prominence ?? 5, N }).cycles;
+}
+
+// N 個の記録を同じ 0-100% の横軸で重ねる
+//   recs : [{samples, name?}]
+// 戻り値 {labels, series: [{key, sessions: [{mean, sd, cycles} | null]}]}（sessions は recs と同じ並び。サイクルがなければ null）
+export function compareMany(recs, { metrics = [] } = {}) {
+  const derived = recs.map(r => withDerivedMetrics(r.samples));
+  const series = metrics.map(key => ({
+    key,
+    sessions: derived.map(samples => {
+      const cycles = cyclesOf(samples, key);
+      return cycles.length ? { mean: meanCycle(cycles), sd: sdCycle(cycles), cycles: cycles.length } : null;
+    }),
+  }));
+  return { labels: BASELINE_LABELS, series };
+}
+
+// 選んだ記録からベースラインを作る
+//   各記録の採用サイクルをまとめて平均・SD を取る（サイクルの多い記録ほど重く効く）
+//   metrics[key] = {mean, sd, cycles (使ったサイクル数), sessions (サイクルがあった記録数)}
+// どの指標もサイクルが取れなければ Error
+export function buildBaseline(recs, { metrics = [], name = "" } = {}) {
+  const derived = recs.map(r => withDerivedMetrics(r.samples));
+  const out = {};
+  for (const key of metrics) {
+    const perSession = derived.map(samples => cyclesOf(samples, key)).filter(c => c.length);
+    const pooled = perSession.flat();
+    if (!pooled.length) continue;
+    out[key] = { mean: meanCycle(pooled), sd: sdCycle(pooled), cycles: pooled.length, sessions: perSession.length };
+  }
+  if (!Object.keys(out).length) throw new Error("選んだ記録からサイクルが見つからず、ベースラインを作れません");
+  return {
+    format: BASELINE_FORMAT, version: BASELINE_VERSION,
+    name, createdAt: Date.now(),
+    sessions: recs.map(r => r.name ?? ""),
+    metrics: out,
+  };
+}
+
+// JSON テキスト（またはパース済みのオブジェクト）を確かめてベースラインにする
+// 形が違えば、どこがおかしいかを書いた Error を投げる
+export function parseBaseline(input) {
+  let data;
+  try {
+    data = typeof input === "string" ? JSON.parse(input) : input;
+  } catch (e) {
+    throw new Error(`ベースラインの JSON を読めません: ${e.message}`);
+  }
+  if (data?.format !== BASELINE_FORMAT) throw new Error("ベースラインのファイルではありません");
+  if (!Number.isInteger(data.version) || data.version < 1) throw new Error("ベースラインの version（1 以上の整数）が正しくありません");
+  if (data.version > BASELINE_VERSION) throw new Error(`新しい形式（version ${data.version}）のベースラインは読めません`);
+  if (!data.metrics || typeof data.metrics !== "object") throw new Error("ベースラインに metrics がありません");
+  for (const [key, m] of Object.entries(data.metrics)) {
+    const ok = (a) => Array.isArray(a) && a.length === N && a.every(finite);
+    if (!ok(m?.mean) || !ok(m?.sd)) throw new Error(`metrics.${key}: mean と sd は ${N} 個の数の配列です`);
+  }
+  return { name: "", sessions: [], createdAt: null, ...data };
+}
+
+// 記録をベースラインで採点する
+//   sdFloor : 帯の半幅の下限（指標の単位）。サイクルがそろいすぎて SD がほぼ 0 の点でも厳しすぎないように
+// 戻り値 {score, results: [{key, mean, diff, rmse, within, z}]}
+//   mean / diff : 記録の平均サイクルと、ベースラインとの差（記録 − ベースライン）。サイクルがなければ results に null
+//   within : ±SD の帯に入っている点の割合（0-1）, z : |差| / SD の平均
+//   score  : within の平均 × 100（0-100。採点できた指標がなければ null）
+export function scoreAgainstBaseline(samples, baseline, { metrics = Object.keys(baseline.metrics), sdFloor = 1 } = {}) {
+  samples = withDerivedMetrics(samples);
+  const results = metrics.filter(key => baseline.metrics[key]).map(key => {
+    const base = baseline.metrics[key];
+    const cycles = cyclesOf(samples, key);
+    if (!cycles.length) return { key, mean: null, diff: null, rmse: null, within: null, z: null };
+    const m = meanCycle(cycles);
+    const diff = m.map((v, i) => v - base.mean[i]);
+    const zs = diff.map((d, i) => Math.abs(d) / Math.max(base.sd[i], sdFloor));
+    return {
+      key, mean: m, diff,
+      rmse: rmse(m, base.mean),
+      within: zs.filter(z => z <= 1).length / zs.length,
+      z: mean(zs),
+    };
+  });
+  const scored = results.filter(r => r.within != null);
+  const score = scored.length ? Math.round(100 * mean(scored.map(r => r.within))) : null;
+  return { score, results };
+}
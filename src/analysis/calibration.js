@@ -0,0 +1,82 @@
+// src/analysis/calibration.js
+// ピクセル → 実寸（cm）の換算
+//
+// calibration（記録と一緒に保存する）
+//   { method: "height", heightCm, cmPerPx }            身長を入力
+//   { method: "points", knownCm, points: [p1, p2], cmPerPx }  既知の長さの 2 点を指定
+import { nearestIndex } from "./signal.js";
+import { segmentGait } from "./steps.js";
+import { detectGaitEvents } from "./gaitEvents.js";
+
+const finite = (v) => v != null && isFinite(v);
+const mean = (arr) => {
+  const v = arr.filter(finite);
+  return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+};
+const median = (arr) => {
+  const v = arr.filter(finite).sort((a, b) => a - b);
+  return v.length ? v[Math.floor(v.length / 2)] : null;
+};
+
+// 身長（cm）と記録中の推定身長（heightPx の中央値）から
+export function scaleFromHeight(samples, heightCm) {
+  const px = median(samples.map(s => s.heightPx));
+  return px && heightCm > 0 ? heightCm / px : null;
+}
+
+// 画像上の 2 点とその実際の距離（cm）から
+export function scaleFromPoints(p1, p2, knownCm) {
+  const px = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+  return px > 0 && knownCm > 0 ? knownCm / px : null;
+}
+
+// 記録に合わせて cmPerPx を確定させる（身長方式は記録ごとに体の大きさが違うため）
+export function resolveCalibration(calibration, samples) {
+  if (!calibration) return null;
+  const cmPerPx = calibration.method === "height"
+    ? scaleFromHeight(samples, calibration.heightCm)
+    : calibration.cmPerPx ?? null;
+  return cmPerPx ? { ...calibration, cmPerPx } : null;
+}
+
+// 実寸の指標（cmPerPx が無ければすべて null）
+//   vOscCm       : 1 歩ごとの腰の上下幅
+//   overstrideCm : 接地時に足首が腰より前にある距離
+//   stepCm / strideCm : 歩幅（接地位置の間隔。トレッドミルでは測れない）
+//   speedKmh     : 歩幅 ÷ ステップ時間
+export function summarizeDistances(samples, { cmPerPx, gait = detectGaitEvents(samples) } = {}) {
+  const out = { vOscCm: null, overstrideCm: { left: null, right: null }, stepCm: null, strideCm: null, speedKmh: null };
+  if (!cmPerPx) return out;
+
+  const times = samples.map(s => s.t);
+  const at = (t, key) => samples[nearestIndex(times, t)]?.[key];
+  const { steps } = segmentGait(samples, { gait });
+
+  // 腰の上下幅
+  out.vOscCm = mean(steps.map(st => {
+    const ys = samples.filter(s => s.t >= st.start && s.t <= st.end && finite(s.hipY)).map(s => s.hipY);
+    return ys.length >= 2 ? (Math.max(...ys) - Math.min(...ys)) * cmPerPx : null;
+  }));
+
+  // 着地位置：reach*（身長比 %）→ cm
+  for (const [side, key] of [["left", "reachL"], ["right", "reachR"]]) {
+    out.overstrideCm[side] = mean(gait[side].map(st => {
+      const reach = at(st.ic, key), h = at(st.ic, "heightPx");
+      return finite(reach) && finite(h) ? (reach / 100) * h * cmPerPx : null;
+    }));
+  }
+
+  // 歩幅：反対の足の接地位置からこの足の接地位置まで（足の x）
+  const footX = (side, t) => at(t, side === "left" ? "footLx" : "footRx");
+  const stepLens = steps.map(st => {
+    const other = st.side === "left" ? "right" : "left";
+    const x0 = footX(other, st.start), x1 = footX(st.side, st.end);
+    return finite(x0) && finite(x1) ? Math.abs(x1 - x0) * cmPerPx : null;
+  });
+  out.stepCm = mean(stepLens);
+  out.strideCm = out.stepCm != null ? out.stepCm * 2 : null;
+
+  const stepSec = mean(steps.filter((_, i) => finite(stepLens[i])).map(st => st.dur));
+  out.speedKmh = out.stepCm != null && stepSec ? (out.stepCm / 100 / stepSec) * 3.6 : null;
+  return out;
+}
@@ -0,0 +1,126 @@
+// src/analysis/capture.js
+// ガイド付き撮影：全身が映っているかの判定、走りが安定したかの判定、自動停止、撮影後の品質チェック
+import { segmentCycles } from "./segmentation.js";
+import { METRICS } from "./metrics.js";
+import { avg, stdev } from "./stats.js";
+
+// 全身が映っているとみなすのに要る部位（横から撮ると奥側が隠れるので、左右どちらかが見えればよい）
+export const FRAMING_PARTS = [
+  { label: "頭",   names: ["nose", "left_ear", "right_ear", "left_eye", "right_eye"] },
+  { label: "肩",   names: ["left_shoulder", "right_shoulder"] },
+  { label: "腰",   names: ["left_hip", "right_hip"] },
+  { label: "膝",   names: ["left_knee", "right_knee"] },
+  { label: "足首", names: ["left_ankle", "right_ankle"] },
+];
+const EDGE_LABELS = { top: "頭の上", bottom: "足元", left: "左端", right: "右端" };
+
+// 1 コマのキーポイントで、全身が画面に収まっているか
+//   margin : 端からこの割合より内側にあること（画面の端で切れかけているのを見つける）
+// 戻り値 {ok, missing: [部位], edges: ["top" | "bottom" | "left" | "right"], visible}
+//   visible は FRAMING_PARTS のうち見えている部位の割合
+export function framingCheck(keypoints, { width, height, minScore = 0.3, margin = 0.02 } = {}) {
+  const byName = Object.fromEntries((keypoints ?? []).map(k => [k.name, k]));
+  const seen = (n) => byName[n] && (byName[n].score == null || byName[n].score >= minScore);
+  const missing = FRAMING_PARTS.filter(p => !p.names.some(seen)).map(p => p.label);
+  const pts = FRAMING_PARTS.flatMap(p => p.names).filter(seen).map(n => byName[n]);
+  const edges = [];
+  if (pts.length && width && height) {
+    const mx = width * margin, my = height * margin;
+    if (pts.some(p => p.y < my)) edges.push("top");
+    if (pts.some(p => p.y > height - my)) edges.push("bottom");
+    if (pts.some(p => p.x < mx)) edges.push("left");
+    if (pts.some(p => p.x > width - mx)) edges.push("right");
+  }
+  return {
+    ok: !missing.length && !edges.length,
+    missing, edges,
+    visible: (FRAMING_PARTS.length - missing.length) / FRAMING_PARTS.length,
+  };
+}
+
+// 画面に出す一言
+export function framingMessage(check) {
+  if (!check || check.missing.length === FRAMING_PARTS.length) return "人が見つかりません。全身が入るように立ってください";
+  if (check.missing.length) return `${check.missing.join("・")}が映っていません。カメラから離れるか、向きを直してください`;
+  if (check.edges.length) return `${check.edges.map(e => EDGE_LABELS[e]).join("・")}が画面の端にかかっています`;
+  return "全身が入っています";
+}
+
+const cyclesOf = (samples, key) => segmentCycles(samples, key, { prominence: METRICS[key]?.prominence ?? 5 }).cycles;
+
+// 直近 windowSec 秒のサンプルで、同じリズムで走れているか（自動スタート用）
+//   minCycles 以上のサイクルがあり、サイクル長のばらつき（変動係数）が maxCv 以下なら steady
+// 戻り値 {steady, cycles, cv}
+export function isSteadyRunning(samples, { key = "kneeL", windowSec = 4, minCycles = 3, maxCv = 0.2 } = {}) {
+  if (!samples.length) return { steady: false, cycles: 0, cv: null };
+  const t1 = samples[samples.length - 1].t;
+  const recent = samples.filter(s => s.t >= t1 - windowSec);
+  const dur = cyclesOf(recent, key).map(c => c.dur);
+  const cv = dur.length ? stdev(dur) / avg(dur) : null;
+  return { steady: dur.length >= minCycles && cv <= maxCv, cycles: dur.length, cv };
+}
+
+// 自動停止の判定
+//   stop       = {mode: "duration", seconds} | {mode: "cycles", cycles, key}
+//   elapsedSec : 記録を始めてからの実際の経過時間。秒数で止めるときはサンプルの有無に関係なくこれで数える
+//                （人が画面から外れてサンプルが取れなくても、決めた時間で止まるように）
+// 戻り値 {done, progress (0-1), count}（count は秒数かサイクル数）
+export function captureProgress(samples, stop, elapsedSec = 0) {
+  if (stop.mode === "cycles") {
+    const count = samples.length ? cyclesOf(samples, stop.key ?? "kneeL").length : 0;
+    return { done: count >= stop.cycles, progress: Math.min(1, count / stop.cycles), count };
+  }
+  const count = Math.max(0, elapsedSec);
+  return { done: count >= stop.seconds, progress: Math.min(1, count / stop.seconds), count };
+}
+
+// 映像 1 コマの明るさとくっきり具合（ImageData と同じ形 {data: RGBA, width, height}）
+//   brightness : 輝度の平均（0-255）
+//   sharpness  : ラプラシアンの分散（小さいほどぶれ・ピンぼけ。縮小した画像で比べる）
+export function frameStats({ data, width, height }) {
+  const luma = new Float32Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.299 * data[4 * i] + 0.587 * data[4 * i + 1] + 0.114 * data[4 * i + 2];
+  }
+  const lap = [];
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      lap.push(luma[i - 1] + luma[i + 1] + luma[i - width] + luma[i + width] - 4 * luma[i]);
+    }
+  }
+  return { brightness: avg(luma), sharpness: stdev(lap) ** 2 };
+}
+
+// 撮影後の品質チェック
+//   seen / fullBody : 撮影中に推定したコマ数と、そのうち全身が映っていたコマ数
+//   durationSec     : 撮影した長さ, stats : frameStats の結果の列（撮影中にときどき測ったもの）
+// 戻り値 {visibleRatio, cycles, fps, brightness, sharpness, issues: [{level: "bad" | "warn", text}], ok}
+//   ok は "bad" がないこと（"warn" だけなら使えるが、撮り直すとよくなる）
+export function captureQuality({ samples, seen, fullBody, durationSec, stats = [], key = "kneeL" }, {
+  minVisible = 0.8, minCycles = 6, minFps = 8, dark = 50, bright = 230, blurry = 20,
+} = {}) {
+  const visibleRatio = seen ? fullBody / seen : 0;
+  const cycles = cyclesOf(samples, key).length;
+  const fps = durationSec > 0 ? seen / durationSec : 0;
+  const brightness = stats.length ? avg(stats.map(s => s.brightness)) : null;
+  const sharpness = stats.length ? avg(stats.map(s => s.sharpness)) : null;
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  const issues = [];
+  if (visibleRatio < minVisible) {
+    issues.push({ level: visibleRatio < minVisible / 2 ? "bad" : "warn",
+      text: `全身が映っていたコマが ${pct(visibleRatio)} です。カメラを離すか、走るコースを画面の中央に寄せてください` });
+  }
+  if (cycles < minCycles) {
+    issues.push({ level: cycles < 2 ? "bad" : "warn",
+      text: `サイクルが ${cycles} 回しか取れていません（${minCycles} 回以上あると比較が安定します）` });
+  }
+  if (fps < minFps) {
+    issues.push({ level: fps < minFps / 2 ? "bad" : "warn",
+      text: `推定が 1 秒に ${fps.toFixed(1)} コマです。軽いモデルに切り替えるか、ほかのアプリを閉じてください` });
+  }
+  if (brightness != null && brightness < dark) issues.push({ level: "warn", text: "映像が暗めです。明るい場所で撮るか、照明を足してください" });
+  if (brightness != null && brightness > bright) issues.push({ level: "warn", text: "映像が明るすぎます（逆光かもしれません）。光を背にして撮ってください" });
+  if (sharpness != null && sharpness < blurry) issues.push({ level: "warn", text: "映像がぶれているか、ピントが合っていないようです。カメラを固定してください" });
+  return { visibleRatio, cycles, fps, brightness, sharpness, issues, ok: !issues.some(i => i.level === "bad") };
+}
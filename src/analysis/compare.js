@@ -0,0 +1,168 @@
+// src/analysis/compare.js
+// お手本(ref)と比較(cmp)の記録を突き合わせる
+import { summarizeCycles, meanCycle, meanEventPhase } from "./cycles.js";
+import { segmentCycles } from "./segmentation.js";
+import { detectGaitEvents, summarizeGait } from "./gaitEvents.js";
+import { segmentGait } from "./steps.js";
+import { withDerivedMetrics, summarizeKinematics } from "./kinematics.js";
+import { METRICS, metricSide } from "./metrics.js";
+import { summarizeDistances } from "./calibration.js";
+import { summarizeView, summarizeFrontal } from "./view.js";
+import { fillNaLinear, linInterp } from "./signal.js";
+import { rmse } from "./stats.js";
+import { findBestLag, dtw, warpToReference } from "./alignment.js";
+import { sdCycle, comparePhases } from "./phases.js";
+
+// 戻り値:
+//   { mode, labels, series: [{key, ref, cmp, events?, cycles?}], rmse: {key: number|null},
+//     stats: {mode, metric?, ref?, cmp?, gait, steps, kinematics, view, frontal, distances} }  ※ gait 以下は {ref, cmp}
+//   stats.ref / cmp は最後に比較できた指標（stats.metric）のサイクル長・除外したサイクル数・推定周期
+//   stats.steps は指標によらない左右のステップ統計（ケイデンスは歩/分）
+//   stats.view は撮影方向（多数決）, stats.frontal は正面・背面から撮ったときの前額面の指標
+//   stats.distances は calibration（resolveCalibration 済み）があるときの実寸（cm, km/h）
+// 比較できる指標が 1 つもなければ series は空
+// align は time モードだけ（alignment.js）：
+//   "none"  → 記録の先頭をそろえて ref の時刻に cmp を補間
+//   "xcorr" → 相互相関で求めたずれ（秒）だけ cmp をずらす。alignment = {method, lagSec, r}
+//   "dtw"   → DTW で対応づけた cmp を ref の時刻に並べる。alignment = {method, distance: {key: 1 点あたりの差}}
+//             series[].warp は ref の各時刻に対応する cmp の時刻（秒, ワーピング経路）
+//   rmse はそろえた後のカーブで計算する
+// cycles は cycle モードだけ：{ref: {kept, rejected}, cmp: …}（segmentation.js の segmentCycles）
+// cycle モードでは series に sd: {ref, cmp}（点ごとの SD）と diff（比較 − お手本）もつく
+//   stats.phases は指標ごとの局面レポート [{key, ref, cmp, phases}]（phases.js の comparePhases）
+// events は左右のある指標だけ：
+//   cycle → {ref: {ic, to}, cmp: {ic, to}}   サイクル内の平均位置（0-1）
+//   time  → {ref: {ic: [t], to: [t]}, cmp: …} 時刻（秒）。cmp もそろえた後の ref 側の時刻
+export function compareSessions(ref, cmp, { metrics = [], cycleNormalize = true, calibration = {}, align = "none" } = {}) {
+  ref = withDerivedMetrics(ref);
+  cmp = withDerivedMetrics(cmp);
+  const gait = { ref: detectGaitEvents(ref), cmp: detectGaitEvents(cmp) };
+  const out = cycleNormalize
+    ? compareByCycle(ref, cmp, metrics, gait)
+    : compareByTime(ref, cmp, metrics, gait, align);
+  out.stats.gait = { ref: summarizeGait(gait.ref), cmp: summarizeGait(gait.cmp) };
+  out.stats.steps = {
+    ref: segmentGait(ref, { gait: gait.ref }).summary,
+    cmp: segmentGait(cmp, { gait: gait.cmp }).summary,
+  };
+  out.stats.kinematics = {
+    ref: summarizeKinematics(ref, { gait: gait.ref }),
+    cmp: summarizeKinematics(cmp, { gait: gait.cmp }),
+  };
+  out.stats.view = { ref: summarizeView(ref), cmp: summarizeView(cmp) };
+  out.stats.frontal = {
+    ref: summarizeFrontal(ref, { gait: gait.ref }),
+    cmp: summarizeFrontal(cmp, { gait: gait.cmp }),
+  };
+  out.stats.distances = {
+    ref: summarizeDistances(ref, { cmPerPx: calibration.ref?.cmPerPx, gait: gait.ref }),
+    cmp: summarizeDistances(cmp, { cmPerPx: calibration.cmp?.cmPerPx, gait: gait.cmp }),
+  };
+  return out;
+}
+
+// 「動きを1回分に揃えて、平均したフォームで比較」
+function compareByCycle(ref, cmp, metrics, gait) {
+  const out = { mode: "cycle", labels: [], series: [], rmse: {}, stats: { mode: "cycle", phases: [] } };
+
+  for (const key of metrics) {
+    const opts = { prominence: METRICS[key]?.prominence ?? 5 };
+    const refSeg = segmentCycles(ref, key, opts);
+    const cmpSeg = segmentCycles(cmp, key, opts);
+    const refC = refSeg.cycles, cmpC = cmpSeg.cycles;
+    if (!(refC.length && cmpC.length)) continue;
+
+    const avgRef = meanCycle(refC), avgCmp = meanCycle(cmpC);
+    out.rmse[key] = rmse(avgRef, avgCmp);
+    out.labels = refC[0].normT.map(x => (x * 100).toFixed(0));
+    const side = metricSide(key);
+    const phases = (cycles, steps) => ({
+      ic: meanEventPhase(cycles, steps.map(s => s.ic)),
+      to: meanEventPhase(cycles, steps.map(s => s.to)),
+    });
+    const events = side ? { ref: phases(refC, gait.ref[side]), cmp: phases(cmpC, gait.cmp[side]) } : null;
+    const { diff, ...report } = comparePhases(avgRef, avgCmp, events);
+    out.series.push({
+      key, ref: avgRef, cmp: avgCmp, events,
+      sd: { ref: sdCycle(refC), cmp: sdCycle(cmpC) }, diff,
+      cycles: { ref: { kept: refC, rejected: refSeg.rejected }, cmp: { kept: cmpC, rejected: cmpSeg.rejected } },
+    });
+    out.stats.phases.push({ key, ...report });
+
+    // サイクル統計（揃えた後の各区間の秒数）
+    out.stats.metric = key;
+    out.stats.ref = { ...summarizeCycles(refC, refSeg.rejected), period: refSeg.period };
+    out.stats.cmp = { ...summarizeCycles(cmpC, cmpSeg.rejected), period: cmpSeg.period };
+  }
+  return out;
+}
+
+// 時間ベースで比較（ref の時刻に cmp を補間）
+function compareByTime(ref, cmp, metrics, gait, align) {
+  const out = { mode: "time", labels: [], series: [], rmse: {}, alignment: null, stats: { mode: "time" } };
+  const refT = ref.map(s => s.t);
+  const cmpT = cmp.map(s => s.t);
+  out.labels = refT.map(t => t.toFixed(2));
+  const raw = metrics.map(key => ({
+    key,
+    refY: ref.map(s => s[key] ?? null),
+    cmpY: fillNaLinear(cmpT, cmp.map(s => s[key] ?? null)),
+  }));
+
+  // 相互相関：全指標で 1 つのずれ。cmp の記録範囲の外は null
+  let lag = 0;
+  if (align === "xcorr") {
+    const best = findBestLag(raw.map(({ refY, cmpY }) => ({ refT, refY, cmpT, cmpY })));
+    if (best) {
+      lag = best.lagSec;
+      out.alignment = { method: "xcorr", lagSec: best.lagSec, r: best.r };
+    }
+  }
+  if (align === "dtw") out.alignment = { method: "dtw", distance: {} };
+  const inRange = (t) => align === "none" || (t >= cmpT[0] && t <= cmpT[cmpT.length - 1]);
+
+  // cmp の（小数の）index → 時刻。index は等間隔なので、linInterp で探さずにその場で補間する
+  const cmpTimeAt = (j) => {
+    if (j <= 0) return cmpT[0];
+    const k = Math.floor(j);
+    if (k >= cmpT.length - 1) return cmpT[cmpT.length - 1];
+    return cmpT[k] + (cmpT[k + 1] - cmpT[k]) * (j - k);
+  };
+  const times = (steps, map) => ({
+    ic: steps.map(s => map(s.ic)).filter(t => t != null),
+    to: steps.map(s => map(s.to)).filter(t => t != null),
+  });
+  for (const { key, refY, cmpY: cmpYseries } of raw) {
+    let cmpY, warp = null, mapCmp = (t) => t - lag;
+
+    const refFilled = fillNaLinear(refT, refY);
+    const ok = (ys) => ys.length && ys.every(v => v != null && isFinite(v));
+    const res = align === "dtw" && ok(refFilled) && ok(cmpYseries) ? dtw(refFilled, cmpYseries) : null;
+    if (res) {
+      const w = warpToReference(res.path, cmpYseries, refT.length);
+      cmpY = w.values;
+      warp = w.index.map(j => (j == null ? null : cmpTimeAt(j)));
+      out.alignment.distance[key] = res.normalized;
+      // cmp の時刻 → それに対応づいた最初の ref の時刻
+      //   warp は単調増加で、イベントは時刻順に来るので、前回の位置から先だけを探す（戻ったら頭から）
+      let i = 0, prev = -Infinity;
+      mapCmp = (t) => {
+        if (t < prev) i = 0;
+        prev = t;
+        while (i < warp.length && (warp[i] == null || warp[i] < t)) i++;
+        return i < warp.length ? refT[i] : null;
+      };
+    } else {
+      cmpY = refT.map(t => (inRange(t + lag) ? linInterp(t + lag, cmpT, cmpYseries) : null));
+    }
+
+    out.rmse[key] = rmse(refY, cmpY); // 片方が欠けた時刻は除かれる
+    const s = metricSide(key);
+    out.series.push({
+      key, ref: refY, cmp: cmpY,
+      ...(warp ? { warp } : {}),
+      events: s ? { ref: times(gait.ref[s], t => t), cmp: times(gait.cmp[s], mapCmp) } : null,
+    });
+  }
+  return out;
+}
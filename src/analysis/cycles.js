@@ -0,0 +1,80 @@
+// src/analysis/cycles.js
+// 動きの周期（サイクル）検出と 0-100% 正規化の部品（組み立ては segmentation.js）
+import { linInterp } from "./signal.js";
+import { avg, stdev } from "./stats.js";
+
+// 極小値（谷）の検出
+//   prominence : 前後 window 点の最大値からの深さ（左右の浅いほう）の下限
+//   minGapSec  : 谷どうしの最小間隔
+export function findLocalMinima(times, values, { prominence = 8, minGapSec = 0.35, window = 10 } = {}) {
+  const idxs = [];
+  for (let i = 1; i < values.length - 1; i++) {
+    if (values[i] <= values[i - 1] && values[i] <= values[i + 1]) idxs.push(i);
+  }
+  const kept = [];
+  let lastKeepT = -1e12;
+  for (const i of idxs) {
+    const left = Math.max(0, i - window);
+    const right = Math.min(values.length - 1, i + window);
+    const leftMax = Math.max(...values.slice(left, i));
+    const rightMax = Math.max(...values.slice(i + 1, right + 1));
+    const prom = Math.min(leftMax - values[i], rightMax - values[i]);
+    if (prom >= prominence && (times[i] - lastKeepT) >= minGapSec) {
+      kept.push(i);
+      lastKeepT = times[i];
+    }
+  }
+  return kept;
+}
+
+// サイクル正規化(0-100%)
+export function cyclesNormalize(times, values, peaks, N = 100) {
+  const cycles = [];
+  if (!peaks || peaks.length < 2) return cycles;
+  for (let c = 0; c < peaks.length - 1; c++) {
+    const i0 = peaks[c], i1 = peaks[c + 1];
+    const t0 = times[i0], t1 = times[i1];
+    if (t1 <= t0) continue;
+    const normT = Array.from({ length: N }, (_, i) => i / (N - 1));
+    const normV = normT.map(frac => {
+      const targetT = t0 + frac * (t1 - t0);
+      return linInterp(targetT, times, values);
+    });
+    cycles.push({ normT, normV, t0, dur: t1 - t0 });
+  }
+  return cycles;
+}
+
+// サイクル長の統計（秒）。ケイデンスは steps.js の segmentGait で求める
+// rejected を渡すと除外したサイクル数も返す
+export function summarizeCycles(cycles, rejected = []) {
+  const dur = cycles.map(c => c.dur);
+  return {
+    count: cycles.length,
+    rejected: rejected.length,
+    avg:  avg(dur),
+    sd:   stdev(dur),
+    min:  Math.min(...dur),
+    max:  Math.max(...dur),
+  };
+}
+
+// 時刻 eventTimes が各サイクルの何%にあたるかの平均（0-1, 該当なしは null）
+export function meanEventPhase(cycles, eventTimes) {
+  const phases = [];
+  for (const c of cycles) {
+    for (const t of eventTimes) {
+      if (t >= c.t0 && t < c.t0 + c.dur) phases.push((t - c.t0) / c.dur);
+    }
+  }
+  return phases.length ? phases.reduce((a, b) => a + b, 0) / phases.length : null;
+}
+
+// 複数サイクルの平均カーブ
+export function meanCycle(cycles) {
+  if (!cycles.length) return [];
+  const N = cycles[0].normV.length;
+  const out = Array(N).fill(0);
+  for (const c of cycles) c.normV.forEach((v, i) => out[i] += v / cycles.length);
+  return out;
+}
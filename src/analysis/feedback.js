@@ -0,0 +1,182 @@
+// src/analysis/feedback.js
+// ルールにもとづくフォームの採点とアドバイス
+//
+// ルールセットは JSON（既定は public/rules/form-rules.json。コーチが書き換えられる）
+//   { version: 1, name, rules: [rule] }
+//   rule = {
+//     id, fact,                    … sessionFacts のどの値を見るか
+//     label: {ja, en}, unit,       … unit は文字列か {ja, en}
+//     weight,                      … 点数への重み（既定 1）
+//     views?: ["side", …],         … この撮影方向の記録だけ評価する
+//     ok:   {min?, max?},          … この範囲なら 満点
+//     warn: {min?, max?},          … ok の外でもこの範囲なら 半分
+//     feedback: {low?, high?, ok?} … それぞれ {ja, en}。"{value}" は値と単位に置き換わる
+//   }
+import { detectGaitEvents, summarizeGait } from "./gaitEvents.js";
+import { segmentGait } from "./steps.js";
+import { withDerivedMetrics, summarizeKinematics } from "./kinematics.js";
+import { VIEW_LABELS, summarizeView, summarizeFrontal } from "./view.js";
+import { nearestIndex } from "./signal.js";
+
+const finite = (v) => v != null && isFinite(v);
+const mean = (arr) => {
+  const v = arr.filter(finite);
+  return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+};
+const quantile = (arr, q) => {
+  const v = arr.filter(finite).sort((a, b) => a - b);
+  return v.length ? v[Math.min(v.length - 1, Math.floor(q * v.length))] : null;
+};
+const maxOf = (a, b) => (finite(a) && finite(b) ? Math.max(a, b) : finite(a) ? a : finite(b) ? b : null);
+
+// 可動域（外れ値に引っぱられないよう 5〜95 パーセンタイルの幅）
+const rangeOf = (samples, key) => {
+  const v = samples.map(s => s[key]);
+  const lo = quantile(v, 0.05), hi = quantile(v, 0.95);
+  return lo == null ? null : hi - lo;
+};
+
+// ルールの fact に書ける名前（sessionFacts の数値の項目。view は撮影方向なので views で絞る）
+export const FACT_KEYS = [
+  "trunkMean", "trunkRange", "kneeAtContact", "kneeAsym", "hipAsym", "cadence", "stepAsym", "contactTime", "duty",
+  "vOsc", "overstride", "shinAtContact", "armSymmetry", "valgus", "pelvicDrop",
+];
+
+// ルールが参照できる記録の値（測れないものは null）
+//   trunkMean / trunkRange : 体幹前傾の平均と揺れ幅（°）
+//   kneeAtContact          : 接地の瞬間の膝角度（左右平均, 180 = 伸展）
+//   kneeAsym / hipAsym     : 膝・股関節の可動域の左右差（°）
+//     dKnee / dHip は同じ瞬間の左右差なので、走りでは脚が逆位相に動くぶん左右対称でも大きくなる。
+//     左右それぞれの可動域を比べて、片側だけ動きが小さい・大きいことを見る
+//   cadence (歩/分), stepAsym (%), contactTime (秒), duty
+//   vOsc, overstride (身長比 %), shinAtContact (°), armSymmetry (%)
+//   valgus, pelvicDrop（正面・背面, 左右の大きいほう °）
+//   view : 撮影方向
+export function sessionFacts(samples, { gait } = {}) {
+  samples = withDerivedMetrics(samples);
+  gait = gait ?? detectGaitEvents(samples);
+  const times = samples.map(s => s.t);
+  const steps = segmentGait(samples, { gait }).summary;
+  const g = summarizeGait(gait);
+  const kin = summarizeKinematics(samples, { gait });
+  const fr = summarizeFrontal(samples, { gait });
+  const atContact = (key, side) => gait[side].map(st => samples[nearestIndex(times, st.ic)]?.[key]);
+  const asym = (l, r) => (finite(l) && finite(r) ? Math.abs(l - r) : null);
+
+  return {
+    view: summarizeView(samples).view,
+    trunkMean: mean(samples.map(s => s.trunk)),
+    trunkRange: rangeOf(samples, "trunk"),
+    kneeAtContact: mean([...atContact("kneeL", "left"), ...atContact("kneeR", "right")]),
+    kneeAsym: asym(rangeOf(samples, "kneeL"), rangeOf(samples, "kneeR")),
+    hipAsym: asym(rangeOf(samples, "hipL"), rangeOf(samples, "hipR")),
+    cadence: steps.cadence,
+    stepAsym: steps.asymmetry,
+    contactTime: g.contact,
+    duty: g.duty,
+    vOsc: kin.vOsc,
+    overstride: mean([kin.overstride.left, kin.overstride.right]),
+    shinAtContact: mean([kin.shinAtContact.left, kin.shinAtContact.right]),
+    armSymmetry: kin.armSymmetry,
+    valgus: maxOf(fr.valgus.left, fr.valgus.right),
+    pelvicDrop: maxOf(fr.pelvicDrop.left, fr.pelvicDrop.right),
+  };
+}
+
+const inRange = (v, r) => !!r && (r.min == null || v >= r.min) && (r.max == null || v <= r.max);
+const isRange = (r) => r && typeof r === "object"
+  && (r.min == null || typeof r.min === "number") && (r.max == null || typeof r.max === "number");
+const isText = (t) => !!t && typeof t === "object" && typeof t.ja === "string" && typeof t.en === "string";
+const FEEDBACK_KEYS = ["low", "high", "ok"];
+
+// JSON テキスト（またはパース済みのオブジェクト）を確かめてルールセットにする
+// 形が違えば、どこがおかしいかを書いた Error を投げる
+export function parseRuleSet(input) {
+  let set;
+  try {
+    set = typeof input === "string" ? JSON.parse(input) : input;
+  } catch (e) {
+    throw new Error(`ルールセットの JSON を読めません: ${e.message}`);
+  }
+  if (!set || !Array.isArray(set.rules)) throw new Error("ルールセットに rules の配列がありません");
+  const ids = new Set();
+  set.rules.forEach((r, k) => {
+    const where = `rules[${k}]${r?.id ? `（${r.id}）` : ""}`;
+    if (!r || typeof r.id !== "string" || typeof r.fact !== "string") throw new Error(`${where}: id と fact が必要です`);
+    if (ids.has(r.id)) throw new Error(`${where}: id が重複しています`);
+    ids.add(r.id);
+    if (!FACT_KEYS.includes(r.fact)) throw new Error(`${where}: fact「${r.fact}」はありません（${FACT_KEYS.join(", ")}）`);
+    if (r.views != null) {
+      const views = Object.keys(VIEW_LABELS);
+      if (!Array.isArray(r.views)) throw new Error(`${where}: views は撮影方向の配列です（${views.join(", ")}）`);
+      const bad = r.views.find(v => !views.includes(v));
+      if (bad !== undefined) throw new Error(`${where}: views の「${bad}」は撮影方向ではありません（${views.join(", ")}）`);
+    }
+    if (!isRange(r.ok)) throw new Error(`${where}: ok に {min, max} が必要です`);
+    if (r.warn != null && !isRange(r.warn)) throw new Error(`${where}: warn は {min, max} で書いてください`);
+    if (r.weight != null && !(typeof r.weight === "number" && r.weight >= 0)) throw new Error(`${where}: weight は 0 以上の数です`);
+    if (!isText(r.label)) throw new Error(`${where}: label に {ja, en} の文字列が必要です`);
+    if (r.unit != null && typeof r.unit !== "string" && !isText(r.unit)) throw new Error(`${where}: unit は文字列か {ja, en} です`);
+    if (r.feedback != null) {
+      if (typeof r.feedback !== "object") throw new Error(`${where}: feedback は {low, high, ok} で書いてください`);
+      for (const key of FEEDBACK_KEYS) {
+        if (r.feedback[key] != null && !isText(r.feedback[key])) throw new Error(`${where}: feedback.${key} に {ja, en} の文字列が必要です`);
+      }
+    }
+  });
+  return { version: 1, name: "", ...set };
+}
+
+// 表示用の単位（lang は "ja" | "en"）
+export const unitText = (unit, lang = "ja") => (unit && typeof unit === "object" ? unit[lang] ?? "" : unit ?? "");
+const fmtValue = (v, unit) => `${Math.abs(v) >= 10 ? v.toFixed(0) : v.toFixed(1)}${unit}`;
+const fill = (msg, value, unit) => (msg ? {
+  ja: msg.ja?.replaceAll("{value}", fmtValue(value, unitText(unit, "ja"))) ?? "",
+  en: msg.en?.replaceAll("{value}", fmtValue(value, unitText(unit, "en"))) ?? "",
+} : null);
+
+// ok の範囲からどれだけ外れたか（範囲の幅で割る。幅がなければそのままの差）
+function overshoot(v, { min, max }) {
+  const span = min != null && max != null && max > min ? max - min : 1;
+  if (min != null && v < min) return (min - v) / span;
+  if (max != null && v > max) return (v - max) / span;
+  return 0;
+}
+
+// facts をルールセットで採点する
+// 戻り値 {score, results, feedback}
+//   score    : 0-100（評価できたルールの重みつき平均。1 つも評価できなければ null）
+//   results  : ルールごと {id, label, unit, value, weight, status, dir, message, points, priority, excess}
+//              status "ok" | "warn" | "bad" | "na"（測れない・撮影方向が違う）, dir "low" | "high" | null
+//              points 1 / 0.5 / 0, priority = 重み × 減点, excess = ok の範囲からの外れ幅
+//   feedback : 直したほうがよい順（ok と na を除き、priority → excess の大きい順）
+export function evaluateRules(facts, ruleSet) {
+  const results = ruleSet.rules.map(rule => {
+    const weight = rule.weight ?? 1;
+    const value = facts[rule.fact];
+    const base = {
+      id: rule.id, label: rule.label ?? { ja: rule.id, en: rule.id }, unit: rule.unit ?? "",
+      value: finite(value) ? value : null, weight,
+    };
+    if (!finite(value) || (rule.views && !rule.views.includes(facts.view))) {
+      return { ...base, status: "na", dir: null, message: null, points: null, priority: 0, excess: 0 };
+    }
+    const status = inRange(value, rule.ok) ? "ok" : inRange(value, rule.warn) ? "warn" : "bad";
+    const points = { ok: 1, warn: 0.5, bad: 0 }[status];
+    const dir = status === "ok" ? null : rule.ok.min != null && value < rule.ok.min ? "low" : "high";
+    return {
+      ...base, status, dir, points,
+      message: fill(rule.feedback?.[dir ?? "ok"], value, rule.unit),
+      priority: weight * (1 - points),
+      excess: overshoot(value, rule.ok),
+    };
+  });
+
+  const scored = results.filter(r => r.points != null && r.weight > 0);
+  const total = scored.reduce((a, r) => a + r.weight, 0);
+  const score = total ? Math.round((100 * scored.reduce((a, r) => a + r.weight * r.points, 0)) / total) : null;
+  const feedback = results
+    .filter(r => r.status === "warn" || r.status === "bad")
+    .sort((a, b) => b.priority - a.priority || b.excess - a.excess);
+  return { score, results, feedback };
+}
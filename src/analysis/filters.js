@@ -0,0 +1,145 @@
+// src/analysis/filters.js
+// 平滑化フィルタ
+//   ライブ（1 サンプルずつ）: One-Euro
+//   記録全体（前後のサンプルを使う）: Savitzky–Golay, Butterworth（往復でかけて位相ずれなし）
+// 記録全体のフィルタは null の区間をまたがない（連続した区間ごとにかける）
+
+const finite = (v) => v != null && isFinite(v);
+
+// 連続して値のある区間 [start, end)
+function runs(values) {
+  const out = [];
+  let a = 0;
+  while (a < values.length) {
+    if (!finite(values[a])) { a++; continue; }
+    let b = a;
+    while (b < values.length && finite(values[b])) b++;
+    out.push([a, b]);
+    a = b;
+  }
+  return out;
+}
+
+// One-Euro フィルタ（Casiez et al. 2012）
+//   minCutoff : 止まっているときのカットオフ（Hz）。下げるとブレが減り、遅れが増える
+//   beta      : 速く動くほどカットオフを上げる係数。上げると速い動きへの遅れが減る
+export function createOneEuroFilter({ minCutoff = 1.0, beta = 0.05, dCutoff = 1.0 } = {}) {
+  let prevX = null, prevDx = 0, prevT = null;
+  const alpha = (cutoff, dt) => {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  };
+  return {
+    // t は秒。値がなければ null を返す（状態はそのまま）
+    filter(x, t) {
+      if (!finite(x)) return null;
+      if (prevX == null || prevT == null || t <= prevT) {
+        prevX = x; prevDx = 0; prevT = t;
+        return x;
+      }
+      const dt = t - prevT;
+      const dx = (x - prevX) / dt;
+      const edx = prevDx + alpha(dCutoff, dt) * (dx - prevDx);
+      const cutoff = minCutoff + beta * Math.abs(edx);
+      const y = prevX + alpha(cutoff, dt) * (x - prevX);
+      prevX = y; prevDx = edx; prevT = t;
+      return y;
+    },
+    reset() {
+      prevX = null; prevDx = 0; prevT = null;
+    },
+  };
+}
+
+// 小さな連立一次方程式（ガウスの消去法）
+function solve(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let p = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+    [M[c], M[p]] = [M[p], M[c]];
+    if (Math.abs(M[c][c]) < 1e-12) return null;
+    for (let r = c + 1; r < n; r++) {
+      const f = M[r][c] / M[c][c];
+      for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+    }
+  }
+  const x = Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = M[r][n];
+    for (let k = r + 1; k < n; k++) s -= M[r][k] * x[k];
+    x[r] = s / M[r][r];
+  }
+  return x;
+}
+
+// Savitzky–Golay：各点の前後 window 点に order 次の多項式を当てはめた値
+// （区間の端では窓を内側に寄せる。サンプル間隔は一定とみなす）
+export function savitzkyGolay(values, { window = 7, order = 2 } = {}) {
+  const out = values.slice();
+  const h = Math.floor(window / 2);
+  for (const [a, b] of runs(values)) {
+    const n = b - a;
+    if (n <= order) continue;
+    const w = Math.min(2 * h + 1, n);
+    for (let i = a; i < b; i++) {
+      const lo = Math.max(a, Math.min(i - h, b - w));
+      const deg = Math.min(order, w - 1);
+      // 正規方程式 (XᵀX) c = Xᵀy, x = j - i
+      const A = Array.from({ length: deg + 1 }, () => Array(deg + 1).fill(0));
+      const rhs = Array(deg + 1).fill(0);
+      for (let j = lo; j < lo + w; j++) {
+        const x = j - i;
+        const pw = Array.from({ length: 2 * deg + 1 }, (_, k) => x ** k);
+        for (let r = 0; r <= deg; r++) {
+          rhs[r] += pw[r] * values[j];
+          for (let c = 0; c <= deg; c++) A[r][c] += pw[r + c];
+        }
+      }
+      const coef = solve(A, rhs);
+      if (coef) out[i] = coef[0];
+    }
+  }
+  return out;
+}
+
+// 2 次の Butterworth ローパス（双一次変換）の係数
+function butterworthCoefs(cutoffHz, fs) {
+  const k = Math.tan((Math.PI * cutoffHz) / fs);
+  const q = Math.SQRT2;
+  const norm = 1 / (1 + q * k + k * k);
+  const b0 = k * k * norm;
+  return { b: [b0, 2 * b0, b0], a: [2 * (k * k - 1) * norm, (1 - q * k + k * k) * norm] };
+}
+
+function biquad(x, { b, a }) {
+  const y = Array(x.length).fill(0);
+  // 最初の値で定常状態から始める（立ち上がりのずれを抑える）
+  let x1 = x[0], x2 = x[0], y1 = x[0], y2 = x[0];
+  for (let i = 0; i < x.length; i++) {
+    y[i] = b[0] * x[i] + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1; x1 = x[i]; y2 = y1; y1 = y[i];
+  }
+  return y;
+}
+
+// Butterworth を前向き・後ろ向きにかける（ゼロ位相, 実質 4 次）
+//   fs : サンプリング周波数（Hz）, cutoffHz は fs / 2 未満
+export function butterworthFiltfilt(values, { cutoffHz = 6, fs = 10 } = {}) {
+  const out = values.slice();
+  if (!(cutoffHz > 0 && cutoffHz < fs / 2)) return out;
+  const coefs = butterworthCoefs(cutoffHz, fs);
+  for (const [a, b] of runs(values)) {
+    const x = values.slice(a, b);
+    if (x.length < 4) continue;
+    // 端の過渡応答を逃がすため、両端を点対称に折り返して延ばす
+    const pad = Math.min(x.length - 1, 12);
+    const head = Array.from({ length: pad }, (_, k) => 2 * x[0] - x[pad - k]);
+    const tail = Array.from({ length: pad }, (_, k) => 2 * x[x.length - 1] - x[x.length - 2 - k]);
+    const ext = [...head, ...x, ...tail];
+    const y = biquad(biquad(ext, coefs).reverse(), coefs).reverse();
+    for (let i = 0; i < x.length; i++) out[a + i] = y[pad + i];
+  }
+  return out;
+}
@@ -0,0 +1,136 @@
+// src/analysis/gaitEvents.js
+// 足の上下の軌跡から 接地(IC)・離地(TO)・接地時間・滞空時間・デューティ比 を求める
+//
+// 記録サンプルに必要なフィールド（computeFootHeights が作る）
+//   footLy / footRy : 足のいちばん低い点の y（画像座標, 下ほど大きい, px）
+//   footLx / footRx : その点の x（px）。歩幅の計算に使う
+//   legPx           : 腰〜足首の長さ（px）。しきい値を体の大きさにそろえるため
+
+const FOOT_KEY = { left: "footLy", right: "footRy" };
+const SIDE_PREFIX = { left: "left_", right: "right_" };
+
+// キーポイント → 足の高さ（かかと・つま先があればそれも使う）
+export function computeFootHeights(keypoints, { minScore = 0.3 } = {}) {
+  const kp = Array.isArray(keypoints)
+    ? Object.fromEntries(keypoints.map(k => [k.name, k]))
+    : keypoints;
+  const ok = (k) => k && k.score > minScore;
+
+  const lowest = (side) => {
+    const pts = ["ankle", "heel", "toe"].map(n => kp[SIDE_PREFIX[side] + n]).filter(ok);
+    return pts.length ? pts.reduce((a, b) => (b.y > a.y ? b : a)) : null;
+  };
+  const leg = (side) => {
+    const hip = kp[SIDE_PREFIX[side] + "hip"], ankle = kp[SIDE_PREFIX[side] + "ankle"];
+    return ok(hip) && ok(ankle) ? Math.hypot(hip.x - ankle.x, hip.y - ankle.y) : null;
+  };
+
+  const legs = [leg("left"), leg("right")].filter(v => v != null);
+  const fl = lowest("left"), fr = lowest("right");
+  return {
+    footLy: fl?.y ?? null,
+    footRy: fr?.y ?? null,
+    footLx: fl?.x ?? null,
+    footRx: fr?.x ?? null,
+    legPx: legs.length ? legs.reduce((a, b) => a + b, 0) / legs.length : null,
+  };
+}
+
+const finite = (v) => v != null && isFinite(v);
+const mean = (arr) => {
+  const v = arr.filter(finite);
+  return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+};
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// 地面の高さ：前後 windowSec 秒の足の y の上位パーセンタイル（カメラの微妙なズレに追従）
+function groundLevel(times, ys, windowSec, q) {
+  let lo = 0, hi = 0;
+  return times.map((t, i) => {
+    while (times[lo] < t - windowSec) lo++;
+    while (hi < times.length && times[hi] <= t + windowSec) hi++;
+    if (ys[i] == null) return null;
+    const win = ys.slice(lo, hi).filter(v => v != null);
+    return quantile(win.sort((a, b) => a - b), q);
+  });
+}
+
+// 片足の接地区間を検出
+// 戻り値: [{side, ic, to, contact, stride}]（秒, stride は次の同じ足の接地まで）
+export function detectFootContacts(samples, side, {
+  contactBand = 0.06,   // 地面から脚長×この割合以内なら接地
+  windowSec = 1.5,
+  groundQuantile = 0.95,
+  minContactSec = 0.03,
+} = {}) {
+  const times = samples.map(s => s.t);
+  const ys = samples.map(s => finite(s[FOOT_KEY[side]]) ? s[FOOT_KEY[side]] : null);
+  const legs = samples.map(s => s.legPx).filter(finite).sort((a, b) => a - b);
+  if (ys.filter(v => v != null).length < 3 || !legs.length) return [];
+
+  const band = contactBand * quantile(legs, 0.5);
+  const ground = groundLevel(times, ys, windowSec, groundQuantile);
+  // 正なら接地していない（しきい値からの距離）
+  const lift = ys.map((y, i) => y == null ? null : (ground[i] - y) - band);
+
+  // しきい値をまたいだ時刻を線形補間（10Hz でも 0.1 秒刻みにならないように）
+  const cross = (a, b) => {
+    const f = lift[a] === lift[b] ? 0.5 : lift[a] / (lift[a] - lift[b]);
+    return times[a] + f * (times[b] - times[a]);
+  };
+
+  const steps = [];
+  let start = null;
+  for (let i = 0; i < ys.length; i++) {
+    if (lift[i] == null) { start = null; continue; } // 欠損をまたぐ区間は捨てる
+    const on = lift[i] <= 0;
+    if (on && start == null) start = i;
+    if (!on && start != null) {
+      // 記録の先頭から接地していた区間は IC が分からないので捨てる
+      if (start > 0 && lift[start - 1] != null) {
+        const ic = cross(start - 1, start);
+        const to = cross(i - 1, i);
+        if (to - ic >= minContactSec) steps.push({ side, ic, to, contact: to - ic, stride: null });
+      }
+      start = null;
+    }
+  }
+  for (let k = 0; k < steps.length - 1; k++) steps[k].stride = steps[k + 1].ic - steps[k].ic;
+  return steps;
+}
+
+// 左右それぞれのステップ列（滞空時間・デューティ比つき）
+//   flight: 離地してから反対の足が接地するまで（両足が地面についていれば 0）
+//   duty  : 接地時間 / ストライド時間
+export function detectGaitEvents(samples, opts) {
+  const left = detectFootContacts(samples, "left", opts);
+  const right = detectFootContacts(samples, "right", opts);
+
+  for (const [steps, other] of [[left, right], [right, left]]) {
+    for (const s of steps) {
+      const overlapping = other.some(o => o.ic <= s.to && s.to <= o.to);
+      const next = other.find(o => o.ic > s.to);
+      s.flight = overlapping ? 0
+        : (next && (s.stride == null || next.ic - s.to < s.stride)) ? next.ic - s.to
+        : null;
+      s.duty = s.stride ? s.contact / s.stride : null;
+    }
+  }
+  return { left, right };
+}
+
+// ステップ列の平均（秒 / 比率）。データが無ければ null
+export function summarizeGait({ left, right }) {
+  const all = [...left, ...right];
+  return {
+    steps: all.length,
+    contact: mean(all.map(s => s.contact)),
+    flight:  mean(all.map(s => s.flight)),
+    duty:    mean(all.map(s => s.duty)),
+  };
+}
@@ -0,0 +1,18 @@
+// src/analysis/geometry.js
+// キーポイント座標の幾何計算（フレームワーク非依存）
+
+// 2点の中点（score は低いほうを採用）
+export function mid(A, B) {
+  return { x: (A.x + B.x) / 2, y: (A.y + B.y) / 2, score: Math.min(A.score ?? 1, B.score ?? 1) };
+}
+
+// ∠ABC（B を頂点とする角度, 0-180°）
+export function angle(A, B, C) {
+  const ab = { x: A.x - B.x, y: A.y - B.y };
+  const cb = { x: C.x - B.x, y: C.y - B.y };
+  const dot = ab.x * cb.x + ab.y * cb.y;
+  const m1 = Math.hypot(ab.x, ab.y) || 1e-6;
+  const m2 = Math.hypot(cb.x, cb.y) || 1e-6;
+  const cos = Math.max(-1, Math.min(1, dot / (m1 * m2)));
+  return (Math.acos(cos) * 180) / Math.PI;
+}
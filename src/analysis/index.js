@@ -0,0 +1,42 @@
+// src/analysis/index.js
+// フォーム解析ライブラリの公開 API（React / DOM に依存しない）
+export { mid, angle } from "./geometry.js";
+export { movingAvg, linInterp, nearestIndex, fillNaLinear, fillGaps } from "./signal.js";
+export { createOneEuroFilter, savitzkyGolay, butterworthFiltfilt } from "./filters.js";
+export { rmse, avg, stdev } from "./stats.js";
+export { findLocalMinima, cyclesNormalize, summarizeCycles, meanCycle, meanEventPhase } from "./cycles.js";
+export { estimatePeriod, segmentCycles } from "./segmentation.js";
+export { findBestLag, dtw, warpToReference } from "./alignment.js";
+export { PHASE_KEYS, PHASE_LABELS, sdCycle, gaitPhases, describeCycle, comparePhases } from "./phases.js";
+export { FACT_KEYS, sessionFacts, parseRuleSet, evaluateRules, unitText } from "./feedback.js";
+export {
+  SESSION_FORMAT, SESSION_VERSION, KEYPOINTS_FORMAT, KEYPOINTS_VERSION, CSV_VALUE_KEYS,
+  recordingToCSV, parseRecordingCSV, toSessionFile, parseSessionFile, framesToNDJSON, parseKeypointsNDJSON, parseRecordingFile,
+} from "./sessionFile.js";
+export {
+  ANNOTATION_POINTS, annotationMeasure, annotationText, annotationsAt, estimateFramePeriod, annotationColumn, checkAnnotations,
+} from "./annotations.js";
+export { KEYPOINT_NAMES, LINE_PAIRS, normalizeKeypoints } from "./keypoints.js";
+export { ANGLE_KEYS, computeJointAngles, poseConfidence, withSideDiffs, createAngleSmoother } from "./angles.js";
+export { computeFootHeights, detectFootContacts, detectGaitEvents, summarizeGait } from "./gaitEvents.js";
+export { segmentGait, summarizeSteps } from "./steps.js";
+export { LIMB_ANGLE_KEYS, facingDir, computeLimbMetrics, withDerivedMetrics, summarizeKinematics } from "./kinematics.js";
+export { poseBox, createPoseTracker, selectTrack, largestTrack } from "./tracking.js";
+export { VIEW_LABELS, FRONTAL_KEYS, classifyView, summarizeView, computeFrontalMetrics, summarizeFrontal } from "./view.js";
+export { FILTER_KEYS, processRecording } from "./postprocess.js";
+export { createSampleBuilder, reprocessFrames } from "./pipeline.js";
+export {
+  playbackCycles, cycleTime, mediaTimeAt, frameAt, hipAnchor, hipAlignTransform, transformKeypoints,
+} from "./playback.js";
+export { METRICS, metricSide, metricUnit, metricsUnsuitedForView } from "./metrics.js";
+export { scaleFromHeight, scaleFromPoints, resolveCalibration, summarizeDistances } from "./calibration.js";
+export { compareSessions } from "./compare.js";
+export {
+  BASELINE_FORMAT, BASELINE_VERSION, BASELINE_LABELS, compareMany, buildBaseline, parseBaseline, scoreAgainstBaseline,
+} from "./baseline.js";
+export {
+  FRAMING_PARTS, framingCheck, framingMessage, isSteadyRunning, captureProgress, frameStats, captureQuality,
+} from "./capture.js";
+export { escapeHtml, reportToHTML, imagesToPDF } from "./report.js";
+export { PROGRESS_METRICS, sessionSummary, filterByTags, linearTrend, progressSeries } from "./progress.js";
+export { recordedTime, filterSessions, formatDate } from "./library.js";
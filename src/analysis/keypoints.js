@@ -0,0 +1,44 @@
+// src/analysis/keypoints.js
+// モデルごとのキーポイント名を共通スキーマにそろえる
+
+// 共通スキーマ（MoveNet の 17 点 + BlazePose の足部）
+export const KEYPOINT_NAMES = [
+  "nose", "left_eye", "right_eye", "left_ear", "right_ear",
+  "left_shoulder", "right_shoulder", "left_elbow", "right_elbow",
+  "left_wrist", "right_wrist", "left_hip", "right_hip",
+  "left_knee", "right_knee", "left_ankle", "right_ankle",
+  "left_heel", "right_heel", "left_toe", "right_toe",
+];
+
+// スケルトン描画用の接続ペア（足部はある時だけ描かれる）
+export const LINE_PAIRS = [
+  ["left_shoulder", "left_elbow"], ["left_elbow", "left_wrist"],
+  ["right_shoulder", "right_elbow"], ["right_elbow", "right_wrist"],
+  ["left_hip", "left_knee"], ["left_knee", "left_ankle"],
+  ["right_hip", "right_knee"], ["right_knee", "right_ankle"],
+  ["left_shoulder", "right_shoulder"], ["left_hip", "right_hip"],
+  ["left_shoulder", "left_hip"], ["right_shoulder", "right_hip"],
+  ["left_ankle", "left_heel"], ["left_heel", "left_toe"], ["left_ankle", "left_toe"],
+  ["right_ankle", "right_heel"], ["right_heel", "right_toe"], ["right_ankle", "right_toe"],
+];
+
+// モデル固有名 → 共通名（載っていない名前はそのまま）
+const ALIASES = {
+  movenet: {},
+  blazepose: {
+    left_foot_index: "left_toe",
+    right_foot_index: "right_toe",
+  },
+};
+
+// [{name, x, y, score}] を共通スキーマに変換（スキーマ外の点は捨てる）
+export function normalizeKeypoints(keypoints, family = "movenet") {
+  const alias = ALIASES[family] || {};
+  const out = [];
+  for (const k of keypoints) {
+    const name = alias[k.name] || k.name;
+    if (!KEYPOINT_NAMES.includes(name)) continue;
+    out.push({ name, x: k.x, y: k.y, score: k.score });
+  }
+  return out;
+}
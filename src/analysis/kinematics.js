@@ -0,0 +1,146 @@
+// src/analysis/kinematics.js
+// 角度以外のランニング指標：上下動・オーバーストライド・すね角度・肘角度・腕振り
+import { angle, mid } from "./geometry.js";
+import { detectGaitEvents } from "./gaitEvents.js";
+import { segmentGait } from "./steps.js";
+import { nearestIndex } from "./signal.js";
+
+// 平滑化して記録する角度（残りのフィールドは生値）
+export const LIMB_ANGLE_KEYS = ["elbowL", "elbowR", "armL", "armR"];
+
+// 肩〜足首の長さ ÷ 身長（Drillis & Contini の身体比率：肩 0.818H − 足首 0.039H）
+const SHOULDER_TO_ANKLE = 0.78;
+
+const SIDES = [["L", "left_"], ["R", "right_"]];
+const finite = (v) => v != null && isFinite(v);
+const mean = (arr) => {
+  const v = arr.filter(finite);
+  return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+};
+const median = (arr) => {
+  const v = arr.filter(finite).sort((a, b) => a - b);
+  return v.length ? v[Math.floor(v.length / 2)] : null;
+};
+
+// 走っている向き（画像の右向きなら +1, 左向きなら -1, 不明なら null）
+// 鼻と耳、なければつま先とかかとの位置関係から
+export function facingDir(kp, minScore = 0.3) {
+  const ok = (k) => k && k.score > minScore;
+  const nose = kp["nose"];
+  const ear = [kp["left_ear"], kp["right_ear"]].find(ok);
+  if (ok(nose) && ear && nose.x !== ear.x) return Math.sign(nose.x - ear.x);
+  for (const [, p] of SIDES) {
+    const toe = kp[p + "toe"], heel = kp[p + "heel"];
+    if (ok(toe) && ok(heel) && toe.x !== heel.x) return Math.sign(toe.x - heel.x);
+  }
+  return null;
+}
+
+// 線分 A→B の鉛直下向きからの角度（進行方向側が +）
+function fromVertical(A, B, dir) {
+  return (Math.atan2((B.x - A.x) * dir, B.y - A.y) * 180) / Math.PI;
+}
+
+// 1 コマ分の指標
+//   elbow* : 肘角度（180 = 伸展）
+//   arm*   : 上腕の鉛直からの角度（前が +）
+//   shin*  : すねの鉛直からの角度（足首が膝より前で +）
+//   reach* : 足首が腰より前にある距離（身長比 %）
+//   hipY   : 腰の中点の y（px）, heightPx : 推定身長（px）
+export function computeLimbMetrics(keypoints, { minScore = 0.3 } = {}) {
+  const kp = Array.isArray(keypoints)
+    ? Object.fromEntries(keypoints.map(k => [k.name, k]))
+    : keypoints;
+  const ok = (...ks) => ks.every(k => k && k.score > minScore);
+  const dir = facingDir(kp, minScore);
+  const out = {
+    elbowL: null, elbowR: null, armL: null, armR: null,
+    shinL: null, shinR: null, reachL: null, reachR: null,
+    hipY: null, heightPx: null,
+  };
+
+  const ls = kp["left_shoulder"], rs = kp["right_shoulder"];
+  const lh = kp["left_hip"], rh = kp["right_hip"];
+  const hipMid = ok(lh, rh) ? mid(lh, rh) : null;
+  if (hipMid) out.hipY = hipMid.y;
+
+  // 推定身長：体幹 + 大腿 + 下腿（見えている脚の平均）
+  const legs = SIDES.map(([, p]) => {
+    const h = kp[p + "hip"], k = kp[p + "knee"], a = kp[p + "ankle"];
+    return ok(h, k, a) ? Math.hypot(h.x - k.x, h.y - k.y) + Math.hypot(k.x - a.x, k.y - a.y) : null;
+  }).filter(finite);
+  if (hipMid && ok(ls, rs) && legs.length) {
+    const sm = mid(ls, rs);
+    const torso = Math.hypot(sm.x - hipMid.x, sm.y - hipMid.y);
+    out.heightPx = (torso + legs.reduce((a, b) => a + b, 0) / legs.length) / SHOULDER_TO_ANKLE;
+  }
+
+  for (const [s, p] of SIDES) {
+    const sh = kp[p + "shoulder"], el = kp[p + "elbow"], wr = kp[p + "wrist"];
+    const kn = kp[p + "knee"], an = kp[p + "ankle"];
+    if (ok(sh, el, wr)) out["elbow" + s] = angle(sh, el, wr);
+    if (dir == null) continue;
+    if (ok(sh, el)) out["arm" + s] = fromVertical(sh, el, dir);
+    if (ok(kn, an)) out["shin" + s] = fromVertical(kn, an, dir);
+    if (hipMid && ok(an) && out.heightPx) out["reach" + s] = ((an.x - hipMid.x) * dir / out.heightPx) * 100;
+  }
+  return out;
+}
+
+// 記録全体から求める派生指標を足したサンプル列を返す
+//   vOsc : 腰の上下動（前後 windowSec 秒の平均からのずれ, 身長比 %, 上が +）
+export function withDerivedMetrics(samples, { windowSec = 0.5 } = {}) {
+  const H = median(samples.map(s => s.heightPx));
+  let lo = 0, hi = 0, sum = 0, n = 0;
+  return samples.map((s) => {
+    // 時刻順に窓をずらしながら hipY の平均を持つ
+    while (hi < samples.length && samples[hi].t <= s.t + windowSec) {
+      if (finite(samples[hi].hipY)) { sum += samples[hi].hipY; n++; }
+      hi++;
+    }
+    while (samples[lo].t < s.t - windowSec) {
+      if (finite(samples[lo].hipY)) { sum -= samples[lo].hipY; n--; }
+      lo++;
+    }
+    const vOsc = H && finite(s.hipY) && n ? -((s.hipY - sum / n) / H) * 100 : null;
+    return { ...s, vOsc };
+  });
+}
+
+// セッション全体のまとめ
+//   vOsc          : 1 歩ごとの腰の上下幅の平均（身長比 %）
+//   overstride    : 接地時に足首が腰より前にある距離（身長比 %）
+//   shinAtContact : 接地時のすね角度（°）
+//   elbow         : 肘角度の平均（°）
+//   armSwing      : 1 ストライドの腕振り幅（°）, armSymmetry : 左右差（%）
+export function summarizeKinematics(samples, { gait = detectGaitEvents(samples) } = {}) {
+  const times = samples.map(s => s.t);
+  const H = median(samples.map(s => s.heightPx));
+  const { steps } = segmentGait(samples, { gait });
+
+  const inWindow = (key, t0, t1) => samples
+    .filter(s => s.t >= t0 && s.t <= t1 && finite(s[key]))
+    .map(s => s[key]);
+  const range = (v) => v.length >= 2 ? Math.max(...v) - Math.min(...v) : null;
+
+  const vOsc = H ? mean(steps.map(st => {
+    const r = range(inWindow("hipY", st.start, st.end));
+    return r == null ? null : (r / H) * 100;
+  })) : null;
+
+  const atContact = (key, side) => mean(gait[side].map(st => samples[nearestIndex(times, st.ic)]?.[key]));
+  const armSwing = (key) => mean(steps.slice(1).map((st, k) => range(inWindow(key, steps[k].start, st.end))));
+
+  const out = {
+    vOsc,
+    overstride:    { left: atContact("reachL", "left"), right: atContact("reachR", "right") },
+    shinAtContact: { left: atContact("shinL", "left"),  right: atContact("shinR", "right") },
+    elbow:         { left: mean(samples.map(s => s.elbowL)), right: mean(samples.map(s => s.elbowR)) },
+    armSwing:      { left: armSwing("armL"), right: armSwing("armR") },
+  };
+  const { left, right } = out.armSwing;
+  out.armSymmetry = (left != null && right != null && left + right > 0)
+    ? (Math.abs(left - right) / ((left + right) / 2)) * 100
+    : null;
+  return out;
+}
@@ -0,0 +1,24 @@
+// src/analysis/library.js
+// 記録のライブラリ（sessionStore.js）の一覧で使う、検索と日付の表示
+//   一覧の 1 件は {name, tags, fileName, createdAt, recordedAt, …}（sessionStore.js の sessions）
+
+// 撮った日時（ミリ秒）。recordedAt がない古い記録は保存した日時で代える
+export const recordedTime = (s) => s.recordedAt ?? s.createdAt;
+
+// 検索：空白で区切った語がすべて、名前・タグ・ファイル名・撮った日付（YYYY-MM-DD, recordedTime）のどこかに含まれる
+//   大文字・小文字は区別しない。空の検索なら list をそのまま返す
+export function filterSessions(list, query) {
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return list;
+  return list.filter(s => {
+    const text = [s.name, ...(s.tags ?? []), s.fileName ?? "", formatDate(recordedTime(s))].join(" ").toLowerCase();
+    return words.every(w => text.includes(w));
+  });
+}
+
+// 一覧の日付表示（ローカル時刻 YYYY-MM-DD HH:MM）
+export function formatDate(ms) {
+  const d = new Date(ms);
+  const p = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} ${p(d.getHours())}:${p(d.getMinutes())}`;
+}
@@ -0,0 +1,46 @@
+// src/analysis/metrics.js
+// 記録・比較できる指標の定義
+//   unit       : 表示単位
+//   side       : 左右のある指標は "left" / "right"（接地マーカーの対応づけに使う）
+//   prominence : サイクル検出で谷とみなす深さ（単位は指標と同じ）
+//   views      : 意味のある撮影方向（横 "side" / 正面 "front" / 背面 "back"）
+const SIDE_VIEW = ["side"];
+const FRONTAL_VIEW = ["front", "back"];
+
+export const METRICS = {
+  kneeL:  { unit: "°", side: "left", views: SIDE_VIEW },
+  kneeR:  { unit: "°", side: "right", views: SIDE_VIEW },
+  hipL:   { unit: "°", side: "left", views: SIDE_VIEW },
+  hipR:   { unit: "°", side: "right", views: SIDE_VIEW },
+  trunk:  { unit: "°", side: null, views: SIDE_VIEW },
+  vOsc:   { unit: "%", side: null, prominence: 1, views: [...SIDE_VIEW, ...FRONTAL_VIEW] },
+  reachL: { unit: "%", side: "left", prominence: 2, views: SIDE_VIEW },
+  reachR: { unit: "%", side: "right", prominence: 2, views: SIDE_VIEW },
+  shinL:  { unit: "°", side: "left", views: SIDE_VIEW },
+  shinR:  { unit: "°", side: "right", views: SIDE_VIEW },
+  elbowL: { unit: "°", side: "left", views: SIDE_VIEW },
+  elbowR: { unit: "°", side: "right", views: SIDE_VIEW },
+  armL:   { unit: "°", side: "left", views: SIDE_VIEW },
+  armR:   { unit: "°", side: "right", views: SIDE_VIEW },
+  valgusL:    { unit: "°", side: "left", prominence: 2, views: FRONTAL_VIEW },
+  valgusR:    { unit: "°", side: "right", prominence: 2, views: FRONTAL_VIEW },
+  pelvicDrop: { unit: "°", side: null, prominence: 2, views: FRONTAL_VIEW },
+  crossL:     { unit: "%", side: "left", prominence: 10, views: FRONTAL_VIEW },
+  crossR:     { unit: "%", side: "right", prominence: 10, views: FRONTAL_VIEW },
+  armCrossL:  { unit: "%", side: "left", prominence: 10, views: FRONTAL_VIEW },
+  armCrossR:  { unit: "%", side: "right", prominence: 10, views: FRONTAL_VIEW },
+};
+
+export function metricSide(key) {
+  return METRICS[key]?.side ?? null;
+}
+
+export function metricUnit(key) {
+  return METRICS[key]?.unit ?? "";
+}
+
+// その撮影方向では意味のない指標（view が不明なら空）
+export function metricsUnsuitedForView(view, keys) {
+  if (!view) return [];
+  return keys.filter(k => METRICS[k]?.views && !METRICS[k].views.includes(view));
+}
@@ -0,0 +1,85 @@
+// src/analysis/phases.js
+// サイクル内の局面ごとの比較（平均カーブ ± SD, 差のカーブ, 山・谷の位置, 局面ごとの差）
+//
+// 局面は接地（ic）と離地（to）のサイクル内の位置（0-1, meanEventPhase）で区切る
+//   stance     : 接地 → 離地
+//   earlySwing : 離地 → 次の接地までの前半
+//   lateSwing  : 同じく後半
+// サイクルは指標の谷から谷なので、局面が 100% をまたぐこともある（from > to）
+import { stdev } from "./stats.js";
+
+export const PHASE_KEYS = ["stance", "earlySwing", "lateSwing"];
+export const PHASE_LABELS = { stance: "接地期", earlySwing: "遊脚前半", lateSwing: "遊脚後半" };
+
+const wrap = (x) => ((x % 1) + 1) % 1;
+
+// 複数サイクルの点ごとの SD（meanCycle と同じ並び）
+export function sdCycle(cycles) {
+  if (!cycles.length) return [];
+  return cycles[0].normV.map((_, i) => stdev(cycles.map(c => c.normV[i])));
+}
+
+// 接地・離地の位置から局面 [{key, from, to}]（0-1）。どちらかがなければ null
+export function gaitPhases({ ic, to } = {}) {
+  if (ic == null || to == null) return null;
+  const swing = wrap(ic - to);
+  const mid = wrap(to + swing / 2);
+  return [
+    { key: "stance", from: ic, to },
+    { key: "earlySwing", from: to, to: mid },
+    { key: "lateSwing", from: mid, to: ic },
+  ];
+}
+
+// カーブのうち局面 [from, to] に入る点の平均
+function phaseMean(curve, { from, to }) {
+  const N = curve.length;
+  const inside = (x) => (from <= to ? x >= from && x <= to : x >= from || x <= to);
+  const v = curve.filter((y, i) => y != null && inside(i / (N - 1)));
+  return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+}
+
+// 平均カーブの山・谷と、接地・離地の瞬間の値（at はサイクル内の位置 0-1）
+export function describeCycle(curve, events = null) {
+  if (!curve.length) return null;
+  const N = curve.length;
+  let iMax = 0, iMin = 0;
+  curve.forEach((v, i) => {
+    if (v > curve[iMax]) iMax = i;
+    if (v < curve[iMin]) iMin = i;
+  });
+  const valueAt = (x) => (x == null ? null : curve[Math.round(x * (N - 1))]);
+  return {
+    max: { value: curve[iMax], at: iMax / (N - 1) },
+    min: { value: curve[iMin], at: iMin / (N - 1) },
+    ic: valueAt(events?.ic),
+    to: valueAt(events?.to),
+  };
+}
+
+// お手本と比較の平均カーブを局面ごとに突き合わせる
+//   events : {ref: {ic, to}, cmp: {ic, to}}（なければ局面の表は null）
+// 戻り値 {diff, ref, cmp, phases}
+//   diff   : 比較 − お手本（点ごと）
+//   ref/cmp: describeCycle
+//   phases : [{key, ref, cmp, delta, range}]  局面内の平均値と差（比較 − お手本）
+//            局面の区切りはそれぞれの記録の接地・離地で決める（range: {ref: [from, to], cmp: …}）
+export function comparePhases(refCurve, cmpCurve, events = null) {
+  const diff = refCurve.map((r, i) => (r == null || cmpCurve[i] == null ? null : cmpCurve[i] - r));
+  const refPh = gaitPhases(events?.ref), cmpPh = gaitPhases(events?.cmp);
+  const phases = refPh && cmpPh
+    ? PHASE_KEYS.map((key, k) => {
+      const ref = phaseMean(refCurve, refPh[k]), cmp = phaseMean(cmpCurve, cmpPh[k]);
+      return {
+        key, ref, cmp, delta: ref == null || cmp == null ? null : cmp - ref,
+        range: { ref: [refPh[k].from, refPh[k].to], cmp: [cmpPh[k].from, cmpPh[k].to] },
+      };
+    })
+    : null;
+  return {
+    diff,
+    ref: describeCycle(refCurve, events?.ref),
+    cmp: describeCycle(cmpCurve, events?.cmp),
+    phases,
+  };
+}
@@ -0,0 +1,62 @@
+// src/analysis/pipeline.js
+// キーポイント（共通スキーマ）→ 記録する 1 行分（sample）
+// 推定中（poseEstimation.js）も、保存した生のキーポイントからの再計算（reprocessFrames）も同じ処理を通す
+import { ANGLE_KEYS, computeJointAngles, poseConfidence, createAngleSmoother } from "./angles.js";
+import { LIMB_ANGLE_KEYS, computeLimbMetrics } from "./kinematics.js";
+import { computeFootHeights } from "./gaitEvents.js";
+import { FRONTAL_KEYS, classifyView, computeFrontalMetrics } from "./view.js";
+import { processRecording } from "./postprocess.js";
+
+// minScore : キーポイントを使うスコアの下限
+// filter   : 平滑化 "box" | "oneEuro" | "none"（angles.js の createAngleSmoother）
+// push(keypoints, tSec) → {angles, sample}
+//   sample = 平滑化した角度 + すね・着地位置・腰の高さ + 接地検出用の足の高さ
+//            + 撮影方向 view と前額面の指標 + 信頼度 conf（角度が 1 つも取れなければ null）
+export function createSampleBuilder({ minScore = 0.3, filter = "box" } = {}) {
+  let opts = { minScore, filter };
+  const makeSmoother = () => createAngleSmoother({
+    window: 5, filter: opts.filter, keys: [...ANGLE_KEYS, ...LIMB_ANGLE_KEYS, ...FRONTAL_KEYS],
+  });
+  let smoother = makeSmoother();
+  return {
+    push(keypoints, tSec) {
+      const { minScore } = opts;
+      const angles = keypoints && computeJointAngles(keypoints, { minScore });
+      if (!angles) return { angles: null, sample: null };
+      const limbs = computeLimbMetrics(keypoints, { minScore });
+      const frontal = computeFrontalMetrics(keypoints, { minScore });
+      const sample = {
+        ...limbs,
+        // 肘・腕振り・前額面は平滑化した値で上書き
+        ...smoother.push({ ...angles, ...limbs, ...frontal }, tSec),
+        ...computeFootHeights(keypoints, { minScore }),
+        view: classifyView(keypoints, { minScore }),
+        conf: +poseConfidence(keypoints).toFixed(3),
+      };
+      return { angles, sample };
+    },
+    configure(next) {
+      opts = { ...opts, ...next };
+      smoother = makeSmoother();
+    },
+    reset() {
+      smoother.reset();
+    },
+  };
+}
+
+// 生のキーポイント frames [{t, keypoints}] から記録を作り直す
+//   minScore / filter       : createSampleBuilder と同じ（ライブの平滑化）
+//   maxGapSec / offlineFilter / cutoffHz / window : postprocess.js の processRecording
+//   記録全体のフィルタをかけるときは、ライブの平滑化は外す（動画全体の解析と同じ）
+export function reprocessFrames(frames, {
+  minScore = 0.3, filter = "box", maxGapSec = 0.3, offlineFilter = "none", cutoffHz, window,
+} = {}) {
+  const builder = createSampleBuilder({ minScore, filter: offlineFilter === "none" ? filter : "none" });
+  const samples = [];
+  for (const f of frames) {
+    const { sample } = builder.push(f.keypoints, f.t);
+    if (sample) samples.push({ t: f.t, ...sample });
+  }
+  return processRecording(samples, { maxGapSec, filter: offlineFilter, cutoffHz, window });
+}
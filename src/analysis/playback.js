@@ -0,0 +1,65 @@
+// src/analysis/playback.js
+// 比較プレーヤー：お手本と比較の動画を、同じサイクルの同じ局面（0-100%）で並べるための計算
+//   サイクルは compare.js の cycle モードと同じ切り出し方なので、プレーヤーの位置と比較グラフの横軸が一致する
+import { mid } from "./geometry.js";
+import { linInterp, nearestIndex } from "./signal.js";
+import { segmentCycles } from "./segmentation.js";
+import { withDerivedMetrics } from "./kinematics.js";
+import { METRICS } from "./metrics.js";
+
+// 指標 key のサイクル [{t0, dur}]（秒、記録の時刻。外れサイクルは除く）
+export function playbackCycles(samples, key = "kneeL") {
+  const { cycles } = segmentCycles(withDerivedMetrics(samples), key, { prominence: METRICS[key]?.prominence ?? 5 });
+  return cycles.map(c => ({ t0: c.t0, dur: c.dur }));
+}
+
+// k 番目のサイクルの局面 phase（0-1）の記録上の時刻。k はサイクル数で折り返す
+export function cycleTime(cycles, k, phase) {
+  if (!cycles.length) return null;
+  const c = cycles[((k % cycles.length) + cycles.length) % cycles.length];
+  return c.t0 + Math.min(1, Math.max(0, phase)) * c.dur;
+}
+
+// 記録の時刻 → 動画の再生位置（秒）
+//   生のキーポイント（mediaTime つき）があればその対応で、なければ記録の時刻＝再生位置とみなす
+//   （動画全体の解析・読み込んだファイルは記録の時刻が再生位置）。範囲外は傾き 1 で延ばす
+export function mediaTimeAt(frames, t) {
+  const pts = (frames ?? []).filter(f => f.mediaTime != null && isFinite(f.mediaTime));
+  if (!pts.length) return t;
+  const first = pts[0], last = pts[pts.length - 1];
+  if (t <= first.t) return first.mediaTime - (first.t - t);
+  if (t >= last.t) return last.mediaTime + (t - last.t);
+  return linInterp(t, pts.map(f => f.t), pts.map(f => f.mediaTime));
+}
+
+// 時刻 t にいちばん近いフレーム（maxGapSec より離れていれば null）
+export function frameAt(frames, t, { maxGapSec = 0.25 } = {}) {
+  if (!frames?.length) return null;
+  const f = frames[nearestIndex(frames.map(x => x.t), t)];
+  return Math.abs(f.t - t) <= maxGapSec ? f : null;
+}
+
+// 腰の中点と体幹の長さ（腰の中点〜肩の中点, px）。見えていなければ null
+export function hipAnchor(keypoints, { minScore = 0.3 } = {}) {
+  const kp = Object.fromEntries((keypoints ?? []).map(k => [k.name, k]));
+  const ok = (k) => k && k.score > minScore;
+  const pair = (a, b) => (ok(a) && ok(b) ? mid(a, b) : [a, b].find(ok) ?? null);
+  const hip = pair(kp.left_hip, kp.right_hip);
+  const shoulder = pair(kp.left_shoulder, kp.right_shoulder);
+  if (!hip || !shoulder) return null;
+  const size = Math.hypot(shoulder.x - hip.x, shoulder.y - hip.y);
+  return size > 0 ? { x: hip.x, y: hip.y, size } : null;
+}
+
+// from の人を to の人に重ねる変換 {scale, dx, dy}（x' = x·scale + dx）
+//   腰の中点を合わせ、体幹の長さで大きさをそろえる。どちらかの腰・肩が見えていなければ null
+export function hipAlignTransform(fromKeypoints, toKeypoints, opts) {
+  const a = hipAnchor(fromKeypoints, opts), b = hipAnchor(toKeypoints, opts);
+  if (!a || !b) return null;
+  const scale = b.size / a.size;
+  return { scale, dx: b.x - a.x * scale, dy: b.y - a.y * scale };
+}
+
+export function transformKeypoints(keypoints, { scale, dx, dy }) {
+  return keypoints.map(k => ({ ...k, x: k.x * scale + dx, y: k.y * scale + dy }));
+}
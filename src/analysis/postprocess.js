@@ -0,0 +1,43 @@
+// src/analysis/postprocess.js
+// 記録全体の後処理（記録停止・動画全体の解析のあとにかける）
+import { ANGLE_KEYS, withSideDiffs } from "./angles.js";
+import { LIMB_ANGLE_KEYS } from "./kinematics.js";
+import { FRONTAL_KEYS } from "./view.js";
+import { fillGaps } from "./signal.js";
+import { savitzkyGolay, butterworthFiltfilt } from "./filters.js";
+
+// 平滑化する指標 / 補間だけする値
+export const FILTER_KEYS = [
+  ...ANGLE_KEYS, ...LIMB_ANGLE_KEYS, ...FRONTAL_KEYS,
+  "shinL", "shinR", "reachL", "reachR", "hipY",
+];
+const GAP_ONLY_KEYS = ["footLy", "footRy", "footLx", "footRx", "legPx", "heightPx"];
+
+const finite = (v) => v != null && isFinite(v);
+
+// 短い欠損の補間 → フィルタ → 左右差の計算し直し
+//   filter   : "none" | "savgol" | "butter"
+//   cutoffHz : Butterworth のカットオフ（サンプリング周波数の半分を超える分は下げる）
+// 足の位置（footLy など）は接地の検出がにぶらないよう補間だけ
+export function processRecording(samples, { maxGapSec = 0.3, filter = "none", cutoffHz = 4, window = 7 } = {}) {
+  if (samples.length < 2) return samples.map(s => ({ ...s }));
+  const times = samples.map(s => s.t);
+  const dts = times.slice(1).map((t, i) => t - times[i]).filter(d => d > 0).sort((a, b) => a - b);
+  const fs = dts.length ? 1 / dts[Math.floor(dts.length / 2)] : 10;
+
+  const cols = {};
+  for (const key of [...FILTER_KEYS, ...GAP_ONLY_KEYS]) {
+    if (!samples.some(s => finite(s[key]))) continue;
+    let v = fillGaps(times, samples.map(s => s[key] ?? null), { maxGapSec });
+    if (FILTER_KEYS.includes(key)) {
+      if (filter === "savgol") v = savitzkyGolay(v, { window });
+      if (filter === "butter") v = butterworthFiltfilt(v, { cutoffHz: Math.min(cutoffHz, fs * 0.45), fs });
+    }
+    cols[key] = v;
+  }
+  return samples.map((s, i) => {
+    const row = { ...s };
+    for (const key in cols) row[key] = cols[key][i];
+    return withSideDiffs(row);
+  });
+}
@@ -0,0 +1,97 @@
+// src/analysis/progress.js
+// 記録ごとの要約値を日付順に並べて、何か月かの変化（傾向）を見る
+import { sessionFacts, evaluateRules } from "./feedback.js";
+import { detectGaitEvents } from "./gaitEvents.js";
+import { withDerivedMetrics } from "./kinematics.js";
+import { segmentCycles } from "./segmentation.js";
+import { summarizeCycles } from "./cycles.js";
+import { METRICS } from "./metrics.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const finite = (v) => v != null && isFinite(v);
+
+// ダッシュボードに並べる要約値
+//   better : 良くなる向き "high" | "low"（"low" なら値が小さいほど良い）
+//   flat   : 期間全体の変化がこれより小さければ「横ばい」とみなす（単位は値と同じ）
+export const PROGRESS_METRICS = [
+  { key: "cadence",   label: "ケイデンス",         unit: " 歩/分", better: "high", flat: 2 },
+  { key: "trunkMean", label: "体幹前傾（平均）",   unit: "°",      better: null,   flat: 1 },
+  { key: "kneeAsym",  label: "膝の可動域の左右差", unit: "°",      better: "low",  flat: 2 },
+  { key: "score",     label: "フォーム採点",       unit: " 点",    better: "high", flat: 3 },
+  { key: "cycleSd",   label: "サイクル長の SD",    unit: " 秒",    better: "low",  flat: 0.01 },
+];
+
+// 1 記録分の要約 {cadence, trunkMean, kneeAsym, score, cycleSd, cycles, view}
+//   score はルールセット（feedback.js）の点数。ruleSet がなければ null
+//   cycleSd / cycles は比較（cycle モード）と同じ切り出し方をした指標 cycleKey のサイクル長の SD（秒）と数
+export function sessionSummary(samples, { ruleSet = null, cycleKey = "kneeL" } = {}) {
+  samples = withDerivedMetrics(samples);
+  const gait = detectGaitEvents(samples);
+  const facts = sessionFacts(samples, { gait });
+  const seg = segmentCycles(samples, cycleKey, { prominence: METRICS[cycleKey]?.prominence ?? 5 });
+  const cyc = seg.cycles.length ? summarizeCycles(seg.cycles, seg.rejected) : null;
+  return {
+    view: facts.view,
+    cadence: facts.cadence,
+    trunkMean: facts.trunkMean,
+    kneeAsym: facts.kneeAsym,
+    score: ruleSet ? evaluateRules(facts, ruleSet).score : null,
+    cycleSd: cyc && cyc.count >= 2 ? cyc.sd : null,
+    cycles: cyc?.count ?? 0,
+  };
+}
+
+// タグで絞り込む（tags が空なら全部）。mode "any" はどれか 1 つ、"all" はすべてを持つ記録
+export function filterByTags(sessions, tags, mode = "any") {
+  if (!tags.length) return sessions;
+  return sessions.filter(s => {
+    const own = s.tags ?? [];
+    return mode === "all" ? tags.every(t => own.includes(t)) : tags.some(t => own.includes(t));
+  });
+}
+
+// 最小二乗の直線 y = intercept + slope * x（2 点未満・x がすべて同じなら null）
+//   r2 は決定係数（値がすべて同じなら 1）
+export function linearTrend(xs, ys) {
+  const pts = xs.map((x, i) => [x, ys[i]]).filter(([x, y]) => finite(x) && finite(y));
+  const n = pts.length;
+  if (n < 2) return null;
+  const mx = pts.reduce((a, [x]) => a + x, 0) / n;
+  const my = pts.reduce((a, [, y]) => a + y, 0) / n;
+  let sxx = 0, sxy = 0, syy = 0;
+  for (const [x, y] of pts) {
+    sxx += (x - mx) ** 2;
+    sxy += (x - mx) * (y - my);
+    syy += (y - my) ** 2;
+  }
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  return { slope, intercept: my - slope * mx, r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy) };
+}
+
+// 指標 key の推移と傾向
+//   entries : [{id, time, summary}]（順不同）。time は撮った日時（ミリ秒, library.js の recordedTime）
+// 戻り値 {points: [{x: time, y, id}], trend}（日付順。値のない記録は除く）
+//   trend = {slopePerWeek, change, r2, dir, verdict, line} か null（3 記録未満）
+//     change  : 直線で見た最初の記録から最後の記録までの変化
+//     dir     : "up" | "down" | "flat"（|change| が flat 未満なら横ばい）
+//     verdict : "better" | "worse" | "flat" | null（良し悪しの向きがない指標）
+//     line    : グラフに引く直線の両端 [{x, y}, {x, y}]（最初と最後の記録の日時）
+export function progressSeries(entries, key, { minPoints = 3 } = {}) {
+  const def = PROGRESS_METRICS.find(m => m.key === key);
+  const points = entries
+    .filter(e => finite(e.summary?.[key]))
+    .map(e => ({ x: e.time, y: e.summary[key], id: e.id }))
+    .sort((a, b) => a.x - b.x);
+  if (points.length < minPoints) return { points, trend: null };
+  const fit = linearTrend(points.map(p => p.x / DAY_MS), points.map(p => p.y));
+  if (!fit) return { points, trend: null };
+  const spanDays = (points[points.length - 1].x - points[0].x) / DAY_MS;
+  const change = fit.slope * spanDays;
+  const dir = Math.abs(change) < (def?.flat ?? 0) ? "flat" : change > 0 ? "up" : "down";
+  const verdict = dir === "flat" ? "flat"
+    : !def?.better ? null
+    : (dir === "up") === (def.better === "high") ? "better" : "worse";
+  const line = [points[0], points[points.length - 1]].map(({ x }) => ({ x, y: fit.intercept + fit.slope * x / DAY_MS }));
+  return { points, trend: { slopePerWeek: fit.slope * 7, change, r2: fit.r2, dir, verdict, line } };
+}
@@ -0,0 +1,128 @@
+// src/analysis/report.js
+// 記録のレポート（印刷・コーチに渡す用）
+//   report = {title, subtitle?, sections: [{title, blocks: [block]}]}
+//   block  = {kind: "kv",    rows: [[項目, 値]]}
+//          | {kind: "table", caption?, head: [見出し], rows: [[セル]]}
+//          | {kind: "image", src (data URL), caption?, width?（表示幅 px）}
+//          | {kind: "list",  items: [[見出し, 本文]]}
+//          | {kind: "text",  text}
+// reportToHTML は画像も埋め込んだ 1 つの HTML ファイル、imagesToPDF はページの画像（JPEG）から PDF を作る
+
+export const escapeHtml = (s) => String(s ?? "")
+  .replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;")
+  .replaceAll('"', "&quot;").replaceAll("'", "&#39;");
+
+const STYLE = `
+body { font-family: 'Segoe UI','Hiragino Sans',sans-serif; color: #333; max-width: 960px; margin: 24px auto; padding: 0 16px; line-height: 1.6; }
+h1 { color: #2A6EBB; font-size: 22px; margin: 0; }
+.subtitle { color: #666; font-size: 13px; margin-bottom: 16px; }
+h2 { color: #2A6EBB; font-size: 17px; border-bottom: 2px solid #CCE7F5; padding-bottom: 2px; margin-top: 24px; }
+table { border-collapse: collapse; font-size: 13px; margin: 6px 0; }
+th, td { border: 1px solid #CCE7F5; padding: 2px 8px; text-align: left; }
+th { background: #F0F8FF; }
+caption { text-align: left; font-weight: bold; padding: 2px 0; }
+figure { margin: 8px 0; }
+figure img { max-width: 100%; border: 1px solid #CCE7F5; border-radius: 6px; }
+figcaption { font-size: 12px; color: #666; }
+ul { padding-left: 18px; font-size: 13px; }
+section, table, figure { break-inside: avoid; }
+@page { size: A4; margin: 12mm; }
+@media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } }
+`;
+
+function blockToHTML(b) {
+  switch (b.kind) {
+    case "kv":
+      return `<table>${b.rows.map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join("")}</table>`;
+    case "table":
+      return `<table>${b.caption ? `<caption>${escapeHtml(b.caption)}</caption>` : ""}`
+        + `<thead><tr>${b.head.map(h => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead>`
+        + `<tbody>${b.rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+    case "image":
+      return `<figure><img src="${escapeHtml(b.src)}" alt="${escapeHtml(b.caption ?? "")}"`
+        + `${b.width ? ` style="width:${+b.width}px"` : ""}>`
+        + `${b.caption ? `<figcaption>${escapeHtml(b.caption)}</figcaption>` : ""}</figure>`;
+    case "list":
+      return `<ul>${b.items.map(([h, t]) => `<li><b>${escapeHtml(h)}</b>：${escapeHtml(t)}</li>`).join("")}</ul>`;
+    case "text":
+      return `<p>${escapeHtml(b.text)}</p>`;
+    default:
+      throw new Error(`レポートの項目の種類が不明です: ${b.kind}`);
+  }
+}
+
+// 画像を埋め込んだ 1 つの HTML（外部ファイルを読まないので、そのまま送って開ける・印刷できる）
+export function reportToHTML(report) {
+  const sections = report.sections
+    .map(s => `<section><h2>${escapeHtml(s.title)}</h2>${s.blocks.map(blockToHTML).join("\n")}</section>`)
+    .join("\n");
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+${report.subtitle ? `<div class="subtitle">${escapeHtml(report.subtitle)}</div>` : ""}
+${sections}
+</body>
+</html>
+`;
+}
+
+// ページの画像から PDF（1 ページ 1 枚, A4 縦に合わせて拡大縮小）
+//   pages : [{jpeg: Uint8Array, width, height}]（width / height は画像のピクセル数）
+// 戻り値 Uint8Array（application/pdf）
+export function imagesToPDF(pages) {
+  if (!pages.length) throw new Error("PDF にするページがありません");
+  const PAGE_W = 595.28, PAGE_H = 841.89; // A4（pt）
+  const enc = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let size = 0;
+  const push = (part) => {
+    const bytes = typeof part === "string" ? enc.encode(part) : part;
+    chunks.push(bytes);
+    size += bytes.length;
+  };
+  // オブジェクト番号：1 カタログ, 2 ページ一覧, 以降ページごとに ページ・画像・描画命令 の 3 つ
+  const obj = (n, ...parts) => {
+    offsets[n] = size;
+    push(`${n} 0 obj\n`);
+    parts.forEach(push);
+    push("\nendobj\n");
+  };
+  const pageIds = pages.map((_, k) => 3 + 3 * k);
+
+  push("%PDF-1.4\n");
+  push(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])); // バイナリを含むことを示すコメント行
+  obj(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  obj(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+  pages.forEach(({ jpeg, width, height }, k) => {
+    const id = pageIds[k];
+    const s = Math.min(PAGE_W / width, PAGE_H / height);
+    const w = width * s, h = height * s;
+    const draw = `q ${w.toFixed(2)} 0 0 ${h.toFixed(2)} ${((PAGE_W - w) / 2).toFixed(2)} ${(PAGE_H - h).toFixed(2)} cm /Im0 Do Q`;
+    obj(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] `
+      + `/Resources << /XObject << /Im0 ${id + 1} 0 R >> >> /Contents ${id + 2} 0 R >>`);
+    obj(id + 1, `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB `
+      + `/BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, jpeg, "\nendstream");
+    obj(id + 2, `<< /Length ${draw.length} >>\nstream\n${draw}\nendstream`);
+  });
+
+  const count = 3 + 3 * pages.length;
+  const xref = size;
+  push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let n = 1; n < count; n++) push(`${String(offsets[n]).padStart(10, "0")} 00000 n \n`);
+  push(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  const out = new Uint8Array(size);
+  let at = 0;
+  for (const c of chunks) {
+    out.set(c, at);
+    at += c.length;
+  }
+  return out;
+}
@@ -0,0 +1,124 @@
+// src/analysis/segmentation.js
+// 指標のカーブからサイクルを切り出す（しきい値の自動調整・外れサイクルの除外つき）
+//
+// 1. 値のあるサンプルだけを時刻と組のまま取り出す（欠損で時刻と値がずれないように）
+// 2. 自己相関で周期を推定し、谷の深さ・間隔のしきい値を決める
+// 3. 谷から谷までを 1 サイクルとして 0-100% に正規化
+// 4. 長さ・形が他のサイクルから外れたもの、途中に長い欠損を含むものを除外
+import { findLocalMinima, cyclesNormalize, meanCycle } from "./cycles.js";
+import { linInterp } from "./signal.js";
+import { rmse } from "./stats.js";
+
+const finite = (v) => v != null && isFinite(v);
+const median = (arr) => {
+  const v = arr.filter(finite).sort((a, b) => a - b);
+  return v.length ? v[Math.floor(v.length / 2)] : null;
+};
+const quantile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+
+// 自己相関で周期（秒）を推定する
+//   minSec〜maxSec の範囲で相関がいちばん高い遅れ。その 9 割以上ある最初の遅れを採る（2 周期分を拾わないため）
+// 戻り値 {period, strength}（strength は相関 0-1）。周期が見つからなければ null
+export function estimatePeriod(times, values, { minSec = 0.3, maxSec = 2.0 } = {}) {
+  const pts = times.map((t, i) => [t, values[i]]).filter(([t, v]) => finite(t) && finite(v));
+  if (pts.length < 8) return null;
+  const ts = pts.map(p => p[0]);
+  const dts = ts.slice(1).map((t, i) => t - ts[i]).filter(d => d > 0);
+  const dt = median(dts);
+  if (!dt) return null;
+
+  // 等間隔に並べ直す
+  const n = Math.floor((ts[ts.length - 1] - ts[0]) / dt) + 1;
+  const vs = pts.map(p => p[1]);
+  const grid = Array.from({ length: n }, (_, k) => linInterp(ts[0] + k * dt, ts, vs));
+  const m = grid.reduce((a, b) => a + b, 0) / n;
+  const x = grid.map(v => v - m);
+  const energy = x.reduce((a, v) => a + v * v, 0);
+  if (!energy) return null;
+
+  const lo = Math.max(1, Math.round(minSec / dt));
+  const hi = Math.min(n - 2, Math.round(maxSec / dt));
+  const acf = [];
+  for (let lag = lo; lag <= hi; lag++) {
+    let s = 0;
+    for (let i = 0; i + lag < n; i++) s += x[i] * x[i + lag];
+    acf.push({ lag, r: (s / (n - lag)) / (energy / n) });
+  }
+  // 山になっている遅れだけを候補にする
+  const peaks = acf.filter((a, k) => k > 0 && k < acf.length - 1 && a.r >= acf[k - 1].r && a.r >= acf[k + 1].r);
+  if (!peaks.length) return null;
+  const best = Math.max(...peaks.map(a => a.r));
+  if (best <= 0.2) return null;
+  const pick = peaks.find(a => a.r >= 0.9 * best);
+  return { period: pick.lag * dt, strength: Math.min(1, pick.r) };
+}
+
+// 外れサイクルの判定
+//   duration : 長さが中央値から ±durTol（割合）を超える
+//   shape    : 平均カーブとの RMSE が、ほかのサイクルのばらつきから見て大きすぎる
+function rejectOutliers(cycles, { durTol = 0.25 } = {}) {
+  const medDur = median(cycles.map(c => c.dur));
+  const byDur = cycles.map(c => Math.abs(c.dur - medDur) > durTol * medDur);
+  const okDur = cycles.filter((_, k) => !byDur[k]);
+  if (okDur.length < 3) {
+    return cycles.map((c, k) => ({ ...c, reason: byDur[k] ? "duration" : null }));
+  }
+  const mean = meanCycle(okDur);
+  const amp = Math.max(...mean) - Math.min(...mean);
+  const errs = cycles.map(c => rmse(c.normV, mean));
+  const okErrs = errs.filter((_, k) => !byDur[k]);
+  const med = median(okErrs);
+  const mad = median(okErrs.map(e => Math.abs(e - med)));
+  const limit = Math.max(med + 3 * 1.4826 * mad, 2 * med, 0.1 * amp);
+  return cycles.map((c, k) => ({
+    ...c,
+    reason: byDur[k] ? "duration" : errs[k] > limit ? "shape" : null,
+  }));
+}
+
+// 記録サンプル {t, [metric]} から指標 metric のサイクルを切り出す
+//   prominence : 谷とみなす深さの下限（単位は指標と同じ）。実際は振れ幅の 3 割との大きいほう
+//   minGapSec  : 谷の最小間隔。"auto" なら推定周期の 6 割
+//   reject     : false なら外れサイクルも cycles に残す
+// 戻り値 {peaks, cycles, rejected, period}
+//   peaks は samples の index、cycles / rejected は {normT, normV, t0, dur, reason}
+//   reason は除外の理由 "duration" | "shape" | "gap"（採用したサイクルは null）
+export function segmentCycles(samples, metric, { prominence = 5, minGapSec = "auto", N = 100, reject = true } = {}) {
+  const pts = samples
+    .map((s, i) => ({ i, t: s.t, v: s[metric] }))
+    .filter(p => finite(p.t) && finite(p.v));
+  const empty = { peaks: [], cycles: [], rejected: [], period: null };
+  if (pts.length < 3) return empty;
+  const times = pts.map(p => p.t), values = pts.map(p => p.v);
+
+  const est = estimatePeriod(times, values);
+  const period = est?.period ?? null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const amp = quantile(sorted, 0.9) - quantile(sorted, 0.1);
+  const dt = median(times.slice(1).map((t, k) => t - times[k]).filter(d => d > 0)) || 0.1;
+  const opts = {
+    prominence: Math.max(prominence, period ? 0.3 * amp : 0),
+    minGapSec: minGapSec === "auto" ? (period ? 0.6 * period : 0.30) : minGapSec,
+    window: period ? Math.max(3, Math.round(period / 2 / dt)) : 10,
+  };
+  const local = findLocalMinima(times, values, opts);
+  const cycles = cyclesNormalize(times, values, local, N);
+  const peaks = local.map(k => pts[k].i);
+
+  // 途中に長い欠損（周期の半分以上、周期不明なら 0.5 秒以上）があるサイクル
+  const maxHole = period ? period / 2 : 0.5;
+  const holes = local.slice(0, -1).map((k0, c) => {
+    const k1 = local[c + 1];
+    for (let k = k0 + 1; k <= k1; k++) if (times[k] - times[k - 1] > maxHole) return true;
+    return false;
+  });
+  // cyclesNormalize は t1 <= t0 の区間を飛ばすが、peaks は時刻順なので 1 対 1 に並ぶ
+  const judged = rejectOutliers(cycles.filter((_, c) => !holes[c]));
+  const all = [
+    ...cycles.filter((_, c) => holes[c]).map(c => ({ ...c, reason: "gap" })),
+    ...judged,
+  ].sort((a, b) => a.t0 - b.t0);
+
+  if (!reject) return { peaks, cycles: all, rejected: [], period };
+  return { peaks, cycles: all.filter(c => !c.reason), rejected: all.filter(c => c.reason), period };
+}
@@ -0,0 +1,280 @@
+// src/analysis/sessionFile.js
+// 記録の書き出し・読み込み（アプリの CSV、バージョンつきの JSON、生のキーポイントの NDJSON）
+//
+// CSV    : 1 行 1 サンプル。cmPerPx は 1 行目だけ、eventL / eventR（IC / TO）は読み込みでは使わず計算し直す
+//          note は注釈の文字列（いちばん近い行に）。読み込むとマーカーの注釈に戻る
+// JSON   : { format: "soralab-session", version, exportedAt, meta, calibration, samples, frames, annotations }
+//   meta   : {name, tags, source, fileName, modelId, signal, createdAt, recordedAt}（どれも省略可。recordedAt は撮った日時）
+//   frames : 生のキーポイント [{t, mediaTime, width, height, keypoints: [{name, x, y, score}]}]（なければ null）
+//            mediaTime は動画の再生位置（秒）、width / height は元の映像の大きさ（px）。どれも省略可
+//   annotations : 手動の注釈（annotations.js）。なければ []
+// NDJSON : 1 行目 { format: "soralab-keypoints", version, meta, calibration, annotations }、2 行目から 1 行 1 フレーム
+//          読み込みでは pipeline.js の reprocessFrames で角度などを計算し直す
+// 読み込みで形がおかしければ、どの行・どの項目かを書いた Error を投げる
+import { FRONTAL_KEYS } from "./view.js";
+import { withDerivedMetrics } from "./kinematics.js";
+import { detectGaitEvents } from "./gaitEvents.js";
+import { nearestIndex } from "./signal.js";
+import { reprocessFrames } from "./pipeline.js";
+import { annotationColumn, checkAnnotations } from "./annotations.js";
+
+export const SESSION_FORMAT = "soralab-session";
+export const SESSION_VERSION = 1;
+export const KEYPOINTS_FORMAT = "soralab-keypoints";
+export const KEYPOINTS_VERSION = 1;
+
+// CSV の指標の列（ヘッダーの順。この後ろに cmPerPx, view, conf, 前額面の指標, イベントが続く）
+export const CSV_VALUE_KEYS = [
+  "kneeL", "kneeR", "hipL", "hipR", "trunk", "dKnee", "dHip",
+  "vOsc", "reachL", "reachR", "shinL", "shinR", "elbowL", "elbowR", "armL", "armR", "hipY", "heightPx",
+  "footLy", "footRy", "footLx", "footRx", "legPx",
+];
+const CSV_HEADER = ["t(s)", ...CSV_VALUE_KEYS, "cmPerPx", "view", "conf", ...FRONTAL_KEYS, "eventL", "eventR", "note"];
+const NUMBER_KEYS = new Set([...CSV_VALUE_KEYS, "conf", ...FRONTAL_KEYS]);
+const VIEWS = ["side", "front", "back"];
+
+const n3 = (v) => (v == null || !isFinite(v) ? "" : v.toFixed(3));
+const finite = (v) => typeof v === "number" && isFinite(v);
+// 自由入力の文字列は , " 改行を含むときだけ引用符で囲む
+const quote = (v) => (/[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+
+// 記録 → CSV テキスト（接地 IC・離地 TO・注釈はいちばん近いサンプルの行に書く）
+export function recordingToCSV(samples, { cmPerPx = null, annotations = [] } = {}) {
+  samples = withDerivedMetrics(samples);
+  const times = samples.map(s => s.t);
+  const gait = detectGaitEvents(samples);
+  const eventCol = { left: [], right: [] };
+  for (const side of ["left", "right"]) {
+    for (const st of gait[side]) {
+      eventCol[side][nearestIndex(times, st.ic)] = "IC";
+      eventCol[side][nearestIndex(times, st.to)] = "TO";
+    }
+  }
+  const notes = annotationColumn(times, annotations);
+  const rows = [CSV_HEADER];
+  samples.forEach((s, i) => {
+    rows.push([
+      s.t,
+      ...CSV_VALUE_KEYS.map(k => n3(s[k])),
+      i === 0 ? n3(cmPerPx) : "",
+      s.view ?? "", n3(s.conf),
+      ...FRONTAL_KEYS.map(k => n3(s[k])),
+      eventCol.left[i] ?? "", eventCol.right[i] ?? "", quote(notes[i]),
+    ]);
+  });
+  return rows.map(r => r.join(",")).join("\n");
+}
+
+// 1 行をセルに分ける（表計算ソフトで保存し直したときの "..." にも対応）
+function splitCSVLine(line) {
+  const cells = [];
+  let cur = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { cells.push(cur); cur = ""; }
+    else cur += c;
+  }
+  cells.push(cur);
+  return cells.map(c => c.trim());
+}
+
+// 時刻が数値で増えていくこと、view が撮影方向の名前であることを確かめる
+function checkSamples(samples, where) {
+  if (!samples.length) throw new Error("サンプルが 1 つもありません");
+  samples.forEach((s, i) => {
+    if (!finite(s.t)) throw new Error(`${where(i)}: 時刻 t が数値ではありません`);
+    if (i > 0 && s.t <= samples[i - 1].t) throw new Error(`${where(i)}: 時刻 t が前のサンプル以下です（${s.t}）`);
+    if (s.view != null && !VIEWS.includes(s.view)) throw new Error(`${where(i)}: view は ${VIEWS.join(" / ")} のどれかです（${s.view}）`);
+  });
+}
+
+// CSV テキスト → {samples, calibration, annotations, warnings}
+//   warnings : 読み飛ばした列など、読み込みは続けられた注意
+export function parseRecordingCSV(text) {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/).filter(l => l.trim() !== "");
+  if (lines.length < 2) throw new Error("CSV にヘッダーとデータの行がありません");
+  const header = splitCSVLine(lines[0]);
+  const tCol = header.findIndex(h => h === "t(s)" || h === "t");
+  if (tCol < 0) throw new Error("CSV の 1 行目に時刻の列 t(s) がありません");
+  const known = header.map(h => NUMBER_KEYS.has(h) || ["t(s)", "t", "cmPerPx", "view", "eventL", "eventR", "note"].includes(h));
+  if (!header.some(h => NUMBER_KEYS.has(h))) throw new Error("CSV に指標の列（kneeL など）がありません。このアプリで書き出した CSV か確認してください");
+  const warnings = header.filter((h, k) => !known[k]).map(h => `列「${h}」は使わないので読み飛ばしました`);
+
+  let cmPerPx = null;
+  const annotations = [];
+  const samples = lines.slice(1).map((line, r) => {
+    const cells = splitCSVLine(line);
+    const row = r + 2;
+    if (cells.length !== header.length) {
+      throw new Error(`${row} 行目: 列の数が ${cells.length} です（ヘッダーは ${header.length} 列）`);
+    }
+    const s = {};
+    header.forEach((h, k) => {
+      const c = cells[k];
+      if (k === tCol) s.t = c === "" ? NaN : Number(c);
+      else if (h === "view") s.view = c || null;
+      else if (h === "note") {
+        for (const label of c.split(" / ").filter(Boolean)) annotations.push({ row, label });
+      }
+      else if (h === "cmPerPx") {
+        if (c !== "" && cmPerPx == null) cmPerPx = Number(c);
+      } else if (NUMBER_KEYS.has(h)) {
+        const v = c === "" ? null : Number(c);
+        if (v != null && !isFinite(v)) throw new Error(`${row} 行目・列「${h}」: 数値ではありません（${c}）`);
+        s[h] = v;
+      }
+    });
+    return s;
+  });
+  checkSamples(samples, i => `${i + 2} 行目`);
+  if (cmPerPx != null && !(cmPerPx > 0)) throw new Error("cmPerPx は正の数です");
+  return {
+    samples,
+    calibration: cmPerPx ? { method: "imported", cmPerPx } : null,
+    annotations: annotations.map(({ row, label }, k) => ({ id: k + 1, t: samples[row - 2].t, kind: "marker", label, points: [] })),
+    warnings,
+  };
+}
+
+// 記録 → JSON のオブジェクト（JSON.stringify して保存する）
+export function toSessionFile({ samples, calibration = null, meta = {}, frames = null, annotations = [] }) {
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    exportedAt: new Date().toISOString(),
+    meta,
+    calibration,
+    samples,
+    frames,
+    annotations,
+  };
+}
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+// JSON テキスト（またはパース済みのオブジェクト）→ {samples, calibration, meta, frames, annotations, warnings}
+export function parseSessionFile(input) {
+  let data;
+  try {
+    data = typeof input === "string" ? JSON.parse(input) : input;
+  } catch (e) {
+    throw new Error(`JSON を読めません: ${e.message}`);
+  }
+  if (!isObject(data) || data.format !== SESSION_FORMAT) {
+    throw new Error(`記録ファイルではありません（format が "${SESSION_FORMAT}" ではありません）`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) throw new Error("version が正しくありません");
+  if (data.version > SESSION_VERSION) {
+    throw new Error(`新しい形式（version ${data.version}）の記録です。アプリを最新にしてから読み込んでください`);
+  }
+  if (!Array.isArray(data.samples)) throw new Error("samples の配列がありません");
+
+  const samples = data.samples.map((s, i) => {
+    if (!isObject(s)) throw new Error(`samples[${i}]: オブジェクトではありません`);
+    for (const [k, v] of Object.entries(s)) {
+      if (k === "t" || k === "view") continue;
+      if (v != null && !finite(v)) throw new Error(`samples[${i}].${k}: 数値か null です（${JSON.stringify(v)}）`);
+    }
+    return { ...s };
+  });
+  checkSamples(samples, i => `samples[${i}]`);
+
+  const calibration = data.calibration ?? null;
+  if (calibration != null && !(isObject(calibration) && finite(calibration.cmPerPx) && calibration.cmPerPx > 0)) {
+    throw new Error("calibration は null か {cmPerPx: 正の数} です");
+  }
+  const meta = data.meta ?? {};
+  if (!isObject(meta)) throw new Error("meta はオブジェクトです");
+  if (meta.tags != null && !(Array.isArray(meta.tags) && meta.tags.every(t => typeof t === "string"))) {
+    throw new Error("meta.tags は文字列の配列です");
+  }
+  for (const k of ["createdAt", "recordedAt"]) {
+    if (meta[k] != null && !finite(meta[k])) throw new Error(`meta.${k} は日時（ミリ秒）の数です`);
+  }
+
+  const frames = data.frames ?? null;
+  if (frames != null) {
+    if (!Array.isArray(frames)) throw new Error("frames は配列か null です");
+    frames.forEach((f, i) => checkFrame(f, `frames[${i}]`));
+  }
+  const annotations = checkAnnotations(data.annotations);
+  return { samples, calibration, meta, frames, annotations, warnings: [] };
+}
+
+// フレーム 1 つ分 {t, mediaTime?, width?, height?, keypoints: [{name, x, y, score}]} を確かめる
+function checkFrame(f, where) {
+  if (!isObject(f) || !finite(f.t) || !Array.isArray(f.keypoints)) {
+    throw new Error(`${where}: {t, keypoints: [...]} の形ではありません`);
+  }
+  for (const k of ["mediaTime", "width", "height"]) {
+    if (f[k] != null && !finite(f[k])) throw new Error(`${where}.${k}: 数値か null です（${JSON.stringify(f[k])}）`);
+  }
+  f.keypoints.forEach((k, j) => {
+    if (!isObject(k) || typeof k.name !== "string" || !finite(k.x) || !finite(k.y)) {
+      throw new Error(`${where}.keypoints[${j}]: {name, x, y, score} の形ではありません`);
+    }
+  });
+}
+
+// 生のキーポイント → NDJSON テキスト（1 行目がヘッダー）
+//   大きな記録でも 1 行ずつ読み書きできるよう、フレームごとに改行で区切る
+export function framesToNDJSON(frames, { meta = {}, calibration = null, annotations = [] } = {}) {
+  const header = {
+    format: KEYPOINTS_FORMAT, version: KEYPOINTS_VERSION, exportedAt: new Date().toISOString(), meta, calibration, annotations,
+  };
+  return [header, ...frames].map(o => JSON.stringify(o)).join("\n");
+}
+
+// NDJSON テキスト → {frames, calibration, meta, annotations}
+export function parseKeypointsNDJSON(text) {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/);
+  const rows = [];
+  lines.forEach((line, r) => {
+    if (line.trim() === "") return;
+    try {
+      rows.push({ row: r + 1, data: JSON.parse(line) });
+    } catch (e) {
+      throw new Error(`${r + 1} 行目: JSON を読めません: ${e.message}`);
+    }
+  });
+  const header = rows.shift()?.data;
+  if (!isObject(header) || header.format !== KEYPOINTS_FORMAT) {
+    throw new Error(`キーポイントのファイルではありません（1 行目の format が "${KEYPOINTS_FORMAT}" ではありません）`);
+  }
+  if (!Number.isInteger(header.version) || header.version < 1) throw new Error("version が正しくありません");
+  if (header.version > KEYPOINTS_VERSION) {
+    throw new Error(`新しい形式（version ${header.version}）のファイルです。アプリを最新にしてから読み込んでください`);
+  }
+  const frames = rows.map(({ row, data }, i) => {
+    checkFrame(data, `${row} 行目`);
+    if (i > 0 && data.t <= rows[i - 1].data.t) throw new Error(`${row} 行目: 時刻 t が前のフレーム以下です（${data.t}）`);
+    return data;
+  });
+  if (!frames.length) throw new Error("フレームが 1 つもありません");
+  const calibration = header.calibration ?? null;
+  if (calibration != null && !(isObject(calibration) && finite(calibration.cmPerPx) && calibration.cmPerPx > 0)) {
+    throw new Error("calibration は null か {cmPerPx: 正の数} です");
+  }
+  const meta = isObject(header.meta) ? header.meta : {};
+  return { frames, calibration, meta, annotations: checkAnnotations(header.annotations, "1 行目の annotations") };
+}
+
+// ファイル名（拡張子）と中身から CSV / JSON / NDJSON を見分けて読む
+//   signal : NDJSON のキーポイントから計算し直すときの設定（reprocessFrames のオプション）
+export function parseRecordingFile(fileName, text, { signal = {} } = {}) {
+  text = text.replace(/^\uFEFF/, "");
+  if (/\.ndjson$/i.test(fileName) || text.trimStart().startsWith(`{"format":"${KEYPOINTS_FORMAT}"`)) {
+    const { frames, calibration, meta, annotations } = parseKeypointsNDJSON(text);
+    const samples = reprocessFrames(frames, signal);
+    if (!samples.length) throw new Error("キーポイントから角度を計算できるフレームがありません");
+    return { samples, calibration, meta, frames, annotations, warnings: [] };
+  }
+  const isJSON = /\.json$/i.test(fileName) || /^\s*[{[]/.test(text);
+  if (isJSON) return parseSessionFile(text);
+  return { meta: {}, frames: null, ...parseRecordingCSV(text) };
+}
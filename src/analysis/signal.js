@@ -0,0 +1,88 @@
+// src/analysis/signal.js
+// 時系列の補間・平滑化
+
+// 移動平均（buf を破壊的に更新して平均を返す）
+export function movingAvg(buf, val, max = 5) {
+  if (val != null && isFinite(val)) buf.push(val);
+  while (buf.length > max) buf.shift();
+  if (!buf.length) return null;
+  return buf.reduce((a, b) => a + b, 0) / buf.length;
+}
+
+// 線形補間
+export function linInterp(x, xp, yp) {
+  if (!xp || !yp || xp.length === 0 || yp.length === 0) return null;
+  if (x <= xp[0]) return yp[0];
+  if (x >= xp[xp.length - 1]) return yp[yp.length - 1];
+  let i = 1;
+  while (i < xp.length && xp[i] < x) i++;
+  const x0 = xp[i - 1], x1 = xp[i];
+  const y0 = yp[i - 1], y1 = yp[i];
+  if (x1 === x0) return y0;
+  return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+}
+
+// 昇順の xp のうち x にいちばん近い index（空なら -1）
+export function nearestIndex(xp, x) {
+  if (!xp?.length) return -1;
+  let lo = 0, hi = xp.length - 1;
+  while (hi - lo > 1) {
+    const m = (lo + hi) >> 1;
+    if (xp[m] < x) lo = m; else hi = m;
+  }
+  return Math.abs(xp[lo] - x) <= Math.abs(xp[hi] - x) ? lo : hi;
+}
+
+// null を簡易補間（端は最近傍、内部は線形）
+export function fillNaLinear(times, values) {
+  const y = values.slice();
+  const n = y.length;
+  if (n === 0) return y;
+
+  let i = 0;
+  while (i < n && (y[i] == null || !isFinite(y[i]))) i++;
+  if (i > 0 && i < n) for (let k = 0; k < i; k++) y[k] = y[i];
+
+  let j = n - 1;
+  while (j >= 0 && (y[j] == null || !isFinite(y[j]))) j--;
+  if (j >= 0 && j < n - 1) for (let k = j + 1; k < n; k++) y[k] = y[j];
+
+  let a = 0;
+  while (a < n) {
+    if (y[a] == null || !isFinite(y[a])) {
+      let b = a;
+      while (b < n && (y[b] == null || !isFinite(y[b]))) b++;
+      if (a > 0 && b < n) {
+        const y0 = y[a - 1], y1 = y[b];
+        const x0 = times[a - 1], x1 = times[b];
+        const dx = (x1 - x0) || 1e-9;
+        for (let k = a; k < b; k++) y[k] = y0 + (y1 - y0) * (times[k] - x0) / dx;
+      }
+      a = b;
+    } else {
+      a++;
+    }
+  }
+  return y;
+}
+
+// 内側の欠損（null）のうち、前後の値の時刻差が maxGapSec 以下のものだけ線形補間
+// 長い欠損と両端はそのまま null（見えていない区間をでっち上げないため）
+export function fillGaps(times, values, { maxGapSec = 0.3 } = {}) {
+  const y = values.slice();
+  const n = y.length;
+  const missing = (v) => v == null || !isFinite(v);
+  let a = 0;
+  while (a < n) {
+    if (!missing(y[a])) { a++; continue; }
+    let b = a;
+    while (b < n && missing(y[b])) b++;
+    if (a > 0 && b < n && times[b] - times[a - 1] <= maxGapSec) {
+      const y0 = y[a - 1], y1 = y[b];
+      const x0 = times[a - 1], dx = (times[b] - x0) || 1e-9;
+      for (let k = a; k < b; k++) y[k] = y0 + (y1 - y0) * (times[k] - x0) / dx;
+    }
+    a = b;
+  }
+  return y;
+}
@@ -0,0 +1,31 @@
+// src/analysis/stats.js
+// 基本統計（null / NaN は無視する）
+
+// RMSE（同じ index 同士を比較）
+export function rmse(arr1, arr2) {
+  const n = Math.min(arr1.length, arr2.length);
+  if (n === 0) return null;
+  let s = 0, c = 0;
+  for (let i = 0; i < n; i++) {
+    const a = arr1[i], b = arr2[i];
+    if (a == null || b == null || !isFinite(a) || !isFinite(b)) continue;
+    const d = a - b;
+    s += d * d;
+    c++;
+  }
+  return c ? Math.sqrt(s / c) : null;
+}
+
+export function avg(arr) {
+  const v = arr.filter(x => x != null && isFinite(x));
+  if (!v.length) return 0;
+  return v.reduce((a, b) => a + b, 0) / v.length;
+}
+
+export function stdev(arr) {
+  const v = arr.filter(x => x != null && isFinite(x));
+  if (v.length <= 1) return 0;
+  const m = avg(v);
+  const s2 = v.reduce((acc, x) => acc + (x - m) ** 2, 0) / v.length;
+  return Math.sqrt(s2);
+}
@@ -0,0 +1,62 @@
+// src/analysis/steps.js
+// 左右のステップ分け・ケイデンス（歩/分）・左右差
+// 比較で選んだ指標とは関係なく、記録全体から求める
+import { detectGaitEvents } from "./gaitEvents.js";
+import { segmentCycles } from "./segmentation.js";
+
+const mean = (arr) => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : null;
+
+// 左右それぞれの「1歩の基準時刻」
+//   foot: 接地(IC)。足の高さが記録されていればこちら
+//   knee: 膝の最大屈曲（足の高さがない古い記録用）
+function sideEventTimes(samples, gait) {
+  if (gait.left.length && gait.right.length) {
+    return { source: "foot", left: gait.left.map(s => s.ic), right: gait.right.map(s => s.ic) };
+  }
+  const kneeTimes = (key) => {
+    const { peaks } = segmentCycles(samples, key);
+    return peaks.map(i => samples[i].t);
+  };
+  return { source: "knee", left: kneeTimes("kneeL"), right: kneeTimes("kneeR") };
+}
+
+// 戻り値:
+//   { source, steps: [{side, start, end, dur}], strides: {left: [s], right: [s]}, summary }
+//   steps の side は「その歩で着いた足」、dur は反対の足からの時間（ステップ時間）
+export function segmentGait(samples, { gait = detectGaitEvents(samples), maxStepSec = 1.0 } = {}) {
+  const { source, left, right } = sideEventTimes(samples, gait);
+  const events = [
+    ...left.map(t => ({ side: "left", t })),
+    ...right.map(t => ({ side: "right", t })),
+  ].sort((a, b) => a.t - b.t);
+
+  // 左右が交互に並んだところだけを 1 歩とする（取りこぼし・長い欠損は飛ばす）
+  const steps = [];
+  for (let i = 1; i < events.length; i++) {
+    const prev = events[i - 1], cur = events[i];
+    const dur = cur.t - prev.t;
+    if (cur.side !== prev.side && dur > 0 && dur <= maxStepSec) {
+      steps.push({ side: cur.side, start: prev.t, end: cur.t, dur });
+    }
+  }
+
+  const strideOf = (ts) => ts.slice(1).map((t, i) => t - ts[i]).filter(d => d > 0 && d <= 2 * maxStepSec);
+  const strides = { left: strideOf(left), right: strideOf(right) };
+  return { source, steps, strides, summary: summarizeSteps(steps, strides) };
+}
+
+// cadence: 歩/分（左右合計）, asymmetry: 左右のステップ時間の差 ÷ 平均（%）
+export function summarizeSteps(steps, strides) {
+  const stepL = mean(steps.filter(s => s.side === "left").map(s => s.dur));
+  const stepR = mean(steps.filter(s => s.side === "right").map(s => s.dur));
+  const stepAll = mean(steps.map(s => s.dur));
+  return {
+    count: steps.length,
+    cadence: stepAll ? 60 / stepAll : null,
+    stepTime: { left: stepL, right: stepR },
+    strideTime: { left: mean(strides.left), right: mean(strides.right) },
+    asymmetry: (stepL != null && stepR != null)
+      ? Math.abs(stepL - stepR) / ((stepL + stepR) / 2) * 100
+      : null,
+  };
+}
@@ -0,0 +1,93 @@
+// src/analysis/tracking.js
+// 複数人の姿勢をコマ間で対応づけて、1 人ずつ同じ id を振り続ける
+//
+// track = { id, keypoints, box: {x, y, w, h}, age }  age は最後に見えてから何コマ経ったか
+
+const toList = (keypoints) => Array.isArray(keypoints)
+  ? keypoints
+  : Object.entries(keypoints).map(([name, k]) => ({ name, ...k }));
+
+// 見えているキーポイントを囲む矩形（見えている点が 2 つ未満なら null）
+export function poseBox(keypoints, { minScore = 0.3 } = {}) {
+  const pts = toList(keypoints).filter(k => k.score > minScore);
+  if (pts.length < 2) return null;
+  const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+  const x = Math.min(...xs), y = Math.min(...ys);
+  return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+}
+
+// 同じ名前のキーポイント同士の平均距離 ÷ 体の大きさ（矩形の対角線）
+function poseDistance(a, b, box, minScore) {
+  const bm = Object.fromEntries(toList(b).map(k => [k.name, k]));
+  let sum = 0, n = 0;
+  for (const k of toList(a)) {
+    const o = bm[k.name];
+    if (k.score > minScore && o?.score > minScore) {
+      sum += Math.hypot(k.x - o.x, k.y - o.y);
+      n++;
+    }
+  }
+  const scale = Math.hypot(box.w, box.h) || 1;
+  return n ? sum / n / scale : Infinity;
+}
+
+// maxDistance : 同じ人とみなす距離（体の大きさ比）
+// maxAge      : 見失ってから何コマまで id を残すか
+export function createPoseTracker({ maxDistance = 0.5, maxAge = 15, minScore = 0.3 } = {}) {
+  let tracks = [];
+  let nextId = 1;
+
+  return {
+    // poses: [keypoints]（共通スキーマ）→ このコマに写っている track の一覧
+    update(poses) {
+      const cands = poses
+        .map(keypoints => ({ keypoints, box: poseBox(keypoints, { minScore }) }))
+        .filter(p => p.box);
+
+      // 距離の近い組から順に割り当てる
+      const pairs = [];
+      tracks.forEach((t, ti) => cands.forEach((p, pi) => {
+        const d = poseDistance(t.keypoints, p.keypoints, t.box, minScore);
+        if (d <= maxDistance) pairs.push({ ti, pi, d });
+      }));
+      pairs.sort((a, b) => a.d - b.d);
+
+      const usedT = new Set(), usedP = new Set();
+      for (const { ti, pi } of pairs) {
+        if (usedT.has(ti) || usedP.has(pi)) continue;
+        usedT.add(ti); usedP.add(pi);
+        Object.assign(tracks[ti], cands[pi], { age: 0 });
+      }
+      tracks.forEach((t, ti) => { if (!usedT.has(ti)) t.age++; });
+      cands.forEach((p, pi) => { if (!usedP.has(pi)) tracks.push({ id: nextId++, ...p, age: 0 }); });
+      tracks = tracks.filter(t => t.age <= maxAge);
+
+      return tracks.filter(t => t.age === 0).map(t => ({ ...t }));
+    },
+    // 見失い中も含めて、まだ id が残っているか
+    has(id) {
+      return tracks.some(t => t.id === id);
+    },
+    reset() {
+      tracks = [];
+      nextId = 1;
+    },
+  };
+}
+
+// 画面上の点（タップ位置）にいる track の id（矩形を少し広げて判定, 重なれば小さいほう）
+export function selectTrack(tracks, point, { margin = 0.1 } = {}) {
+  const hits = tracks.filter(({ box }) => {
+    const mx = box.w * margin, my = box.h * margin;
+    return point.x >= box.x - mx && point.x <= box.x + box.w + mx
+      && point.y >= box.y - my && point.y <= box.y + box.h + my;
+  });
+  if (!hits.length) return null;
+  return hits.reduce((a, b) => (b.box.w * b.box.h < a.box.w * a.box.h ? b : a)).id;
+}
+
+// いちばん大きく写っている track（最初に追う人の既定値）
+export function largestTrack(tracks) {
+  if (!tracks.length) return null;
+  return tracks.reduce((a, b) => (b.box.w * b.box.h > a.box.w * a.box.h ? b : a)).id;
+}
@@ -0,0 +1,124 @@
+// src/analysis/view.js
+// 撮影方向（横・正面・背面）の判定と、正面・背面から測る前額面の指標
+import { angle, mid } from "./geometry.js";
+import { detectGaitEvents } from "./gaitEvents.js";
+import { segmentGait } from "./steps.js";
+import { nearestIndex } from "./signal.js";
+
+export const VIEW_LABELS = { side: "横", front: "正面", back: "背面" };
+
+// 平滑化して記録する前額面の指標
+export const FRONTAL_KEYS = ["valgusL", "valgusR", "pelvicDrop", "crossL", "crossR", "armCrossL", "armCrossR"];
+
+// 肩幅・腰幅の平均 ÷ 体幹の長さ
+//   横からは 0 付近、正面・背面からは 0.5 前後。間（斜め）は判定しない
+const SIDE_MAX_RATIO = 0.2;
+const FRONTAL_MIN_RATIO = 0.35;
+
+const finite = (v) => v != null && isFinite(v);
+const mean = (arr) => {
+  const v = arr.filter(finite);
+  return v.length ? v.reduce((a, b) => a + b, 0) / v.length : null;
+};
+const toMap = (keypoints) => Array.isArray(keypoints)
+  ? Object.fromEntries(keypoints.map(k => [k.name, k]))
+  : keypoints;
+
+function widthRatio(kp, ok) {
+  const ls = kp["left_shoulder"], rs = kp["right_shoulder"];
+  const lh = kp["left_hip"], rh = kp["right_hip"];
+  if (!ok(ls, rs, lh, rh)) return null;
+  const sm = mid(ls, rs), hm = mid(lh, rh);
+  const torso = Math.hypot(sm.x - hm.x, sm.y - hm.y);
+  if (!torso) return null;
+  return ((Math.abs(ls.x - rs.x) + Math.abs(lh.x - rh.x)) / 2) / torso;
+}
+
+// 1 コマの撮影方向 "side" | "front" | "back"（判定できなければ null）
+// 正面か背面かは顔（鼻と目）が見えるか、見えなければ左右の並び（正面なら本人の左が画像の右）
+export function classifyView(keypoints, { minScore = 0.3 } = {}) {
+  const kp = toMap(keypoints);
+  const ok = (...ks) => ks.every(k => k && k.score > minScore);
+  const r = widthRatio(kp, ok);
+  if (r == null) return null;
+  if (r <= SIDE_MAX_RATIO) return "side";
+  if (r < FRONTAL_MIN_RATIO) return null;
+  if (ok(kp["nose"]) && (ok(kp["left_eye"]) || ok(kp["right_eye"]))) return "front";
+  return kp["left_shoulder"].x > kp["right_shoulder"].x ? "front" : "back";
+}
+
+// 記録全体の撮影方向（多数決）。share は判定できたコマに占める割合
+export function summarizeView(samples) {
+  const counts = { side: 0, front: 0, back: 0 };
+  for (const s of samples) if (s.view in counts) counts[s.view]++;
+  const total = counts.side + counts.front + counts.back;
+  if (!total) return { view: null, share: 0 };
+  const view = Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a));
+  return { view, share: counts[view] / total };
+}
+
+// 1 コマ分の前額面の指標（横から撮ったコマはすべて null）
+//   valgus*   : 膝の内倒れ（腰〜足首の線から膝が内側へ折れる角度, 内側が +, °）
+//   pelvicDrop: 骨盤の傾き（左の腰が下がると +, °）
+//   cross*    : 足首の横位置（体の中心線から外側へ, 腰幅比 %）。0 で中心線、マイナスは中心線を越えている
+//   armCross* : 手首の横位置（同じく肩幅比 %）
+export function computeFrontalMetrics(keypoints, { minScore = 0.3 } = {}) {
+  const kp = toMap(keypoints);
+  const ok = (...ks) => ks.every(k => k && k.score > minScore);
+  const out = Object.fromEntries(FRONTAL_KEYS.map(k => [k, null]));
+  const r = widthRatio(kp, ok);
+  if (r == null || r <= SIDE_MAX_RATIO) return out;
+
+  const ls = kp["left_shoulder"], rs = kp["right_shoulder"];
+  const lh = kp["left_hip"], rh = kp["right_hip"];
+  const hipMid = mid(lh, rh), shMid = mid(ls, rs);
+  const hipW = Math.abs(lh.x - rh.x), shW = Math.abs(ls.x - rs.x);
+  // 画像上で「本人の左」がどちら向きか（正面なら +1, 背面なら -1）
+  const leftDir = Math.sign(lh.x - rh.x) || Math.sign(ls.x - rs.x);
+
+  out.pelvicDrop = (Math.atan2(lh.y - rh.y, hipW) * 180) / Math.PI;
+
+  for (const [s, p, outward] of [["L", "left_", leftDir], ["R", "right_", -leftDir]]) {
+    const hip = kp[p + "hip"], kn = kp[p + "knee"], an = kp[p + "ankle"], wr = kp[p + "wrist"];
+    if (ok(kn, an) && an.y !== hip.y) {
+      const lineX = hip.x + (an.x - hip.x) * (kn.y - hip.y) / (an.y - hip.y);
+      const inward = (lineX - kn.x) * outward;
+      out["valgus" + s] = Math.sign(inward) * (180 - angle(hip, kn, an));
+    }
+    if (ok(an) && hipW) out["cross" + s] = ((an.x - hipMid.x) * outward / hipW) * 100;
+    if (ok(wr) && shW) out["armCross" + s] = ((wr.x - shMid.x) * outward / shW) * 100;
+  }
+  return out;
+}
+
+// セッション全体のまとめ（左右それぞれ、その足の接地中 / 1 歩ごとの値の平均）
+//   valgus     : 接地中の膝の内倒れの最大（°）
+//   pelvicDrop : 接地中に反対側の腰が下がる最大角度（°）
+//   cross      : 接地時の足首の横位置（腰幅比 %）
+//   armCross   : 1 歩のあいだで手首がいちばん内側に来た位置（肩幅比 %）
+export function summarizeFrontal(samples, { gait = detectGaitEvents(samples) } = {}) {
+  const times = samples.map(s => s.t);
+  const inWindow = (key, t0, t1) => samples
+    .filter(s => s.t >= t0 && s.t <= t1 && finite(s[key]))
+    .map(s => s[key]);
+  const maxIn = (v) => v.length ? Math.max(...v) : null;
+  const minIn = (v) => v.length ? Math.min(...v) : null;
+  const perStance = (side, fn) => mean(gait[side].map(st => fn(st.ic, st.to)));
+  const atContact = (side, key) => mean(gait[side].map(st => samples[nearestIndex(times, st.ic)]?.[key]));
+  const { steps } = segmentGait(samples, { gait });
+  const perStep = (key) => mean(steps.map(st => minIn(inWindow(key, st.start, st.end))));
+
+  return {
+    valgus: {
+      left:  perStance("left",  (a, b) => maxIn(inWindow("valgusL", a, b))),
+      right: perStance("right", (a, b) => maxIn(inWindow("valgusR", a, b))),
+    },
+    // 左足の接地中は右の腰が下がる（pelvicDrop はマイナス）
+    pelvicDrop: {
+      left:  perStance("left",  (a, b) => maxIn(inWindow("pelvicDrop", a, b).map(v => -v))),
+      right: perStance("right", (a, b) => maxIn(inWindow("pelvicDrop", a, b))),
+    },
+    cross:    { left: atContact("left", "crossL"), right: atContact("right", "crossR") },
+    armCross: { left: perStep("armCrossL"), right: perStep("armCrossR") },
+  };
+}
@@ -0,0 +1,37 @@
+// src/baselineStore.js
+// 自分の基準（ベースライン, analysis/baseline.js）の保存先。小さいので localStorage に名前ごとに持つ
+import { parseBaseline } from "./analysis";
+
+const STORAGE_KEY = "soralab.baselines";
+
+// 保存してあるベースラインの一覧（新しい順）。壊れたものは飛ばす
+export function loadBaselines() {
+  let list = [];
+  try {
+    list = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "[]");
+  } catch { /* 壊れた保存内容は空として扱う */ }
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  for (const b of list) {
+    try { out.push(parseBaseline(b)); } catch { /* 読めないものは飛ばす */ }
+  }
+  return out.sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0));
+}
+
+function store(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch (e) {
+    throw new Error(`ベースラインを保存できません（${e?.message || e}）`);
+  }
+  return list;
+}
+
+// 同じ名前があれば置き換える。保存後の一覧を返す
+export function saveBaseline(baseline) {
+  return store([baseline, ...loadBaselines().filter(b => b.name !== baseline.name)]);
+}
+
+export function deleteBaseline(name) {
+  return store(loadBaselines().filter(b => b.name !== name));
+}
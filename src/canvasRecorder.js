@@ -0,0 +1,36 @@
+// src/canvasRecorder.js
+// キャンバス（動画＋骨格・HUD）を canvas.captureStream + MediaRecorder で WebM に録画する
+// キャンバスは描き直したときだけコマが進むので、録画中も描画ループを回しておくこと
+
+// 対応していれば画質のよい順に使う
+const WEBM_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+export function canRecordCanvas() {
+  return typeof MediaRecorder !== "undefined"
+    && typeof HTMLCanvasElement !== "undefined" && "captureStream" in HTMLCanvasElement.prototype
+    && WEBM_TYPES.some(t => MediaRecorder.isTypeSupported(t));
+}
+
+// 録画を始める。stop() は録画を止めて WebM の Blob を返す（何度呼んでも同じ Promise）
+export function startCanvasRecording(canvas, { fps = 30, videoBitsPerSecond = 5_000_000 } = {}) {
+  if (!canRecordCanvas()) throw new Error("このブラウザでは動画を書き出せません（WebM の MediaRecorder が使えません）");
+  const mimeType = WEBM_TYPES.find(t => MediaRecorder.isTypeSupported(t));
+  const stream = canvas.captureStream(fps);
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond });
+  const chunks = [];
+  recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+  const done = new Promise((resolve, reject) => {
+    recorder.onstop = () => {
+      stream.getTracks().forEach(t => t.stop());
+      resolve(new Blob(chunks, { type: "video/webm" }));
+    };
+    recorder.onerror = (e) => reject(e.error ?? new Error("録画に失敗しました"));
+  });
+  recorder.start(1000); // 1 秒ごとにデータを受け取る
+  return {
+    stop() {
+      if (recorder.state !== "inactive") recorder.stop();
+      return done;
+    },
+  };
+}
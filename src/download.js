@@ -0,0 +1,20 @@
+// src/download.js
+// テキスト・Blob をファイルとしてダウンロードさせる
+
+const REVOKE_DELAY_MS = 60 * 1000;
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // すぐ解放すると大きなファイル（動画・PDF）のダウンロードが途中で止まるブラウザがあるので、少し待つ
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+export function downloadText(text, fileName, type = "text/plain;charset=utf-8;") {
+  downloadBlob(new Blob([text], { type }), fileName);
+}
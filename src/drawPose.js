@@ -0,0 +1,100 @@
+// src/drawPose.js
+// キャンバスに骨格・手動の注釈・撮影ガイドを描く（メイン画面・比較プレーヤー共通）
+import { LINE_PAIRS, annotationText } from "./analysis";
+
+// 骨格を描画（空色系で見やすく。追っていない人は color に灰色を渡す）
+export function drawKeypoints(ctx, keypoints, color = "#2A6EBB") {
+  const byName = Object.fromEntries(keypoints.map(k => [k.name, k]));
+  ctx.save();
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = color;
+  ctx.fillStyle   = color;
+  keypoints.forEach((k) => {
+    if (k.score != null && k.score > 0.3) {
+      ctx.beginPath(); ctx.arc(k.x, k.y, 4, 0, 2*Math.PI); ctx.fill();
+    }
+  });
+  LINE_PAIRS.forEach(([a,b])=>{
+    const p1 = byName[a], p2 = byName[b];
+    if (p1?.score>0.3 && p2?.score>0.3) {
+      ctx.beginPath(); ctx.moveTo(p1.x, p1.y); ctx.lineTo(p2.x, p2.y); ctx.stroke();
+    }
+  });
+  ctx.restore();
+}
+
+// 手動の注釈（analysis/annotations.js）。線・角度は映像の上に、マーカーは右上に名前を並べる
+// draft = 描いている途中の点 [{x, y}]
+const NOTE_COLOR = "#E2557B";
+export function drawAnnotations(ctx, list, draft = []) {
+  ctx.save();
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = NOTE_COLOR;
+  ctx.fillStyle = NOTE_COLOR;
+  ctx.font = "bold 16px system-ui, sans-serif";
+  const dot = (p) => { ctx.beginPath(); ctx.arc(p.x, p.y, 5, 0, 2*Math.PI); ctx.fill(); };
+  const path = (pts) => {
+    ctx.beginPath();
+    pts.forEach((p, k) => (k ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+    ctx.stroke();
+  };
+  const labelAt = (text, p) => {
+    const w = ctx.measureText(text).width;
+    ctx.fillStyle = "rgba(255,255,255,0.85)";
+    ctx.fillRect(p.x + 8, p.y - 18, w + 8, 22);
+    ctx.fillStyle = NOTE_COLOR;
+    ctx.fillText(text, p.x + 12, p.y - 1);
+  };
+  let row = 0;
+  for (const a of list) {
+    if (a.kind === "marker") {
+      const text = `📍 ${annotationText(a)}`;
+      labelAt(text, { x: ctx.canvas.width - ctx.measureText(text).width - 30, y: 34 + 26 * row++ });
+      continue;
+    }
+    path(a.points);
+    a.points.forEach(dot);
+    const [p0, p1] = a.points;
+    labelAt(annotationText(a), a.kind === "angle" ? p1 : { x: (p0.x + p1.x) / 2, y: (p0.y + p1.y) / 2 }); // 角度は頂点、線は中点
+  }
+  if (draft.length) {
+    ctx.setLineDash([6, 4]);
+    path(draft);
+    draft.forEach(dot);
+  }
+  ctx.restore();
+}
+
+// ガイド付き撮影の案内：枠（全身が入っていれば緑、直すところがあれば橙）と下の一言
+//   big : 画面中央の大きな文字（カウントダウン）, progress : 上端の進み具合（0-1）
+export function drawGuide(ctx, { ok, message, big = null, progress = null }) {
+  const { width: w, height: h } = ctx.canvas;
+  const color = ok ? "#27AE60" : "#F2994A";
+  ctx.save();
+  ctx.lineWidth = 8;
+  ctx.strokeStyle = color;
+  ctx.strokeRect(4, 4, w - 8, h - 8);
+  if (progress != null) {
+    ctx.fillStyle = "rgba(255,255,255,0.7)";
+    ctx.fillRect(8, 8, w - 16, 10);
+    ctx.fillStyle = "#2A6EBB";
+    ctx.fillRect(8, 8, (w - 16) * Math.min(1, progress), 10);
+  }
+  ctx.font = "bold 20px system-ui, sans-serif";
+  const tw = ctx.measureText(message).width;
+  ctx.fillStyle = "rgba(255,255,255,0.9)";
+  ctx.fillRect((w - tw) / 2 - 12, h - 52, tw + 24, 36);
+  ctx.fillStyle = color;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(message, w / 2, h - 34);
+  if (big != null) {
+    ctx.font = `bold ${Math.round(h / 3)}px system-ui, sans-serif`;
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = "rgba(255,255,255,0.9)";
+    ctx.strokeText(String(big), w / 2, h / 2);
+    ctx.fillStyle = "#2A6EBB";
+    ctx.fillText(String(big), w / 2, h / 2);
+  }
+  ctx.restore();
+}
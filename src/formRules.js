@@ -0,0 +1,31 @@
+// src/formRules.js
+// フォーム採点のルールセット（JSON）の読み込み
+//   既定 : public/rules/form-rules.json（ビルドし直さずに差し替えられる）
+//   独自 : 画面から読み込んだ JSON を localStorage に保存して次回も使う
+import { parseRuleSet } from "./analysis";
+
+export const DEFAULT_RULES_URL = `${import.meta.env.BASE_URL}rules/form-rules.json`;
+
+const STORAGE_KEY = "soralab.formRules";
+
+// 独自のルールセットがあればそれを、なければ既定を返す（{ruleSet, custom}）
+export async function loadRuleSet() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved) return { ruleSet: parseRuleSet(saved), custom: true };
+  } catch { /* 壊れた保存内容は無視して既定を使う */ }
+  const res = await fetch(DEFAULT_RULES_URL);
+  if (!res.ok) throw new Error(`ルールセットを取得できません（${res.status}）`);
+  return { ruleSet: parseRuleSet(await res.text()), custom: false };
+}
+
+// 読み込んだ JSON テキストを確かめて保存する（形が違えば parseRuleSet の Error をそのまま投げる）
+export function saveCustomRuleSet(text) {
+  const ruleSet = parseRuleSet(text);
+  try { localStorage.setItem(STORAGE_KEY, text); } catch { /* private mode など */ }
+  return ruleSet;
+}
+
+export function clearCustomRuleSet() {
+  try { localStorage.removeItem(STORAGE_KEY); } catch { /* private mode など */ }
+}
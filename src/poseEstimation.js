@@ -0,0 +1,113 @@
+// src/poseEstimation.js
+// 姿勢推定モデルの初期化と 1 コマ分の推定（Worker / メインスレッドの両方から使う）
+import * as posedetection from "@tensorflow-models/pose-detection";
+import * as tf from "@tensorflow/tfjs-core";
+import "@tensorflow/tfjs-backend-webgl";
+import {
+  normalizeKeypoints, createSampleBuilder, createPoseTracker, selectTrack, largestTrack,
+} from "./analysis";
+import { POSE_MODELS, DEFAULT_POSE_MODEL, DEFAULT_SIGNAL_OPTIONS } from "./poseModels";
+
+// modelId は poseModels.js の POSE_MODELS のキー
+export async function createPoseDetector(modelId = DEFAULT_POSE_MODEL) {
+  await tf.setBackend("webgl");
+  await tf.ready();
+  switch (modelId) {
+    case "movenet-thunder":
+      return posedetection.createDetector(
+        posedetection.SupportedModels.MoveNet,
+        { modelType: posedetection.movenet.modelType.SINGLEPOSE_THUNDER }
+      );
+    case "movenet-multipose":
+      // id は analysis/tracking.js で振るので、モデル側の追跡は使わない
+      return posedetection.createDetector(
+        posedetection.SupportedModels.MoveNet,
+        { modelType: posedetection.movenet.modelType.MULTIPOSE_LIGHTNING, enableTracking: false }
+      );
+    case "blazepose-full":
+      return posedetection.createDetector(
+        posedetection.SupportedModels.BlazePose,
+        { runtime: "tfjs", modelType: "full", enableSmoothing: true }
+      );
+    default:
+      return posedetection.createDetector(
+        posedetection.SupportedModels.MoveNet,
+        { modelType: posedetection.movenet.modelType.SINGLEPOSE_LIGHTNING }
+      );
+  }
+}
+
+// 推定 → 共通スキーマ化 →（複数人なら追跡して 1 人に絞る）→ 角度 → 平滑化 をまとめたもの
+// run() の戻り値 {keypoints, angles, sample, tracks, targetId} は postMessage できるプレーンなデータ
+//   tracks   = 複数人モデルのときの写っている全員 [{id, keypoints, box}]（1 人用モデルは null）
+//   targetId = 追っている人の id。keypoints / sample はこの人のもの
+//   sample = 記録する1行分（analysis/pipeline.js の createSampleBuilder）
+//            関節ごとに minScore で判定するので、隠れた関節を使う値だけ null になる
+// options（configure() で途中から変えられる）
+//   minScore : キーポイントを使うスコアの下限
+//   filter   : ライブの平滑化 "box" | "oneEuro" | "none"（analysis/angles.js の createAngleSmoother）
+
+export function createFramePipeline(detector, modelId = DEFAULT_POSE_MODEL, options = {}) {
+  const family = POSE_MODELS[modelId]?.family || "movenet";
+  const multiPose = !!POSE_MODELS[modelId]?.multiPose;
+  const tracker = createPoseTracker();
+  let tracks = [];
+  let targetId = null;
+  let userSelected = false; // タップで選んだ人は見失っても勝手に乗り換えない
+  let selectedPoint = null;  // 最後にタップした点（reset のあとで選び直すため）
+  let reselect = null;       // reset のあと、最初に人が写ったコマでこの点の人を選ぶ
+  const { minScore, filter } = { ...DEFAULT_SIGNAL_OPTIONS, ...options };
+  const builder = createSampleBuilder({ minScore, filter });
+  return {
+    async run(image, timestamp) {
+      const poses = await detector.estimatePoses(image, { maxPoses: multiPose ? 6 : 1, flipHorizontal: false }, timestamp);
+      let keypoints = null;
+      if (multiPose) {
+        tracks = tracker.update(poses.filter(p => p.keypoints?.length).map(p => normalizeKeypoints(p.keypoints, family)));
+        if (targetId != null && !tracker.has(targetId) && !userSelected) targetId = null;
+        if (targetId == null && reselect && tracks.length) {
+          targetId = selectTrack(tracks, reselect);
+          userSelected = targetId != null;
+          reselect = null;
+        }
+        if (targetId == null) {
+          targetId = largestTrack(tracks);
+          builder.reset();
+        }
+        keypoints = tracks.find(t => t.id === targetId)?.keypoints ?? null;
+      } else if (poses[0]?.keypoints?.length) {
+        keypoints = normalizeKeypoints(poses[0].keypoints, family);
+      }
+      const { angles, sample } = builder.push(keypoints, timestamp / 1000);
+      return { keypoints, angles, sample, tracks: multiPose ? tracks : null, targetId };
+    },
+    // 画面上の点にいる人を追う（いなければ何もしない）。戻り値は追っている id
+    select(point) {
+      const id = selectTrack(tracks, point);
+      if (id != null && id !== targetId) {
+        targetId = id;
+        builder.reset();
+      }
+      if (id != null) {
+        userSelected = true;
+        selectedPoint = point;
+      }
+      return targetId;
+    },
+    configure(next) {
+      builder.configure(next);
+    },
+    // 平滑化・モデル内部のフィルタを初期化（解析をやり直すとき用）
+    //   keepSelection : タップで人を選んでいたら、reset のあとも同じ点の人を選び直す
+    //                   （追跡の id は振り直しになるので、最初に人が写ったコマでその点にいる人。いなければいちばん大きい人）
+    reset({ keepSelection = false } = {}) {
+      reselect = keepSelection && userSelected ? selectedPoint : null;
+      builder.reset();
+      tracker.reset();
+      tracks = [];
+      targetId = null;
+      userSelected = false;
+      detector.reset?.();
+    },
+  };
+}
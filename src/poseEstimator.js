@@ -0,0 +1,133 @@
+// src/poseEstimator.js
+// 姿勢推定の窓口。OffscreenCanvas が使えれば Worker、なければメインスレッドで推定する
+//
+// estimator.estimate(source, timestampMs) → Promise<{keypoints, angles, sample} | null>
+//   前のコマを処理中なら即 null（コマを溜めずに捨てる）
+//   keypoints は共通スキーマ（analysis/keypoints.js）の名前
+// estimator.select({x, y}) → 複数人モデルで、画面上のその点にいる人を追う
+// estimator.reset({keepSelection}) → 平滑化・追跡を初期化（keepSelection なら選んだ人を選び直す）
+// estimator.configure(options) → 信号処理の設定を変える（poseModels.js の DEFAULT_SIGNAL_OPTIONS）
+// onError(error) : 初期化のあとで Worker が落ちたときに呼ぶ。その estimator はもう null しか返さないので、
+//                  呼び出し側で preferWorker: false で作り直す（メインスレッドに切り替える）
+import { DEFAULT_POSE_MODEL } from "./poseModels";
+
+export function workerSupported() {
+  return typeof Worker !== "undefined"
+    && typeof OffscreenCanvas !== "undefined"
+    && typeof createImageBitmap === "function";
+}
+
+export async function createPoseEstimator({ modelId = DEFAULT_POSE_MODEL, preferWorker = true, options = {}, onError } = {}) {
+  if (preferWorker && workerSupported()) {
+    try {
+      return await createWorkerEstimator(modelId, options, onError);
+    } catch (e) {
+      console.warn("pose worker unavailable, falling back to main thread:", e?.message || e);
+    }
+  }
+  return createInlineEstimator(modelId, options);
+}
+
+function createWorkerEstimator(modelId, options, onError) {
+  const worker = new Worker(new URL("./poseWorker.js", import.meta.url), { type: "module" });
+  const pending = new Map(); // id → resolve
+  let nextId = 1;
+  let ready = false, dead = false;
+
+  // 待っている推定は null で返し、以後の推定もすぐ null にする（busy のままループが止まらないように）
+  const fail = (error) => {
+    if (dead) return;
+    dead = true;
+    worker.terminate();
+    pending.forEach(resolve => resolve(null));
+    pending.clear();
+    onError?.(error);
+  };
+
+  const estimator = {
+    mode: "worker",
+    modelId,
+    get busy() { return pending.size > 0; },
+    async estimate(source, timestamp) {
+      if (dead || pending.size) return null;
+      const id = nextId++;
+      const result = new Promise(resolve => pending.set(id, resolve));
+      let bitmap;
+      try {
+        bitmap = await createImageBitmap(source);
+      } catch (e) {
+        console.warn("createImageBitmap error:", e?.message || e);
+        pending.delete(id);
+        return null;
+      }
+      if (dead) {
+        bitmap.close();
+        pending.delete(id);
+        return null;
+      }
+      worker.postMessage({ type: "frame", id, bitmap, timestamp }, [bitmap]);
+      return result;
+    },
+    reset(opts = {}) { if (!dead) worker.postMessage({ type: "reset", keepSelection: !!opts.keepSelection }); },
+    select(point) { if (!dead) worker.postMessage({ type: "select", point }); },
+    configure(opts) { if (!dead) worker.postMessage({ type: "configure", options: opts }); },
+    dispose() {
+      dead = true;
+      worker.terminate();
+      pending.forEach(resolve => resolve(null));
+      pending.clear();
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === "ready") { ready = true; resolve(estimator); }
+      else if (msg.type === "error") {
+        if (ready) fail(new Error(msg.message));
+        else { worker.terminate(); reject(new Error(msg.message)); }
+      }
+      else if (msg.type === "result") {
+        const { id, error, type: _type, ...res } = msg;
+        const done = pending.get(id);
+        pending.delete(id);
+        if (error) console.warn("estimatePoses error:", error);
+        done?.(error ? null : res);
+      }
+    };
+    worker.onerror = (e) => {
+      const error = new Error(e.message || "worker error");
+      if (ready) fail(error);
+      else { worker.terminate(); reject(error); }
+    };
+    worker.postMessage({ type: "init", modelId, options });
+  });
+}
+
+// フォールバック：従来どおりメインスレッドで推定（tfjs はこのときだけ読み込む）
+async function createInlineEstimator(modelId, options) {
+  const { createPoseDetector, createFramePipeline } = await import("./poseEstimation");
+  const pipeline = createFramePipeline(await createPoseDetector(modelId), modelId, options);
+  let busy = false;
+  return {
+    mode: "main",
+    modelId,
+    get busy() { return busy; },
+    async estimate(source, timestamp) {
+      if (busy) return null;
+      busy = true;
+      try {
+        return await pipeline.run(source, timestamp);
+      } catch (e) {
+        console.warn("estimatePoses error:", e?.message || e);
+        return null;
+      } finally {
+        busy = false;
+      }
+    },
+    reset(opts) { pipeline.reset(opts); },
+    select(point) { pipeline.select(point); },
+    configure(opts) { pipeline.configure(opts); },
+    dispose() {},
+  };
+}
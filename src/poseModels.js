@@ -0,0 +1,48 @@
+// src/poseModels.js
+// 選べる姿勢推定モデル（速度／精度のプリセット）
+
+export const POSE_MODELS = {
+  "movenet-lightning": {
+    label: "速さ優先（MoveNet Lightning）",
+    hint: "ライブカメラ向け。スマホでも軽快に動きます。",
+    family: "movenet",
+  },
+  "movenet-thunder": {
+    label: "精度優先（MoveNet Thunder）",
+    hint: "動画ファイルの解析向け。少し重くなります。",
+    family: "movenet",
+  },
+  "movenet-multipose": {
+    label: "複数人（MoveNet MultiPose）",
+    hint: "グループ練習・トラック向け。最初はいちばん大きく写っている人を追い、映像をタップすると切り替えられます。",
+    family: "movenet",
+    multiPose: true,
+  },
+  "blazepose-full": {
+    label: "足部まで（BlazePose 33点）",
+    hint: "かかと・つま先も取れるので接地の分析に使えます。いちばん重いモデルです。",
+    family: "blazepose",
+  },
+};
+
+export const DEFAULT_POSE_MODEL = "movenet-lightning";
+
+// 推定後の信号処理（poseEstimation.js の createFramePipeline に渡す）
+//   minScore : キーポイントを使うスコアの下限
+//   filter   : ライブの平滑化 "box"（移動平均）| "oneEuro" | "none"
+export const DEFAULT_SIGNAL_OPTIONS = { minScore: 0.3, filter: "box" };
+
+const STORAGE_KEY = "soralab.poseModel";
+
+export function loadPoseModelChoice() {
+  try {
+    const id = localStorage.getItem(STORAGE_KEY);
+    return POSE_MODELS[id] ? id : DEFAULT_POSE_MODEL;
+  } catch {
+    return DEFAULT_POSE_MODEL;
+  }
+}
+
+export function savePoseModelChoice(id) {
+  try { localStorage.setItem(STORAGE_KEY, id); } catch { /* private mode など */ }
+}
@@ -0,0 +1,45 @@
+// src/poseWorker.js
+// 姿勢推定用 Web Worker（OffscreenCanvas 上の WebGL でモデルを動かす）
+//   → {type:"init", modelId, options}       ← {type:"ready"} | {type:"error", message}
+//   → {type:"frame", id, bitmap, timestamp} ← {type:"result", id, keypoints, angles, sample}
+//   → {type:"reset", keepSelection?}        keepSelection はタップで選んだ人を選び直す（createFramePipeline の reset）
+//   → {type:"configure", options}            信号処理の設定（poseModels.js の DEFAULT_SIGNAL_OPTIONS）
+//   → {type:"select", point: {x, y}}          複数人モデルで追う人を選ぶ（次の result の targetId に反映）
+import { createPoseDetector, createFramePipeline } from "./poseEstimation";
+
+let pipeline = null;
+
+self.onmessage = async (e) => {
+  const msg = e.data;
+  switch (msg.type) {
+    case "init":
+      try {
+        pipeline = createFramePipeline(await createPoseDetector(msg.modelId), msg.modelId, msg.options);
+        self.postMessage({ type: "ready" });
+      } catch (err) {
+        self.postMessage({ type: "error", message: String(err?.message || err) });
+      }
+      break;
+    case "frame": {
+      const { id, bitmap, timestamp } = msg;
+      try {
+        const res = await pipeline.run(bitmap, timestamp);
+        self.postMessage({ type: "result", id, ...res });
+      } catch (err) {
+        self.postMessage({ type: "result", id, error: String(err?.message || err) });
+      } finally {
+        bitmap.close();
+      }
+      break;
+    }
+    case "reset":
+      pipeline?.reset({ keepSelection: msg.keepSelection });
+      break;
+    case "configure":
+      pipeline?.configure(msg.options);
+      break;
+    case "select":
+      pipeline?.select(msg.point);
+      break;
+  }
+};
@@ -0,0 +1,234 @@
+// src/sessionReport.js
+// レポートの書き出し（ブラウザ側）：画面のグラフ・表・説明を集めて、HTML と PDF にする
+//   レポートの形と HTML・PDF の組み立ては analysis/report.js。ここでは画面から値を読むのと、PDF のページを canvas に描く
+import { reportToHTML, imagesToPDF } from "./analysis";
+import { downloadText, downloadBlob } from "./download";
+
+const FONT = "'Segoe UI','Hiragino Sans',sans-serif";
+const PAGE_W = 1240;                          // A4 を 150dpi で
+const PAGE_H = Math.round(PAGE_W * 297 / 210);
+const MARGIN = 72;
+const INNER_W = PAGE_W - 2 * MARGIN;
+const SIZES = { title: 40, subtitle: 22, h2: 30, body: 22, table: 20, caption: 18 };
+const LINE = 1.5;
+
+// Chart.js のグラフを画像に（白地。react-chartjs-2 の ref で受け取ったもの）
+export function chartImage(chart) {
+  const src = chart?.canvas;
+  if (!src?.width) return null;
+  const c = document.createElement("canvas");
+  c.width = src.width;
+  c.height = src.height;
+  const ctx = c.getContext("2d");
+  ctx.fillStyle = "#FFFFFF";
+  ctx.fillRect(0, 0, c.width, c.height);
+  ctx.drawImage(src, 0, 0);
+  return c.toDataURL("image/png");
+}
+
+// 骨格を描いた canvas の縮小（JPEG）
+export function canvasThumbnail(canvas, maxWidth = 640) {
+  if (!canvas?.width || !canvas.height) return null;
+  const s = Math.min(1, maxWidth / canvas.width);
+  const c = document.createElement("canvas");
+  c.width = Math.round(canvas.width * s);
+  c.height = Math.round(canvas.height * s);
+  c.getContext("2d").drawImage(canvas, 0, 0, c.width, c.height);
+  return c.toDataURL("image/jpeg", 0.85);
+}
+
+// 画面の表をレポートの表に（表示しているとおりの文字で）
+export function tablesFromDom(root) {
+  const text = (el) => el.textContent.replace(/\s+/g, " ").trim();
+  return [...(root?.querySelectorAll("table") ?? [])].map(table => {
+    const head = [...table.querySelectorAll("thead th")].map(text);
+    const rows = [...table.querySelectorAll("tbody tr")].map(tr => [...tr.children].map(text));
+    return { kind: "table", head, rows };
+  }).filter(t => t.rows.length);
+}
+
+// 「<b>見出し</b>：本文」の箇条書きを [見出し, 本文] に
+export function listFromDom(root) {
+  return [...(root?.querySelectorAll("li") ?? [])].map(li => {
+    const head = li.querySelector("b")?.textContent ?? "";
+    const body = li.textContent.slice(li.textContent.indexOf(head) + head.length).replace(/^：/, "").trim();
+    return [head, body];
+  });
+}
+
+export function downloadReportHTML(report, fileName) {
+  downloadText(reportToHTML(report), fileName, "text/html;charset=utf-8");
+}
+
+export async function downloadReportPDF(report, fileName) {
+  const pages = await renderReportPages(report);
+  downloadBlob(new Blob([imagesToPDF(pages)], { type: "application/pdf" }), fileName);
+}
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error("レポートの画像を読み込めません"));
+  img.src = src;
+});
+
+const canvasJPEG = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob
+    ? blob.arrayBuffer().then(buf => resolve(new Uint8Array(buf)), reject)
+    : reject(new Error("PDF のページを画像にできません"))), "image/jpeg", 0.9);
+});
+
+// 文字を幅 maxWidth で折り返す（日本語は単語の区切りがないので 1 文字ずつ測る）
+//   firstWidth : 1 行目だけ別の幅（箇条書きの見出しのあと）
+function wrap(ctx, text, maxWidth, firstWidth = maxWidth) {
+  const lines = [];
+  for (const para of String(text).split("\n")) {
+    let line = "";
+    for (const ch of para) {
+      const limit = lines.length ? maxWidth : firstWidth;
+      if (line && ctx.measureText(line + ch).width > limit) {
+        lines.push(line);
+        line = "";
+      }
+      line += ch;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// レポートを A4 のページ画像に描く（文字も画像になる。選んでコピーしたいときは HTML を使う）
+async function renderReportPages(report) {
+  const pages = [];
+  let ctx = null, y = 0;
+  const finish = async () => {
+    if (ctx) pages.push({ jpeg: await canvasJPEG(ctx.canvas), width: PAGE_W, height: PAGE_H });
+  };
+  const newPage = async () => {
+    await finish();
+    const c = document.createElement("canvas");
+    c.width = PAGE_W;
+    c.height = PAGE_H;
+    ctx = c.getContext("2d");
+    ctx.fillStyle = "#FFFFFF";
+    ctx.fillRect(0, 0, PAGE_W, PAGE_H);
+    ctx.textBaseline = "top";
+    y = MARGIN;
+  };
+  // 高さ h が入らなければ改ページ（ページの先頭なら、はみ出してもそのまま描く）
+  const ensure = async (h) => {
+    if (y + h > PAGE_H - MARGIN && y > MARGIN) await newPage();
+  };
+  const font = (size, bold = false) => { ctx.font = `${bold ? "bold " : ""}${size}px ${FONT}`; };
+  const textLines = async (lines, size, color = "#333", x = MARGIN) => {
+    for (const line of lines) {
+      await ensure(size * LINE);
+      font(size);
+      ctx.fillStyle = color;
+      ctx.fillText(line, x, y);
+      y += size * LINE;
+    }
+  };
+
+  // 表：列の幅は中身の長さに合わせ、入りきらなければ縮めてセルの中で折り返す
+  const table = async (head, rows, caption) => {
+    const size = SIZES.table, pad = 8;
+    font(size);
+    const all = head.length ? [head, ...rows] : rows;
+    const nCol = Math.max(...all.map(r => r.length));
+    const natural = Array.from({ length: nCol }, (_, j) =>
+      Math.max(40, ...all.map(r => ctx.measureText(r[j] ?? "").width + 2 * pad)));
+    const total = natural.reduce((a, b) => a + b, 0);
+    const widths = total > INNER_W ? natural.map(w => (w / total) * INNER_W) : natural;
+    if (caption) {
+      await ensure(size * LINE * 3);
+      font(size, true);
+      ctx.fillStyle = "#333";
+      ctx.fillText(caption, MARGIN, y);
+      y += size * LINE;
+    }
+    const drawRow = async (cells, isHead) => {
+      font(size, isHead);
+      const wrapped = widths.map((w, j) => wrap(ctx, cells[j] ?? "", w - 2 * pad));
+      const h = Math.max(...wrapped.map(l => l.length)) * size * LINE + pad;
+      await ensure(h);
+      font(size, isHead);
+      let x = MARGIN;
+      widths.forEach((w, j) => {
+        if (isHead) {
+          ctx.fillStyle = "#F0F8FF";
+          ctx.fillRect(x, y, w, h);
+        }
+        ctx.strokeStyle = "#CCE7F5";
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, w, h);
+        ctx.fillStyle = "#333";
+        wrapped[j].forEach((line, k) => ctx.fillText(line, x + pad, y + pad / 2 + k * size * LINE));
+        x += w;
+      });
+      y += h;
+    };
+    if (head.length) await drawRow(head, true);
+    for (const r of rows) await drawRow(r, false);
+    y += size;
+  };
+
+  await newPage();
+  font(SIZES.title, true);
+  ctx.fillStyle = "#2A6EBB";
+  ctx.fillText(report.title, MARGIN, y);
+  y += SIZES.title * LINE;
+  if (report.subtitle) await textLines(wrap(ctx, report.subtitle, INNER_W), SIZES.subtitle, "#666");
+
+  for (const section of report.sections) {
+    await ensure(SIZES.h2 * LINE * 3); // 見出しだけがページの最後に残らないように
+    y += SIZES.h2 * 0.5;
+    font(SIZES.h2, true);
+    ctx.fillStyle = "#2A6EBB";
+    ctx.fillText(section.title, MARGIN, y);
+    y += SIZES.h2 * LINE;
+    ctx.fillStyle = "#CCE7F5";
+    ctx.fillRect(MARGIN, y - 8, INNER_W, 3);
+
+    for (const b of section.blocks) {
+      if (b.kind === "kv") await table([], b.rows, null);
+      else if (b.kind === "table") await table(b.head, b.rows, b.caption);
+      else if (b.kind === "text") {
+        font(SIZES.body);
+        await textLines(wrap(ctx, b.text, INNER_W), SIZES.body);
+      } else if (b.kind === "image") {
+        const img = await loadImage(b.src);
+        const maxW = b.width ? Math.min(INNER_W, b.width * 2) : INNER_W;
+        const s = Math.min(maxW / img.width, (PAGE_H - 2 * MARGIN - SIZES.caption * 2) / img.height);
+        const w = img.width * s, h = img.height * s;
+        await ensure(h + (b.caption ? SIZES.caption * LINE : 0));
+        ctx.drawImage(img, MARGIN, y, w, h);
+        ctx.strokeStyle = "#CCE7F5";
+        ctx.strokeRect(MARGIN, y, w, h);
+        y += h + 4;
+        if (b.caption) await textLines([b.caption], SIZES.caption, "#666");
+        y += SIZES.body * 0.5;
+      } else if (b.kind === "list") {
+        const size = SIZES.body, indent = size;
+        for (const [head, body] of b.items) {
+          font(size, true);
+          const headText = `・${head}：`;
+          const headW = ctx.measureText(headText).width;
+          font(size);
+          const lines = wrap(ctx, body, INNER_W - indent, INNER_W - headW);
+          await ensure(size * LINE);
+          font(size, true);
+          ctx.fillStyle = "#333";
+          ctx.fillText(headText, MARGIN, y);
+          font(size);
+          ctx.fillText(lines[0], MARGIN + headW, y);
+          y += size * LINE;
+          await textLines(lines.slice(1), size, "#333", MARGIN + indent);
+        }
+        y += size * 0.5;
+      }
+    }
+  }
+  await finish();
+  return pages;
+}
@@ -0,0 +1,105 @@
+// src/sessionStore.js
+// 記録のライブラリ（IndexedDB）。ページを読み込み直しても残る
+//
+// sessions : 一覧用のメタ情報 {id, name, createdAt, tags, source, fileName, modelId, signal, calibration,
+//                             count, duration, view, hasFrames, annotations}
+//            annotations は手動の注釈（analysis/annotations.js）。小さいので一覧と一緒に持つ
+//            source は "camera" | "file"、createdAt（保存した日時）はミリ秒、duration は秒
+//            recordedAt は撮った日時（ミリ秒。カメラは記録を始めた時刻、動画ファイルはファイルの更新日時）。
+//            これがない古い記録は createdAt で代える（analysis/library.js の recordedTime）
+// samples  : {id, samples, frames}（一覧では読まないよう別ストアに分ける。frames は生のキーポイントか null）
+import { summarizeView, recordedTime } from "./analysis";
+
+// 一覧の検索・日付表示は analysis/library.js（ここからも使えるようにしておく）
+export { filterSessions, formatDate } from "./analysis";
+
+const DB_NAME = "soralab";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("このブラウザでは記録を保存できません（IndexedDB が使えません）"));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("sessions")) db.createObjectStore("sessions", { keyPath: "id", autoIncrement: true });
+        if (!db.objectStoreNames.contains("samples")) db.createObjectStore("samples", { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; }); // 次の呼び出しでやり直す
+  }
+  return dbPromise;
+}
+
+// トランザクション 1 回分。fn(stores) の戻り値（IDBRequest ならその結果）を完了後に返す
+async function withStores(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["sessions", "samples"], mode);
+    const ret = fn({ sessions: tx.objectStore("sessions"), samples: tx.objectStore("samples") });
+    tx.oncomplete = () => resolve(ret instanceof IDBRequest ? ret.result : ret);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// 記録を保存して id を返す
+export async function saveSession({
+  name, tags = [], source, fileName = null, modelId, signal = null, calibration = null, samples, frames = null, annotations = [],
+  recordedAt = null,
+}) {
+  const createdAt = Date.now();
+  const meta = {
+    name, tags, source, fileName, modelId, signal, calibration, annotations,
+    createdAt,
+    recordedAt: recordedAt ?? createdAt,
+    count: samples.length,
+    duration: samples.length ? samples[samples.length - 1].t - samples[0].t : 0,
+    view: summarizeView(samples).view,
+    hasFrames: !!frames?.length,
+  };
+  return withStores("readwrite", (stores) => {
+    const req = stores.sessions.add(meta);
+    req.onsuccess = () => stores.samples.put({ id: req.result, samples, frames });
+    return req;
+  });
+}
+
+// メタ情報の一覧（新しい順）
+export async function listSessions() {
+  const all = await withStores("readonly", ({ sessions }) => sessions.getAll());
+  return all.sort((a, b) => recordedTime(b) - recordedTime(a));
+}
+
+// メタ情報＋samples・frames（なければ null）
+export async function getSession(id) {
+  const { meta, data } = await withStores("readonly", ({ sessions, samples }) => ({
+    meta: sessions.get(id),
+    data: samples.get(id),
+  }));
+  return meta.result ? { ...meta.result, samples: data.result?.samples ?? [], frames: data.result?.frames ?? null } : null;
+}
+
+// 名前・タグなどの書き換え（id・samples は変えない）
+export async function updateSession(id, patch) {
+  const meta = await withStores("readonly", ({ sessions }) => sessions.get(id));
+  if (!meta) throw new Error("記録が見つかりません");
+  const next = { ...meta, ...patch, id };
+  await withStores("readwrite", ({ sessions }) => sessions.put(next));
+  return next;
+}
+
+export async function deleteSession(id) {
+  await withStores("readwrite", ({ sessions, samples }) => {
+    sessions.delete(id);
+    samples.delete(id);
+  });
+}
@@ -0,0 +1,66 @@
+// src/videoFrames.js
+// 動画ファイルを currentTime で 1 コマずつ送る（再生速度・端末負荷に左右されない解析用）
+import { frameStats } from "./analysis";
+
+// seek 完了（seeked）まで待つ
+export function seekVideo(video, time) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      video.removeEventListener("seeked", onSeeked);
+      video.removeEventListener("error", onError);
+    };
+    const onSeeked = () => { cleanup(); resolve(); };
+    const onError  = () => { cleanup(); reject(video.error || new Error("seek failed")); };
+    video.addEventListener("seeked", onSeeked);
+    video.addEventListener("error", onError);
+    video.currentTime = time;
+  });
+}
+
+// 0 秒から stepSec 刻みで seek し、各コマで onFrame(t) を待つ
+// t は動画内の時刻（秒）。signal で中断した場合は false を返す
+export async function stepThroughVideo(video, { stepSec = 0.1, onFrame, onProgress, signal } = {}) {
+  const duration = video.duration;
+  if (!isFinite(duration) || duration <= 0) throw new Error("動画の長さが取得できません");
+
+  const n = Math.floor(duration / stepSec) + 1;
+  for (let i = 0; i < n; i++) {
+    if (signal?.aborted) return false;
+    const t = +Math.min(i * stepSec, duration).toFixed(3);
+    await seekVideo(video, t);
+    await onFrame?.(t);
+    onProgress?.((i + 1) / n);
+  }
+  return true;
+}
+
+// fn を 1 つずつ実行する。実行中に呼ばれたら、終わってからもう一度だけ実行する（seek が溜まらないように）
+export function createSerialRunner(fn) {
+  let busy = false, pending = false;
+  return async function run() {
+    if (busy) { pending = true; return; }
+    busy = true;
+    try {
+      do {
+        pending = false;
+        await fn();
+      } while (pending);
+    } catch (e) {
+      console.warn("serial runner error:", e?.message || e);
+    } finally {
+      busy = false;
+    }
+  };
+}
+
+// 今のコマの明るさ・くっきり具合（analysis/capture.js の frameStats）。幅 160px に縮めて測る
+// canvas は作業用（呼び出し側で使い回す）
+export function measureVideoFrame(video, canvas) {
+  const w = 160;
+  const h = Math.max(1, Math.round(w * (video.videoHeight || 9) / (video.videoWidth || 16)));
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(video, 0, 0, w, h);
+  return frameStats(ctx.getImageData(0, 0, w, h));
+}